@@ -9,7 +9,8 @@ namespace BuzzFreed.Web.Controllers;
 /// REST API for active game session management
 ///
 /// ENDPOINTS:
-/// - GET /api/game/{sessionId} - Get session state
+/// - GET /api/game/clock - Get server time (client clock sync)
+/// - GET /api/game/{sessionId}?userId= - Get session state (as that player sees it)
 /// - POST /api/game/{sessionId}/answer - Submit answer
 /// - POST /api/game/{sessionId}/next-turn - Advance to next turn
 /// - POST /api/game/{sessionId}/end - End game
@@ -19,6 +20,9 @@ namespace BuzzFreed.Web.Controllers;
 /// - POST /api/game/{sessionId}/suggestion - Submit suggestion
 /// - POST /api/game/{sessionId}/prediction - Submit prediction
 /// - POST /api/game/{sessionId}/chat - Send chat message
+/// - GET /api/game/{sessionId}/turn/{turnId}/reactions - Get reaction summary
+/// - GET /api/game/{sessionId}/turn/{turnId}/interactions - Get turn interactions
+/// - POST /api/game/{sessionId}/batch - Run several read calls in one request
 ///
 /// TODO: Add pause/resume endpoints
 /// TODO: Add reconnection endpoint
@@ -33,11 +37,27 @@ public class GameController(
     public readonly GameSessionService SessionService = sessionService;
     public readonly InteractionService InteractionService = interactionService;
 
+    public const int MaxBatchSize = 20;
+
+    /// <summary>
+    /// Get server time, for clients to estimate their clock offset
+    /// Turn timers are measured against server time (TurnState.StartTime)
+    /// </summary>
+    [HttpGet("clock")]
+    public ActionResult<ServerClockResponse> GetServerClock()
+    {
+        return Ok(new ServerClockResponse
+        {
+            ServerTime = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds()
+        });
+    }
+
     /// <summary>
     /// Get session state
+    /// Team chat is only included for the requesting player's own team
     /// </summary>
     [HttpGet("{sessionId}")]
-    public ActionResult<GameSession> GetSession(string sessionId)
+    public ActionResult<GameSession> GetSession(string sessionId, [FromQuery] string? userId = null)
     {
         GameSession? session = SessionService.GetSession(sessionId);
 
@@ -46,7 +66,7 @@ public class GameController(
             return NotFound();
         }
 
-        return Ok(session);
+        return Ok(session.ForViewer(userId));
     }
 
     /// <summary>
@@ -355,6 +375,84 @@ public class GameController(
         List<Interaction> interactions = InteractionService.GetTurnInteractions(sessionId, turnId);
         return Ok(interactions);
     }
+
+    /// <summary>
+    /// Run several read calls for a session in one request
+    /// Each item path is relative to the session ("leaderboard", "turn",
+    /// "turn/{turnId}/reactions", "turn/{turnId}/interactions", "" for the session)
+    /// Results are returned per item, in request order, with their own status
+    /// </summary>
+    [HttpPost("{sessionId}/batch")]
+    public ActionResult<BatchResponse> Batch(string sessionId, [FromBody] BatchRequest request)
+    {
+        if (request.Requests.Count > MaxBatchSize)
+        {
+            return BadRequest(new ApiResponse
+            {
+                Success = false,
+                Error = $"Too many batch items (max {MaxBatchSize})"
+            });
+        }
+
+        List<BatchItemResult> results = request.Requests
+            .Select(item => ExecuteBatchItem(sessionId, item))
+            .ToList();
+
+        return Ok(new BatchResponse { Results = results });
+    }
+
+    /// <summary>
+    /// Dispatch one batch item to the matching read endpoint
+    /// </summary>
+    private BatchItemResult ExecuteBatchItem(string sessionId, BatchItemRequest item)
+    {
+        try
+        {
+            string[] segments = item.Path.Split('/', StringSplitOptions.RemoveEmptyEntries);
+
+            ActionResult? result = segments switch
+            {
+                [] => GetSession(sessionId).Result,
+                ["leaderboard"] => GetLeaderboard(sessionId).Result,
+                ["turn"] => GetCurrentTurn(sessionId).Result,
+                ["turn", var turnId, "reactions"] => GetReactionSummary(sessionId, turnId).Result,
+                ["turn", var turnId, "interactions"] => GetTurnInteractions(sessionId, turnId).Result,
+                _ => null
+            };
+
+            if (result == null)
+            {
+                return new BatchItemResult
+                {
+                    Id = item.Id,
+                    Status = 400,
+                    Error = $"Unsupported batch path: {item.Path}"
+                };
+            }
+
+            return result switch
+            {
+                ObjectResult objectResult => new BatchItemResult
+                {
+                    Id = item.Id,
+                    Status = objectResult.StatusCode ?? 200,
+                    Body = objectResult.Value,
+                    Error = (objectResult.Value as ApiResponse)?.Error
+                },
+                StatusCodeResult statusResult => new BatchItemResult
+                {
+                    Id = item.Id,
+                    Status = statusResult.StatusCode
+                },
+                _ => new BatchItemResult { Id = item.Id, Status = 500, Error = "Unexpected result" }
+            };
+        }
+        catch (Exception ex)
+        {
+            Logs.Error($"Error in batch item {item.Path}: {ex.Message}");
+            return new BatchItemResult { Id = item.Id, Status = 500, Error = ex.Message };
+        }
+    }
 }
 
 // Request DTOs
@@ -394,6 +492,17 @@ public class SendChatRequest
     public string? TeamId { get; set; }
 }
 
+public class BatchRequest
+{
+    public List<BatchItemRequest> Requests { get; set; } = new();
+}
+
+public class BatchItemRequest
+{
+    public string Id { get; set; } = string.Empty;
+    public string Path { get; set; } = string.Empty;
+}
+
 // Response DTOs
 
 public class LeaderboardResponse
@@ -409,3 +518,24 @@ public class LeaderboardEntry
     public string PlayerName { get; set; } = string.Empty;
     public int Score { get; set; }
 }
+
+public class ServerClockResponse
+{
+    /// <summary>
+    /// Unix time in milliseconds
+    /// </summary>
+    public long ServerTime { get; set; }
+}
+
+public class BatchResponse
+{
+    public List<BatchItemResult> Results { get; set; } = new();
+}
+
+public class BatchItemResult
+{
+    public string Id { get; set; } = string.Empty;
+    public int Status { get; set; }
+    public object? Body { get; set; }
+    public string? Error { get; set; }
+}
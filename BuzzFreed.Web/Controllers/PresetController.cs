@@ -0,0 +1,213 @@
+using Microsoft.AspNetCore.Mvc;
+using BuzzFreed.Web.Models.Multiplayer;
+using BuzzFreed.Web.Services;
+using BuzzFreed.Web.Utils;
+
+namespace BuzzFreed.Web.Controllers;
+
+/// <summary>
+/// REST API for quiz settings presets shared with a Discord server
+/// Personal presets and built-in templates stay on the client
+///
+/// ENDPOINTS:
+/// - GET /api/preset/{guildId} - List the server's presets
+/// - POST /api/preset/{guildId} - Save a new preset
+/// - PUT /api/preset/{guildId}/{presetId} - Rename or overwrite a preset (owner only)
+/// - DELETE /api/preset/{guildId}/{presetId}?userId= - Delete a preset (owner only)
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+public class PresetController(DatabaseService databaseService) : ControllerBase
+{
+    public readonly DatabaseService DatabaseService = databaseService;
+
+    /// <summary>
+    /// List presets saved in a server
+    /// </summary>
+    [HttpGet("{guildId}")]
+    public async Task<ActionResult<List<SettingsPreset>>> GetPresets(string guildId)
+    {
+        try
+        {
+            return Ok(await DatabaseService.GetGuildPresetsAsync(guildId));
+        }
+        catch (Exception ex)
+        {
+            Logs.Error($"Error getting presets: {ex.Message}");
+            return StatusCode(500, new ApiResponse { Success = false, Error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Save a new preset for the server
+    /// </summary>
+    [HttpPost("{guildId}")]
+    public async Task<ActionResult<PresetResponse>> CreatePreset(string guildId, [FromBody] SavePresetRequest request)
+    {
+        try
+        {
+            if (request.Settings == null)
+            {
+                return BadRequest(new PresetResponse { Success = false, Error = "Preset settings are required" });
+            }
+
+            SettingsPreset preset = new()
+            {
+                GuildId = guildId,
+                OwnerUserId = request.UserId,
+                OwnerUsername = request.Username,
+                Name = request.Name,
+                Settings = request.Settings
+            };
+
+            List<string> errors = preset.Validate();
+            if (errors.Count > 0)
+            {
+                return BadRequest(new PresetResponse { Success = false, Error = string.Join(". ", errors) });
+            }
+
+            List<SettingsPreset> existing = await DatabaseService.GetGuildPresetsAsync(guildId);
+            if (existing.Count >= SettingsPreset.MaxPresetsPerGuild)
+            {
+                return BadRequest(new PresetResponse
+                {
+                    Success = false,
+                    Error = $"This server already has {SettingsPreset.MaxPresetsPerGuild} presets. Delete one first"
+                });
+            }
+
+            preset.Name = preset.Name.Trim();
+            preset.Settings.Normalize();
+
+            await DatabaseService.SavePresetAsync(preset);
+
+            return Ok(new PresetResponse
+            {
+                Success = true,
+                Message = "Preset saved",
+                Preset = preset
+            });
+        }
+        catch (Exception ex)
+        {
+            Logs.Error($"Error saving preset: {ex.Message}");
+            return StatusCode(500, new PresetResponse { Success = false, Error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Rename and/or overwrite the settings of a preset (owner only)
+    /// </summary>
+    [HttpPut("{guildId}/{presetId}")]
+    public async Task<ActionResult<PresetResponse>> UpdatePreset(string guildId, string presetId, [FromBody] UpdatePresetRequest request)
+    {
+        try
+        {
+            if (request.Settings == null)
+            {
+                return BadRequest(new PresetResponse { Success = false, Error = "Preset settings are required" });
+            }
+
+            SettingsPreset? preset = await DatabaseService.GetPresetAsync(guildId, presetId);
+
+            if (preset == null)
+            {
+                return NotFound(new PresetResponse { Success = false, Error = "Preset not found" });
+            }
+
+            if (preset.OwnerUserId != request.UserId)
+            {
+                return BadRequest(new PresetResponse { Success = false, Error = "Only the player who saved this preset can change it" });
+            }
+
+            preset.Name = request.Name ?? preset.Name;
+            preset.Settings = request.Settings;
+            preset.UpdatedAt = DateTime.UtcNow;
+
+            List<string> errors = preset.Validate();
+            if (errors.Count > 0)
+            {
+                return BadRequest(new PresetResponse { Success = false, Error = string.Join(". ", errors) });
+            }
+
+            preset.Name = preset.Name.Trim();
+            preset.Settings.Normalize();
+
+            await DatabaseService.SavePresetAsync(preset);
+
+            return Ok(new PresetResponse
+            {
+                Success = true,
+                Message = "Preset updated",
+                Preset = preset
+            });
+        }
+        catch (Exception ex)
+        {
+            Logs.Error($"Error updating preset: {ex.Message}");
+            return StatusCode(500, new PresetResponse { Success = false, Error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Delete a preset (owner only)
+    /// </summary>
+    [HttpDelete("{guildId}/{presetId}")]
+    public async Task<ActionResult<ApiResponse>> DeletePreset(string guildId, string presetId, [FromQuery] string userId)
+    {
+        try
+        {
+            SettingsPreset? preset = await DatabaseService.GetPresetAsync(guildId, presetId);
+
+            if (preset == null)
+            {
+                return NotFound(new ApiResponse { Success = false, Error = "Preset not found" });
+            }
+
+            if (preset.OwnerUserId != userId)
+            {
+                return BadRequest(new ApiResponse { Success = false, Error = "Only the player who saved this preset can delete it" });
+            }
+
+            await DatabaseService.DeletePresetAsync(guildId, presetId);
+
+            Logs.Info($"Preset {preset.Name} deleted from guild {guildId}");
+
+            return Ok(new ApiResponse
+            {
+                Success = true,
+                Message = "Preset deleted"
+            });
+        }
+        catch (Exception ex)
+        {
+            Logs.Error($"Error deleting preset: {ex.Message}");
+            return StatusCode(500, new ApiResponse { Success = false, Error = ex.Message });
+        }
+    }
+}
+
+// Request/Response DTOs
+
+public class SavePresetRequest
+{
+    public string UserId { get; set; } = string.Empty;
+    public string Username { get; set; } = string.Empty;
+    public string Name { get; set; } = string.Empty;
+    public QuizCustomization? Settings { get; set; } = new();
+}
+
+/// <summary>
+/// Name null: left unchanged. Settings is required (a rename sends the current settings)
+/// </summary>
+public class UpdatePresetRequest
+{
+    public string UserId { get; set; } = string.Empty;
+    public string? Name { get; set; }
+    public QuizCustomization? Settings { get; set; }
+}
+
+public class PresetResponse : ApiResponse
+{
+    public SettingsPreset? Preset { get; set; }
+}
@@ -0,0 +1,244 @@
+using System.Net.WebSockets;
+using System.Text;
+using Microsoft.AspNetCore.Mvc;
+using BuzzFreed.Web.Models.Multiplayer;
+using BuzzFreed.Web.Services.Multiplayer;
+using BuzzFreed.Web.Utils;
+using Newtonsoft.Json;
+using Newtonsoft.Json.Serialization;
+
+namespace BuzzFreed.Web.Controllers;
+
+/// <summary>
+/// Real-time event stream for a room and its game session (RealtimeClient.js)
+///
+/// ENDPOINTS:
+/// - GET /api/realtime/ws?roomId=&amp;sessionId=&amp;userId= - WebSocket
+/// - GET /api/realtime/sse?roomId=&amp;sessionId=&amp;userId= - Server-Sent Events (fallback)
+/// - GET /api/realtime/events?after=&amp;limit=&amp;roomId=&amp;sessionId=&amp;userId= - Missed events
+///
+/// CHANNELS:
+/// - One channel per room; sessionId alone finds the session's room
+/// - Only players in the room (or session) may connect
+/// - Each message is one RealtimeEvent as JSON: { type, data, sequence, eventId }
+///
+/// WEBSOCKET:
+/// - Server → client only for now; client messages are read and ignored
+///   so a close from the client is noticed
+/// </summary>
+[ApiController]
+[Route("api/[controller]")]
+public class RealtimeController(
+    EventService eventService,
+    RoomService roomService,
+    GameSessionService sessionService) : ControllerBase
+{
+    public readonly EventService EventService = eventService;
+    public readonly RoomService RoomService = roomService;
+    public readonly GameSessionService SessionService = sessionService;
+
+    /// <summary>
+    /// Same JSON as the REST API (camelCase, enums by name)
+    /// </summary>
+    public static readonly JsonSerializerSettings JsonSettings = new()
+    {
+        ContractResolver = new DefaultContractResolver { NamingStrategy = new CamelCaseNamingStrategy() }
+    };
+
+    /// <summary>
+    /// Stream a room's events over a WebSocket
+    /// </summary>
+    [HttpGet("ws")]
+    public async Task ConnectWebSocket([FromQuery] string? roomId, [FromQuery] string? sessionId, [FromQuery] string? userId)
+    {
+        if (!HttpContext.WebSockets.IsWebSocketRequest)
+        {
+            HttpContext.Response.StatusCode = StatusCodes.Status400BadRequest;
+            return;
+        }
+
+        string? channelId = FindChannel(roomId, sessionId, userId);
+        if (channelId == null)
+        {
+            HttpContext.Response.StatusCode = StatusCodes.Status404NotFound;
+            return;
+        }
+
+        using WebSocket socket = await HttpContext.WebSockets.AcceptWebSocketAsync();
+        using EventSubscription subscription = EventService.Subscribe(channelId, userId!);
+        using CancellationTokenSource closed = CancellationTokenSource.CreateLinkedTokenSource(HttpContext.RequestAborted);
+
+        Logs.Debug($"WebSocket connected: user {userId}, room {channelId}");
+
+        Task receiving = ReceiveUntilClosedAsync(socket, closed);
+
+        try
+        {
+            await foreach (RealtimeEvent realtimeEvent in subscription.Reader.ReadAllAsync(closed.Token))
+            {
+                byte[] message = Encoding.UTF8.GetBytes(Serialize(realtimeEvent));
+                await socket.SendAsync(message, WebSocketMessageType.Text, true, closed.Token);
+            }
+
+            // Channel closed (room deleted)
+            if (socket.State == WebSocketState.Open)
+            {
+                await socket.CloseAsync(WebSocketCloseStatus.NormalClosure, "Room closed", CancellationToken.None);
+            }
+        }
+        catch (Exception ex) when (ex is OperationCanceledException || ex is WebSocketException)
+        {
+            // Client went away
+        }
+        finally
+        {
+            closed.Cancel();
+            await receiving;
+
+            Logs.Debug($"WebSocket disconnected: user {userId}, room {channelId}");
+        }
+    }
+
+    /// <summary>
+    /// Stream a room's events as Server-Sent Events
+    /// </summary>
+    [HttpGet("sse")]
+    public async Task StreamEvents([FromQuery] string? roomId, [FromQuery] string? sessionId, [FromQuery] string? userId)
+    {
+        string? channelId = FindChannel(roomId, sessionId, userId);
+        if (channelId == null)
+        {
+            HttpContext.Response.StatusCode = StatusCodes.Status404NotFound;
+            return;
+        }
+
+        using EventSubscription subscription = EventService.Subscribe(channelId, userId!);
+        CancellationToken aborted = HttpContext.RequestAborted;
+
+        Response.Headers.ContentType = "text/event-stream";
+        Response.Headers.CacheControl = "no-cache";
+        Response.Headers["X-Accel-Buffering"] = "no"; // Don't let proxies hold events back
+
+        Logs.Debug($"SSE connected: user {userId}, room {channelId}");
+
+        try
+        {
+            // Comment line: sends the headers so EventSource opens right away
+            await Response.WriteAsync(": connected\n\n", aborted);
+            await Response.Body.FlushAsync(aborted);
+
+            await foreach (RealtimeEvent realtimeEvent in subscription.Reader.ReadAllAsync(aborted))
+            {
+                await Response.WriteAsync($"data: {Serialize(realtimeEvent)}\n\n", aborted);
+                await Response.Body.FlushAsync(aborted);
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // Client went away
+        }
+
+        Logs.Debug($"SSE disconnected: user {userId}, room {channelId}");
+    }
+
+    /// <summary>
+    /// Events published after a sequence number (recovery after a gap or reconnect)
+    /// </summary>
+    [HttpGet("events")]
+    public ActionResult<MissedEventsResponse> GetMissedEvents(
+        [FromQuery] long after,
+        [FromQuery] int limit = 100,
+        [FromQuery] string? roomId = null,
+        [FromQuery] string? sessionId = null,
+        [FromQuery] string? userId = null)
+    {
+        try
+        {
+            string? channelId = FindChannel(roomId, sessionId, userId);
+            if (channelId == null)
+            {
+                return NotFound();
+            }
+
+            limit = Math.Clamp(limit, 1, EventService.MaxLogSize);
+            List<RealtimeEvent> events = EventService.GetEventsAfter(channelId, after, limit, out long latestSequence);
+
+            return Ok(new MissedEventsResponse
+            {
+                Events = events,
+                LatestSequence = latestSequence
+            });
+        }
+        catch (Exception ex)
+        {
+            Logs.Error($"Error getting missed events: {ex.Message}");
+            return StatusCode(500, new { error = "Failed to get events" });
+        }
+    }
+
+    /// <summary>
+    /// Room ID to stream for this request, or null if there's nothing the
+    /// user may follow (unknown room/session, or not a player in it)
+    /// </summary>
+    private string? FindChannel(string? roomId, string? sessionId, string? userId)
+    {
+        if (string.IsNullOrEmpty(userId))
+        {
+            return null;
+        }
+
+        GameRoom? room = string.IsNullOrEmpty(roomId) ? null : RoomService.GetRoom(roomId);
+        if (room != null && room.HasPlayer(userId))
+        {
+            return room.RoomId;
+        }
+
+        GameSession? session = string.IsNullOrEmpty(sessionId) ? null : SessionService.GetSession(sessionId);
+        if (session != null && session.Players.Any(p => p.UserId == userId))
+        {
+            return session.RoomId;
+        }
+
+        return null;
+    }
+
+    /// <summary>
+    /// Read (and drop) client messages until the client closes the socket
+    /// </summary>
+    private static async Task ReceiveUntilClosedAsync(WebSocket socket, CancellationTokenSource closed)
+    {
+        byte[] buffer = new byte[1024];
+
+        try
+        {
+            while (socket.State == WebSocketState.Open)
+            {
+                WebSocketReceiveResult result = await socket.ReceiveAsync(buffer, closed.Token);
+
+                if (result.MessageType == WebSocketMessageType.Close)
+                {
+                    break;
+                }
+            }
+        }
+        catch (Exception ex) when (ex is OperationCanceledException || ex is WebSocketException)
+        {
+            // Connection ended
+        }
+
+        closed.Cancel();
+    }
+
+    private static string Serialize(RealtimeEvent realtimeEvent)
+    {
+        return JsonConvert.SerializeObject(realtimeEvent, JsonSettings);
+    }
+}
+
+// Response DTOs
+
+public class MissedEventsResponse
+{
+    public List<RealtimeEvent> Events { get; set; } = new();
+    public long LatestSequence { get; set; }
+}
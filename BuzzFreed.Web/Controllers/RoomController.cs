@@ -18,20 +18,24 @@ namespace BuzzFreed.Web.Controllers;
 /// - POST /api/room/{roomId}/teams - Create teams
 /// - PUT /api/room/{roomId}/teams/{teamId} - Assign player to team
 /// - POST /api/room/{roomId}/start - Start game (host only)
+/// - POST /api/room/{roomId}/kick - Remove a player (host only)
+/// - POST /api/room/{roomId}/host - Transfer host to another player (host only)
+/// - POST /api/room/{roomId}/mode - Switch game mode (host only)
 /// - GET /api/room/{roomId} - Get room state
 /// - GET /api/room/code/{roomCode} - Get room by code
 /// - GET /api/room/modes - Get available game modes
 ///
 /// TODO: Add rate limiting (prevent spam room creation)
-/// TODO: Add room password validation
-/// TODO: Add kick player endpoint
-/// TODO: Add transfer host endpoint
 /// </summary>
 [ApiController]
 [Route("api/[controller]")]
-public class RoomController(RoomService roomService, GameModeRegistry gameModeRegistry) : ControllerBase
+public class RoomController(
+    RoomService roomService,
+    GameSessionService gameSessionService,
+    GameModeRegistry gameModeRegistry) : ControllerBase
 {
     public readonly RoomService RoomService = roomService;
+    public readonly GameSessionService GameSessionService = gameSessionService;
     public readonly GameModeRegistry GameModeRegistry = gameModeRegistry;
 
     /// <summary>
@@ -48,7 +52,8 @@ public class RoomController(RoomService roomService, GameModeRegistry gameModeRe
                 request.HostUserId,
                 request.HostUsername,
                 request.GuildId,
-                request.GameMode
+                request.GameMode,
+                request.Password
             );
 
             return Ok(new CreateRoomResponse
@@ -80,10 +85,34 @@ public class RoomController(RoomService roomService, GameModeRegistry gameModeRe
         {
             Logs.Info($"API: User {request.UserId} joining room {request.RoomCode}");
 
+            // Checked here too so the player gets a specific error
+            GameRoom? existing = RoomService.GetRoomByCode(request.RoomCode);
+            if (existing != null && !existing.HasPlayer(request.UserId))
+            {
+                if (existing.KickedUserIds.ContainsKey(request.UserId))
+                {
+                    return BadRequest(new JoinRoomResponse
+                    {
+                        Success = false,
+                        Error = "You were removed from this room by the host"
+                    });
+                }
+
+                if (!RoomService.CheckPassword(existing, request.Password))
+                {
+                    return BadRequest(new JoinRoomResponse
+                    {
+                        Success = false,
+                        Error = string.IsNullOrEmpty(request.Password) ? "This room needs a password" : "Incorrect room password"
+                    });
+                }
+            }
+
             GameRoom? room = RoomService.JoinRoom(
                 request.RoomCode,
                 request.UserId,
-                request.Username
+                request.Username,
+                request.Password
             );
 
             if (room == null)
@@ -163,31 +192,43 @@ public class RoomController(RoomService roomService, GameModeRegistry gameModeRe
     /// Update room settings (host only)
     /// </summary>
     [HttpPut("{roomId}/settings")]
-    public ActionResult<ApiResponse> UpdateSettings(string roomId, [FromBody] UpdateSettingsRequest request)
+    public ActionResult<UpdateSettingsResponse> UpdateSettings(string roomId, [FromBody] UpdateSettingsRequest request)
     {
         try
         {
+            List<string> errors = request.Settings.Validate();
+            if (errors.Count > 0)
+            {
+                return BadRequest(new UpdateSettingsResponse
+                {
+                    Success = false,
+                    Error = string.Join(". ", errors)
+                });
+            }
+
             bool success = RoomService.UpdateRoomSettings(roomId, request.UserId, request.Settings);
 
             if (!success)
             {
-                return BadRequest(new ApiResponse
+                return BadRequest(new UpdateSettingsResponse
                 {
                     Success = false,
                     Error = "Not authorized or room not found"
                 });
             }
 
-            return Ok(new ApiResponse
+            // Normalized copy, so the client shows exactly what was saved
+            return Ok(new UpdateSettingsResponse
             {
                 Success = true,
-                Message = "Settings updated"
+                Message = "Settings updated",
+                Settings = request.Settings
             });
         }
         catch (Exception ex)
         {
             Logs.Error($"Error updating settings: {ex.Message}");
-            return StatusCode(500, new ApiResponse { Success = false, Error = ex.Message });
+            return StatusCode(500, new UpdateSettingsResponse { Success = false, Error = ex.Message });
         }
     }
 
@@ -239,27 +280,42 @@ public class RoomController(RoomService roomService, GameModeRegistry gameModeRe
 
     /// <summary>
     /// Start game (host only)
+    /// Creates the session and its first turn before returning its ID
     /// </summary>
     [HttpPost("{roomId}/start")]
-    public ActionResult<StartGameResponse> StartGame(string roomId, [FromBody] StartGameRequest request)
+    public async Task<ActionResult<StartGameResponse>> StartGame(string roomId, [FromBody] StartGameRequest request)
     {
         try
         {
-            string? sessionId = RoomService.StartGame(roomId, request.UserId);
+            GameRoom? room = RoomService.StartGame(roomId, request.UserId);
 
-            if (sessionId == null)
+            if (room == null)
             {
                 return BadRequest(new StartGameResponse
                 {
                     Success = false,
-                    Error = "Cannot start game (not host, not enough players, or not all ready)"
+                    Error = "Cannot start game (not host, wrong player count for the mode, or teams not formed)"
+                });
+            }
+
+            GameSession session = await GameSessionService.CreateSessionAsync(room);
+
+            if (!GameSessionService.StartSession(session.SessionId))
+            {
+                // Puts the room back in its lobby
+                GameSessionService.AbortSession(session.SessionId, "Session failed to start");
+
+                return StatusCode(500, new StartGameResponse
+                {
+                    Success = false,
+                    Error = "Could not start the game session"
                 });
             }
 
             return Ok(new StartGameResponse
             {
                 Success = true,
-                SessionId = sessionId
+                SessionId = session.SessionId
             });
         }
         catch (Exception ex)
@@ -269,6 +325,108 @@ public class RoomController(RoomService roomService, GameModeRegistry gameModeRe
         }
     }
 
+    /// <summary>
+    /// Remove a player from the room (host only)
+    /// </summary>
+    [HttpPost("{roomId}/kick")]
+    public ActionResult<ApiResponse> KickPlayer(string roomId, [FromBody] KickPlayerRequest request)
+    {
+        try
+        {
+            Logs.Info($"API: User {request.UserId} kicking {request.TargetUserId} from room {roomId}");
+
+            bool success = RoomService.KickPlayer(roomId, request.UserId, request.TargetUserId);
+
+            if (!success)
+            {
+                return BadRequest(new ApiResponse
+                {
+                    Success = false,
+                    Error = "Cannot kick player (not host, or player not in room)"
+                });
+            }
+
+            return Ok(new ApiResponse
+            {
+                Success = true,
+                Message = "Player removed"
+            });
+        }
+        catch (Exception ex)
+        {
+            Logs.Error($"Error kicking player: {ex.Message}");
+            return StatusCode(500, new ApiResponse { Success = false, Error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Transfer host to another player (host only)
+    /// </summary>
+    [HttpPost("{roomId}/host")]
+    public ActionResult<ApiResponse> TransferHost(string roomId, [FromBody] TransferHostRequest request)
+    {
+        try
+        {
+            Logs.Info($"API: User {request.UserId} transferring host of room {roomId} to {request.NewHostUserId}");
+
+            bool success = RoomService.TransferHost(roomId, request.UserId, request.NewHostUserId);
+
+            if (!success)
+            {
+                return BadRequest(new ApiResponse
+                {
+                    Success = false,
+                    Error = "Cannot transfer host (not host, or player not in room)"
+                });
+            }
+
+            return Ok(new ApiResponse
+            {
+                Success = true,
+                Message = "Host transferred"
+            });
+        }
+        catch (Exception ex)
+        {
+            Logs.Error($"Error transferring host: {ex.Message}");
+            return StatusCode(500, new ApiResponse { Success = false, Error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Switch the room's game mode (host only)
+    /// </summary>
+    [HttpPost("{roomId}/mode")]
+    public ActionResult<ApiResponse> ChangeGameMode(string roomId, [FromBody] ChangeGameModeRequest request)
+    {
+        try
+        {
+            Logs.Info($"API: User {request.UserId} switching room {roomId} to {request.GameMode}");
+
+            bool success = RoomService.ChangeGameMode(roomId, request.UserId, request.GameMode);
+
+            if (!success)
+            {
+                return BadRequest(new ApiResponse
+                {
+                    Success = false,
+                    Error = "Cannot change mode (not host, game started, or too many players for it)"
+                });
+            }
+
+            return Ok(new ApiResponse
+            {
+                Success = true,
+                Message = "Game mode changed"
+            });
+        }
+        catch (Exception ex)
+        {
+            Logs.Error($"Error changing game mode: {ex.Message}");
+            return StatusCode(500, new ApiResponse { Success = false, Error = ex.Message });
+        }
+    }
+
     /// <summary>
     /// Get room state by ID
     /// </summary>
@@ -307,32 +465,9 @@ public class RoomController(RoomService roomService, GameModeRegistry gameModeRe
     [HttpGet("modes")]
     public ActionResult<List<GameModeInfo>> GetGameModes([FromQuery] int? playerCount = null)
     {
-        List<GameModeInfo> modes;
-
-        if (playerCount.HasValue)
-        {
-            // Filter by player count
-            modes = GameModeRegistry.GetModesForPlayerCount(playerCount.Value)
-                .Select(m => new GameModeInfo
-                {
-                    ModeId = m.ModeId,
-                    DisplayName = m.DisplayName,
-                    Description = m.Description,
-                    MinPlayers = m.MinPlayers,
-                    MaxPlayers = m.MaxPlayers,
-                    RequiresTeams = m.RequiresTeams,
-                    EnableReactions = m.Config.EnableReactions,
-                    EnableSuggestions = m.Config.EnableSuggestions,
-                    EnablePredictions = m.Config.EnablePredictions,
-                    EnablePowerUps = m.Config.EnablePowerUps
-                })
-                .ToList();
-        }
-        else
-        {
-            // All modes
-            modes = GameModeRegistry.GetModeInfoList();
-        }
+        List<GameModeInfo> modes = playerCount.HasValue
+            ? GameModeRegistry.GetModeInfoList(playerCount.Value)
+            : GameModeRegistry.GetModeInfoList();
 
         return Ok(modes);
     }
@@ -346,6 +481,7 @@ public class CreateRoomRequest
     public string HostUsername { get; set; } = string.Empty;
     public string GuildId { get; set; } = string.Empty;
     public GameModeType GameMode { get; set; } = GameModeType.HotSeat;
+    public string? Password { get; set; }
 }
 
 public class CreateRoomResponse : ApiResponse
@@ -360,6 +496,7 @@ public class JoinRoomRequest
     public string RoomCode { get; set; } = string.Empty;
     public string UserId { get; set; } = string.Empty;
     public string Username { get; set; } = string.Empty;
+    public string? Password { get; set; }
 }
 
 public class JoinRoomResponse : ApiResponse
@@ -386,6 +523,11 @@ public class UpdateSettingsRequest
     public QuizCustomization Settings { get; set; } = new();
 }
 
+public class UpdateSettingsResponse : ApiResponse
+{
+    public QuizCustomization? Settings { get; set; }
+}
+
 public class CreateTeamsRequest
 {
     public int TeamCount { get; set; } = 2;
@@ -401,6 +543,24 @@ public class StartGameRequest
     public string UserId { get; set; } = string.Empty;
 }
 
+public class KickPlayerRequest
+{
+    public string UserId { get; set; } = string.Empty;
+    public string TargetUserId { get; set; } = string.Empty;
+}
+
+public class TransferHostRequest
+{
+    public string UserId { get; set; } = string.Empty;
+    public string NewHostUserId { get; set; } = string.Empty;
+}
+
+public class ChangeGameModeRequest
+{
+    public string UserId { get; set; } = string.Empty;
+    public GameModeType GameMode { get; set; } = GameModeType.HotSeat;
+}
+
 public class StartGameResponse : ApiResponse
 {
     public string? SessionId { get; set; }
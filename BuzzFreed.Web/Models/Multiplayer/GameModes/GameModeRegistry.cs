@@ -95,19 +95,37 @@ public class GameModeRegistry
     /// </summary>
     public List<GameModeInfo> GetModeInfoList()
     {
-        return Modes.Values.Select(m => new GameModeInfo
+        return Modes.Values.Select(ToModeInfo).ToList();
+    }
+
+    /// <summary>
+    /// Get mode information for UI, only modes compatible with player count
+    /// </summary>
+    public List<GameModeInfo> GetModeInfoList(int playerCount)
+    {
+        return GetModesForPlayerCount(playerCount).Select(ToModeInfo).ToList();
+    }
+
+    private static GameModeInfo ToModeInfo(IGameMode mode)
+    {
+        return new GameModeInfo
         {
-            ModeId = m.ModeId,
-            DisplayName = m.DisplayName,
-            Description = m.Description,
-            MinPlayers = m.MinPlayers,
-            MaxPlayers = m.MaxPlayers,
-            RequiresTeams = m.RequiresTeams,
-            EnableReactions = m.Config.EnableReactions,
-            EnableSuggestions = m.Config.EnableSuggestions,
-            EnablePredictions = m.Config.EnablePredictions,
-            EnablePowerUps = m.Config.EnablePowerUps
-        }).ToList();
+            ModeId = mode.ModeId,
+            DisplayName = mode.DisplayName,
+            Description = mode.Description,
+            MinPlayers = mode.MinPlayers,
+            MaxPlayers = mode.MaxPlayers,
+            RequiresTeams = mode.RequiresTeams,
+            DefaultTimeLimit = mode.Config.DefaultTimeLimit,
+            CorrectAnswerPoints = mode.Config.CorrectAnswerPoints,
+            EnableSpeedBonus = mode.Config.EnableSpeedBonus,
+            MaxSpeedBonus = mode.Config.MaxSpeedBonus,
+            EnableReactions = mode.Config.EnableReactions,
+            EnableSuggestions = mode.Config.EnableSuggestions,
+            EnablePredictions = mode.Config.EnablePredictions,
+            EnablePowerUps = mode.Config.EnablePowerUps,
+            CustomSettings = mode.Config.CustomSettings
+        };
     }
 
     /// <summary>
@@ -161,8 +179,13 @@ public class GameModeInfo
     public int MinPlayers { get; set; }
     public int MaxPlayers { get; set; }
     public bool RequiresTeams { get; set; }
+    public int DefaultTimeLimit { get; set; }
+    public int CorrectAnswerPoints { get; set; }
+    public bool EnableSpeedBonus { get; set; }
+    public int MaxSpeedBonus { get; set; }
     public bool EnableReactions { get; set; }
     public bool EnableSuggestions { get; set; }
     public bool EnablePredictions { get; set; }
     public bool EnablePowerUps { get; set; }
+    public Dictionary<string, object> CustomSettings { get; set; } = new();
 }
@@ -1,4 +1,6 @@
 using System.Collections.Concurrent;
+using Newtonsoft.Json;
+using Newtonsoft.Json.Converters;
 
 namespace BuzzFreed.Web.Models.Multiplayer;
 
@@ -11,8 +13,9 @@ namespace BuzzFreed.Web.Models.Multiplayer;
 /// - Host has special privileges (start game, change settings, kick players)
 /// - Room state progresses: Lobby → InProgress → Completed
 ///
+/// - Private rooms need a password to join (hash only, never serialized)
+///
 /// TODO: Add room expiration (auto-close after 2 hours of inactivity)
-/// TODO: Add password protection option for private rooms
 /// TODO: Implement room persistence to database for post-game analytics
 /// </summary>
 public class GameRoom
@@ -83,6 +86,24 @@ public class GameRoom
     /// </summary>
     public Dictionary<string, Team>? Teams { get; set; }
 
+    /// <summary>
+    /// SHA-256 of the room password (null for open rooms)
+    /// Kept server-side; clients only see HasPassword
+    /// </summary>
+    [JsonIgnore]
+    public string? PasswordHash { get; set; }
+
+    /// <summary>
+    /// Whether joining needs a password (shows 🔒 in UI)
+    /// </summary>
+    public bool HasPassword => PasswordHash != null;
+
+    /// <summary>
+    /// Players removed by the host; they can't rejoin this room
+    /// </summary>
+    [JsonIgnore]
+    public ConcurrentDictionary<string, DateTime> KickedUserIds { get; set; } = new();
+
     /// <summary>
     /// When this room was created
     /// Used for cleanup of old rooms
@@ -123,6 +144,16 @@ public class GameRoom
     public bool HasPlayer(string userId) =>
         Players.Any(p => p.UserId == userId);
 
+    /// <summary>
+    /// Who becomes host if the host leaves: longest in the room
+    /// (clients apply the same rule when they see the host leave)
+    /// </summary>
+    public Player? GetNextHost() =>
+        Players.Where(p => p.UserId != HostUserId)
+            .OrderBy(p => p.JoinedAt)
+            .ThenBy(p => p.UserId, StringComparer.Ordinal)
+            .FirstOrDefault();
+
     // TODO: Add GetTeam(playerId)
     // TODO: Add GetTeammates(playerId)
     // TODO: Add GetOpponents(playerId)
@@ -132,7 +163,9 @@ public class GameRoom
 
 /// <summary>
 /// Room lifecycle states
+/// Sent by name ("Lobby", not 0): the client compares names
 /// </summary>
+[JsonConverter(typeof(StringEnumConverter))]
 public enum RoomState
 {
     /// <summary>
@@ -172,6 +205,7 @@ public enum RoomState
 /// TODO: Move to separate GameModeType.cs file
 /// TODO: Add mode metadata (description, min/max players, estimated time)
 /// </summary>
+[JsonConverter(typeof(StringEnumConverter))]
 public enum GameModeType
 {
     /// <summary>
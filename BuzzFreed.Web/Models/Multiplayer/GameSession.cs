@@ -1,3 +1,6 @@
+using Newtonsoft.Json;
+using Newtonsoft.Json.Converters;
+
 namespace BuzzFreed.Web.Models.Multiplayer;
 
 /// <summary>
@@ -210,6 +213,22 @@ public class GameSession
         return Players[nextIndex].UserId;
     }
 
+    /// <summary>
+    /// Copy of the session as one player may see it: other teams' chat left out
+    /// Shallow; only the interaction list is new
+    /// </summary>
+    public GameSession ForViewer(string? userId)
+    {
+        string? teamId = Players.FirstOrDefault(p => p.UserId == userId)?.TeamId;
+
+        GameSession view = (GameSession)MemberwiseClone();
+        view.Interactions = Interactions
+            .Where(i => i is not ChatMessage chat || chat.TeamId == null || chat.TeamId == teamId)
+            .ToList();
+
+        return view;
+    }
+
     // TODO: Add GetLeaderboard()
     // TODO: Add GetPlayerRank(playerId)
     // TODO: Add GetHighlightMoments() - funny/interesting events
@@ -218,7 +237,9 @@ public class GameSession
 
 /// <summary>
 /// Session lifecycle states
+/// Sent by name ("Active", not 1): the client compares names
 /// </summary>
+[JsonConverter(typeof(StringEnumConverter))]
 public enum SessionState
 {
     /// <summary>
@@ -1,3 +1,6 @@
+using Newtonsoft.Json;
+using Newtonsoft.Json.Converters;
+
 namespace BuzzFreed.Web.Models.Multiplayer;
 
 /// <summary>
@@ -66,6 +69,7 @@ public class Reaction : Interaction
     public bool VisibleToTarget { get; set; } = true;
 }
 
+[JsonConverter(typeof(StringEnumConverter))]
 public enum ReactionType
 {
     Funny,      // 😂
@@ -268,6 +272,7 @@ public class PowerUpUsage : Interaction
     public string Effect { get; set; } = string.Empty;
 }
 
+[JsonConverter(typeof(StringEnumConverter))]
 public enum PowerUpType
 {
     Skip,
@@ -339,6 +344,7 @@ public class GameEvent
     public HighlightCategory? Category { get; set; }
 }
 
+[JsonConverter(typeof(StringEnumConverter))]
 public enum GameEventType
 {
     // Game lifecycle
@@ -380,6 +386,7 @@ public enum GameEventType
     Comeback
 }
 
+[JsonConverter(typeof(StringEnumConverter))]
 public enum HighlightCategory
 {
     Funny,      // Hilarious answer or reaction
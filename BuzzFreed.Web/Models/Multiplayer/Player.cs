@@ -1,3 +1,6 @@
+using Newtonsoft.Json;
+using Newtonsoft.Json.Converters;
+
 namespace BuzzFreed.Web.Models.Multiplayer;
 
 /// <summary>
@@ -126,6 +129,7 @@ public class Player
 /// Player roles within a room
 /// Determines permissions and UI features
 /// </summary>
+[JsonConverter(typeof(StringEnumConverter))]
 public enum PlayerRole
 {
     /// <summary>
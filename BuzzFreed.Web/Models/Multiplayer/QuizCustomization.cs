@@ -0,0 +1,213 @@
+using Newtonsoft.Json;
+using Newtonsoft.Json.Converters;
+
+namespace BuzzFreed.Web.Models.Multiplayer;
+
+/// <summary>
+/// Host-chosen settings for the quiz generated for a room
+/// Set in the lobby, copied to the GameSession when the game starts
+///
+/// TOPIC:
+/// - Random: AI picks the topic
+/// - Category: one of Categories (Food, Movies, ...)
+/// - Custom: free-text prompt ("Make it about 90s nostalgia")
+///
+/// VALIDATION:
+/// - Validate() lists what's wrong (empty when valid); the settings endpoint
+///   returns those messages to the client
+/// - Normalize() trims text and drops values the topic/image choices don't use
+///
+/// Enums are serialized by name ("Casual", "Roast") so the client can send
+/// and read them as strings
+/// </summary>
+public class QuizCustomization
+{
+    public const int MinQuestions = 5;
+    public const int MaxQuestions = 20;
+    public const int MaxCustomPromptLength = 200;
+
+    public static readonly string[] Categories = { "Food", "Movies", "Gaming", "Personality", "Lifestyle" };
+    public static readonly int[] PersonalityCounts = { 4, 6, 8 };
+
+    // Topic
+
+    /// <summary>
+    /// Where the topic comes from
+    /// </summary>
+    public TopicMode TopicMode { get; set; } = TopicMode.Random;
+
+    /// <summary>
+    /// Category name (TopicMode.Category only)
+    /// </summary>
+    public string? Category { get; set; }
+
+    /// <summary>
+    /// Free-text topic prompt (TopicMode.Custom only)
+    /// </summary>
+    public string? CustomPrompt { get; set; }
+
+    /// <summary>
+    /// Topic to generate the quiz about (null = AI decides)
+    /// </summary>
+    public string? Topic => TopicMode switch
+    {
+        TopicMode.Category => Category,
+        TopicMode.Custom => CustomPrompt,
+        _ => null
+    };
+
+    // Style
+
+    public QuestionStyle Style { get; set; } = QuestionStyle.Classic;
+    public Difficulty Difficulty { get; set; } = Difficulty.Casual;
+
+    // Images
+
+    public bool IncludeImages { get; set; } = false;
+    public ImageStyle ImageStyle { get; set; } = ImageStyle.Cartoon;
+    public ImageMood ImageMood { get; set; } = ImageMood.Cheerful;
+
+    // Results
+
+    /// <summary>
+    /// Number of personality results the quiz can end on (4, 6 or 8)
+    /// </summary>
+    public int PersonalityCount { get; set; } = 4;
+
+    public ResultDepth ResultDepth { get; set; } = ResultDepth.Detailed;
+    public bool IncludeResultImage { get; set; } = true;
+
+    // Length
+
+    public int QuestionCount { get; set; } = 10;
+
+    /// <summary>
+    /// Problems with these settings (empty if valid)
+    /// </summary>
+    public List<string> Validate()
+    {
+        List<string> errors = new();
+
+        if (!Enum.IsDefined(TopicMode)) errors.Add("Unknown topic mode");
+        if (!Enum.IsDefined(Style)) errors.Add("Unknown question style");
+        if (!Enum.IsDefined(Difficulty)) errors.Add("Unknown difficulty");
+        if (!Enum.IsDefined(ImageStyle)) errors.Add("Unknown image style");
+        if (!Enum.IsDefined(ImageMood)) errors.Add("Unknown image mood");
+        if (!Enum.IsDefined(ResultDepth)) errors.Add("Unknown result depth");
+
+        if (TopicMode == TopicMode.Category && !Categories.Contains(Category))
+        {
+            errors.Add($"Category must be one of: {string.Join(", ", Categories)}");
+        }
+
+        if (TopicMode == TopicMode.Custom)
+        {
+            if (string.IsNullOrWhiteSpace(CustomPrompt))
+            {
+                errors.Add("Custom topic can't be empty");
+            }
+            else if (CustomPrompt.Trim().Length > MaxCustomPromptLength)
+            {
+                errors.Add($"Custom topic must be {MaxCustomPromptLength} characters or fewer");
+            }
+        }
+
+        if (QuestionCount < MinQuestions || QuestionCount > MaxQuestions)
+        {
+            errors.Add($"Question count must be between {MinQuestions} and {MaxQuestions}");
+        }
+
+        if (!PersonalityCounts.Contains(PersonalityCount))
+        {
+            errors.Add($"Personality results must be {string.Join(", ", PersonalityCounts)}");
+        }
+
+        return errors;
+    }
+
+    /// <summary>
+    /// Trim text and clear values that the chosen topic mode doesn't use
+    /// </summary>
+    public void Normalize()
+    {
+        Category = TopicMode == TopicMode.Category ? Category?.Trim() : null;
+        CustomPrompt = TopicMode == TopicMode.Custom ? CustomPrompt?.Trim() : null;
+    }
+}
+
+/// <summary>
+/// Where the quiz topic comes from
+/// </summary>
+[JsonConverter(typeof(StringEnumConverter))]
+public enum TopicMode
+{
+    Random,
+    Category,
+    Custom
+}
+
+/// <summary>
+/// Tone of the generated questions
+/// </summary>
+[JsonConverter(typeof(StringEnumConverter))]
+public enum QuestionStyle
+{
+    /// <summary>Classic BuzzFeed: light and fun</summary>
+    Classic,
+
+    /// <summary>Deep and philosophical</summary>
+    Deep,
+
+    /// <summary>Chaotic and absurd</summary>
+    Chaotic,
+
+    /// <summary>Rapid-fire, short questions</summary>
+    Rapid,
+
+    /// <summary>Story-driven, narrative questions</summary>
+    Story
+}
+
+[JsonConverter(typeof(StringEnumConverter))]
+public enum Difficulty
+{
+    Casual,
+    Challenging,
+    Absurd
+}
+
+[JsonConverter(typeof(StringEnumConverter))]
+public enum ImageStyle
+{
+    Realistic,
+    Cartoon,
+    Anime,
+    Abstract,
+    Meme,
+    Retro
+}
+
+[JsonConverter(typeof(StringEnumConverter))]
+public enum ImageMood
+{
+    Cheerful,
+    Dark,
+    Energetic,
+    Calm
+}
+
+/// <summary>
+/// How much the personality result says
+/// </summary>
+[JsonConverter(typeof(StringEnumConverter))]
+public enum ResultDepth
+{
+    /// <summary>Short summary</summary>
+    Quick,
+
+    /// <summary>Detailed analysis</summary>
+    Detailed,
+
+    /// <summary>Affectionate roast of the player</summary>
+    Roast
+}
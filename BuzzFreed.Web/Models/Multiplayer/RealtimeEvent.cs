@@ -0,0 +1,36 @@
+namespace BuzzFreed.Web.Models.Multiplayer;
+
+/// <summary>
+/// One event pushed to the players in a room
+///
+/// WIRE FORMAT:
+/// - Sent as camelCase JSON: { type, data, sequence, eventId }
+/// - Type is an event name routed by EventHandler.js (PLAYER_JOINED, TURN_STARTED...)
+/// - Sequence counts up by one per event in the room's channel, so clients
+///   can spot missed events and fetch them (GET /api/realtime/events)
+/// </summary>
+public class RealtimeEvent
+{
+    /// <summary>
+    /// Event name, e.g. "PLAYER_READY"
+    /// </summary>
+    public string Type { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Event payload (fields depend on Type)
+    /// </summary>
+    public object Data { get; set; } = new();
+
+    /// <summary>
+    /// Position in the channel: 1 for the first event, +1 per event
+    /// Null for events sent to some players only (EventService.SendTo)
+    /// </summary>
+    public long? Sequence { get; set; }
+
+    /// <summary>
+    /// Unique identifier (GUID), lets clients drop repeats
+    /// </summary>
+    public string EventId { get; set; } = Guid.NewGuid().ToString();
+
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+}
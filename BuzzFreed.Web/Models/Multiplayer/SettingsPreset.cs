@@ -0,0 +1,67 @@
+namespace BuzzFreed.Web.Models.Multiplayer;
+
+/// <summary>
+/// Named quiz settings shared with a Discord server (guild)
+///
+/// STORAGE:
+/// - Server presets live in the database, keyed by guild, so every host in
+///   the server sees them
+/// - Personal presets and built-in templates never reach the server; the
+///   client keeps them (QuizPresets.js)
+///
+/// OWNERSHIP:
+/// - Anyone in the guild can apply a preset
+/// - Only the player who saved it can rename, overwrite or delete it
+/// </summary>
+public class SettingsPreset
+{
+    public const int MaxNameLength = 40;
+    public const int MaxPresetsPerGuild = 50;
+
+    /// <summary>
+    /// Unique identifier for this preset (GUID)
+    /// </summary>
+    public string PresetId { get; set; } = Guid.NewGuid().ToString();
+
+    /// <summary>
+    /// Discord server the preset belongs to ("dm" outside a server)
+    /// </summary>
+    public string GuildId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Player who saved it
+    /// </summary>
+    public string OwnerUserId { get; set; } = string.Empty;
+
+    public string OwnerUsername { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Display name ("Game night", "90s nostalgia")
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+
+    public QuizCustomization Settings { get; set; } = new();
+
+    public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
+
+    /// <summary>
+    /// Problems with the name and settings (empty if valid)
+    /// </summary>
+    public List<string> Validate()
+    {
+        List<string> errors = new();
+
+        if (string.IsNullOrWhiteSpace(Name))
+        {
+            errors.Add("Preset name can't be empty");
+        }
+        else if (Name.Trim().Length > MaxNameLength)
+        {
+            errors.Add($"Preset name must be {MaxNameLength} characters or fewer");
+        }
+
+        errors.AddRange(Settings.Validate());
+
+        return errors;
+    }
+}
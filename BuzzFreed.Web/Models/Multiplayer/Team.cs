@@ -1,3 +1,6 @@
+using Newtonsoft.Json;
+using Newtonsoft.Json.Converters;
+
 namespace BuzzFreed.Web.Models.Multiplayer;
 
 /// <summary>
@@ -146,6 +149,7 @@ public class Team
 /// Standard team colors for easy identification
 /// Each has associated emoji and hex color
 /// </summary>
+[JsonConverter(typeof(StringEnumConverter))]
 public enum TeamColor
 {
     Red,     // 🔴 #FF4444
@@ -1,3 +1,6 @@
+using Newtonsoft.Json;
+using Newtonsoft.Json.Converters;
+
 namespace BuzzFreed.Web.Models.Multiplayer;
 
 /// <summary>
@@ -206,7 +209,9 @@ public class TurnState
 /// <summary>
 /// Turn lifecycle phases
 /// Determines UI display and allowed actions
+/// Sent by name ("Answering", not 1): the client compares names
 /// </summary>
+[JsonConverter(typeof(StringEnumConverter))]
 public enum TurnPhase
 {
     /// <summary>
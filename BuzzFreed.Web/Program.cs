@@ -1,4 +1,6 @@
 using BuzzFreed.Web.Services;
+using BuzzFreed.Web.Services.Multiplayer;
+using BuzzFreed.Web.Models.Multiplayer.GameModes;
 using BuzzFreed.Web.AI.Registry;
 using BuzzFreed.Web.AI.Providers.OpenAI;
 using BuzzFreed.Web.AI.Providers.SwarmUI;
@@ -34,6 +36,13 @@ builder.Services.AddSingleton<DatabaseService>();
 builder.Services.AddSingleton<OpenAIService>(); // Kept for backward compatibility
 builder.Services.AddSingleton<QuizService>();
 
+// Register multiplayer services (rooms and sessions live in memory)
+builder.Services.AddSingleton<GameModeRegistry>();
+builder.Services.AddSingleton<EventService>();
+builder.Services.AddSingleton<RoomService>();
+builder.Services.AddSingleton<GameSessionService>();
+builder.Services.AddSingleton<InteractionService>();
+
 // Add CORS for Discord iframe
 builder.Services.AddCors(options =>
 {
@@ -63,6 +72,11 @@ using (IServiceScope scope = app.Services.CreateScope())
 
     Logs.Init("AI Provider Registry initialized");
 
+    // Register game modes
+    GameModeRegistry gameModes = scope.ServiceProvider.GetRequiredService<GameModeRegistry>();
+    gameModes.RegisterMode(new HotSeatMode());
+    gameModes.RegisterMode(new TeamChallengeMode());
+
     // Initialize database
     DatabaseService dbService = scope.ServiceProvider.GetRequiredService<DatabaseService>();
     await dbService.InitializeDatabaseAsync();
@@ -88,6 +102,9 @@ app.UseCors("DiscordEmbedded");
 // Serve static files from wwwroot
 app.UseStaticFiles();
 
+// Real-time events (RealtimeController)
+app.UseWebSockets();
+
 // Map API controllers
 app.MapControllers();
 
@@ -1,5 +1,6 @@
 using Microsoft.Data.Sqlite;
 using BuzzFreed.Web.Models;
+using BuzzFreed.Web.Models.Multiplayer;
 using BuzzFreed.Web.Utils;
 using Newtonsoft.Json;
 
@@ -45,6 +46,19 @@ public class DatabaseService(IConfiguration configuration)
             SqliteCommand command = new(tableCommand, connection);
             await command.ExecuteNonQueryAsync();
 
+            string presetTableCommand = @"CREATE TABLE IF NOT EXISTS SettingsPresets (
+                PresetId TEXT NOT NULL PRIMARY KEY,
+                DiscordGuildId TEXT NOT NULL,
+                OwnerUserId TEXT NOT NULL,
+                OwnerUsername TEXT NOT NULL,
+                Name TEXT NOT NULL,
+                Settings TEXT NOT NULL,
+                UpdatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+            );";
+
+            SqliteCommand presetCommand = new(presetTableCommand, connection);
+            await presetCommand.ExecuteNonQueryAsync();
+
             Logs.Init("Database initialized successfully");
         }
         catch (Exception ex)
@@ -168,4 +182,138 @@ public class DatabaseService(IConfiguration configuration)
 
         return null;
     }
+
+    // Settings presets (shared per guild)
+
+    public async Task<List<SettingsPreset>> GetGuildPresetsAsync(string guildId)
+    {
+        List<SettingsPreset> presets = new();
+
+        try
+        {
+            using SqliteConnection connection = new(ConnectionString);
+            await connection.OpenAsync();
+
+            string selectCommand = @"SELECT PresetId, DiscordGuildId, OwnerUserId, OwnerUsername, Name, Settings, UpdatedAt
+                FROM SettingsPresets
+                WHERE DiscordGuildId = @DiscordGuildId
+                ORDER BY Name COLLATE NOCASE;";
+
+            SqliteCommand command = new(selectCommand, connection);
+            command.Parameters.AddWithValue("@DiscordGuildId", guildId);
+
+            using SqliteDataReader reader = await command.ExecuteReaderAsync();
+            while (await reader.ReadAsync())
+            {
+                presets.Add(ReadPreset(reader));
+            }
+        }
+        catch (Exception ex)
+        {
+            Logs.Error($"Error retrieving presets: {ex.Message}");
+            throw;
+        }
+
+        return presets;
+    }
+
+    public async Task<SettingsPreset?> GetPresetAsync(string guildId, string presetId)
+    {
+        try
+        {
+            using SqliteConnection connection = new(ConnectionString);
+            await connection.OpenAsync();
+
+            string selectCommand = @"SELECT PresetId, DiscordGuildId, OwnerUserId, OwnerUsername, Name, Settings, UpdatedAt
+                FROM SettingsPresets
+                WHERE DiscordGuildId = @DiscordGuildId AND PresetId = @PresetId;";
+
+            SqliteCommand command = new(selectCommand, connection);
+            command.Parameters.AddWithValue("@DiscordGuildId", guildId);
+            command.Parameters.AddWithValue("@PresetId", presetId);
+
+            using SqliteDataReader reader = await command.ExecuteReaderAsync();
+            if (await reader.ReadAsync())
+            {
+                return ReadPreset(reader);
+            }
+        }
+        catch (Exception ex)
+        {
+            Logs.Error($"Error retrieving preset: {ex.Message}");
+            throw;
+        }
+
+        return null;
+    }
+
+    /// <summary>
+    /// Insert, or replace the preset with the same PresetId
+    /// </summary>
+    public async Task SavePresetAsync(SettingsPreset preset)
+    {
+        try
+        {
+            using SqliteConnection connection = new(ConnectionString);
+            await connection.OpenAsync();
+
+            string insertCommand = @"INSERT OR REPLACE INTO SettingsPresets
+                (PresetId, DiscordGuildId, OwnerUserId, OwnerUsername, Name, Settings, UpdatedAt)
+                VALUES (@PresetId, @DiscordGuildId, @OwnerUserId, @OwnerUsername, @Name, @Settings, @UpdatedAt);";
+
+            SqliteCommand command = new(insertCommand, connection);
+            command.Parameters.AddWithValue("@PresetId", preset.PresetId);
+            command.Parameters.AddWithValue("@DiscordGuildId", preset.GuildId);
+            command.Parameters.AddWithValue("@OwnerUserId", preset.OwnerUserId);
+            command.Parameters.AddWithValue("@OwnerUsername", preset.OwnerUsername);
+            command.Parameters.AddWithValue("@Name", preset.Name);
+            command.Parameters.AddWithValue("@Settings", JsonConvert.SerializeObject(preset.Settings));
+            command.Parameters.AddWithValue("@UpdatedAt", preset.UpdatedAt);
+
+            await command.ExecuteNonQueryAsync();
+            Logs.Info($"Preset {preset.Name} saved for guild {preset.GuildId}");
+        }
+        catch (Exception ex)
+        {
+            Logs.Error($"Error saving preset: {ex.Message}");
+            throw;
+        }
+    }
+
+    public async Task<bool> DeletePresetAsync(string guildId, string presetId)
+    {
+        try
+        {
+            using SqliteConnection connection = new(ConnectionString);
+            await connection.OpenAsync();
+
+            string deleteCommand = @"DELETE FROM SettingsPresets
+                WHERE DiscordGuildId = @DiscordGuildId AND PresetId = @PresetId;";
+
+            SqliteCommand command = new(deleteCommand, connection);
+            command.Parameters.AddWithValue("@DiscordGuildId", guildId);
+            command.Parameters.AddWithValue("@PresetId", presetId);
+
+            return await command.ExecuteNonQueryAsync() > 0;
+        }
+        catch (Exception ex)
+        {
+            Logs.Error($"Error deleting preset: {ex.Message}");
+            throw;
+        }
+    }
+
+    private static SettingsPreset ReadPreset(SqliteDataReader reader)
+    {
+        return new SettingsPreset
+        {
+            PresetId = reader.GetString(0),
+            GuildId = reader.GetString(1),
+            OwnerUserId = reader.GetString(2),
+            OwnerUsername = reader.GetString(3),
+            Name = reader.GetString(4),
+            Settings = JsonConvert.DeserializeObject<QuizCustomization>(reader.GetString(5)) ?? new QuizCustomization(),
+            UpdatedAt = reader.GetDateTime(6)
+        };
+    }
 }
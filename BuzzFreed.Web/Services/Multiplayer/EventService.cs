@@ -0,0 +1,226 @@
+using System.Collections.Concurrent;
+using System.Threading.Channels;
+using BuzzFreed.Web.Models.Multiplayer;
+using BuzzFreed.Web.Utils;
+
+namespace BuzzFreed.Web.Services.Multiplayer;
+
+/// <summary>
+/// Pushes game events to the players in a room
+///
+/// RESPONSIBILITIES:
+/// - One channel per room; session events go to their room's channel
+/// - Number events per channel (Sequence 1, 2, 3...) so clients notice gaps
+/// - Hand every new event to the channel's subscribers
+///   (RealtimeController's WebSocket and SSE connections)
+/// - Keep the channel's last MaxLogSize events so clients can fetch the
+///   ones they missed (GET /api/realtime/events)
+/// - SendTo() reaches only some players (team chat): those events are not
+///   numbered or logged, or everyone else would see a gap
+///
+/// DELIVERY:
+/// - Each subscriber has its own bounded queue, so a slow connection never
+///   holds up Publish(); when it overflows the oldest events are dropped
+///   and the client fetches them again (sequence gap)
+/// - Events are published after the state change they describe, so a
+///   client that fetches state and then subscribes only misses duplicates
+///
+/// THREAD SAFETY:
+/// - Sequence numbering and fan-out happen under the channel's lock,
+///   so every subscriber sees events in sequence order
+/// </summary>
+public class EventService
+{
+    public const int MaxPendingPerSubscriber = 200;
+    public const int MaxLogSize = 500;
+
+    public readonly ConcurrentDictionary<string, EventChannel> Channels = new();
+
+    /// <summary>
+    /// Send an event to everyone in a room
+    /// </summary>
+    /// <param name="roomId">Room (channel) to publish to</param>
+    /// <param name="type">Event name, e.g. "PLAYER_JOINED"</param>
+    /// <param name="data">Payload, serialized as camelCase JSON</param>
+    public RealtimeEvent Publish(string roomId, string type, object data)
+    {
+        EventChannel channel = Channels.GetOrAdd(roomId, _ => new EventChannel());
+
+        lock (channel.Lock)
+        {
+            channel.LatestSequence++;
+
+            RealtimeEvent realtimeEvent = new RealtimeEvent
+            {
+                Type = type,
+                Data = data,
+                Sequence = channel.LatestSequence
+            };
+
+            channel.Log.Enqueue(realtimeEvent);
+            if (channel.Log.Count > MaxLogSize)
+            {
+                channel.Log.Dequeue();
+            }
+
+            foreach (EventSubscriber subscriber in channel.Subscribers)
+            {
+                subscriber.Queue.Writer.TryWrite(realtimeEvent);
+            }
+
+            Logs.Debug($"Event {type} #{realtimeEvent.Sequence} → room {roomId} ({channel.Subscribers.Count} connected)");
+
+            return realtimeEvent;
+        }
+    }
+
+    /// <summary>
+    /// Send an event to some of the players in a room only
+    /// Unsequenced and not logged: a player who is disconnected misses it
+    /// </summary>
+    /// <param name="roomId">Room (channel) the players are connected to</param>
+    /// <param name="userIds">Players who may receive the event</param>
+    /// <param name="type">Event name, e.g. "CHAT_MESSAGE"</param>
+    /// <param name="data">Payload, serialized as camelCase JSON</param>
+    public RealtimeEvent SendTo(string roomId, IEnumerable<string> userIds, string type, object data)
+    {
+        RealtimeEvent realtimeEvent = new RealtimeEvent
+        {
+            Type = type,
+            Data = data
+        };
+
+        if (!Channels.TryGetValue(roomId, out EventChannel? channel))
+        {
+            return realtimeEvent;
+        }
+
+        HashSet<string> recipients = userIds.ToHashSet();
+
+        lock (channel.Lock)
+        {
+            foreach (EventSubscriber subscriber in channel.Subscribers.Where(s => recipients.Contains(s.UserId)))
+            {
+                subscriber.Queue.Writer.TryWrite(realtimeEvent);
+            }
+        }
+
+        Logs.Debug($"Event {type} → {recipients.Count} players in room {roomId}");
+
+        return realtimeEvent;
+    }
+
+    /// <summary>
+    /// Receive a room's events from now on
+    /// Dispose the subscription when the connection closes
+    /// </summary>
+    /// <param name="roomId">Room (channel) to follow</param>
+    /// <param name="userId">Player the connection belongs to (for SendTo)</param>
+    public EventSubscription Subscribe(string roomId, string userId)
+    {
+        EventChannel channel = Channels.GetOrAdd(roomId, _ => new EventChannel());
+
+        EventSubscriber subscriber = new EventSubscriber(userId, Channel.CreateBounded<RealtimeEvent>(new BoundedChannelOptions(MaxPendingPerSubscriber)
+        {
+            FullMode = BoundedChannelFullMode.DropOldest,
+            SingleReader = true
+        }));
+
+        lock (channel.Lock)
+        {
+            channel.Subscribers.Add(subscriber);
+        }
+
+        return new EventSubscription(subscriber.Queue.Reader, () =>
+        {
+            lock (channel.Lock)
+            {
+                channel.Subscribers.Remove(subscriber);
+            }
+        });
+    }
+
+    /// <summary>
+    /// Events published after a sequence number, oldest first
+    /// Older events may have left the log; callers compare the first
+    /// sequence with afterSequence + 1 to tell
+    /// </summary>
+    /// <param name="roomId">Room (channel) to read</param>
+    /// <param name="afterSequence">Last sequence the caller has</param>
+    /// <param name="limit">Maximum events to return</param>
+    /// <param name="latestSequence">Newest sequence in the channel (0 if none yet)</param>
+    public List<RealtimeEvent> GetEventsAfter(string roomId, long afterSequence, int limit, out long latestSequence)
+    {
+        if (!Channels.TryGetValue(roomId, out EventChannel? channel))
+        {
+            latestSequence = 0;
+            return new List<RealtimeEvent>();
+        }
+
+        lock (channel.Lock)
+        {
+            latestSequence = channel.LatestSequence;
+
+            return channel.Log
+                .Where(e => e.Sequence > afterSequence)
+                .Take(limit)
+                .ToList();
+        }
+    }
+
+    /// <summary>
+    /// Drop a room's channel and end its subscriptions (room deleted)
+    /// </summary>
+    public void CloseChannel(string roomId)
+    {
+        if (!Channels.TryRemove(roomId, out EventChannel? channel))
+        {
+            return;
+        }
+
+        lock (channel.Lock)
+        {
+            foreach (EventSubscriber subscriber in channel.Subscribers)
+            {
+                subscriber.Queue.Writer.TryComplete();
+            }
+
+            channel.Subscribers.Clear();
+        }
+    }
+}
+
+/// <summary>
+/// Sequence counter, recent events and subscribers of one room
+/// Guarded by Lock
+/// </summary>
+public class EventChannel
+{
+    public readonly object Lock = new();
+    public readonly List<EventSubscriber> Subscribers = new();
+    public readonly Queue<RealtimeEvent> Log = new();
+    public long LatestSequence = 0;
+}
+
+/// <summary>
+/// One connection's pending events and the player it belongs to
+/// </summary>
+public sealed class EventSubscriber(string userId, Channel<RealtimeEvent> queue)
+{
+    public readonly string UserId = userId;
+    public readonly Channel<RealtimeEvent> Queue = queue;
+}
+
+/// <summary>
+/// Events for one connection, in sequence order
+/// </summary>
+public sealed class EventSubscription(ChannelReader<RealtimeEvent> reader, Action unsubscribe) : IDisposable
+{
+    public readonly ChannelReader<RealtimeEvent> Reader = reader;
+    public readonly Action Unsubscribe = unsubscribe;
+
+    public void Dispose()
+    {
+        Unsubscribe();
+    }
+}
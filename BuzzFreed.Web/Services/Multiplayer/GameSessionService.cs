@@ -46,10 +46,14 @@ namespace BuzzFreed.Web.Services.Multiplayer;
 /// </summary>
 public class GameSessionService(
     GameModeRegistry gameModeRegistry,
-    AIProviderRegistry aiProviderRegistry)
+    AIProviderRegistry aiProviderRegistry,
+    RoomService roomService,
+    EventService eventService)
 {
     public readonly GameModeRegistry GameModeRegistry = gameModeRegistry;
     public readonly AIProviderRegistry AIProviderRegistry = aiProviderRegistry;
+    public readonly RoomService RoomService = roomService;
+    public readonly EventService EventService = eventService;
     public readonly ConcurrentDictionary<string, GameSession> ActiveSessions = new();
 
     /// <summary>
@@ -100,7 +104,8 @@ public class GameSessionService(
 
         Logs.Info($"Session created: {session.SessionId}");
 
-        // TODO: Broadcast session created event
+        EventService.Publish(session.RoomId, "SESSION_CREATED", new { session });
+
         // TODO: Schedule session timeout handler
 
         return session;
@@ -220,9 +225,9 @@ public class GameSessionService(
 
         Logs.Info($"Session {sessionId}: Turn {nextQuestionNumber} started");
 
-        // TODO: Broadcast turn start event to all players
+        EventService.Publish(session.RoomId, "TURN_STARTED", new { turn = session.CurrentTurn });
+
         // TODO: Start turn timer
-        // TODO: Enable answer submission UI
 
         return true;
     }
@@ -256,8 +261,13 @@ public class GameSessionService(
         // Let mode process answer
         mode.OnAnswerSubmit(session, playerId, answerIndex);
 
+        PlayerResponse? response = session.CurrentTurn?.Responses.LastOrDefault(r => r.PlayerId == playerId);
+        if (response != null)
+        {
+            EventService.Publish(session.RoomId, "ANSWER_SUBMITTED", response);
+        }
+
         // TODO: Check if turn should end (all players answered, time expired, etc.)
-        // TODO: Broadcast answer submission event
 
         return true;
     }
@@ -290,7 +300,8 @@ public class GameSessionService(
 
         Logs.Info($"Session {sessionId}: Turn {session.CurrentTurn.QuestionNumber} ended");
 
-        // TODO: Broadcast turn end event
+        EventService.Publish(session.RoomId, "TURN_ENDED", new { turnResults = session.CurrentTurn });
+
         // TODO: Show results screen for X seconds
         // TODO: Then automatically start next turn
 
@@ -323,8 +334,15 @@ public class GameSessionService(
         // TODO: Generate AI summary
         // TODO: Identify highlights
         // TODO: Save session to database
-        // TODO: Broadcast game end event
-        // TODO: Show final results screen
+
+        EventService.Publish(session.RoomId, "GAME_ENDED", new
+        {
+            results = new { scores = session.Scores, players = session.Players, stats = session.Stats },
+            leaderboard = (object?)null
+        });
+
+        // Players can join again and start the next game
+        RoomService.ReturnToLobby(session.RoomId);
 
         // Remove from active sessions after delay
         // TODO: Schedule cleanup task
@@ -375,6 +393,7 @@ public class GameSessionService(
         // TODO: Cleanup resources
 
         ActiveSessions.TryRemove(sessionId, out _);
+        RoomService.ReturnToLobby(session.RoomId);
 
         return true;
     }
@@ -386,10 +405,39 @@ public class GameSessionService(
     /// </summary>
     private string BuildQuizPrompt(QuizCustomization settings)
     {
-        // TODO: Implement comprehensive prompt building
-        // Should include: topic, style, difficulty, question count, etc.
+        string topic = settings.Topic ?? "a fun topic of your choice";
+
+        string style = settings.Style switch
+        {
+            QuestionStyle.Deep => "deep and philosophical",
+            QuestionStyle.Chaotic => "chaotic and absurd",
+            QuestionStyle.Rapid => "rapid-fire, with very short questions",
+            QuestionStyle.Story => "story-driven, each question continuing a narrative",
+            _ => "classic BuzzFeed: light and fun"
+        };
+
+        string results = settings.ResultDepth switch
+        {
+            ResultDepth.Quick => "a one-sentence summary",
+            ResultDepth.Roast => "a playful roast of the player (teasing, never mean)",
+            _ => "a detailed personality analysis"
+        };
+
+        string prompt = $"Generate a BuzzFeed-style quiz about {topic} with {settings.QuestionCount} questions. " +
+            $"Question style: {style}. Difficulty: {settings.Difficulty}. " +
+            $"End on one of {settings.PersonalityCount} personality results, each with {results}.";
+
+        if (settings.IncludeImages)
+        {
+            prompt += $" Describe a {settings.ImageMood.ToString().ToLower()}, {settings.ImageStyle.ToString().ToLower()}-style image for each question.";
+        }
+
+        if (settings.IncludeResultImage)
+        {
+            prompt += " Describe an image for each result.";
+        }
 
-        return $"Generate a BuzzFeed-style quiz about {settings.Topic ?? "general knowledge"} with {settings.QuestionCount} questions.";
+        return prompt;
     }
 
     /// <summary>
@@ -39,10 +39,14 @@ namespace BuzzFreed.Web.Services.Multiplayer;
 /// TODO: Implement interaction replay
 /// TODO: Add profanity filter for chat
 /// </summary>
-public class InteractionService(GameSessionService sessionService, GameModeRegistry gameModeRegistry)
+public class InteractionService(
+    GameSessionService sessionService,
+    GameModeRegistry gameModeRegistry,
+    EventService eventService)
 {
     public readonly GameSessionService SessionService = sessionService;
     public readonly GameModeRegistry GameModeRegistry = gameModeRegistry;
+    public readonly EventService EventService = eventService;
 
     /// <summary>
     /// Submit a reaction to active player's turn
@@ -100,7 +104,8 @@ public class InteractionService(GameSessionService sessionService, GameModeRegis
 
             Logs.Info($"Reaction added: {playerId} → {targetPlayerId} ({reactionType})");
 
-            // TODO: Broadcast reaction to all players
+            EventService.Publish(session.RoomId, "REACTION_RECEIVED", new { reaction });
+
             // TODO: Aggregate reaction counts for UI
             // TODO: Check for "reaction storm" event (many reactions at once)
         }
@@ -180,8 +185,9 @@ public class InteractionService(GameSessionService sessionService, GameModeRegis
 
             Logs.Info($"Suggestion added: {playerId} → {targetPlayerId} (Answer {suggestedAnswerIndex})");
 
-            // TODO: Show suggestion count to target (not content)
-            // TODO: Reveal suggestions after answer submitted
+            // Count only: content stays hidden until SUGGESTIONS_REVEALED
+            EventService.Publish(session.RoomId, "SUGGESTION_RECEIVED", new { targetPlayerId });
+
             // TODO: Track if suggestion was followed
         }
 
@@ -231,7 +237,9 @@ public class InteractionService(GameSessionService sessionService, GameModeRegis
 
         Logs.Info($"Prediction added: {playerId} predicts {targetPlayerId} will choose {predictedAnswerIndex}");
 
-        // TODO: Broadcast prediction count (not content)
+        // Count only, like suggestions
+        EventService.Publish(session.RoomId, "PREDICTION_RECEIVED", new { targetPlayerId });
+
         // TODO: Calculate prediction points after answer revealed
         // TODO: Track prediction accuracy per player
 
@@ -348,13 +356,15 @@ public class InteractionService(GameSessionService sessionService, GameModeRegis
             }
         }
 
-        // TODO: Reveal all suggestions to players
-        // TODO: Highlight followed suggestions
+        // WasFollowed marks the followed ones
+        EventService.Publish(session.RoomId, "SUGGESTIONS_REVEALED", new { suggestions });
+
         // TODO: Track suggestion follow rate per player
     }
 
     /// <summary>
     /// Submit a chat message (team modes)
+    /// Team messages go to that team's players only; the sender must be on it
     /// </summary>
     public bool SubmitChatMessage(string sessionId, string playerId, string message, string? teamId = null)
     {
@@ -370,6 +380,12 @@ public class InteractionService(GameSessionService sessionService, GameModeRegis
             return false;
         }
 
+        if (teamId != null && session.Players.FirstOrDefault(p => p.UserId == playerId)?.TeamId != teamId)
+        {
+            Logs.Warning($"Player {playerId} is not on team {teamId}, cannot send team chat");
+            return false;
+        }
+
         // Check rate limit
         // TODO: Implement rate limiting (10 messages per minute)
 
@@ -389,7 +405,16 @@ public class InteractionService(GameSessionService sessionService, GameModeRegis
 
         Logs.Info($"Chat message from {playerId}: {message}");
 
-        // TODO: Broadcast to team or all players
+        if (teamId == null)
+        {
+            EventService.Publish(session.RoomId, "CHAT_MESSAGE", new { message = chatMessage });
+        }
+        else
+        {
+            IEnumerable<string> teammates = session.Players.Where(p => p.TeamId == teamId).Select(p => p.UserId);
+            EventService.SendTo(session.RoomId, teammates, "CHAT_MESSAGE", new { message = chatMessage });
+        }
+
         // TODO: Track chat activity stats
 
         return true;
@@ -1,4 +1,6 @@
 using System.Collections.Concurrent;
+using System.Security.Cryptography;
+using System.Text;
 using BuzzFreed.Web.Models.Multiplayer;
 using BuzzFreed.Web.Models.Multiplayer.GameModes;
 using BuzzFreed.Web.Utils;
@@ -13,8 +15,10 @@ namespace BuzzFreed.Web.Services.Multiplayer;
 /// - Player join/leave operations
 /// - Room settings configuration
 /// - Team formation
+/// - Host moderation (kick players, transfer host, room passwords)
 /// - Start game transition (Room → GameSession)
 /// - Room cleanup and expiration
+/// - Tell the room's players about every change (EventService)
 ///
 /// STATE MANAGEMENT:
 /// - Rooms stored in memory (ConcurrentDictionary)
@@ -28,13 +32,13 @@ namespace BuzzFreed.Web.Services.Multiplayer;
 /// - Player operations are atomic
 ///
 /// TODO: Add Redis persistence for horizontal scaling
-/// TODO: Add room passwords for private games
 /// TODO: Add reconnection handling (rejoin after disconnect)
 /// TODO: Add room templates (pre-configured settings)
 /// </summary>
-public class RoomService(GameModeRegistry gameModeRegistry)
+public class RoomService(GameModeRegistry gameModeRegistry, EventService eventService)
 {
     public readonly GameModeRegistry GameModeRegistry = gameModeRegistry;
+    public readonly EventService EventService = eventService;
     public readonly ConcurrentDictionary<string, GameRoom> Rooms = new();
     public readonly ConcurrentDictionary<string, string> RoomCodeToId = new();
 
@@ -45,8 +49,9 @@ public class RoomService(GameModeRegistry gameModeRegistry)
     /// <param name="hostUsername">Discord username</param>
     /// <param name="guildId">Discord guild ID</param>
     /// <param name="gameMode">Selected game mode</param>
+    /// <param name="password">Password to join (null/empty for an open room)</param>
     /// <returns>Created room</returns>
-    public GameRoom CreateRoom(string hostUserId, string hostUsername, string guildId, GameModeType gameMode)
+    public GameRoom CreateRoom(string hostUserId, string hostUsername, string guildId, GameModeType gameMode, string? password = null)
     {
         Logs.Info($"Creating room: Host={hostUserId}, Mode={gameMode}");
 
@@ -58,7 +63,8 @@ public class RoomService(GameModeRegistry gameModeRegistry)
             GuildId = guildId,
             GameMode = gameMode,
             State = RoomState.Lobby,
-            CreatedAt = DateTime.UtcNow
+            CreatedAt = DateTime.UtcNow,
+            PasswordHash = string.IsNullOrEmpty(password) ? null : HashPassword(password)
         };
 
         // Get mode configuration
@@ -99,8 +105,9 @@ public class RoomService(GameModeRegistry gameModeRegistry)
     /// <param name="roomCode">6-character room code</param>
     /// <param name="userId">Discord user ID</param>
     /// <param name="username">Discord username</param>
+    /// <param name="password">Room password (private rooms only)</param>
     /// <returns>Room if joined successfully, null if failed</returns>
-    public GameRoom? JoinRoom(string roomCode, string userId, string username)
+    public GameRoom? JoinRoom(string roomCode, string userId, string username, string? password = null)
     {
         Logs.Info($"Player {userId} attempting to join room {roomCode}");
 
@@ -137,6 +144,18 @@ public class RoomService(GameModeRegistry gameModeRegistry)
             return room;
         }
 
+        if (room.KickedUserIds.ContainsKey(userId))
+        {
+            Logs.Warning($"Player {userId} was kicked from room {roomCode}");
+            return null;
+        }
+
+        if (!CheckPassword(room, password))
+        {
+            Logs.Warning($"Wrong password for room {roomCode}");
+            return null;
+        }
+
         // Add player
         Player player = new Player
         {
@@ -151,7 +170,8 @@ public class RoomService(GameModeRegistry gameModeRegistry)
 
         Logs.Info($"Player {username} joined room {roomCode} ({room.Players.Count}/{room.MaxPlayers})");
 
-        // TODO: Broadcast player joined event to room
+        EventService.Publish(room.RoomId, "PLAYER_JOINED", new { player });
+
         // TODO: Check if auto-start conditions met
         // TODO: Update room activity timestamp
 
@@ -183,19 +203,22 @@ public class RoomService(GameModeRegistry gameModeRegistry)
 
         Logs.Info($"Player {userId} left room {room.RoomCode}");
 
+        string? newHostId = null;
+
         // Handle host leaving
         if (room.IsHost(userId))
         {
-            if (room.Players.Count > 0)
+            Player? newHost = room.GetNextHost();
+
+            if (newHost != null)
             {
-                // Transfer host to next player
-                Player newHost = room.Players.First();
+                // Transfer host to longest-joined player
                 newHost.Role = PlayerRole.Host;
                 room.HostUserId = newHost.UserId;
 
                 Logs.Info($"Host transferred to {newHost.UserId}");
 
-                // TODO: Broadcast host change event
+                newHostId = newHost.UserId;
             }
             else
             {
@@ -205,13 +228,181 @@ public class RoomService(GameModeRegistry gameModeRegistry)
             }
         }
 
-        // TODO: Broadcast player left event
+        // newHostId is set when the host left
+        EventService.Publish(roomId, "PLAYER_LEFT", new { playerId = userId, newHostId });
+
         // TODO: Update team assignments if player was in team
         // TODO: Check if all remaining players ready (auto-start)
 
         return true;
     }
 
+    /// <summary>
+    /// Remove a player from the room (host only)
+    /// Kicked players can't rejoin with the room code
+    /// </summary>
+    /// <param name="roomId">Room ID</param>
+    /// <param name="hostUserId">User kicking (must be host)</param>
+    /// <param name="targetUserId">Player to remove</param>
+    public bool KickPlayer(string roomId, string hostUserId, string targetUserId)
+    {
+        if (!Rooms.TryGetValue(roomId, out GameRoom? room))
+        {
+            return false;
+        }
+
+        if (!room.IsHost(hostUserId) || hostUserId == targetUserId)
+        {
+            Logs.Warning($"User {hostUserId} cannot kick {targetUserId}");
+            return false;
+        }
+
+        if (!room.HasPlayer(targetUserId))
+        {
+            return false;
+        }
+
+        room.Players = new ConcurrentBag<Player>(room.Players.Where(p => p.UserId != targetUserId));
+        room.KickedUserIds[targetUserId] = DateTime.UtcNow;
+
+        if (room.Teams != null)
+        {
+            foreach (Team team in room.Teams.Values)
+            {
+                team.PlayerIds.Remove(targetUserId);
+            }
+        }
+
+        Logs.Info($"Player {targetUserId} kicked from room {room.RoomCode}");
+
+        // Still subscribed, so the kicked player hears it too and leaves
+        EventService.Publish(roomId, "PLAYER_KICKED", new { playerId = targetUserId });
+
+        return true;
+    }
+
+    /// <summary>
+    /// Hand host privileges to another player (host only)
+    /// </summary>
+    /// <param name="roomId">Room ID</param>
+    /// <param name="hostUserId">Current host</param>
+    /// <param name="newHostUserId">Player to promote</param>
+    public bool TransferHost(string roomId, string hostUserId, string newHostUserId)
+    {
+        if (!Rooms.TryGetValue(roomId, out GameRoom? room))
+        {
+            return false;
+        }
+
+        if (!room.IsHost(hostUserId) || hostUserId == newHostUserId)
+        {
+            Logs.Warning($"User {hostUserId} cannot transfer host to {newHostUserId}");
+            return false;
+        }
+
+        Player? newHost = room.GetPlayer(newHostUserId);
+        if (newHost == null)
+        {
+            return false;
+        }
+
+        Player? oldHost = room.GetPlayer(hostUserId);
+        if (oldHost != null)
+        {
+            oldHost.Role = PlayerRole.Player;
+        }
+
+        newHost.Role = PlayerRole.Host;
+        newHost.IsReady = true; // Host is auto-ready
+        room.HostUserId = newHostUserId;
+
+        Logs.Info($"Host of room {room.RoomCode} transferred to {newHostUserId}");
+
+        EventService.Publish(roomId, "HOST_CHANGED", new { hostUserId = newHostUserId });
+
+        return true;
+    }
+
+    /// <summary>
+    /// Switch the room to another game mode (host only, lobby only)
+    /// Teams are dropped when the new mode doesn't use them
+    /// </summary>
+    /// <param name="roomId">Room ID</param>
+    /// <param name="userId">Host</param>
+    /// <param name="gameMode">Mode to switch to</param>
+    public bool ChangeGameMode(string roomId, string userId, GameModeType gameMode)
+    {
+        if (!Rooms.TryGetValue(roomId, out GameRoom? room))
+        {
+            return false;
+        }
+
+        if (!room.IsHost(userId) || room.State != RoomState.Lobby)
+        {
+            Logs.Warning($"User {userId} cannot change mode of room {room.RoomCode}");
+            return false;
+        }
+
+        IGameMode? mode = GameModeRegistry.GetMode(gameMode);
+        if (mode == null)
+        {
+            Logs.Warning($"Game mode not found: {gameMode}");
+            return false;
+        }
+
+        if (room.Players.Count > mode.MaxPlayers)
+        {
+            Logs.Warning($"Too many players for {mode.DisplayName}: {room.Players.Count}/{mode.MaxPlayers}");
+            return false;
+        }
+
+        room.GameMode = gameMode;
+        room.MaxPlayers = mode.MaxPlayers;
+
+        if (!mode.RequiresTeams)
+        {
+            room.Teams = null;
+
+            foreach (Player player in room.Players)
+            {
+                player.TeamId = null;
+            }
+        }
+
+        Logs.Info($"Room {room.RoomCode} switched to {mode.DisplayName}");
+
+        // Clients drop teams themselves when requiresTeams is false
+        EventService.Publish(roomId, "MODE_CHANGED", new
+        {
+            gameMode,
+            maxPlayers = mode.MaxPlayers,
+            requiresTeams = mode.RequiresTeams
+        });
+
+        return true;
+    }
+
+    /// <summary>
+    /// Does the password open this room? (always true for open rooms)
+    /// </summary>
+    public bool CheckPassword(GameRoom room, string? password)
+    {
+        if (room.PasswordHash == null)
+        {
+            return true;
+        }
+
+        if (string.IsNullOrEmpty(password))
+        {
+            return false;
+        }
+
+        return CryptographicOperations.FixedTimeEquals(
+            Convert.FromHexString(room.PasswordHash),
+            Convert.FromHexString(HashPassword(password))
+        );
+    }
+
     /// <summary>
     /// Toggle player ready state
     /// </summary>
@@ -232,7 +423,8 @@ public class RoomService(GameModeRegistry gameModeRegistry)
 
         Logs.Info($"Player {userId} ready state: {isReady}");
 
-        // TODO: Broadcast ready state change
+        EventService.Publish(roomId, "PLAYER_READY", new { playerId = userId, isReady });
+
         // TODO: Check if all players ready
         // TODO: Enable start button if all ready
 
@@ -241,6 +433,7 @@ public class RoomService(GameModeRegistry gameModeRegistry)
 
     /// <summary>
     /// Update room settings (host only)
+    /// Invalid settings are rejected (see QuizCustomization.Validate)
     /// </summary>
     public bool UpdateRoomSettings(string roomId, string userId, QuizCustomization settings)
     {
@@ -255,12 +448,19 @@ public class RoomService(GameModeRegistry gameModeRegistry)
             return false;
         }
 
+        List<string> errors = settings.Validate();
+        if (errors.Count > 0)
+        {
+            Logs.Warning($"Invalid settings for room {room.RoomCode}: {string.Join("; ", errors)}");
+            return false;
+        }
+
+        settings.Normalize();
         room.QuizSettings = settings;
 
         Logs.Info($"Room {room.RoomCode} settings updated");
 
-        // TODO: Broadcast settings change to all players
-        // TODO: Validate settings (e.g., question count limits)
+        EventService.Publish(roomId, "ROOM_UPDATED", new { roomId, updates = new { quizSettings = settings } });
 
         return true;
     }
@@ -298,7 +498,8 @@ public class RoomService(GameModeRegistry gameModeRegistry)
 
             Logs.Info($"Player {userId} assigned to team {teamId}");
 
-            // TODO: Broadcast team assignment
+            EventService.Publish(roomId, "TEAM_ASSIGNED", new { playerId = userId, teamId });
+
             // TODO: Check team balance
             return true;
         }
@@ -308,6 +509,7 @@ public class RoomService(GameModeRegistry gameModeRegistry)
 
     /// <summary>
     /// Create teams for a room
+    /// Replaces any existing teams; every player starts unassigned
     /// </summary>
     public bool CreateTeams(string roomId, int teamCount)
     {
@@ -316,9 +518,20 @@ public class RoomService(GameModeRegistry gameModeRegistry)
             return false;
         }
 
+        TeamColor[] colors = Enum.GetValues<TeamColor>();
+
+        if (teamCount < 2 || teamCount > colors.Length)
+        {
+            Logs.Warning($"Invalid team count {teamCount} for room {room.RoomCode}");
+            return false;
+        }
+
         room.Teams = new Dictionary<string, Team>();
 
-        TeamColor[] colors = new[] { TeamColor.Red, TeamColor.Blue, TeamColor.Green, TeamColor.Yellow };
+        foreach (Player player in room.Players)
+        {
+            player.TeamId = null;
+        }
 
         for (int i = 0; i < teamCount; i++)
         {
@@ -334,19 +547,22 @@ public class RoomService(GameModeRegistry gameModeRegistry)
 
         Logs.Info($"Created {teamCount} teams for room {room.RoomCode}");
 
+        // Players list too: everyone's TeamId was cleared
+        EventService.Publish(roomId, "ROOM_UPDATED", new { roomId, updates = new { teams = room.Teams, players = room.Players } });
+
         // TODO: Auto-balance teams
-        // TODO: Broadcast team creation
 
         return true;
     }
 
     /// <summary>
     /// Start the game (transition to GameSession)
+    /// The caller creates the session from the returned room
     /// </summary>
     /// <param name="roomId">Room to start</param>
     /// <param name="userId">User starting (must be host)</param>
-    /// <returns>Session ID if started, null if failed</returns>
-    public string? StartGame(string roomId, string userId)
+    /// <returns>Room now in progress, null if failed</returns>
+    public GameRoom? StartGame(string roomId, string userId)
     {
         if (!Rooms.TryGetValue(roomId, out GameRoom? room))
         {
@@ -375,6 +591,25 @@ public class RoomService(GameModeRegistry gameModeRegistry)
             return null;
         }
 
+        if (playerCount > mode.MaxPlayers)
+        {
+            Logs.Warning($"Too many players for {mode.DisplayName}: {playerCount}/{mode.MaxPlayers}");
+            return null;
+        }
+
+        if (mode.RequiresTeams)
+        {
+            bool teamsFormed = room.Teams != null && room.Teams.Count >= 2 &&
+                room.Teams.Values.All(t => t.PlayerIds.Count > 0) &&
+                room.Players.All(p => p.TeamId != null);
+
+            if (!teamsFormed)
+            {
+                Logs.Warning($"Teams not formed for {mode.DisplayName} in room {room.RoomCode}");
+                return null;
+            }
+        }
+
         // Check if all players ready (except host)
         bool allReady = room.Players.All(p => p.IsReady || p.Role == PlayerRole.Host);
         if (!allReady)
@@ -388,18 +623,36 @@ public class RoomService(GameModeRegistry gameModeRegistry)
 
         Logs.Info($"Starting game for room {room.RoomCode}");
 
-        // TODO: Create GameSession from room
-        // TODO: Generate quiz via AI
-        // TODO: Initialize game state
-        // TODO: Return session ID
+        // TODO: Move room to "active games" storage
 
-        string sessionId = Guid.NewGuid().ToString();
+        EventService.Publish(roomId, "GAME_STARTING", new { roomId });
 
-        // TODO: Move room to "active games" storage
-        // TODO: Broadcast game start event
-        // TODO: Transition all players to game screen
+        return room;
+    }
 
-        return sessionId;
+    /// <summary>
+    /// Reopen the room's lobby once its game has ended or been aborted
+    /// Ready flags are reset so the next game needs everyone to ready up again
+    /// </summary>
+    public bool ReturnToLobby(string roomId)
+    {
+        if (!Rooms.TryGetValue(roomId, out GameRoom? room) || room.State != RoomState.InProgress)
+        {
+            return false;
+        }
+
+        room.State = RoomState.Lobby;
+
+        foreach (Player player in room.Players)
+        {
+            player.IsReady = player.Role == PlayerRole.Host; // Host is auto-ready
+        }
+
+        Logs.Info($"Room {room.RoomCode} back in the lobby");
+
+        EventService.Publish(roomId, "ROOM_UPDATED", new { roomId, updates = new { state = room.State, players = room.Players } });
+
+        return true;
     }
 
     /// <summary>
@@ -439,11 +692,21 @@ public class RoomService(GameModeRegistry gameModeRegistry)
         Logs.Info($"Room deleted: {room.RoomCode}");
 
         // TODO: Broadcast room deleted event
-        // TODO: Cleanup any resources
+
+        EventService.CloseChannel(roomId);
 
         return true;
     }
 
+    /// <summary>
+    /// Hex SHA-256 of a room password
+    /// Room passwords are short-lived and low-stakes, so no salt/KDF
+    /// </summary>
+    private static string HashPassword(string password)
+    {
+        return Convert.ToHexString(SHA256.HashData(Encoding.UTF8.GetBytes(password)));
+    }
+
     /// <summary>
     /// Generate unique 6-character room code
     /// Format: ABC-123
@@ -484,8 +747,6 @@ public class RoomService(GameModeRegistry gameModeRegistry)
 
     // TODO: Add CleanupExpiredRooms() - run periodically to remove old rooms
     // TODO: Add GetActiveRooms() - for admin dashboard
-    // TODO: Add KickPlayer() - host can remove players
-    // TODO: Add TransferHost() - manually change host
     // TODO: Add AutoBalanceTeams() - distribute players evenly
     // TODO: Add ValidateRoomState() - check room integrity
     // TODO: Add RoomActivityTracker - track last activity time
@@ -69,12 +69,16 @@ async function initDiscord() {
         console.log('Guild ID:', guildId);
 
         // Discord is ready, hide loading screen
-        hideScreen('loading-screen');
-        showScreen('start-screen');
+        switchScreen('loading-screen', 'start-screen');
 
         // Initialize the quiz app
         window.initQuizApp(userInfo.id, guildId);
 
+        // Initialize multiplayer (module may be unavailable on old clients)
+        if (window.initMultiplayer) {
+            window.initMultiplayer(discordSdk, userInfo, guildId);
+        }
+
     } catch (error) {
         console.error('Discord initialization error:', error);
         document.getElementById('loading-screen').innerHTML = `
@@ -97,6 +101,12 @@ function hideScreen(screenId) {
 }
 
 function switchScreen(fromScreenId, toScreenId) {
+    // Multiplayer ScreenRouter owns screen changes once it has loaded
+    if (window.screenRouter) {
+        window.screenRouter.showScreenId(toScreenId);
+        return;
+    }
+
     hideScreen(fromScreenId);
     showScreen(toScreenId);
 }
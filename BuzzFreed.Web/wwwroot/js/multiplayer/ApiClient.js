@@ -18,6 +18,15 @@
  * - createTeams()
  * - assignTeam()
  * - startGame()
+ * - kickPlayer()
+ * - transferHost()
+ * - changeGameMode()
+ *
+ * Preset API (server presets, per guild):
+ * - getPresets()
+ * - createPreset()
+ * - updatePreset()
+ * - deletePreset()
  *
  * Game API:
  * - getSession()
@@ -29,6 +38,11 @@
  * - submitSuggestion()
  * - submitPrediction()
  * - sendChat()
+ * - batch() (used by session read calls)
+ *
+ * Realtime API:
+ * - getMissedEvents()
+ * - getServerTime() (used by ClockSync)
  *
  * ERROR HANDLING:
  * - Network errors: Retry with exponential backoff
@@ -36,10 +50,35 @@
  * - 401/403 errors: Redirect to auth
  * - 500 errors: Show generic error, log details
  *
- * TODO: Add request caching
- * TODO: Add request cancellation
- * TODO: Add request deduplication
- * TODO: Add offline queue
+ * BATCHING:
+ * - Session read calls (leaderboard, turn, turn reactions/interactions) made
+ *   within batchDelay of each other are sent as one POST /api/game/{sessionId}/batch
+ * - Each call still resolves/rejects on its own, from its per-item result
+ * - A lone call is sent as a plain GET
+ *
+ * REQUEST LIFECYCLE (GET):
+ * - Identical in-flight GETs share one fetch (keyed by endpoint)
+ * - options.signal cancels a call; the shared fetch is aborted only once
+ *   every caller waiting on it has cancelled
+ * - options.cacheTtl keeps the response for that many ms; EventHandler calls
+ *   invalidate() when an event makes cached data stale
+ * - Cancelled calls reject with an AbortError (see isCancelled())
+ *
+ * OFFLINE QUEUE:
+ * - Non-critical mutations (reactions, chat, suggestions, ready toggles) are
+ *   queued instead of failing when offline or after retries run out
+ * - Queued calls resolve as { success: true, queued: true }
+ * - The queue is saved to localStorage and replayed in order when the
+ *   browser comes back online or the realtime connection reconnects
+ * - Before replay each action is checked against current state (same room,
+ *   lobby still open, game still active, same turn); stale or rejected
+ *   actions are dropped, reported, and state is resynced
+ * - Ready toggles collapse: only the latest one per room is kept
+ *
+ * OPTIMISTIC UPDATES:
+ * - Requests made with options.optimisticKey settle the matching GameState
+ *   transaction: success commits it, an error or { success: false } rolls it back
+ *
  */
 
 import gameState from './GameState.js';
@@ -50,6 +89,28 @@ class ApiClient {
         this.timeout = 30000; // 30 seconds
         this.maxRetries = 3;
 
+        // GET dedup and cache
+        this.inflight = new Map();     // endpoint → { promise, controller, waiting }
+        this.cache = new Map();        // endpoint → { value, expiresAt }
+        this.cacheTtl = {
+            gameModes: 5 * 60 * 1000,  // Mode list rarely changes
+            leaderboard: 5000
+        };
+
+        // Batching
+        this.batchDelay = 10;          // ms to collect calls before sending
+        this.maxBatchSize = 20;        // Matches GameController.MaxBatchSize
+        this.pendingBatches = new Map(); // sessionId → { items, timer }
+
+        // Offline queue
+        this.offlineQueue = [];        // { id, method, endpoint, data, action, userId, roomId, sessionId, turnId, dedupeKey, queuedAt }
+        this.queueStorageKey = 'buzzfreed:offlineQueue';
+        this.maxQueueAge = 10 * 60 * 1000; // Drop actions queued more than 10 minutes ago
+        this.isFlushing = false;
+
+        this.loadOfflineQueue();
+        window.addEventListener?.('online', () => this.flushOfflineQueue());
+
         console.log('[ApiClient] Initialized with base URL:', this.baseUrl);
     }
 
@@ -59,9 +120,111 @@ class ApiClient {
 
     /**
      * Make HTTP GET request
+     * Served from cache when fresh, shared with an identical in-flight request otherwise
      */
     async get(endpoint, options = {}) {
-        return this.request('GET', endpoint, null, options);
+        const { signal, cacheTtl, ...requestOptions } = options;
+
+        throwIfCancelled(signal);
+
+        const cached = this.cache.get(endpoint);
+        if (cached && cached.expiresAt > Date.now()) {
+            console.log(`[ApiClient] GET ${endpoint} (cached)`);
+            return structuredClone(cached.value);
+        }
+
+        let shared = this.inflight.get(endpoint);
+
+        if (!shared) {
+            const controller = new AbortController();
+
+            shared = { controller, waiting: 0 };
+            shared.promise = this.fetchGet(endpoint, { ...requestOptions, signal: controller.signal })
+                .then(value => {
+                    if (cacheTtl > 0 && this.inflight.get(endpoint) === shared) {
+                        this.cache.set(endpoint, { value, expiresAt: Date.now() + cacheTtl });
+                    }
+                    return value;
+                })
+                .finally(() => {
+                    if (this.inflight.get(endpoint) === shared) {
+                        this.inflight.delete(endpoint);
+                    }
+                });
+
+            this.inflight.set(endpoint, shared);
+        } else {
+            console.log(`[ApiClient] GET ${endpoint} (joined in-flight request)`);
+        }
+
+        return this.waitForShared(endpoint, shared, signal);
+    }
+
+    /**
+     * Wait on a shared GET, detaching this caller if its signal aborts
+     * Each caller gets its own copy so callers can't mutate each other's data
+     */
+    waitForShared(endpoint, shared, signal) {
+        shared.waiting++;
+
+        return new Promise((resolve, reject) => {
+            let settled = false;
+
+            const detach = () => {
+                if (settled) return false;
+                settled = true;
+                shared.waiting--;
+                signal?.removeEventListener('abort', onAbort);
+                return true;
+            };
+
+            const onAbort = () => {
+                if (!detach()) return;
+
+                // Nobody is waiting anymore: abort the underlying fetch
+                if (shared.waiting === 0) {
+                    shared.controller.abort();
+                    if (this.inflight.get(endpoint) === shared) {
+                        this.inflight.delete(endpoint);
+                    }
+                }
+
+                reject(cancelledError());
+            };
+
+            signal?.addEventListener('abort', onAbort);
+
+            shared.promise.then(
+                value => detach() && resolve(structuredClone(value)),
+                error => detach() && reject(error)
+            );
+        });
+    }
+
+    /**
+     * Drop cached GET responses whose endpoint starts with prefix
+     * No prefix clears the whole cache
+     */
+    invalidate(prefix = '') {
+        for (let endpoint of this.cache.keys()) {
+            if (endpoint.startsWith(prefix)) {
+                this.cache.delete(endpoint);
+            }
+        }
+
+        // Responses still in flight may already be stale: don't cache them
+        for (let endpoint of this.inflight.keys()) {
+            if (endpoint.startsWith(prefix)) {
+                this.inflight.delete(endpoint);
+            }
+        }
+    }
+
+    /**
+     * Was this error caused by cancelling the request?
+     */
+    isCancelled(error) {
+        return error?.name === 'AbortError';
     }
 
     /**
@@ -89,6 +252,55 @@ class ApiClient {
      * Core request method
      */
     async request(method, endpoint, data = null, options = {}) {
+        const { optimisticKey, queue, ...requestOptions } = options;
+
+        if (!optimisticKey) {
+            return this.sendOrQueue(method, endpoint, data, requestOptions, queue);
+        }
+
+        try {
+            const response = await this.sendOrQueue(method, endpoint, data, requestOptions, queue);
+
+            if (response && response.success === false) {
+                gameState.settleOptimistic(optimisticKey, new Error(response.error || 'Request was rejected'));
+            } else {
+                gameState.settleOptimistic(optimisticKey);
+            }
+
+            return response;
+        } catch (error) {
+            gameState.settleOptimistic(optimisticKey, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Send request, or queue it if it's queueable and we're offline
+     */
+    async sendOrQueue(method, endpoint, data, options, queue) {
+        if (!queue) {
+            return this.send(method, endpoint, data, options);
+        }
+
+        // Keep order: anything queued earlier goes first
+        if (this.isOffline() || this.offlineQueue.length > 0) {
+            return this.enqueue(method, endpoint, data, queue);
+        }
+
+        try {
+            return await this.send(method, endpoint, data, options);
+        } catch (error) {
+            if (error.isNetworkError) {
+                return this.enqueue(method, endpoint, data, queue);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Send request with timeout and retries
+     */
+    async send(method, endpoint, data = null, options = {}) {
         const url = `${this.baseUrl}${endpoint}`;
         const retries = options.retries || 0;
 
@@ -107,13 +319,22 @@ class ApiClient {
                 config.body = JSON.stringify(data);
             }
 
-            // Add timeout
+            // Add timeout (and caller cancellation)
             const controller = new AbortController();
             const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+            const onCancel = () => controller.abort();
+
+            throwIfCancelled(options.signal);
+            options.signal?.addEventListener('abort', onCancel);
             config.signal = controller.signal;
 
-            const response = await fetch(url, config);
-            clearTimeout(timeoutId);
+            let response;
+            try {
+                response = await fetch(url, config);
+            } finally {
+                clearTimeout(timeoutId);
+                options.signal?.removeEventListener('abort', onCancel);
+            }
 
             // Handle HTTP errors
             if (!response.ok) {
@@ -123,7 +344,8 @@ class ApiClient {
                 if (response.status >= 500 && retries < this.maxRetries) {
                     console.warn(`[ApiClient] Retrying request (${retries + 1}/${this.maxRetries})`);
                     await this.sleep(Math.pow(2, retries) * 1000); // Exponential backoff
-                    return this.request(method, endpoint, data, { ...options, retries: retries + 1 });
+                    throwIfCancelled(options.signal);
+                    return this.send(method, endpoint, data, { ...options, retries: retries + 1 });
                 }
 
                 throw error;
@@ -140,6 +362,11 @@ class ApiClient {
         } catch (error) {
             // Handle network errors
             if (error.name === 'AbortError') {
+                if (options.signal?.aborted) {
+                    console.log(`[ApiClient] ${method} ${endpoint} cancelled`);
+                    throw cancelledError();
+                }
+
                 console.error('[ApiClient] Request timeout');
                 throw new Error('Request timed out. Please try again.');
             }
@@ -151,10 +378,13 @@ class ApiClient {
                 if (retries < this.maxRetries) {
                     console.warn(`[ApiClient] Retrying after network error (${retries + 1}/${this.maxRetries})`);
                     await this.sleep(Math.pow(2, retries) * 1000);
-                    return this.request(method, endpoint, data, { ...options, retries: retries + 1 });
+                    throwIfCancelled(options.signal);
+                    return this.send(method, endpoint, data, { ...options, retries: retries + 1 });
                 }
 
-                throw new Error('Network error. Please check your connection.');
+                const networkError = new Error('Network error. Please check your connection.');
+                networkError.isNetworkError = true;
+                throw networkError;
             }
 
             throw error;
@@ -180,18 +410,24 @@ class ApiClient {
 
         console.error('[ApiClient] HTTP error:', errorMessage);
 
-        // Show user-friendly messages
-        if (response.status === 400) {
+        return this.errorForStatus(response.status, errorMessage);
+    }
+
+    /**
+     * Map an HTTP status to a user-friendly error
+     */
+    errorForStatus(status, errorMessage) {
+        if (status === 400) {
             return new Error(errorMessage || 'Invalid request');
-        } else if (response.status === 401 || response.status === 403) {
+        } else if (status === 401 || status === 403) {
             return new Error('Not authorized');
-        } else if (response.status === 404) {
+        } else if (status === 404) {
             return new Error('Resource not found');
-        } else if (response.status >= 500) {
+        } else if (status >= 500) {
             return new Error('Server error. Please try again.');
         }
 
-        return new Error(errorMessage);
+        return new Error(errorMessage || `HTTP ${status}`);
     }
 
     /**
@@ -201,6 +437,262 @@ class ApiClient {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
+    // ==========================================
+    // BATCHING
+    // ==========================================
+
+    /**
+     * Send a GET, through the batch route when the endpoint supports it
+     */
+    fetchGet(endpoint, options = {}) {
+        const target = parseBatchTarget(endpoint);
+
+        if (!target) {
+            return this.request('GET', endpoint, null, options);
+        }
+
+        return new Promise((resolve, reject) => {
+            let batch = this.pendingBatches.get(target.sessionId);
+
+            if (!batch) {
+                batch = {
+                    items: [],
+                    timer: setTimeout(() => this.flushBatch(target.sessionId), this.batchDelay)
+                };
+                this.pendingBatches.set(target.sessionId, batch);
+            }
+
+            batch.items.push({ id: String(batch.items.length), path: target.path, endpoint, options, resolve, reject });
+
+            if (batch.items.length >= this.maxBatchSize) {
+                this.flushBatch(target.sessionId);
+            }
+        });
+    }
+
+    /**
+     * Send collected calls for a session and settle each from its result
+     */
+    async flushBatch(sessionId) {
+        const batch = this.pendingBatches.get(sessionId);
+        if (!batch) return;
+
+        clearTimeout(batch.timer);
+        this.pendingBatches.delete(sessionId);
+
+        // Calls cancelled while waiting never go out
+        const items = batch.items.filter(item => {
+            if (item.options.signal?.aborted) {
+                item.reject(cancelledError());
+                return false;
+            }
+            return true;
+        });
+
+        if (items.length === 0) return;
+
+        if (items.length === 1) {
+            const [item] = items;
+            this.request('GET', item.endpoint, null, item.options).then(item.resolve, item.reject);
+            return;
+        }
+
+        try {
+            const results = await this.batch(sessionId, items.map(({ id, path }) => ({ id, path })));
+            const resultsById = new Map(results.map(result => [result.id, result]));
+
+            for (let item of items) {
+                const result = resultsById.get(item.id);
+
+                if (!result) {
+                    item.reject(new Error('Missing batch result'));
+                } else if (result.status >= 400) {
+                    item.reject(this.errorForStatus(result.status, result.error));
+                } else {
+                    item.resolve(result.body);
+                }
+            }
+        } catch (error) {
+            items.forEach(item => item.reject(error));
+        }
+    }
+
+    /**
+     * Run several session read calls in one request
+     * requests: [{ id, path }] with paths relative to the session
+     * Returns [{ id, status, body, error }]
+     */
+    async batch(sessionId, requests) {
+        const response = await this.post(`/api/game/${sessionId}/batch`, { requests });
+        return response.results || [];
+    }
+
+    // ==========================================
+    // OFFLINE QUEUE
+    // ==========================================
+
+    /**
+     * Build queue options for a mutation
+     * perTurn: only valid during the turn it was made in
+     */
+    queueable(action, { roomId = null, sessionId = null, perTurn = false, dedupeKey = null } = {}) {
+        return {
+            action,
+            roomId,
+            sessionId,
+            turnId: perTurn ? gameState.session?.currentTurn?.turnId ?? null : null,
+            dedupeKey
+        };
+    }
+
+    /**
+     * Add a mutation to the offline queue
+     */
+    enqueue(method, endpoint, data, queue) {
+        if (queue.dedupeKey) {
+            this.offlineQueue = this.offlineQueue.filter(entry => entry.dedupeKey !== queue.dedupeKey);
+        }
+
+        this.offlineQueue.push({
+            id: `queued-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            method,
+            endpoint,
+            data,
+            ...queue,
+            userId: gameState.currentPlayer?.userId || null,
+            queuedAt: Date.now()
+        });
+
+        this.saveOfflineQueue();
+
+        console.log(`[ApiClient] Queued ${queue.action} while offline (${this.offlineQueue.length} pending)`);
+        gameState.emit('stateChange', { type: 'actionQueued', action: queue.action, pending: this.offlineQueue.length });
+
+        // Back online already (e.g. the queue was just non-empty)? Replay now
+        this.flushOfflineQueue();
+
+        return { success: true, queued: true };
+    }
+
+    /**
+     * Replay queued mutations in order
+     * Stops at the first network error and keeps the rest for next time
+     */
+    async flushOfflineQueue() {
+        if (this.isFlushing || this.offlineQueue.length === 0 || this.isOffline()) return;
+
+        this.isFlushing = true;
+        const dropped = [];
+
+        try {
+            while (this.offlineQueue.length > 0) {
+                const entry = this.offlineQueue[0];
+                let conflict = this.getQueueConflict(entry);
+
+                if (!conflict) {
+                    try {
+                        const response = await this.send(entry.method, entry.endpoint, entry.data);
+                        if (response && response.success === false) {
+                            conflict = response.error || 'it was rejected';
+                        }
+                    } catch (error) {
+                        if (error.isNetworkError) {
+                            console.warn('[ApiClient] Still offline, keeping queued actions');
+                            break;
+                        }
+                        conflict = error.message;
+                    }
+                }
+
+                if (conflict) {
+                    console.warn(`[ApiClient] Dropped queued ${entry.action}: ${conflict}`);
+                    dropped.push({ action: entry.action, reason: conflict });
+                } else {
+                    console.log(`[ApiClient] Replayed queued ${entry.action}`);
+                }
+
+                this.offlineQueue.shift();
+                this.saveOfflineQueue();
+            }
+        } finally {
+            this.isFlushing = false;
+        }
+
+        if (dropped.length > 0) {
+            const summary = dropped.map(item => `${item.action} (${item.reason})`).join(', ');
+            gameState.setError(`Some actions made while offline were not sent: ${summary}`);
+
+            // Optimistic changes for dropped actions were already committed
+            gameState.emit('resyncRequired', { reason: 'Dropped queued actions' });
+        }
+
+        gameState.emit('stateChange', { type: 'queueFlushed', dropped, pending: this.offlineQueue.length });
+    }
+
+    /**
+     * Why a queued action can no longer be sent (null if still valid)
+     */
+    getQueueConflict(entry) {
+        if (Date.now() - entry.queuedAt > this.maxQueueAge) {
+            return 'it expired';
+        }
+
+        if (entry.userId && entry.userId !== gameState.currentPlayer?.userId) {
+            return 'it was made by another user';
+        }
+
+        if (entry.roomId) {
+            const room = gameState.room;
+            if (!room || room.roomId !== entry.roomId) return 'you left the room';
+            if (room.state !== 'Lobby') return 'the game has already started';
+        }
+
+        if (entry.sessionId) {
+            const session = gameState.session;
+            if (!session || session.sessionId !== entry.sessionId) return 'you left the game';
+            if (session.state !== 'Active') return 'the game is no longer active';
+        }
+
+        if (entry.turnId && gameState.session?.currentTurn?.turnId !== entry.turnId) {
+            return 'that turn has already ended';
+        }
+
+        return null;
+    }
+
+    /**
+     * Number of actions waiting to be sent
+     */
+    getPendingActionCount() {
+        return this.offlineQueue.length;
+    }
+
+    isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+
+    saveOfflineQueue() {
+        try {
+            if (this.offlineQueue.length === 0) {
+                localStorage.removeItem(this.queueStorageKey);
+            } else {
+                localStorage.setItem(this.queueStorageKey, JSON.stringify(this.offlineQueue));
+            }
+        } catch (error) {
+            // Storage can be unavailable in sandboxed iframes
+            console.warn('[ApiClient] Could not save offline queue:', error);
+        }
+    }
+
+    loadOfflineQueue() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.queueStorageKey));
+            this.offlineQueue = Array.isArray(stored) ? stored : [];
+        } catch {
+            this.offlineQueue = [];
+        }
+    }
+
     // ==========================================
     // ROOM API
     // ==========================================
@@ -208,12 +700,13 @@ class ApiClient {
     /**
      * Create a new room
      */
-    async createRoom(hostUserId, hostUsername, guildId, gameMode = 'HotSeat') {
+    async createRoom(hostUserId, hostUsername, guildId, gameMode = 'HotSeat', password = null) {
         const response = await this.post('/api/room/create', {
             hostUserId,
             hostUsername,
             guildId,
-            gameMode
+            gameMode,
+            password
         });
 
         if (!response.success) {
@@ -224,13 +717,14 @@ class ApiClient {
     }
 
     /**
-     * Join existing room by code
+     * Join existing room by code (password for private rooms)
      */
-    async joinRoom(roomCode, userId, username) {
+    async joinRoom(roomCode, userId, username, password = null) {
         const response = await this.post('/api/room/join', {
             roomCode,
             userId,
-            username
+            username,
+            password
         });
 
         if (!response.success) {
@@ -259,6 +753,9 @@ class ApiClient {
         const response = await this.put(`/api/room/${roomId}/ready`, {
             userId,
             isReady
+        }, {
+            optimisticKey: gameState.optimisticKey('ready', roomId),
+            queue: this.queueable('ready toggle', { roomId, dedupeKey: `ready:${roomId}` })
         });
 
         return response.success;
@@ -266,6 +763,7 @@ class ApiClient {
 
     /**
      * Update room settings (host only)
+     * Returns the settings as saved (normalized by the server)
      */
     async updateRoomSettings(roomId, userId, settings) {
         const response = await this.put(`/api/room/${roomId}/settings`, {
@@ -277,7 +775,7 @@ class ApiClient {
             throw new Error(response.error || 'Failed to update settings');
         }
 
-        return true;
+        return response.settings || settings;
     }
 
     /**
@@ -297,7 +795,7 @@ class ApiClient {
     async assignTeam(roomId, teamId, userId) {
         const response = await this.put(`/api/room/${roomId}/teams/${teamId}`, {
             userId
-        });
+        }, { optimisticKey: gameState.optimisticKey('team', roomId, userId) });
 
         return response.success;
     }
@@ -317,26 +815,134 @@ class ApiClient {
         return response.sessionId;
     }
 
+    /**
+     * Remove a player from the room (host only)
+     */
+    async kickPlayer(roomId, userId, targetUserId) {
+        const response = await this.post(`/api/room/${roomId}/kick`, {
+            userId,
+            targetUserId
+        });
+
+        if (!response.success) {
+            throw new Error(response.error || 'Failed to kick player');
+        }
+
+        return true;
+    }
+
+    /**
+     * Make another player host (host only)
+     */
+    async transferHost(roomId, userId, newHostUserId) {
+        const response = await this.post(`/api/room/${roomId}/host`, {
+            userId,
+            newHostUserId
+        });
+
+        if (!response.success) {
+            throw new Error(response.error || 'Failed to transfer host');
+        }
+
+        return true;
+    }
+
+    /**
+     * Switch the room's game mode (host only)
+     */
+    async changeGameMode(roomId, userId, gameMode) {
+        const response = await this.post(`/api/room/${roomId}/mode`, {
+            userId,
+            gameMode
+        });
+
+        if (!response.success) {
+            throw new Error(response.error || 'Failed to change game mode');
+        }
+
+        return true;
+    }
+
     /**
      * Get room by ID
      */
-    async getRoom(roomId) {
-        return await this.get(`/api/room/${roomId}`);
+    async getRoom(roomId, options = {}) {
+        return await this.get(`/api/room/${roomId}`, options);
     }
 
     /**
      * Get room by code
      */
-    async getRoomByCode(roomCode) {
-        return await this.get(`/api/room/code/${roomCode}`);
+    async getRoomByCode(roomCode, options = {}) {
+        return await this.get(`/api/room/code/${roomCode}`, options);
     }
 
     /**
      * Get available game modes
      */
-    async getGameModes(playerCount = null) {
+    async getGameModes(playerCount = null, options = {}) {
         const query = playerCount ? `?playerCount=${playerCount}` : '';
-        return await this.get(`/api/room/modes${query}`);
+        return await this.get(`/api/room/modes${query}`, { cacheTtl: this.cacheTtl.gameModes, ...options });
+    }
+
+    // ==========================================
+    // PRESET API
+    // ==========================================
+
+    /**
+     * Get a server's saved settings presets
+     */
+    async getPresets(guildId, options = {}) {
+        return await this.get(`/api/preset/${guildId}`, options);
+    }
+
+    /**
+     * Save settings as a new server preset
+     * Returns the saved preset
+     */
+    async createPreset(guildId, userId, username, name, settings) {
+        const response = await this.post(`/api/preset/${guildId}`, {
+            userId,
+            username,
+            name,
+            settings
+        });
+
+        if (!response.success) {
+            throw new Error(response.error || 'Failed to save preset');
+        }
+
+        return response.preset;
+    }
+
+    /**
+     * Rename and/or overwrite a server preset (owner only)
+     * changes: { name?, settings } (settings is required); returns the updated preset
+     */
+    async updatePreset(guildId, presetId, userId, changes) {
+        const response = await this.put(`/api/preset/${guildId}/${presetId}`, {
+            userId,
+            ...changes
+        });
+
+        if (!response.success) {
+            throw new Error(response.error || 'Failed to update preset');
+        }
+
+        return response.preset;
+    }
+
+    /**
+     * Delete a server preset (owner only)
+     */
+    async deletePreset(guildId, presetId, userId) {
+        const response = await this.delete(`/api/preset/${guildId}/${presetId}?userId=${encodeURIComponent(userId)}`);
+
+        if (!response.success) {
+            throw new Error(response.error || 'Failed to delete preset');
+        }
+
+        return true;
     }
 
     // ==========================================
@@ -345,9 +951,13 @@ class ApiClient {
 
     /**
      * Get session state
+     * Sent as the current player sees it (team chat for their own team only)
      */
-    async getSession(sessionId) {
-        return await this.get(`/api/game/${sessionId}`);
+    async getSession(sessionId, options = {}) {
+        const userId = gameState.currentPlayer?.userId;
+        const query = userId ? `?userId=${encodeURIComponent(userId)}` : '';
+
+        return await this.get(`/api/game/${sessionId}${query}`, options);
     }
 
     /**
@@ -357,7 +967,7 @@ class ApiClient {
         const response = await this.post(`/api/game/${sessionId}/answer`, {
             playerId,
             answerIndex
-        });
+        }, { optimisticKey: gameState.optimisticKey('answer', sessionId) });
 
         if (!response.success) {
             throw new Error(response.error || 'Failed to submit answer');
@@ -387,15 +997,15 @@ class ApiClient {
     /**
      * Get leaderboard
      */
-    async getLeaderboard(sessionId) {
-        return await this.get(`/api/game/${sessionId}/leaderboard`);
+    async getLeaderboard(sessionId, options = {}) {
+        return await this.get(`/api/game/${sessionId}/leaderboard`, { cacheTtl: this.cacheTtl.leaderboard, ...options });
     }
 
     /**
      * Get current turn
      */
-    async getCurrentTurn(sessionId) {
-        return await this.get(`/api/game/${sessionId}/turn`);
+    async getCurrentTurn(sessionId, options = {}) {
+        return await this.get(`/api/game/${sessionId}/turn`, options);
     }
 
     /**
@@ -406,6 +1016,9 @@ class ApiClient {
             playerId,
             reactionType,
             targetPlayerId
+        }, {
+            optimisticKey: gameState.optimisticKey('reaction', sessionId, reactionType, targetPlayerId),
+            queue: this.queueable('reaction', { sessionId, perTurn: true })
         });
 
         return response.success;
@@ -420,7 +1033,7 @@ class ApiClient {
             suggestedAnswerIndex,
             reasoning,
             targetPlayerId
-        });
+        }, { queue: this.queueable('suggestion', { sessionId, perTurn: true }) });
 
         return response.success;
     }
@@ -439,13 +1052,16 @@ class ApiClient {
     }
 
     /**
-     * Send chat message
+     * Send chat message (teamId null sends to everyone)
      */
     async sendChat(sessionId, playerId, message, teamId = null) {
         const response = await this.post(`/api/game/${sessionId}/chat`, {
             playerId,
             message,
             teamId
+        }, {
+            optimisticKey: gameState.optimisticKey('chat', sessionId, teamId || 'global'),
+            queue: this.queueable('chat message', { sessionId })
         });
 
         return response.success;
@@ -454,21 +1070,72 @@ class ApiClient {
     /**
      * Get reaction summary for turn
      */
-    async getReactionSummary(sessionId, turnId) {
-        return await this.get(`/api/game/${sessionId}/turn/${turnId}/reactions`);
+    async getReactionSummary(sessionId, turnId, options = {}) {
+        return await this.get(`/api/game/${sessionId}/turn/${turnId}/reactions`, options);
     }
 
     /**
      * Get all interactions for turn
      */
-    async getTurnInteractions(sessionId, turnId) {
-        return await this.get(`/api/game/${sessionId}/turn/${turnId}/interactions`);
+    async getTurnInteractions(sessionId, turnId, options = {}) {
+        return await this.get(`/api/game/${sessionId}/turn/${turnId}/interactions`, options);
     }
 
-    // TODO: Add batch request support
-    // TODO: Add request caching
-    // TODO: Add request cancellation
-    // TODO: Add offline queue
+    // ==========================================
+    // REALTIME API
+    // ==========================================
+
+    /**
+     * Get events published after a sequence number
+     * Only players in the room/session may read its events (userId)
+     * Returns { events: [{ type, data, sequence }], latestSequence }
+     */
+    async getMissedEvents(roomId, sessionId, userId, afterSequence, limit = 100) {
+        const params = new URLSearchParams({ after: afterSequence, limit });
+
+        if (roomId) params.set('roomId', roomId);
+        if (sessionId) params.set('sessionId', sessionId);
+        if (userId) params.set('userId', userId);
+
+        return await this.get(`/api/realtime/events?${params.toString()}`);
+    }
+
+    /**
+     * Get server time
+     * Returns { serverTime } (Unix ms)
+     */
+    async getServerTime(options = {}) {
+        return await this.get('/api/game/clock', options);
+    }
+}
+
+// ==========================================
+// BATCH HELPERS
+// ==========================================
+
+/**
+ * Session read endpoints the batch route can serve
+ * "/api/game/abc/turn/t1/reactions" → { sessionId: 'abc', path: 'turn/t1/reactions' }
+ */
+const batchablePath = /^\/api\/game\/([^/?]+)\/(leaderboard|turn|turn\/[^/?]+\/(?:reactions|interactions))$/;
+
+function parseBatchTarget(endpoint) {
+    const match = batchablePath.exec(endpoint);
+    return match ? { sessionId: match[1], path: match[2] } : null;
+}
+
+// ==========================================
+// CANCELLATION HELPERS
+// ==========================================
+
+function cancelledError() {
+    return new DOMException('Request cancelled', 'AbortError');
+}
+
+function throwIfCancelled(signal) {
+    if (signal?.aborted) {
+        throw cancelledError();
+    }
 }
 
 // Export singleton instance
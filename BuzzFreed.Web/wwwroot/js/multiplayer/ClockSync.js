@@ -0,0 +1,125 @@
+/**
+ * ClockSync.js - Server clock offset estimation
+ *
+ * RESPONSIBILITIES:
+ * - Estimate how far the local clock is from the server's
+ * - Estimate one-way latency to the server
+ * - Provide now() in server time for turn timers
+ *
+ * HOW IT WORKS:
+ * - Takes `sampleCount` readings of GET /api/game/clock, one after another
+ * - For each: offset = serverTime + roundTrip / 2 - receivedAt
+ *   (assumes the request and response legs take about the same time)
+ * - Keeps the reading with the shortest round trip: it has the least room
+ *   for asymmetric delay, so its offset is the most accurate
+ * - Resyncs every `resyncInterval` and after a realtime reconnect
+ *
+ * USAGE:
+ * - clockSync.start(apiClient) once at boot (apiClient is passed in to keep
+ *   this module free of imports, since GameState depends on it)
+ * - clockSync.now() wherever Date.now() would be compared to server times
+ */
+
+class ClockSync {
+    constructor() {
+        this.offset = 0;               // serverTime - localTime (ms)
+        this.latency = null;           // One-way estimate (ms)
+        this.isSynced = false;
+        this.lastSyncAt = null;
+
+        this.sampleCount = 5;
+        this.resyncInterval = 5 * 60 * 1000;
+
+        this.apiClient = null;
+        this.syncPromise = null;       // Running sync (shared by callers)
+        this.resyncTimer = null;
+
+        console.log('[ClockSync] Initialized');
+    }
+
+    /**
+     * Sync now and keep resyncing periodically
+     */
+    start(apiClient) {
+        this.apiClient = apiClient;
+
+        clearInterval(this.resyncTimer);
+        this.resyncTimer = setInterval(() => this.sync(), this.resyncInterval);
+
+        return this.sync();
+    }
+
+    stop() {
+        clearInterval(this.resyncTimer);
+        this.resyncTimer = null;
+    }
+
+    /**
+     * Measure the offset (concurrent calls share one run)
+     * Keeps the previous estimate if every sample fails
+     */
+    sync() {
+        if (!this.apiClient) return Promise.resolve(false);
+
+        if (!this.syncPromise) {
+            this.syncPromise = this.takeSamples().finally(() => {
+                this.syncPromise = null;
+            });
+        }
+
+        return this.syncPromise;
+    }
+
+    async takeSamples() {
+        let best = null;
+
+        for (let i = 0; i < this.sampleCount; i++) {
+            try {
+                const sample = await this.takeSample();
+
+                if (!best || sample.roundTrip < best.roundTrip) {
+                    best = sample;
+                }
+            } catch (error) {
+                console.warn('[ClockSync] Sample failed:', error.message);
+            }
+        }
+
+        if (!best) return false;
+
+        this.offset = best.offset;
+        this.latency = best.roundTrip / 2;
+        this.isSynced = true;
+        this.lastSyncAt = Date.now();
+
+        console.log(`[ClockSync] Offset ${Math.round(this.offset)}ms, latency ${Math.round(this.latency)}ms`);
+        return true;
+    }
+
+    /**
+     * One round trip: { offset, roundTrip }
+     */
+    async takeSample() {
+        const sentAt = Date.now();
+        const { serverTime } = await this.apiClient.getServerTime();
+        const receivedAt = Date.now();
+
+        const roundTrip = receivedAt - sentAt;
+
+        return {
+            offset: serverTime + roundTrip / 2 - receivedAt,
+            roundTrip
+        };
+    }
+
+    /**
+     * Current time on the server's clock (ms)
+     */
+    now() {
+        return Date.now() + this.offset;
+    }
+}
+
+// Export singleton instance
+const clockSync = new ClockSync();
+export default clockSync;
@@ -2,7 +2,7 @@
  * EventHandler.js - Real-time event handling via Discord SDK
  *
  * RESPONSIBILITIES:
- * - Listen for real-time events from Discord SDK
+ * - Listen for real-time events from the server (RealtimeClient)
  * - Parse event data
  * - Update GameState accordingly
  * - Trigger UI updates
@@ -12,11 +12,17 @@
  * Room Events:
  * - ROOM_UPDATED: Room settings changed
  * - PLAYER_JOINED: Player entered room
- * - PLAYER_LEFT: Player left room
+ * - PLAYER_LEFT: Player left room (newHostId if the host left)
+ * - PLAYER_KICKED: Host removed a player
+ * - HOST_CHANGED: Host transferred to another player
+ * - MODE_CHANGED: Host switched the game mode
  * - PLAYER_READY: Player ready state changed
  * - TEAM_ASSIGNED: Player assigned to team
  * - GAME_STARTING: Game about to start
  *
+ * State Events:
+ * - STATE_PATCH: JSON Patch (RFC 6902) for room/session
+ *
  * Session Events:
  * - SESSION_CREATED: Game session started
  * - TURN_STARTED: New turn began
@@ -30,19 +36,71 @@
  * - PREDICTION_RECEIVED: Player predicted
  * - CHAT_MESSAGE: Team/global chat
  *
- * DISCORD SDK INTEGRATION:
- * - Uses Discord Activity SDK for real-time messaging
- * - Commands sent as embedded app messages
- * - Events received via SDK event handlers
- * - State synchronized across all clients
+ * TRANSPORT:
+ * - Server events arrive through RealtimeClient (WebSocket, SSE fallback)
+ * - Connection follows GameState: opened on room/session set, closed on clear
+ * - Every message is pushed through queueEvent() so events run in order
+ * - Discord SDK is kept for participant/presence updates
+ *
+ * EVENT RECOVERY:
+ * - Sequenced events carry a per-channel `sequence` (monotonic, +1 per event)
+ * - lastSequence tracks the newest event applied; older sequences are dropped
+ * - Out-of-order events are buffered until the gap before them is filled
+ * - After a reconnect (or a gap in the live stream) missed events are fetched
+ *   with apiClient.getMissedEvents() and replayed through handleEvent() in order
+ * - If the gap exceeds maxReplayGap, or the server no longer has the events,
+ *   room/session are refetched in full instead
+ * - A patch that fails while recovering (resyncRequired) is not dropped:
+ *   the full resync runs once recovery finishes
+ *
+ * DEDUPLICATION:
+ * - Events carrying an `eventId` are remembered in a bounded window
+ *   (maxSeenEvents); repeats inside the window are dropped
+ * - GameState mutations are idempotent as well (keyed by responseId /
+ *   interactionId), so anything that slips past the window merges instead
+ *   of double-counting
+ *
+ * CACHE INVALIDATION:
+ * - After an event is applied, ApiClient cache entries it makes stale are
+ *   dropped (see cacheInvalidations)
  *
  * TODO: Add event buffering (queue events during processing)
- * TODO: Add event deduplication (prevent duplicate processing)
- * TODO: Add event recovery (request missed events after reconnect)
  * TODO: Add event compression (reduce bandwidth)
  */
 
 import gameState from './GameState.js';
+import realtimeClient from './RealtimeClient.js';
+import apiClient from './ApiClient.js';
+import clockSync from './ClockSync.js';
+
+/**
+ * Cached data each event makes stale
+ * room: /api/room/{roomId}..., session: /api/game/{sessionId}...,
+ * leaderboard: /api/game/{sessionId}/leaderboard, modes: /api/room/modes...
+ */
+const cacheInvalidations = {
+    ROOM_UPDATED: ['room'],
+    PLAYER_JOINED: ['room', 'modes'],
+    PLAYER_LEFT: ['room', 'modes', 'session'],
+    PLAYER_KICKED: ['room', 'modes'],
+    HOST_CHANGED: ['room'],
+    MODE_CHANGED: ['room'],
+    PLAYER_READY: ['room'],
+    TEAM_ASSIGNED: ['room'],
+    GAME_STARTING: ['room'],
+    STATE_PATCH: ['room', 'session'],
+    SESSION_CREATED: ['session'],
+    TURN_STARTED: ['session'],
+    TURN_ENDED: ['session'],
+    ANSWER_SUBMITTED: ['session'],
+    GAME_ENDED: ['session'],
+    REACTION_RECEIVED: ['session'],
+    SUGGESTION_RECEIVED: ['session'],
+    SUGGESTIONS_REVEALED: ['session'],
+    PREDICTION_RECEIVED: ['session'],
+    SCORE_UPDATE: ['leaderboard'],
+    LEADERBOARD_UPDATE: ['leaderboard']
+};
 
 class EventHandler {
     constructor() {
@@ -50,6 +108,24 @@ class EventHandler {
         this.isInitialized = false;
         this.eventQueue = [];
         this.isProcessing = false;
+        this.channelKey = null;        // roomId of the open connection
+
+        // Event recovery
+        this.lastSequence = null;      // Newest applied sequence (null = no baseline yet)
+        this.bufferedEvents = new Map(); // sequence → event received ahead of a gap
+        this.isRecovering = false;
+        this.resyncPending = false;    // Resync requested during recovery
+        this.maxReplayGap = 100;       // Larger gaps trigger a full resync
+
+        // Event deduplication
+        this.seenEventIds = new Set(); // Insertion-ordered, oldest evicted first
+        this.maxSeenEvents = 500;
+
+        // Bind transport/state callbacks
+        this.onRealtimeMessage = this.onRealtimeMessage.bind(this);
+        this.onRealtimeStatus = this.onRealtimeStatus.bind(this);
+        this.onStateChange = this.onStateChange.bind(this);
+        this.onResyncRequired = this.onResyncRequired.bind(this);
 
         console.log('[EventHandler] Initialized');
     }
@@ -71,19 +147,120 @@ class EventHandler {
     }
 
     /**
-     * Setup Discord SDK event listeners
+     * Setup transport and state listeners
      */
     setupEventListeners() {
-        if (!this.discordSdk) return;
+        realtimeClient.on('message', this.onRealtimeMessage);
+        realtimeClient.on('statusChange', this.onRealtimeStatus);
+        gameState.on('stateChange', this.onStateChange);
+        gameState.on('resyncRequired', this.onResyncRequired);
 
-        // TODO: Setup actual Discord SDK event listeners
-        // This is a placeholder for the actual implementation
+        // Already in a room (e.g. initialized late)
+        this.connect();
 
         console.log('[EventHandler] Event listeners setup');
 
-        // Example:
-        // this.discordSdk.subscribe('ACTIVITY_INSTANCE_PARTICIPANTS_UPDATE', this.handleParticipantsUpdate.bind(this));
-        // this.discordSdk.subscribe('CUSTOM_EVENT', this.handleCustomEvent.bind(this));
+        this.trackParticipants();
+    }
+
+    /**
+     * Keep gameState.participantCount in step with the Discord Activity
+     * (the mode browser greys out modes that don't fit it)
+     */
+    async trackParticipants() {
+        const sdk = this.discordSdk;
+        if (!sdk?.commands?.getInstanceConnectedParticipants) return;
+
+        try {
+            const { participants } = await sdk.commands.getInstanceConnectedParticipants();
+            gameState.setParticipantCount(participants.length);
+
+            await sdk.subscribe('ACTIVITY_INSTANCE_PARTICIPANTS_UPDATE', (event) => {
+                gameState.setParticipantCount(event.participants.length);
+            });
+        } catch (error) {
+            console.warn('[EventHandler] Could not track participants:', error);
+        }
+    }
+
+    // ==========================================
+    // CONNECTION
+    // ==========================================
+
+    /**
+     * Connect transport to the current room's channel
+     * No-op if already connected to the same room: the server has one channel
+     * per room, so a session starting or ending keeps the connection and its
+     * sequence (events published meanwhile would otherwise be missed)
+     */
+    connect() {
+        if (!gameState.room && !gameState.session) return;
+
+        const roomId = gameState.room?.roomId || gameState.session?.roomId || null;
+
+        if (this.channelKey === roomId) return;
+
+        // Sequences are per channel
+        this.channelKey = roomId;
+        this.resetSequence();
+        realtimeClient.connect({
+            roomId,
+            sessionId: gameState.session?.sessionId || null,
+            userId: gameState.currentPlayer?.userId || null
+        });
+    }
+
+    /**
+     * Disconnect transport
+     */
+    disconnect() {
+        this.channelKey = null;
+        this.resetSequence();
+        realtimeClient.disconnect();
+    }
+
+    /**
+     * Handle message from transport
+     */
+    onRealtimeMessage(message) {
+        if (message.sequence === null) {
+            if (this.markEventSeen(message.eventId)) {
+                this.queueEvent(message.type, message.data);
+            }
+            return;
+        }
+
+        this.receiveSequencedEvent(message);
+    }
+
+    /**
+     * Handle transport status changes
+     */
+    onRealtimeStatus(data) {
+        console.log('[EventHandler] Transport status:', data.status);
+
+        if (data.status === 'connected' && data.isReconnect) {
+            // Catch up first so queued actions are checked against current state
+            this.recoverMissedEvents().then(() => apiClient.flushOfflineQueue());
+
+            // Clock may have drifted (or the device slept) while disconnected
+            clockSync.sync();
+        }
+    }
+
+    /**
+     * Follow room/session lifecycle from game state
+     */
+    onStateChange(data) {
+        switch (data.type) {
+            case 'roomSet':
+            case 'sessionSet':
+                this.connect();
+                break;
+            case 'cleared':
+                this.disconnect();
+                break;
+        }
     }
 
     // ==========================================
@@ -130,12 +307,51 @@ class EventHandler {
     handlePlayerLeft(event) {
         console.log('[EventHandler] Player left:', event);
 
+        const { playerId, newHostId } = event;
+
+        gameState.removePlayer(playerId, newHostId);
+
+        // TODO: Show leave notification
+    }
+
+    /**
+     * Handle player kicked by the host
+     */
+    handlePlayerKicked(event) {
+        console.log('[EventHandler] Player kicked:', event);
+
         const { playerId } = event;
 
+        if (playerId === gameState.currentPlayer?.userId) {
+            // Back to the multiplayer home
+            gameState.clear();
+            gameState.setError('You were removed from the room by the host');
+            return;
+        }
+
         gameState.removePlayer(playerId);
+    }
 
-        // TODO: Show leave notification
-        // TODO: Update team assignments
+    /**
+     * Handle host transferred
+     */
+    handleHostChanged(event) {
+        console.log('[EventHandler] Host changed:', event);
+
+        const { hostUserId } = event;
+
+        gameState.setHost(hostUserId);
+    }
+
+    /**
+     * Handle game mode switched by the host
+     */
+    handleModeChanged(event) {
+        console.log('[EventHandler] Mode changed:', event);
+
+        const { gameMode, maxPlayers, requiresTeams } = event;
+
+        gameState.setGameMode(gameMode, { maxPlayers, requiresTeams });
     }
 
     /**
@@ -167,17 +383,7 @@ class EventHandler {
 
         const { playerId, teamId } = event;
 
-        if (!gameState.room) return;
-
-        const player = gameState.room.players.find(p => p.userId === playerId);
-        if (player) {
-            player.teamId = teamId;
-        }
-
-        gameState.emit('roomUpdate', { room: gameState.room });
-
-        // TODO: Update team roster UI
-        // TODO: Check team balance
+        gameState.setPlayerTeam(playerId, teamId);
     }
 
     /**
@@ -186,17 +392,52 @@ class EventHandler {
     handleGameStarting(event) {
         console.log('[EventHandler] Game starting:', event);
 
-        const { sessionId } = event;
-
-        // Transition to loading screen
-        gameState.uiState.currentScreen = 'loading';
+        // Stay in the lobby: SESSION_CREATED sets the session, which moves
+        // everyone to the game (the loading screen is only the boot splash)
         gameState.uiState.isLoading = true;
 
-        // TODO: Show loading screen
         // TODO: Preload assets
         // TODO: Fetch session data
     }
 
+    // ==========================================
+    // STATE EVENTS
+    // ==========================================
+
+    /**
+     * Handle state patch (nested changes to room/session)
+     */
+    handleStatePatch(event) {
+        console.log('[EventHandler] State patch:', event);
+
+        const { patch } = event;
+
+        // Failure emits resyncRequired, handled by onResyncRequired
+        gameState.applyPatch(patch);
+    }
+
+    /**
+     * Local state can no longer be patched: refetch everything
+     */
+    async onResyncRequired(data) {
+        console.warn('[EventHandler] Resync required:', data.reason);
+
+        // Recovery in progress: resync once it finishes
+        if (this.isRecovering) {
+            this.resyncPending = true;
+            return;
+        }
+
+        this.isRecovering = true;
+
+        try {
+            await this.resyncState(null);
+        } finally {
+            this.isRecovering = false;
+            this.finishRecovery();
+        }
+    }
+
     // ==========================================
     // SESSION EVENTS
     // ==========================================
@@ -209,11 +450,7 @@ class EventHandler {
 
         const { session } = event;
 
-        gameState.setSession(session);
-
-        // TODO: Initialize game UI
-        // TODO: Load quiz
-        // TODO: Setup turn timer
+        gameState.setSession(session); // main.js shows GameComponent
     }
 
     /**
@@ -227,12 +464,10 @@ class EventHandler {
         if (!gameState.session) return;
 
         gameState.session.currentTurn = turn;
+        gameState.clearTurnResults();
 
         gameState.emit('turnUpdate', { turn });
 
-        // TODO: Show question UI
-        // TODO: Start timer
-        // TODO: Enable/disable answer buttons based on active player
         // TODO: Clear previous interactions
     }
 
@@ -246,15 +481,16 @@ class EventHandler {
 
         if (!gameState.session || !gameState.session.currentTurn) return;
 
+        // Final scores/breakdown for the turn, if the server sent them
+        if (turnResults && turnResults.turnId === gameState.session.currentTurn.turnId) {
+            Object.assign(gameState.session.currentTurn, turnResults);
+        }
+
         // Update turn phase
         gameState.session.currentTurn.phase = 'Results';
 
+        gameState.setTurnResults(gameState.session.currentTurn);
         gameState.emit('turnUpdate', { turn: gameState.session.currentTurn });
-
-        // TODO: Show results screen
-        // TODO: Display score breakdown
-        // TODO: Reveal suggestions and predictions
-        // TODO: Auto-advance to next turn after delay
     }
 
     /**
@@ -263,20 +499,19 @@ class EventHandler {
     handleAnswerSubmitted(event) {
         console.log('[EventHandler] Answer submitted:', event);
 
-        const { playerId, answerIndex, isCorrect } = event;
+        const { responseId, playerId, answerIndex, isCorrect, submittedAt } = event;
 
         if (!gameState.session || !gameState.session.currentTurn) return;
 
-        // Add response to turn
-        gameState.session.currentTurn.responses.push({
+        // Add (or merge) response in turn
+        gameState.upsertResponse({
+            responseId,
             playerId,
             answerIndex,
             isCorrect,
-            timestamp: new Date().toISOString()
+            submittedAt: submittedAt || new Date().toISOString()
         });
 
-        gameState.emit('turnUpdate', { turn: gameState.session.currentTurn });
-
         // TODO: Show answer feedback
         // TODO: Update turn phase if appropriate
     }
@@ -291,13 +526,12 @@ class EventHandler {
 
         if (!gameState.session) return;
 
-        gameState.session.state = 'Completed';
+        gameState.setLeaderboard(leaderboard);
+
+        // Final scores, player stats and session stats
+        gameState.updateSession({ ...results, state: 'Completed' });
 
-        // TODO: Show final results screen
-        // TODO: Display leaderboard
-        // TODO: Show statistics
         // TODO: Show highlights
-        // TODO: Enable return to lobby button
     }
 
     // ==========================================
@@ -312,7 +546,12 @@ class EventHandler {
 
         const { reaction } = event;
 
-        gameState.addInteraction({ ...reaction, type: 'reaction' });
+        // Server sends the emoji as `type`; keep it apart from the interaction kind
+        gameState.addInteraction({
+            ...reaction,
+            reactionType: reaction.reactionType ?? reaction.type,
+            type: 'reaction'
+        });
 
         // TODO: Show reaction animation
         // TODO: Play reaction sound
@@ -374,9 +613,11 @@ class EventHandler {
         console.log('[EventHandler] Chat message:', event);
 
         const { message } = event;
+        if (!message) return;
+
+        // ChatComponent shows it (team messages only to that team)
+        gameState.addChatMessage({ ...message, type: 'chat' });
 
-        // TODO: Display chat message
-        // TODO: Filter by team if team chat
         // TODO: Apply profanity filter
         // TODO: Play message sound
     }
@@ -397,11 +638,8 @@ class EventHandler {
 
         gameState.session.scores = scores;
 
-        gameState.emit('sessionUpdate', { session: gameState.session });
-
-        // TODO: Animate score changes
-        // TODO: Update leaderboard
-        // TODO: Check for leader changes
+        // LeaderboardComponent animates the change
+        gameState.emit('sessionUpdate', { session: gameState.session, paths: ['/session/scores'] });
     }
 
     /**
@@ -412,11 +650,7 @@ class EventHandler {
 
         const { leaderboard } = event;
 
-        gameState.cache.leaderboard = leaderboard;
-
-        // TODO: Update leaderboard UI
-        // TODO: Highlight current player
-        // TODO: Show rank changes
+        gameState.setLeaderboard(leaderboard);
     }
 
     // ==========================================
@@ -471,6 +705,15 @@ class EventHandler {
             case 'PLAYER_LEFT':
                 this.handlePlayerLeft(eventData);
                 break;
+            case 'PLAYER_KICKED':
+                this.handlePlayerKicked(eventData);
+                break;
+            case 'HOST_CHANGED':
+                this.handleHostChanged(eventData);
+                break;
+            case 'MODE_CHANGED':
+                this.handleModeChanged(eventData);
+                break;
             case 'PLAYER_READY':
                 this.handlePlayerReady(eventData);
                 break;
@@ -481,6 +724,11 @@ class EventHandler {
                 this.handleGameStarting(eventData);
                 break;
 
+            // State events
+            case 'STATE_PATCH':
+                this.handleStatePatch(eventData);
+                break;
+
             // Session events
             case 'SESSION_CREATED':
                 this.handleSessionCreated(eventData);
@@ -525,11 +773,269 @@ class EventHandler {
 
             default:
                 console.warn('[EventHandler] Unknown event type:', eventType);
+                return;
+        }
+
+        this.invalidateCache(eventType);
+
+        // Keep for post-game replay
+        gameState.recordHistory(eventType, eventData);
+    }
+
+    // ==========================================
+    // CACHE INVALIDATION
+    // ==========================================
+
+    /**
+     * Drop cached API responses made stale by an event
+     */
+    invalidateCache(eventType) {
+        const scopes = cacheInvalidations[eventType];
+        if (!scopes) return;
+
+        const roomId = gameState.room?.roomId;
+        const sessionId = gameState.session?.sessionId;
+
+        if (scopes.includes('room') && roomId) {
+            apiClient.invalidate(`/api/room/${roomId}`);
+        }
+        if (scopes.includes('modes')) {
+            apiClient.invalidate('/api/room/modes'); // Filtered by player count
+        }
+        if (scopes.includes('session') && sessionId) {
+            apiClient.invalidate(`/api/game/${sessionId}`);
+        }
+        if (scopes.includes('leaderboard') && sessionId) {
+            apiClient.invalidate(`/api/game/${sessionId}/leaderboard`);
+        }
+    }
+
+    // ==========================================
+    // EVENT RECOVERY
+    // ==========================================
+
+    /**
+     * Accept, drop or buffer a sequenced event
+     */
+    receiveSequencedEvent(event) {
+        // First event on this channel becomes the baseline
+        if (this.lastSequence === null) {
+            this.applySequencedEvent(event);
+            return;
+        }
+
+        // Already applied
+        if (event.sequence <= this.lastSequence) {
+            return;
+        }
+
+        if (event.sequence === this.lastSequence + 1 && !this.isRecovering) {
+            this.applySequencedEvent(event);
+            this.flushBufferedEvents();
+            return;
+        }
+
+        // Gap before this event (or recovery in progress): hold it
+        this.bufferedEvents.set(event.sequence, event);
+
+        if (!this.isRecovering) {
+            console.warn(`[EventHandler] Sequence gap: expected ${this.lastSequence + 1}, got ${event.sequence}`);
+            this.recoverMissedEvents();
+        }
+    }
+
+    /**
+     * Queue a sequenced event and advance lastSequence
+     */
+    applySequencedEvent(event) {
+        this.lastSequence = event.sequence;
+
+        if (this.markEventSeen(event.eventId)) {
+            this.queueEvent(event.type, event.data);
+        }
+    }
+
+    /**
+     * Apply buffered events that are now contiguous
+     */
+    flushBufferedEvents() {
+        for (let sequence of [...this.bufferedEvents.keys()]) {
+            if (sequence <= this.lastSequence) {
+                this.bufferedEvents.delete(sequence);
+            }
+        }
+
+        while (this.bufferedEvents.has(this.lastSequence + 1)) {
+            const event = this.bufferedEvents.get(this.lastSequence + 1);
+            this.bufferedEvents.delete(event.sequence);
+            this.applySequencedEvent(event);
         }
     }
 
-    // TODO: Add event recovery (request missed events)
-    // TODO: Add event deduplication
+    /**
+     * Fetch and replay events missed since lastSequence
+     * Falls back to a full resync when the gap is too large
+     */
+    async recoverMissedEvents() {
+        if (this.isRecovering || this.lastSequence === null || !this.channelKey) return;
+
+        this.isRecovering = true;
+        const channelKey = this.channelKey;
+        const afterSequence = this.lastSequence;
+
+        console.log('[EventHandler] Recovering events after sequence', afterSequence);
+
+        try {
+            const response = await apiClient.getMissedEvents(
+                gameState.room?.roomId || gameState.session?.roomId || null,
+                gameState.session?.sessionId || null,
+                gameState.currentPlayer?.userId || null,
+                afterSequence,
+                this.maxReplayGap
+            );
+
+            // Channel changed while we were waiting
+            if (this.channelKey !== channelKey) return;
+
+            const events = (response.events || [])
+                .filter(e => Number.isInteger(e.sequence) && e.sequence > this.lastSequence)
+                .sort((a, b) => a.sequence - b.sequence);
+            const latestSequence = response.latestSequence ?? afterSequence;
+
+            if (latestSequence - afterSequence > this.maxReplayGap ||
+                !this.isContiguous(events, afterSequence, latestSequence)) {
+                console.warn(`[EventHandler] Gap of ${latestSequence - afterSequence} too large, resyncing`);
+                await this.resyncState(latestSequence);
+                return;
+            }
+
+            // Replay in order; live events are buffered meanwhile
+            for (let event of events) {
+                this.lastSequence = event.sequence;
+
+                if (!this.markEventSeen(event.eventId)) continue;
+
+                try {
+                    await this.handleEvent(event.type, event.data || {});
+                } catch (error) {
+                    console.error('[EventHandler] Error replaying event:', error);
+                }
+            }
+
+            console.log(`[EventHandler] Replayed ${events.length} missed events`);
+        } catch (error) {
+            console.error('[EventHandler] Event recovery failed:', error);
+
+            if (this.channelKey === channelKey) {
+                await this.resyncState(null);
+            }
+        } finally {
+            this.isRecovering = false;
+
+            if (this.channelKey === channelKey) {
+                this.finishRecovery();
+            }
+        }
+    }
+
+    /**
+     * Run a resync requested during recovery, or apply buffered events
+     */
+    finishRecovery() {
+        if (this.resyncPending) {
+            this.resyncPending = false;
+            this.onResyncRequired({ reason: 'requested during recovery' });
+            return;
+        }
+
+        this.flushBufferedEvents();
+    }
+
+    /**
+     * Do replayed events cover every sequence up to latestSequence?
+     */
+    isContiguous(events, afterSequence, latestSequence) {
+        let expected = afterSequence + 1;
+
+        for (let event of events) {
+            if (event.sequence !== expected) return false;
+            expected++;
+        }
+
+        return expected - 1 >= latestSequence;
+    }
+
+    /**
+     * Replace local room/session with server state
+     * latestSequence becomes the new baseline (null = next live event)
+     */
+    async resyncState(latestSequence) {
+        // Refetching covers any resync asked for before now
+        this.resyncPending = false;
+
+        try {
+            // Replace wholesale: local copies may hold fields the server dropped
+            if (gameState.session) {
+                const session = await apiClient.getSession(gameState.session.sessionId);
+                gameState.applyPatch([{ op: 'replace', path: '/session', value: session }]);
+            }
+
+            if (gameState.room) {
+                const room = await apiClient.getRoom(gameState.room.roomId);
+                gameState.applyPatch([{ op: 'replace', path: '/room', value: room }]);
+            }
+
+            console.log('[EventHandler] State resynced');
+        } catch (error) {
+            console.error('[EventHandler] Resync failed:', error);
+            gameState.setError('Lost connection to the game. Please rejoin.');
+        }
+
+        this.lastSequence = latestSequence;
+
+        // With no known baseline, the lowest buffered event starts over
+        if (this.lastSequence === null && this.bufferedEvents.size > 0) {
+            this.lastSequence = Math.min(...this.bufferedEvents.keys()) - 1;
+        }
+    }
+
+    /**
+     * Forget sequence state (channel changed)
+     */
+    resetSequence() {
+        this.lastSequence = null;
+        this.bufferedEvents.clear();
+        this.isRecovering = false;
+        this.resyncPending = false;
+    }
+
+    // ==========================================
+    // EVENT DEDUPLICATION
+    // ==========================================
+
+    /**
+     * Remember an event ID
+     * Returns false if it was already seen (event should be dropped)
+     */
+    markEventSeen(eventId) {
+        if (!eventId) return true;
+
+        if (this.seenEventIds.has(eventId)) {
+            console.log('[EventHandler] Dropping duplicate event:', eventId);
+            return false;
+        }
+
+        this.seenEventIds.add(eventId);
+
+        // Evict oldest IDs beyond the window
+        while (this.seenEventIds.size > this.maxSeenEvents) {
+            const oldest = this.seenEventIds.values().next().value;
+            this.seenEventIds.delete(oldest);
+        }
+
+        return true;
+    }
+
     // TODO: Add event batching (process multiple events together)
     // TODO: Add event priority (process important events first)
 }
@@ -25,27 +25,66 @@
  * OPTIMISTIC UPDATES:
  * - Answer submission: Show answer immediately, revert if rejected
  * - Reactions: Show immediately, confirm with server
+ * - Chat messages: Echo immediately, removed if the server rejects them
  * - Ready state: Toggle immediately, sync with server
+ * - Each change is a transaction with a token (beginOptimistic)
+ * - Server confirmation commits it; rejection or optimisticTimeout rolls it
+ *   back and emits errorOccurred
+ * - ApiClient settles transactions automatically by action key
+ *
+ * PERSISTENCE:
+ * - Room ID, session ID, player ID and current screen are snapshotted to
+ *   localStorage whenever the room, session or screen changes
+ * - On boot, restoreSnapshot() validates the snapshot against the server and
+ *   puts the player back on the same screen
+ * - Snapshots older than snapshotTtl (room inactivity expiry) are discarded
+ *
+ * PATCHES:
+ * - Server patches (RFC 6902) are applied with applyPatch(), paths rooted at
+ *   "/room" and "/session" (e.g. "/session/scores/1234")
+ * - updateRoom/updateSession/updateTurn merge nested objects via patches
+ *   instead of overwriting whole sub-objects
+ * - roomUpdate/sessionUpdate/turnUpdate listeners receive `paths`, the exact
+ *   pointers that changed; use hasPathChanged() to skip unrelated re-renders
+ * - A patch that fails to apply leaves state untouched and emits resyncRequired
+ * - Only objects along the changed paths are replaced; the rest of room and
+ *   session keep their identity (no full copy per patch)
+ *
+ * HISTORY:
+ * - Every event applied by EventHandler is recorded with the session change
+ *   it caused (StateHistory, bounded)
+ * - History starts when a session is set and survives game end, so the
+ *   results screen can replay a finished game turn by turn
+ *
+ * IDEMPOTENCY:
+ * - Responses are keyed by responseId, interactions and chat messages by
+ *   interactionId
+ * - Applying the same response/interaction twice updates it in place
+ * - Optimistic entries get a local ID and `isOptimistic: true`; the server's
+ *   copy replaces the matching optimistic entry instead of being appended
  *
- * TODO: Add state persistence (localStorage for reconnection)
  * TODO: Add state validation (ensure consistency)
- * TODO: Add state history (undo/replay)
- * TODO: Add state diff tracking (for efficient updates)
  */
 
+import { applyPatch, createPatch, createMergePatch, pathAffects, PatchError } from './JsonPatch.js';
+import StateHistory from './StateHistory.js';
+import clockSync from './ClockSync.js';
+
 class GameState {
     constructor() {
         // Core state
         this.room = null;              // GameRoom object (lobby)
         this.session = null;           // GameSession object (active game)
         this.currentPlayer = null;     // Local player info
+        this.participantCount = null;  // People in the Discord Activity (null until known)
 
         // UI state
         this.uiState = {
-            currentScreen: 'home',     // home, lobby, team-select, game, results
+            currentScreen: 'home',     // home, lobby, team-select, mode-select, game, results, quiz-* (ScreenRouter)
             isLoading: false,
             error: null,
             selectedTeam: null,
+            selectedMode: 'hot-seat',  // Mode registry ID for the next room created
             pendingAnswer: null,
             showingResults: false
         };
@@ -56,14 +95,34 @@ class GameState {
             roomUpdate: [],            // Room state updates
             sessionUpdate: [],         // Session state updates
             turnUpdate: [],            // Turn state updates
+            timerTick: [],             // Turn countdown, once a second (TurnTimer)
             interactionReceived: [],   // Interactions from other players
-            errorOccurred: []          // Error events
+            chatMessage: [],           // Chat message added, confirmed or removed
+            errorOccurred: [],         // Error events
+            resyncRequired: []         // Local state diverged, refetch from server
         };
 
+        // Chat (whole session, not per turn; oldest dropped past chatLimit)
+        this.chatMessages = [];
+        this.chatLimit = 200;
+
+        // Session history (replay)
+        this.history = new StateHistory();
+
+        // Optimistic transactions
+        this.pendingTransactions = new Map(); // token → { key, label, revert, timer }
+        this.optimisticTimeout = 15000;       // Roll back if unconfirmed (ms)
+
+        // Persistence
+        this.storageKey = 'buzzfreed:gameState';
+        this.snapshotVersion = 1;
+        this.snapshotTtl = 60 * 60 * 1000; // 1 hour, matches server room expiry
+
         // Cache
         this.cache = {
             leaderboard: null,
             reactionSummary: null,
+            turnResults: null,         // Copy of the last ended turn
             lastUpdateTime: null
         };
 
@@ -96,14 +155,13 @@ class GameState {
      */
     setRoom(room) {
         this.room = room;
-        this.uiState.currentScreen = 'lobby';
 
         console.log('[GameState] Room set:', room.roomCode);
+        this.saveSnapshot();
         this.emit('roomUpdate', { room: this.room });
         this.emit('stateChange', { type: 'roomSet', room: this.room });
 
         // TODO: Validate room state
-        // TODO: Store in localStorage for reconnection
     }
 
     /**
@@ -111,15 +169,69 @@ class GameState {
      */
     setSession(session) {
         this.session = session;
-        this.uiState.currentScreen = 'game';
 
         console.log('[GameState] Session set:', session.sessionId);
+        this.history.start(session);
+        this.saveSnapshot();
         this.emit('sessionUpdate', { session: this.session });
         this.emit('stateChange', { type: 'sessionSet', session: this.session });
 
-        // TODO: Initialize turn timer
         // TODO: Preload images
-        // TODO: Store in localStorage
+    }
+
+    /**
+     * Switch current UI screen
+     * ScreenRouter calls this on every transition and follows calls made
+     * from elsewhere (e.g. restoreSnapshot)
+     */
+    setScreen(screen) {
+        if (this.uiState.currentScreen === screen) return;
+
+        const previous = this.uiState.currentScreen;
+        this.uiState.currentScreen = screen;
+
+        this.saveSnapshot();
+        this.emit('stateChange', { type: 'screenChanged', screen, previous });
+    }
+
+    /**
+     * Show results for a turn that just ended
+     * Keeps a copy: the next turn may replace currentTurn while results are up
+     */
+    setTurnResults(turn) {
+        this.cache.turnResults = JSON.parse(JSON.stringify(turn));
+        this.uiState.showingResults = true;
+
+        console.log('[GameState] Turn results:', turn.turnId);
+        this.emit('stateChange', { type: 'turnResults', turn: this.cache.turnResults });
+    }
+
+    /**
+     * Hide turn results (next turn started)
+     */
+    clearTurnResults() {
+        if (!this.uiState.showingResults) return;
+
+        this.cache.turnResults = null;
+        this.uiState.showingResults = false;
+
+        this.emit('stateChange', { type: 'turnResultsCleared' });
+    }
+
+    /**
+     * Leave a finished session and go back to its room's lobby
+     */
+    returnToLobby(room) {
+        this.session = null;
+        this.cache.turnResults = null;
+        this.cache.leaderboard = null;
+        this.uiState.showingResults = false;
+        this.chatMessages = [];
+        this.history.clear();
+
+        console.log('[GameState] Returning to lobby');
+        this.emit('sessionUpdate', { session: null });
+        this.setRoom(room);
     }
 
     /**
@@ -133,14 +245,22 @@ class GameState {
             isLoading: false,
             error: null,
             selectedTeam: null,
+            selectedMode: this.uiState.selectedMode, // Kept for the next room
             pendingAnswer: null,
             showingResults: false
         };
+        this.cache.turnResults = null;
+        this.chatMessages = [];
+
+        // Drop pending transactions without reverting (state is gone)
+        this.pendingTransactions.forEach(transaction => clearTimeout(transaction.timer));
+        this.pendingTransactions.clear();
 
         console.log('[GameState] State cleared');
+        this.history.clear();
+        this.clearSnapshot();
         this.emit('stateChange', { type: 'cleared' });
 
-        // TODO: Clear localStorage
         // TODO: Cleanup event listeners
     }
 
@@ -182,13 +302,16 @@ class GameState {
 
     /**
      * Get current player's team
+     * Falls back to the session's teams (e.g. restored straight into a game)
      */
     getCurrentTeam() {
-        if (!this.room || !this.room.teams || !this.currentPlayer) {
+        const teams = this.room?.teams || this.session?.teams;
+
+        if (!teams || !this.currentPlayer) {
             return null;
         }
 
-        for (let team of Object.values(this.room.teams)) {
+        for (let team of Object.values(teams)) {
             if (team.playerIds.includes(this.currentPlayer.userId)) {
                 return team;
             }
@@ -237,6 +360,7 @@ class GameState {
 
     /**
      * Get time remaining in current turn
+     * Measured on the server's clock so every client counts down together
      */
     getTimeRemaining() {
         if (!this.session || !this.session.currentTurn) {
@@ -244,7 +368,7 @@ class GameState {
         }
 
         const turn = this.session.currentTurn;
-        const elapsed = (Date.now() - new Date(turn.startTime).getTime()) / 1000;
+        const elapsed = (clockSync.now() - new Date(turn.startTime).getTime()) / 1000;
         const remaining = Math.max(0, turn.timeLimit - elapsed);
 
         return remaining;
@@ -260,10 +384,8 @@ class GameState {
     updateRoom(updates) {
         if (!this.room) return;
 
-        Object.assign(this.room, updates);
-
         console.log('[GameState] Room updated:', updates);
-        this.emit('roomUpdate', { room: this.room, updates });
+        this.applyPatch(createMergePatch(this.room, updates, '/room'));
 
         // TODO: Validate updates
         // TODO: Handle conflicts
@@ -275,10 +397,8 @@ class GameState {
     updateSession(updates) {
         if (!this.session) return;
 
-        Object.assign(this.session, updates);
-
         console.log('[GameState] Session updated:', updates);
-        this.emit('sessionUpdate', { session: this.session, updates });
+        this.applyPatch(createMergePatch(this.session, updates, '/session'));
 
         // TODO: Handle turn transitions
         // TODO: Update cache
@@ -290,15 +410,23 @@ class GameState {
     updateTurn(turnUpdates) {
         if (!this.session || !this.session.currentTurn) return;
 
-        Object.assign(this.session.currentTurn, turnUpdates);
-
         console.log('[GameState] Turn updated:', turnUpdates);
-        this.emit('turnUpdate', { turn: this.session.currentTurn, updates: turnUpdates });
+        this.applyPatch(createMergePatch(this.session.currentTurn, turnUpdates, '/session/currentTurn'));
 
         // TODO: Handle phase changes
         // TODO: Trigger animations
     }
 
+    /**
+     * Store the server leaderboard ({ entries, updatedAt })
+     */
+    setLeaderboard(leaderboard) {
+        if (!leaderboard) return;
+
+        this.cache.leaderboard = leaderboard;
+        this.emit('stateChange', { type: 'leaderboardUpdated', leaderboard });
+    }
+
     /**
      * Add player to room
      */
@@ -319,9 +447,10 @@ class GameState {
     }
 
     /**
-     * Remove player from room
+     * Remove player from room (left or kicked)
+     * If the host left, promotes newHostId, or whoever the server would pick
      */
-    removePlayer(playerId) {
+    removePlayer(playerId, newHostId = null) {
         if (!this.room) return;
 
         const index = this.room.players.findIndex(p => p.userId === playerId);
@@ -330,37 +459,380 @@ class GameState {
         const player = this.room.players[index];
         this.room.players.splice(index, 1);
 
+        Object.values(this.room.teams || {}).forEach(team => {
+            team.playerIds = team.playerIds.filter(id => id !== playerId);
+        });
+
         console.log('[GameState] Player left:', player.username);
         this.emit('roomUpdate', { room: this.room, event: 'playerLeft', player });
 
-        // TODO: Handle host transfer
+        if (this.room.hostUserId === playerId) {
+            const newHost = newHostId ? this.getPlayer(newHostId) : this.getNextHost();
+
+            if (newHost) {
+                this.setHost(newHost.userId);
+            }
+        }
+
         // TODO: Show notification
     }
 
+    /**
+     * Move a player to a team (null: no team)
+     * Keeps team.playerIds and player.teamId in step
+     */
+    setPlayerTeam(playerId, teamId) {
+        if (!this.room) return;
+
+        const teams = this.room.teams || {};
+
+        Object.values(teams).forEach(team => {
+            team.playerIds = team.playerIds.filter(id => id !== playerId);
+        });
+
+        if (teamId && teams[teamId]) {
+            teams[teamId].playerIds.push(playerId);
+        }
+
+        const player = this.room.players.find(p => p.userId === playerId);
+        if (player) {
+            player.teamId = teams[teamId] ? teamId : null;
+        }
+
+        this.emit('roomUpdate', { room: this.room, event: 'teamAssigned', player });
+    }
+
+    /**
+     * Make a player the room host
+     */
+    setHost(userId) {
+        if (!this.room || this.room.hostUserId === userId) return;
+
+        const newHost = this.room.players.find(p => p.userId === userId);
+        if (!newHost) return;
+
+        this.room.players.forEach(p => {
+            if (p.role === 'Host') p.role = 'Player';
+        });
+
+        newHost.role = 'Host';
+        newHost.isReady = true; // Host is auto-ready
+        this.room.hostUserId = userId;
+
+        console.log('[GameState] Host is now:', newHost.username);
+        this.emit('roomUpdate', { room: this.room, event: 'hostChanged', player: newHost });
+    }
+
+    /**
+     * Switch the room's game mode
+     * mode: GameModeInfo for it (maxPlayers, requiresTeams) if known
+     */
+    setGameMode(gameMode, mode = null) {
+        if (!this.room) return;
+
+        this.room.gameMode = gameMode;
+
+        if (mode) {
+            this.room.maxPlayers = mode.maxPlayers;
+
+            // Same as RoomService.ChangeGameMode: teams only live in team modes
+            if (!mode.requiresTeams) {
+                this.room.teams = null;
+                this.room.players.forEach(p => { p.teamId = null; });
+            }
+        }
+
+        console.log('[GameState] Game mode is now:', gameMode);
+        this.emit('roomUpdate', { room: this.room, event: 'modeChanged' });
+    }
+
+    /**
+     * Pick the mode for the next room created (mode registry ID)
+     */
+    setSelectedMode(modeId) {
+        this.uiState.selectedMode = modeId;
+        this.emit('stateChange', { type: 'selectedModeChanged', modeId });
+    }
+
+    /**
+     * People connected to the Discord Activity (EventHandler keeps it current)
+     */
+    setParticipantCount(count) {
+        if (this.participantCount === count) return;
+
+        this.participantCount = count;
+        this.emit('stateChange', { type: 'participantsChanged', count });
+    }
+
+    /**
+     * Who takes over if the host leaves (same rule as GameRoom.GetNextHost)
+     * Longest in the room; ties broken by user ID
+     */
+    getNextHost() {
+        const candidates = this.room.players.filter(p => p.userId !== this.room.hostUserId);
+
+        candidates.sort((a, b) =>
+            new Date(a.joinedAt) - new Date(b.joinedAt) ||
+            (a.userId < b.userId ? -1 : a.userId > b.userId ? 1 : 0)
+        );
+
+        return candidates[0] || null;
+    }
+
+    /**
+     * Add or merge a player response in the current turn
+     * Keyed by responseId; replaces the player's pending optimistic response
+     */
+    upsertResponse(response) {
+        if (!this.session || !this.session.currentTurn) return;
+
+        const turn = this.session.currentTurn;
+        turn.responses = turn.responses || [];
+
+        const { item, isNew } = this.upsertById(
+            turn.responses,
+            response,
+            'responseId',
+            existing => existing.playerId === response.playerId
+        );
+
+        console.log(`[GameState] Response ${isNew ? 'added' : 'merged'}:`, item);
+        this.emit('turnUpdate', { turn, response: item });
+    }
+
     /**
      * Add interaction to current turn
+     * Keyed by interactionId; replays and confirmations merge in place
      */
     addInteraction(interaction) {
         if (!this.session || !this.session.currentTurn) return;
 
-        // Add to appropriate list based on type
-        switch (interaction.type) {
+        const list = this.getInteractionList(interaction.type);
+        if (!list) {
+            console.warn('[GameState] Unknown interaction type:', interaction.type);
+            return;
+        }
+
+        const { item, isNew } = this.upsertById(
+            list,
+            interaction,
+            'interactionId',
+            existing => this.isSameInteraction(existing, interaction)
+        );
+
+        if (!isNew) {
+            console.log('[GameState] Interaction merged:', item);
+            this.emit('stateChange', { type: 'interactionMerged', interaction: item });
+            return;
+        }
+
+        console.log('[GameState] Interaction added:', item);
+        this.emit('interactionReceived', { interaction: item });
+
+        // TODO: Trigger interaction animations
+        // TODO: Update interaction counts
+    }
+
+    /**
+     * Get current turn's list for an interaction type
+     */
+    getInteractionList(type) {
+        const turn = this.session.currentTurn;
+
+        switch (type) {
             case 'reaction':
-                this.session.currentTurn.reactions.push(interaction);
-                break;
+                return turn.reactions = turn.reactions || [];
             case 'suggestion':
-                this.session.currentTurn.suggestions.push(interaction);
-                break;
+                return turn.suggestions = turn.suggestions || [];
             case 'prediction':
-                this.session.currentTurn.predictions.push(interaction);
-                break;
+                return turn.predictions = turn.predictions || [];
+            default:
+                return null;
         }
+    }
+
+    /**
+     * Does a pending optimistic interaction correspond to a server one?
+     */
+    isSameInteraction(existing, incoming) {
+        if (existing.playerId !== incoming.playerId) return false;
 
-        console.log('[GameState] Interaction added:', interaction);
-        this.emit('interactionReceived', { interaction });
+        // Players may send several reactions per turn: match emoji and target too
+        if (incoming.type === 'reaction') {
+            return existing.reactionType === incoming.reactionType &&
+                   existing.targetPlayerId === incoming.targetPlayerId;
+        }
 
-        // TODO: Trigger interaction animations
-        // TODO: Update interaction counts
+        return true;
+    }
+
+    /**
+     * Insert an item into a list, or merge it into an existing entry
+     * Match order: same ID, then the first optimistic entry accepted by
+     * matchesOptimistic (only when the incoming item is confirmed)
+     */
+    upsertById(list, incoming, idKey, matchesOptimistic) {
+        let existing = incoming[idKey]
+            ? list.find(item => item[idKey] === incoming[idKey])
+            : null;
+
+        if (!existing && !incoming.isOptimistic) {
+            existing = list.find(item => item.isOptimistic && matchesOptimistic(item));
+        }
+
+        if (existing) {
+            for (let [key, value] of Object.entries(incoming)) {
+                if (value !== undefined) {
+                    existing[key] = value;
+                }
+            }
+
+            if (!incoming.isOptimistic) {
+                existing.isOptimistic = false;
+            }
+
+            return { item: existing, isNew: false };
+        }
+
+        list.push(incoming);
+        return { item: incoming, isNew: true };
+    }
+
+    /**
+     * Generate ID for optimistic entries (replaced by server ID on confirm)
+     */
+    generateLocalId() {
+        return `local-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    // ==========================================
+    // CHAT
+    // ==========================================
+
+    /**
+     * Add or merge a chat message
+     * Keyed by interactionId; the server's copy replaces our optimistic echo
+     */
+    addChatMessage(message) {
+        const { item, isNew } = this.upsertById(
+            this.chatMessages,
+            message,
+            'interactionId',
+            existing => existing.playerId === message.playerId &&
+                        existing.message === message.message &&
+                        (existing.teamId || null) === (message.teamId || null)
+        );
+
+        if (this.chatMessages.length > this.chatLimit) {
+            this.chatMessages.splice(0, this.chatMessages.length - this.chatLimit);
+        }
+
+        this.emit('chatMessage', { message: item, isNew });
+    }
+
+    /**
+     * Remove a chat message (rolled back echo)
+     */
+    removeChatMessage(interactionId) {
+        const index = this.chatMessages.findIndex(m => m.interactionId === interactionId);
+        if (index === -1) return;
+
+        const [message] = this.chatMessages.splice(index, 1);
+        this.emit('chatMessage', { message, removed: true });
+    }
+
+    // ==========================================
+    // OPTIMISTIC TRANSACTIONS
+    // ==========================================
+
+    /**
+     * Apply an optimistic change and track it until the server answers
+     * key: action key shared with ApiClient (see optimisticKey())
+     * Returns a token for commitOptimistic/rollbackOptimistic
+     */
+    beginOptimistic(key, label, apply, revert) {
+        const token = this.generateLocalId();
+
+        apply();
+
+        const timer = setTimeout(() => {
+            this.rollbackOptimistic(token, new Error(`${label} was not confirmed in time`));
+        }, this.optimisticTimeout);
+
+        this.pendingTransactions.set(token, { key, label, revert, timer });
+
+        console.log(`[GameState] Optimistic ${label} (${token})`);
+        return token;
+    }
+
+    /**
+     * Server confirmed the change: keep it
+     */
+    commitOptimistic(token) {
+        const transaction = this.pendingTransactions.get(token);
+        if (!transaction) return;
+
+        clearTimeout(transaction.timer);
+        this.pendingTransactions.delete(token);
+
+        console.log(`[GameState] Committed ${transaction.label} (${token})`);
+        this.emit('stateChange', { type: 'optimisticCommitted', token, key: transaction.key });
+    }
+
+    /**
+     * Server rejected the change (or it timed out): undo it and report
+     */
+    rollbackOptimistic(token, error = null) {
+        const transaction = this.pendingTransactions.get(token);
+        if (!transaction) return;
+
+        clearTimeout(transaction.timer);
+        this.pendingTransactions.delete(token);
+
+        try {
+            transaction.revert();
+        } catch (revertError) {
+            console.error('[GameState] Revert failed:', revertError);
+            this.emit('resyncRequired', { reason: `Could not revert ${transaction.label}` });
+        }
+
+        const message = error?.message || `${transaction.label} failed`;
+
+        console.warn(`[GameState] Rolled back ${transaction.label} (${token})`);
+        this.emit('stateChange', { type: 'optimisticRolledBack', token, key: transaction.key, error: message });
+        this.setError(message);
+    }
+
+    /**
+     * Settle the oldest pending transaction for an action key
+     * Used by ApiClient, which knows the action but not the token
+     */
+    settleOptimistic(key, error = null) {
+        for (let [token, transaction] of this.pendingTransactions) {
+            if (transaction.key === key) {
+                if (error) {
+                    this.rollbackOptimistic(token, error);
+                } else {
+                    this.commitOptimistic(token);
+                }
+                return;
+            }
+        }
+    }
+
+    /**
+     * Is a transaction still waiting for the server?
+     */
+    isOptimisticPending(token) {
+        return this.pendingTransactions.has(token);
+    }
+
+    /**
+     * Build action key for an optimistic change
+     * e.g. optimisticKey('ready', roomId) → "ready:ABC"
+     */
+    optimisticKey(action, ...parts) {
+        return [action, ...parts].join(':');
     }
 
     // ==========================================
@@ -369,57 +841,152 @@ class GameState {
 
     /**
      * Optimistically update ready state
-     * Will be reverted if server rejects
+     * Reverted if the server rejects it or doesn't confirm in time
      */
     optimisticSetReady(isReady) {
-        if (!this.room || !this.currentPlayer) return;
+        if (!this.room || !this.currentPlayer) return null;
 
         const player = this.room.players.find(p => p.userId === this.currentPlayer.userId);
-        if (!player) return;
+        if (!player) return null;
 
         const oldValue = player.isReady;
-        player.isReady = isReady;
 
-        console.log('[GameState] Optimistic ready update:', isReady);
-        this.emit('roomUpdate', { room: this.room });
-
-        // TODO: Set revert timer
-        // TODO: Revert if not confirmed by server
+        return this.beginOptimistic(
+            this.optimisticKey('ready', this.room.roomId),
+            'ready update',
+            () => {
+                player.isReady = isReady;
+                this.emit('roomUpdate', { room: this.room });
+            },
+            () => {
+                // Only undo if nothing newer changed it since
+                const current = this.room?.players.find(p => p.userId === player.userId);
+                if (current && current.isReady === isReady) {
+                    current.isReady = oldValue;
+                    this.emit('roomUpdate', { room: this.room });
+                }
+            }
+        );
     }
 
     /**
      * Optimistically submit answer
      */
     optimisticSubmitAnswer(answerIndex) {
-        if (!this.session || !this.session.currentTurn) return;
-
-        this.uiState.pendingAnswer = answerIndex;
-
-        console.log('[GameState] Optimistic answer submission:', answerIndex);
-        this.emit('turnUpdate', { turn: this.session.currentTurn });
-
-        // TODO: Disable answer buttons
-        // TODO: Show loading state
-        // TODO: Revert if rejected
+        if (!this.session || !this.session.currentTurn || !this.currentPlayer) return null;
+
+        const responseId = this.generateLocalId();
+
+        return this.beginOptimistic(
+            this.optimisticKey('answer', this.session.sessionId),
+            'answer',
+            () => {
+                this.uiState.pendingAnswer = answerIndex;
+                this.upsertResponse({
+                    responseId,
+                    playerId: this.currentPlayer.userId,
+                    answerIndex,
+                    submittedAt: new Date().toISOString(),
+                    isOptimistic: true
+                });
+            },
+            () => {
+                if (this.uiState.pendingAnswer === answerIndex) {
+                    this.uiState.pendingAnswer = null;
+                }
+                this.removeOptimisticEntry('responses', 'responseId', responseId);
+            }
+        );
     }
 
     /**
      * Optimistically add reaction
+     * TODO: Show reaction animation
      */
     optimisticAddReaction(reactionType, targetPlayerId) {
-        const reaction = {
-            playerId: this.currentPlayer.userId,
-            type: reactionType,
-            targetPlayerId: targetPlayerId,
-            timestamp: new Date().toISOString()
-        };
+        if (!this.session || !this.session.currentTurn || !this.currentPlayer) return null;
+
+        const interactionId = this.generateLocalId();
+
+        return this.beginOptimistic(
+            this.optimisticKey('reaction', this.session.sessionId, reactionType, targetPlayerId),
+            'reaction',
+            () => {
+                this.addInteraction({
+                    interactionId,
+                    playerId: this.currentPlayer.userId,
+                    reactionType,
+                    targetPlayerId,
+                    timestamp: new Date().toISOString(),
+                    isOptimistic: true,
+                    type: 'reaction'
+                });
+            },
+            () => this.removeOptimisticEntry('reactions', 'interactionId', interactionId)
+        );
+    }
 
-        this.addInteraction({ ...reaction, type: 'reaction' });
+    /**
+     * Optimistically echo our own chat message
+     * teamId null sends to everyone
+     */
+    optimisticSendChat(message, teamId = null) {
+        if (!this.session || !this.currentPlayer) return null;
+
+        const interactionId = this.generateLocalId();
+
+        return this.beginOptimistic(
+            this.optimisticKey('chat', this.session.sessionId, teamId || 'global'),
+            'chat message',
+            () => {
+                this.addChatMessage({
+                    interactionId,
+                    sessionId: this.session.sessionId,
+                    playerId: this.currentPlayer.userId,
+                    message,
+                    teamId,
+                    isGlobal: teamId === null,
+                    timestamp: new Date().toISOString(),
+                    isOptimistic: true,
+                    type: 'chat'
+                });
+            },
+            () => this.removeChatMessage(interactionId)
+        );
+    }
 
-        console.log('[GameState] Optimistic reaction:', reactionType);
+    /**
+     * Optimistically move a player to a team (drag and drop)
+     * Reverted to their previous team if the server rejects it
+     */
+    optimisticAssignTeam(playerId, teamId) {
+        if (!this.room) return null;
+
+        const previousTeamId = Object.values(this.room.teams || {})
+            .find(team => team.playerIds.includes(playerId))?.teamId || null;
+
+        return this.beginOptimistic(
+            this.optimisticKey('team', this.room.roomId, playerId),
+            'team change',
+            () => this.setPlayerTeam(playerId, teamId),
+            () => this.setPlayerTeam(playerId, previousTeamId)
+        );
+    }
+
+    /**
+     * Remove a still-unconfirmed entry from a current turn list
+     * Entries the server already confirmed are left alone
+     */
+    removeOptimisticEntry(listName, idKey, id) {
+        const turn = this.session?.currentTurn;
+        const list = turn?.[listName];
+        if (!list) return;
 
-        // TODO: Show reaction animation
-        // TODO: Revert if rejected
+        const index = list.findIndex(item => item[idKey] === id && item.isOptimistic);
+        if (index === -1) return;
+
+        list.splice(index, 1);
+        this.emit('turnUpdate', { turn, paths: [`/session/currentTurn/${listName}`] });
     }
 
     // ==========================================
@@ -448,6 +1015,278 @@ class GameState {
         this.emit('stateChange', { type: 'errorCleared' });
     }
 
+    // ==========================================
+    // PATCHES
+    // ==========================================
+
+    /**
+     * Apply JSON Patch operations to room/session
+     * Atomic: on failure nothing changes and resyncRequired is emitted
+     * Returns true if applied
+     */
+    applyPatch(operations) {
+        if (!operations || operations.length === 0) return true;
+
+        let patched;
+
+        try {
+            patched = applyPatch({ room: this.room, session: this.session }, operations);
+        } catch (error) {
+            const reason = error instanceof PatchError ? error.message : String(error);
+
+            console.error('[GameState] Patch rejected:', reason, operations);
+            this.emit('resyncRequired', { reason, operations });
+            return false;
+        }
+
+        const previousTurnId = this.session?.currentTurn?.turnId;
+
+        this.room = patched.room ?? null;
+        this.session = patched.session ?? null;
+        this.cache.lastUpdateTime = Date.now();
+
+        const paths = this.getChangedPaths(operations);
+        this.emitPatchUpdates(paths);
+
+        // A new turn is a transition, not just a field change
+        if (this.session?.currentTurn?.turnId !== previousTurnId) {
+            this.clearTurnResults();
+            this.emit('stateChange', { type: 'turnChanged', turn: this.session?.currentTurn || null });
+        }
+
+        return true;
+    }
+
+    /**
+     * Produce JSON Patch operations turning `before` into `after`
+     * basePath roots the paths, e.g. producePatch(oldRoom, newRoom, '/room')
+     */
+    producePatch(before, after, basePath = '') {
+        return createPatch(before, after, basePath);
+    }
+
+    /**
+     * Did any changed path touch the given pointer?
+     */
+    hasPathChanged(paths, pointer) {
+        if (!paths) return true; // Unknown change: assume everything changed
+
+        return paths.some(path => pathAffects(path, pointer));
+    }
+
+    /**
+     * Collect every pointer touched by operations
+     */
+    getChangedPaths(operations) {
+        const paths = new Set();
+
+        for (let operation of operations) {
+            if (operation.op === 'test') continue;
+
+            paths.add(operation.path);
+            if (operation.op === 'move') {
+                paths.add(operation.from);
+            }
+        }
+
+        return [...paths];
+    }
+
+    /**
+     * Notify listeners scoped to the parts of state that changed
+     */
+    emitPatchUpdates(paths) {
+        const roomPaths = paths.filter(path => pathAffects(path, '/room'));
+        const sessionPaths = paths.filter(path => pathAffects(path, '/session'));
+        const turnPaths = paths.filter(path => pathAffects(path, '/session/currentTurn'));
+
+        if (roomPaths.length > 0) {
+            this.emit('roomUpdate', { room: this.room, paths: roomPaths });
+        }
+
+        if (sessionPaths.length > 0) {
+            this.emit('sessionUpdate', { session: this.session, paths: sessionPaths });
+        }
+
+        if (turnPaths.length > 0 && this.session?.currentTurn) {
+            this.emit('turnUpdate', { turn: this.session.currentTurn, paths: turnPaths });
+        }
+    }
+
+    // ==========================================
+    // HISTORY
+    // ==========================================
+
+    /**
+     * Record an applied event in session history
+     */
+    recordHistory(type, data) {
+        if (!this.session) return;
+
+        this.history.record(type, data, this.session);
+    }
+
+    /**
+     * Get recorded history entries (oldest first)
+     */
+    getHistoryEntries() {
+        return this.history.getEntries();
+    }
+
+    /**
+     * Rebuild session as it was after history entry at position
+     */
+    getReplayState(position) {
+        return this.history.getStateAt(position);
+    }
+
+    /**
+     * Get recorded turns with their history positions
+     */
+    getReplayTurns() {
+        return this.history.getTurns();
+    }
+
+    // ==========================================
+    // PERSISTENCE
+    // ==========================================
+
+    /**
+     * Snapshot room/session/screen to localStorage
+     */
+    saveSnapshot() {
+        if (!this.currentPlayer || (!this.room && !this.session)) return;
+
+        const snapshot = {
+            version: this.snapshotVersion,
+            userId: this.currentPlayer.userId,
+            roomId: this.room?.roomId || this.session?.roomId || null,
+            sessionId: this.session?.sessionId || null,
+            screen: this.uiState.currentScreen,
+            savedAt: Date.now()
+        };
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(snapshot));
+        } catch (error) {
+            // Storage can be unavailable in sandboxed iframes
+            console.warn('[GameState] Could not save snapshot:', error);
+        }
+    }
+
+    /**
+     * Read snapshot for current player
+     * Returns null (and discards it) if missing, expired or for another user
+     */
+    loadSnapshot() {
+        let snapshot;
+
+        try {
+            snapshot = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch {
+            snapshot = null;
+        }
+
+        if (!snapshot) {
+            this.clearSnapshot();
+            return null;
+        }
+
+        const isExpired = Date.now() - snapshot.savedAt > this.snapshotTtl;
+        const isOtherUser = !this.currentPlayer || snapshot.userId !== this.currentPlayer.userId;
+
+        if (snapshot.version !== this.snapshotVersion || isExpired || isOtherUser) {
+            console.log('[GameState] Discarding stale snapshot');
+            this.clearSnapshot();
+            return null;
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * Remove snapshot from localStorage
+     */
+    clearSnapshot() {
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch {
+            // Storage unavailable, nothing to clear
+        }
+    }
+
+    /**
+     * Restore room/session from snapshot after a reload
+     * Validates against the server before touching state
+     * (apiClient is passed in: ApiClient already depends on GameState)
+     */
+    async restoreSnapshot(apiClient) {
+        const snapshot = this.loadSnapshot();
+        if (!snapshot) return false;
+
+        console.log('[GameState] Restoring snapshot:', snapshot);
+
+        try {
+            const userId = snapshot.userId;
+
+            const session = snapshot.sessionId
+                ? await this.fetchForRestore(() => apiClient.getSession(snapshot.sessionId))
+                : null;
+            const isSessionValid = session &&
+                ['Starting', 'Active', 'Paused'].includes(session.state) &&
+                session.players?.some(p => p.userId === userId);
+
+            const room = snapshot.roomId
+                ? await this.fetchForRestore(() => apiClient.getRoom(snapshot.roomId))
+                : null;
+            const isRoomValid = room &&
+                room.state !== 'Closed' &&
+                room.players?.some(p => p.userId === userId);
+
+            if (!isRoomValid && !isSessionValid) {
+                console.log('[GameState] Snapshot no longer valid on server');
+                this.clearSnapshot();
+                return false;
+            }
+
+            if (isRoomValid) {
+                this.setRoom(room);
+            }
+
+            if (isSessionValid) {
+                this.setSession(session);
+            }
+
+            // Put player back on the screen they left, if it still makes sense
+            const allowedScreens = isSessionValid ? ['game', 'results'] : ['lobby', 'team-select'];
+            if (allowedScreens.includes(snapshot.screen)) {
+                this.setScreen(snapshot.screen);
+            }
+
+            console.log('[GameState] Snapshot restored');
+            return true;
+        } catch (error) {
+            // Keep snapshot: the server may just be unreachable right now
+            console.error('[GameState] Failed to restore snapshot:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Fetch for restore, treating "not found" as null
+     */
+    async fetchForRestore(fetcher) {
+        try {
+            return await fetcher();
+        } catch (error) {
+            if (error.message === 'Resource not found') {
+                return null;
+            }
+
+            throw error;
+        }
+    }
+
     // ==========================================
     // EVENT SYSTEM
     // ==========================================
@@ -482,7 +1321,8 @@ class GameState {
     emit(eventName, data) {
         if (!this.listeners[eventName]) return;
 
-        for (let callback of this.listeners[eventName]) {
+        // Copy: listeners may subscribe/unsubscribe while handling
+        for (let callback of [...this.listeners[eventName]]) {
             try {
                 callback(data);
             } catch (error) {
@@ -491,10 +1331,8 @@ class GameState {
         }
     }
 
-    // TODO: Add state persistence methods
     // TODO: Add state validation methods
     // TODO: Add reconnection handling
-    // TODO: Add state diff/patch methods
 }
 
 // Export singleton instance
@@ -0,0 +1,157 @@
+/**
+ * Invites.js - Bringing friends into a room
+ *
+ * RESPONSIBILITIES:
+ * - Copy a room code to the clipboard
+ * - Open Discord's invite dialog through the embedded SDK
+ * - Read the room code an invite launched the Activity with
+ *
+ * DEEP LINKS:
+ * - Discord passes `custom_id` to an Activity launched from a shared link;
+ *   the SDK exposes it as discordSdk.customId. Ours is "room:ABC-123"
+ * - Outside Discord (local dev) ?room=ABC-123 on the page URL does the same
+ * - A launch link is used once per Activity instance, so leaving the room
+ *   and reloading doesn't pull the player back in
+ *
+ * INVITE DIALOG:
+ * - shareLink() (newer SDKs) sends a message with a link carrying the
+ *   room's custom_id, so friends land straight in the room
+ * - Older SDKs only have openInviteDialog(), which invites to the Activity;
+ *   the code is copied first so it can be pasted in chat
+ *
+ * USAGE:
+ * - invites.initialize(discordSdk) once at boot
+ * - invites.takeLaunchRoomCode() → code to join, or null
+ */
+
+const ROOM_CODE_PATTERN = /^[A-Z0-9]{3}-?[A-Z0-9]{3}$/;
+
+class Invites {
+    constructor() {
+        this.discordSdk = null;
+        this.customIdPrefix = 'room:';
+        this.handledKey = 'buzzfreed:inviteHandled';
+
+        console.log('[Invites] Initialized');
+    }
+
+    initialize(discordSdk) {
+        this.discordSdk = discordSdk;
+    }
+
+    // ==========================================
+    // DEEP LINKS
+    // ==========================================
+
+    /**
+     * Room code from the launch link, unless this instance already used it
+     */
+    takeLaunchRoomCode() {
+        const code = this.getLaunchRoomCode();
+        if (!code) return null;
+
+        const handled = `${this.discordSdk?.instanceId || 'browser'}:${code}`;
+
+        try {
+            if (sessionStorage.getItem(this.handledKey) === handled) return null;
+            sessionStorage.setItem(this.handledKey, handled);
+        } catch {
+            // Storage unavailable: joining again on reload is harmless
+        }
+
+        console.log('[Invites] Launched from invite to room:', code);
+        return code;
+    }
+
+    /**
+     * "room:ABC-123" custom_id, or ?room=ABC-123 (null if neither/invalid)
+     */
+    getLaunchRoomCode() {
+        const customId = this.discordSdk?.customId;
+        let value = null;
+
+        if (customId?.startsWith(this.customIdPrefix)) {
+            value = customId.slice(this.customIdPrefix.length);
+        } else {
+            value = new URLSearchParams(window.location.search).get('room');
+        }
+
+        return this.normalizeCode(value);
+    }
+
+    /**
+     * "abc123" / "ABC-123" → "ABC-123" (null if not a room code)
+     */
+    normalizeCode(value) {
+        const code = (value || '').trim().toUpperCase();
+        if (!ROOM_CODE_PATTERN.test(code)) return null;
+
+        const chars = code.replace('-', '');
+        return `${chars.slice(0, 3)}-${chars.slice(3)}`;
+    }
+
+    // ==========================================
+    // SHARING
+    // ==========================================
+
+    /**
+     * Copy text to the clipboard (true if it worked)
+     * Falls back to execCommand where the Clipboard API is blocked (iframes)
+     */
+    async copyText(text) {
+        try {
+            await navigator.clipboard.writeText(text);
+            return true;
+        } catch (error) {
+            console.warn('[Invites] Clipboard API unavailable:', error.message);
+        }
+
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+
+        try {
+            return document.execCommand('copy');
+        } catch {
+            return false;
+        } finally {
+            textarea.remove();
+        }
+    }
+
+    /**
+     * Invite friends to a room through Discord
+     * Returns 'shared', 'invited', or null if nothing could be opened
+     */
+    async openInviteDialog(roomCode) {
+        const commands = this.discordSdk?.commands;
+
+        if (!commands) {
+            console.warn('[Invites] Discord SDK not available');
+            return null;
+        }
+
+        if (commands.shareLink) {
+            const { success } = await commands.shareLink({
+                message: `Come play BuzzFreed with me! Room ${roomCode}`,
+                custom_id: `${this.customIdPrefix}${roomCode}`
+            });
+
+            return success ? 'shared' : null;
+        }
+
+        // No deep link: make the code easy to paste
+        await this.copyText(roomCode);
+        await commands.openInviteDialog();
+
+        return 'invited';
+    }
+}
+
+// Export singleton instance
+const invites = new Invites();
+export default invites;
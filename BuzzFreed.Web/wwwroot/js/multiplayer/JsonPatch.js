@@ -0,0 +1,395 @@
+/**
+ * JsonPatch.js - JSON Patch (RFC 6902) helpers for state updates
+ *
+ * RESPONSIBILITIES:
+ * - Apply patch operations to a document (add, remove, replace, move, copy, test)
+ * - Produce a patch describing the difference between two documents
+ * - Produce a merge-style patch from a partial update object
+ *
+ * SEMANTICS:
+ * - Paths are JSON Pointers (RFC 6901): "/session/scores/1234", "/room/players/0/isReady"
+ * - applyPatch() is atomic: it throws PatchError on the first invalid
+ *   operation, leaving the input untouched
+ * - Array indexes must exist (except "-" or length for add)
+ *
+ * STRUCTURAL SHARING:
+ * - applyPatch() copies only the objects/arrays along each changed path;
+ *   everything else in the result is the input's own object
+ * - So an unchanged subtree keeps its identity (result.room === input.room
+ *   when only /session changed), and a patch costs its paths, not the document
+ */
+
+/**
+ * Error thrown for invalid patches or pointers
+ */
+export class PatchError extends Error {
+    constructor(message, operation = null) {
+        super(message);
+        this.name = 'PatchError';
+        this.operation = operation;
+    }
+}
+
+// ==========================================
+// POINTERS
+// ==========================================
+
+/**
+ * Split a JSON Pointer into unescaped tokens
+ */
+export function parsePointer(path) {
+    if (path === '') return [];
+
+    if (typeof path !== 'string' || !path.startsWith('/')) {
+        throw new PatchError(`Invalid JSON pointer: ${path}`);
+    }
+
+    return path
+        .slice(1)
+        .split('/')
+        .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Build a JSON Pointer from tokens
+ */
+export function toPointer(tokens) {
+    return tokens
+        .map(token => '/' + String(token).replace(/~/g, '~0').replace(/\//g, '~1'))
+        .join('');
+}
+
+/**
+ * Append a token to a pointer
+ */
+export function joinPointer(basePath, token) {
+    return basePath + toPointer([token]);
+}
+
+// ==========================================
+// APPLY
+// ==========================================
+
+/**
+ * Apply operations to document
+ * Returns the patched document (see STRUCTURAL SHARING); throws PatchError
+ * if any operation fails
+ */
+export function applyPatch(document, operations) {
+    if (!Array.isArray(operations)) {
+        throw new PatchError('Patch must be an array of operations');
+    }
+
+    // Containers this patch created: safe to mutate, everything else is shared
+    const target = { root: document, owned: new WeakSet() };
+
+    for (let operation of operations) {
+        applyOperation(target, operation);
+    }
+
+    return target.root;
+}
+
+/**
+ * Apply a single operation to target.root
+ */
+function applyOperation(target, operation) {
+    if (!operation || typeof operation.path !== 'string') {
+        throw new PatchError('Operation is missing a path', operation);
+    }
+
+    const tokens = parsePointer(operation.path);
+
+    switch (operation.op) {
+        case 'add':
+            requireValue(operation);
+            setValue(target, tokens, clone(operation.value), 'add', operation);
+            return;
+
+        case 'replace':
+            requireValue(operation);
+            getValue(target.root, tokens, operation); // Must exist
+            setValue(target, tokens, clone(operation.value), 'replace', operation);
+            return;
+
+        case 'remove':
+            removeValue(target, tokens, operation);
+            return;
+
+        case 'move': {
+            const from = parsePointer(operation.from);
+            if (operation.path.startsWith(operation.from + '/')) {
+                throw new PatchError('Cannot move a value into its own child', operation);
+            }
+
+            const value = getValue(target.root, from, operation);
+            removeValue(target, from, operation);
+            setValue(target, tokens, value, 'add', operation);
+            return;
+        }
+
+        case 'copy': {
+            const value = getValue(target.root, parsePointer(operation.from), operation);
+            setValue(target, tokens, clone(value), 'add', operation);
+            return;
+        }
+
+        case 'test':
+            requireValue(operation);
+            if (!deepEqual(getValue(target.root, tokens, operation), operation.value)) {
+                throw new PatchError(`Test failed at ${operation.path}`, operation);
+            }
+            return;
+
+        default:
+            throw new PatchError(`Unknown operation: ${operation.op}`, operation);
+    }
+}
+
+/**
+ * Read value at tokens; throws if path does not exist
+ */
+function getValue(document, tokens, operation) {
+    let current = document;
+
+    for (let token of tokens) {
+        if (Array.isArray(current)) {
+            const index = parseIndex(token, operation);
+            if (index >= current.length) {
+                throw new PatchError(`Index out of range: ${token}`, operation);
+            }
+            current = current[index];
+        } else if (isObject(current) && Object.prototype.hasOwnProperty.call(current, token)) {
+            current = current[token];
+        } else {
+            throw new PatchError(`Path not found: ${toPointer(tokens)}`, operation);
+        }
+    }
+
+    return current;
+}
+
+/**
+ * Container at tokens, copied (with every container above it) unless
+ * this patch already owns it
+ */
+function getWritable(target, tokens, operation) {
+    getValue(target.root, tokens, operation); // Must exist
+
+    target.root = own(target, target.root);
+    let current = target.root;
+
+    for (let token of tokens) {
+        const key = Array.isArray(current) ? parseIndex(token, operation) : token;
+        current[key] = own(target, current[key]);
+        current = current[key];
+    }
+
+    return current;
+}
+
+/**
+ * Shallow copy of a container the patch doesn't own yet
+ */
+function own(target, value) {
+    if (!isObject(value) || target.owned.has(value)) {
+        return value;
+    }
+
+    const copy = Array.isArray(value) ? [...value] : { ...value };
+    target.owned.add(copy);
+    return copy;
+}
+
+/**
+ * Add or replace value at tokens
+ */
+function setValue(target, tokens, value, mode, operation) {
+    if (tokens.length === 0) {
+        target.root = value; // Whole document
+        return;
+    }
+
+    const parent = getWritable(target, tokens.slice(0, -1), operation);
+    const key = tokens[tokens.length - 1];
+
+    if (Array.isArray(parent)) {
+        const index = key === '-' && mode === 'add' ? parent.length : parseIndex(key, operation);
+
+        if (mode === 'add') {
+            if (index > parent.length) {
+                throw new PatchError(`Index out of range: ${key}`, operation);
+            }
+            parent.splice(index, 0, value);
+        } else {
+            parent[index] = value;
+        }
+    } else if (isObject(parent)) {
+        parent[key] = value;
+    } else {
+        throw new PatchError(`Cannot set ${key} on a non-container`, operation);
+    }
+}
+
+/**
+ * Remove value at tokens
+ */
+function removeValue(target, tokens, operation) {
+    if (tokens.length === 0) {
+        throw new PatchError('Cannot remove the document root', operation);
+    }
+
+    getValue(target.root, tokens, operation); // Must exist
+
+    const parent = getWritable(target, tokens.slice(0, -1), operation);
+    const key = tokens[tokens.length - 1];
+
+    if (Array.isArray(parent)) {
+        parent.splice(parseIndex(key, operation), 1);
+    } else {
+        delete parent[key];
+    }
+}
+
+function parseIndex(token, operation) {
+    if (!/^(0|[1-9][0-9]*)$/.test(token)) {
+        throw new PatchError(`Invalid array index: ${token}`, operation);
+    }
+
+    return parseInt(token, 10);
+}
+
+function requireValue(operation) {
+    if (!('value' in operation)) {
+        throw new PatchError(`Operation ${operation.op} requires a value`, operation);
+    }
+}
+
+// ==========================================
+// PRODUCE
+// ==========================================
+
+/**
+ * Produce operations turning `before` into `after`
+ * Paths are prefixed with basePath (e.g. "/room")
+ */
+export function createPatch(before, after, basePath = '') {
+    const operations = [];
+    diffValues(before, after, basePath, operations);
+    return operations;
+}
+
+/**
+ * Produce operations merging a partial update into target
+ * Nested plain objects are merged key by key; arrays and primitives replace
+ */
+export function createMergePatch(target, updates, basePath = '') {
+    const operations = [];
+
+    for (let [key, value] of Object.entries(updates)) {
+        const path = joinPointer(basePath, key);
+        const hasKey = isObject(target) && Object.prototype.hasOwnProperty.call(target, key);
+
+        if (!hasKey) {
+            operations.push({ op: 'add', path, value: clone(value) });
+        } else if (isPlainObject(value) && isPlainObject(target[key])) {
+            operations.push(...createMergePatch(target[key], value, path));
+        } else if (!deepEqual(target[key], value)) {
+            operations.push({ op: 'replace', path, value: clone(value) });
+        }
+    }
+
+    return operations;
+}
+
+function diffValues(before, after, path, operations) {
+    if (deepEqual(before, after)) return;
+
+    if (Array.isArray(before) && Array.isArray(after)) {
+        const common = Math.min(before.length, after.length);
+
+        for (let i = 0; i < common; i++) {
+            diffValues(before[i], after[i], joinPointer(path, i), operations);
+        }
+
+        for (let i = common; i < after.length; i++) {
+            operations.push({ op: 'add', path: joinPointer(path, i), value: clone(after[i]) });
+        }
+
+        // Remove from the end so earlier indexes stay valid
+        for (let i = before.length - 1; i >= after.length; i--) {
+            operations.push({ op: 'remove', path: joinPointer(path, i) });
+        }
+
+        return;
+    }
+
+    if (isPlainObject(before) && isPlainObject(after)) {
+        for (let key of Object.keys(before)) {
+            if (!Object.prototype.hasOwnProperty.call(after, key)) {
+                operations.push({ op: 'remove', path: joinPointer(path, key) });
+            }
+        }
+
+        for (let [key, value] of Object.entries(after)) {
+            if (Object.prototype.hasOwnProperty.call(before, key)) {
+                diffValues(before[key], value, joinPointer(path, key), operations);
+            } else {
+                operations.push({ op: 'add', path: joinPointer(path, key), value: clone(value) });
+            }
+        }
+
+        return;
+    }
+
+    operations.push({ op: 'replace', path, value: clone(after) });
+}
+
+// ==========================================
+// HELPERS
+// ==========================================
+
+/**
+ * Structural equality for JSON values
+ */
+export function deepEqual(a, b) {
+    if (a === b) return true;
+
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return Array.isArray(a) && Array.isArray(b) &&
+               a.length === b.length &&
+               a.every((value, i) => deepEqual(value, b[i]));
+    }
+
+    if (isObject(a) && isObject(b)) {
+        const keysA = Object.keys(a);
+        const keysB = Object.keys(b);
+
+        return keysA.length === keysB.length &&
+               keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+    }
+
+    return false;
+}
+
+/**
+ * Does a changed path affect the given prefix (or vice versa)?
+ * e.g. "/session/scores/42" affects "/session/scores" and "/session"
+ */
+export function pathAffects(changedPath, prefix) {
+    return changedPath === prefix ||
+           changedPath.startsWith(prefix + '/') ||
+           prefix.startsWith(changedPath + '/');
+}
+
+function clone(value) {
+    return value === undefined ? undefined : structuredClone(value);
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object';
+}
+
+function isPlainObject(value) {
+    return isObject(value) && !Array.isArray(value);
+}
@@ -0,0 +1,272 @@
+/**
+ * QuizPresets.js - Saved quiz settings presets
+ *
+ * RESPONSIBILITIES:
+ * - Built-in templates shipped with the game
+ * - Personal presets, kept in localStorage per user
+ * - Server presets, shared with everyone in the Discord server (PresetController)
+ * - Save, rename and delete presets (validated with QuizSettings.js)
+ *
+ * PRESET SHAPE:
+ * - { presetId, name, settings, source, ownerUserId, ownerUsername }
+ * - source: 'template' | 'personal' | 'server'
+ * - settings: normalized quiz settings, ready for apiClient.updateRoomSettings
+ *
+ * SAVING:
+ * - Saving under a name the player already used (same place) overwrites it,
+ *   so "Game night" can be updated every week without piling up copies
+ * - Server presets can only be changed by the player who saved them
+ *   (the server checks too)
+ *
+ * USAGE:
+ * - quizPresets.loadServerPresets(guildId, { signal }) when the lobby opens
+ * - quizPresets.getPresets() → templates, then personal, then server presets
+ * - quizPresets.save(name, settings, { shared }) / rename(preset, name) / remove(preset)
+ */
+
+import gameState from './GameState.js';
+import apiClient from './ApiClient.js';
+import { normalizeQuizSettings, validateQuizSettings } from './QuizSettings.js';
+
+export const MAX_PRESET_NAME_LENGTH = 40; // SettingsPreset.MaxNameLength
+
+/**
+ * Built-in templates (only the settings that differ from the defaults)
+ */
+const TEMPLATES = [
+    {
+        presetId: 'template:90s',
+        name: '📼 90s nostalgia',
+        settings: { topicMode: 'Custom', customPrompt: '90s nostalgia', difficulty: 'Absurd', questionCount: 8 }
+    },
+    {
+        presetId: 'template:movie-night',
+        name: '🎬 Movie night',
+        settings: { topicMode: 'Category', category: 'Movies', includeImages: true, imageStyle: 'Retro' }
+    },
+    {
+        presetId: 'template:roast',
+        name: '🔥 Roast me',
+        settings: { style: 'Chaotic', difficulty: 'Absurd', resultDepth: 'Roast' }
+    },
+    {
+        presetId: 'template:deep',
+        name: '🌌 Deep thoughts',
+        settings: { style: 'Deep', difficulty: 'Challenging', personalityCount: 8, questionCount: 12 }
+    },
+    {
+        presetId: 'template:quick',
+        name: '⚡ Quick round',
+        settings: { style: 'Rapid', questionCount: 5, resultDepth: 'Quick', includeResultImage: false }
+    }
+];
+
+class QuizPresets {
+    constructor() {
+        this.storageKeyPrefix = 'buzzfreed:presets:';
+
+        this.templates = TEMPLATES.map(template => ({
+            ...template,
+            source: 'template',
+            settings: normalizeQuizSettings(template.settings)
+        }));
+
+        this.guildId = null;           // Server the server presets were loaded for
+        this.serverPresets = [];
+
+        console.log('[QuizPresets] Initialized');
+    }
+
+    /**
+     * Every preset the local player can apply
+     */
+    getPresets() {
+        return [...this.templates, ...this.getPersonalPresets(), ...this.serverPresets];
+    }
+
+    find(presetId) {
+        return this.getPresets().find(preset => preset.presetId === presetId) || null;
+    }
+
+    /**
+     * Can the local player rename/delete this preset?
+     */
+    canEdit(preset) {
+        if (preset.source === 'personal') return true;
+        if (preset.source === 'server') return preset.ownerUserId === gameState.currentPlayer?.userId;
+        return false;
+    }
+
+    /**
+     * Fetch a server's presets
+     */
+    async loadServerPresets(guildId, options = {}) {
+        const presets = await apiClient.getPresets(guildId, options);
+
+        this.guildId = guildId;
+        this.serverPresets = presets.map(preset => this.fromServer(preset));
+
+        return this.serverPresets;
+    }
+
+    // ==========================================
+    // SAVE / RENAME / DELETE
+    // ==========================================
+
+    /**
+     * Problems with a name and settings (empty if valid)
+     */
+    validate(name, settings) {
+        const errors = [];
+        const trimmed = (name || '').trim();
+
+        if (!trimmed) {
+            errors.push("Preset name can't be empty");
+        } else if (trimmed.length > MAX_PRESET_NAME_LENGTH) {
+            errors.push(`Preset name must be ${MAX_PRESET_NAME_LENGTH} characters or fewer`);
+        }
+
+        return [...errors, ...validateQuizSettings(normalizeQuizSettings(settings))];
+    }
+
+    /**
+     * Save settings under a name, overwriting the player's own preset with
+     * that name. shared: save to the Discord server instead of this browser
+     */
+    async save(name, settings, { shared = false } = {}) {
+        this.throwIfInvalid(name, settings);
+
+        if (shared && !this.guildId) {
+            throw new Error("Server presets haven't loaded yet");
+        }
+
+        name = name.trim();
+        settings = normalizeQuizSettings(settings);
+
+        const existing = this.findOwnByName(name, shared ? 'server' : 'personal');
+
+        if (!shared) {
+            const presets = this.getPersonalPresets();
+            const preset = existing
+                ? { ...existing, settings }
+                : { presetId: `personal:${Date.now().toString(36)}`, name, settings, source: 'personal' };
+
+            this.writePersonalPresets(existing
+                ? presets.map(p => p.presetId === preset.presetId ? preset : p)
+                : [...presets, preset]);
+
+            console.log('[QuizPresets] Saved personal preset:', name);
+            return preset;
+        }
+
+        const { userId, username } = gameState.currentPlayer;
+
+        const saved = existing
+            ? await apiClient.updatePreset(this.guildId, existing.presetId, userId, { settings })
+            : await apiClient.createPreset(this.guildId, userId, username, name, settings);
+
+        const preset = this.fromServer(saved);
+        this.serverPresets = [...this.serverPresets.filter(p => p.presetId !== preset.presetId), preset];
+
+        console.log('[QuizPresets] Saved server preset:', name);
+        return preset;
+    }
+
+    async rename(preset, name) {
+        this.throwIfInvalid(name, preset.settings);
+
+        name = name.trim();
+
+        const clash = this.findOwnByName(name, preset.source);
+        if (clash && clash.presetId !== preset.presetId) {
+            throw new Error(`You already have a preset called "${name}"`);
+        }
+
+        if (preset.source === 'personal') {
+            this.writePersonalPresets(this.getPersonalPresets().map(p =>
+                p.presetId === preset.presetId ? { ...p, name } : p
+            ));
+            return;
+        }
+
+        // The server wants settings on every update
+        const saved = await apiClient.updatePreset(this.guildId, preset.presetId, gameState.currentPlayer.userId, {
+            name,
+            settings: preset.settings
+        });
+        this.serverPresets = this.serverPresets.map(p => p.presetId === preset.presetId ? this.fromServer(saved) : p);
+    }
+
+    async remove(preset) {
+        if (preset.source === 'personal') {
+            this.writePersonalPresets(this.getPersonalPresets().filter(p => p.presetId !== preset.presetId));
+            return;
+        }
+
+        await apiClient.deletePreset(this.guildId, preset.presetId, gameState.currentPlayer.userId);
+        this.serverPresets = this.serverPresets.filter(p => p.presetId !== preset.presetId);
+    }
+
+    // ==========================================
+    // HELPER METHODS
+    // ==========================================
+
+    throwIfInvalid(name, settings) {
+        const errors = this.validate(name, settings);
+        if (errors.length > 0) {
+            throw new Error(errors.join('. '));
+        }
+    }
+
+    /**
+     * Local player's preset with this name (case-insensitive) in personal or server presets
+     */
+    findOwnByName(name, source) {
+        const key = name.trim().toLowerCase();
+        const presets = source === 'server' ? this.serverPresets : this.getPersonalPresets();
+
+        return presets.find(preset => this.canEdit(preset) && preset.name.toLowerCase() === key) || null;
+    }
+
+    fromServer(preset) {
+        return {
+            presetId: preset.presetId,
+            name: preset.name,
+            settings: normalizeQuizSettings(preset.settings),
+            source: 'server',
+            ownerUserId: preset.ownerUserId,
+            ownerUsername: preset.ownerUsername
+        };
+    }
+
+    getStorageKey() {
+        return `${this.storageKeyPrefix}${gameState.currentPlayer?.userId}`;
+    }
+
+    getPersonalPresets() {
+        if (!gameState.currentPlayer) return [];
+
+        try {
+            const presets = JSON.parse(localStorage.getItem(this.getStorageKey())) || [];
+            return presets.map(preset => ({ ...preset, source: 'personal', settings: normalizeQuizSettings(preset.settings) }));
+        } catch {
+            return [];
+        }
+    }
+
+    writePersonalPresets(presets) {
+        try {
+            localStorage.setItem(this.getStorageKey(), JSON.stringify(
+                presets.map(({ presetId, name, settings }) => ({ presetId, name, settings }))
+            ));
+        } catch (error) {
+            // Storage can be unavailable in sandboxed iframes
+            console.warn('[QuizPresets] Could not save presets:', error);
+            throw new Error('Could not save presets in this browser. Try sharing with the server instead');
+        }
+    }
+}
+
+// Export singleton instance
+const quizPresets = new QuizPresets();
+export default quizPresets;
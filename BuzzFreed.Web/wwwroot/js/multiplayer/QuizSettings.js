@@ -0,0 +1,184 @@
+/**
+ * QuizSettings.js - Quiz customization options, defaults and validation
+ *
+ * RESPONSIBILITIES:
+ * - List the choices for each setting (labels for the lobby panel)
+ * - Defaults for a new room (same as QuizCustomization.cs)
+ * - Normalize settings from the server or a form (fill gaps, clamp, trim)
+ * - Validate settings before sending them (same rules as
+ *   QuizCustomization.Validate, so the server rarely has to reject them)
+ *
+ * SHAPE (room.quizSettings, enums by name):
+ * - topicMode: 'Random' | 'Category' | 'Custom', category, customPrompt
+ * - style, difficulty
+ * - includeImages, imageStyle, imageMood
+ * - personalityCount, resultDepth, includeResultImage
+ * - questionCount
+ * - topic: read-only, derived by the server from the topic fields
+ */
+
+export const QUESTION_LIMITS = { min: 5, max: 20 };
+export const MAX_CUSTOM_PROMPT_LENGTH = 200;
+
+/**
+ * Choices per setting: [value, label]
+ */
+export const QUIZ_OPTIONS = {
+    topicMode: [
+        ['Random', '🎲 Random (AI decides)'],
+        ['Category', '📚 Category'],
+        ['Custom', '✏️ Custom prompt']
+    ],
+    category: [
+        ['Food', '🍕 Food'],
+        ['Movies', '🎬 Movies'],
+        ['Gaming', '🎮 Gaming'],
+        ['Personality', '🧠 Personality'],
+        ['Lifestyle', '🌿 Lifestyle']
+    ],
+    style: [
+        ['Classic', 'Classic BuzzFeed'],
+        ['Deep', 'Deep & Philosophical'],
+        ['Chaotic', 'Chaotic'],
+        ['Rapid', 'Rapid-fire'],
+        ['Story', 'Story-driven']
+    ],
+    difficulty: [
+        ['Casual', 'Casual'],
+        ['Challenging', 'Challenging'],
+        ['Absurd', 'Absurd']
+    ],
+    imageStyle: [
+        ['Realistic', 'Realistic'],
+        ['Cartoon', 'Cartoon'],
+        ['Anime', 'Anime'],
+        ['Abstract', 'Abstract'],
+        ['Meme', 'Meme'],
+        ['Retro', 'Retro']
+    ],
+    imageMood: [
+        ['Cheerful', 'Cheerful'],
+        ['Dark', 'Dark'],
+        ['Energetic', 'Energetic'],
+        ['Calm', 'Calm']
+    ],
+    personalityCount: [
+        [4, '4 results'],
+        [6, '6 results'],
+        [8, '8 results']
+    ],
+    resultDepth: [
+        ['Quick', 'Quick summary'],
+        ['Detailed', 'Detailed analysis'],
+        ['Roast', '🔥 Roast mode']
+    ]
+};
+
+/**
+ * Settings for a new room (QuizCustomization defaults)
+ */
+export function defaultQuizSettings() {
+    return {
+        topicMode: 'Random',
+        category: null,
+        customPrompt: null,
+        style: 'Classic',
+        difficulty: 'Casual',
+        includeImages: false,
+        imageStyle: 'Cartoon',
+        imageMood: 'Cheerful',
+        personalityCount: 4,
+        resultDepth: 'Detailed',
+        includeResultImage: true,
+        questionCount: 10
+    };
+}
+
+/**
+ * Full settings object: defaults for missing values, numbers parsed,
+ * text trimmed, topic fields the topic mode doesn't use cleared
+ */
+export function normalizeQuizSettings(settings = {}) {
+    const normalized = { ...defaultQuizSettings() };
+
+    Object.keys(normalized).forEach(key => {
+        if (settings[key] !== undefined && settings[key] !== null) {
+            normalized[key] = settings[key];
+        }
+    });
+
+    normalized.questionCount = parseInt(normalized.questionCount) || 0;
+    normalized.personalityCount = parseInt(normalized.personalityCount) || 0;
+    normalized.includeImages = Boolean(normalized.includeImages);
+    normalized.includeResultImage = Boolean(normalized.includeResultImage);
+
+    normalized.category = normalized.topicMode === 'Category' ? normalized.category : null;
+    normalized.customPrompt = normalized.topicMode === 'Custom' ? (normalized.customPrompt || '').trim() : null;
+
+    return normalized;
+}
+
+/**
+ * Problems with the settings (empty if valid)
+ */
+export function validateQuizSettings(settings) {
+    const errors = [];
+    const isOption = (field, value) => QUIZ_OPTIONS[field].some(([option]) => option === value);
+
+    ['topicMode', 'style', 'difficulty', 'imageStyle', 'imageMood', 'resultDepth'].forEach(field => {
+        if (!isOption(field, settings[field])) {
+            errors.push(`Pick a valid ${getSettingName(field)}`);
+        }
+    });
+
+    if (settings.topicMode === 'Category' && !isOption('category', settings.category)) {
+        errors.push('Pick a category');
+    }
+
+    if (settings.topicMode === 'Custom') {
+        const prompt = (settings.customPrompt || '').trim();
+
+        if (!prompt) {
+            errors.push("Custom topic can't be empty");
+        } else if (prompt.length > MAX_CUSTOM_PROMPT_LENGTH) {
+            errors.push(`Custom topic must be ${MAX_CUSTOM_PROMPT_LENGTH} characters or fewer`);
+        }
+    }
+
+    const count = settings.questionCount;
+    if (!Number.isInteger(count) || count < QUESTION_LIMITS.min || count > QUESTION_LIMITS.max) {
+        errors.push(`Question count must be between ${QUESTION_LIMITS.min} and ${QUESTION_LIMITS.max}`);
+    }
+
+    if (!isOption('personalityCount', settings.personalityCount)) {
+        errors.push('Personality results must be 4, 6 or 8');
+    }
+
+    return errors;
+}
+
+/**
+ * Label for a setting's value ("Roast" → "🔥 Roast mode")
+ */
+export function getOptionLabel(field, value) {
+    const option = QUIZ_OPTIONS[field]?.find(([optionValue]) => optionValue === value);
+    return option ? option[1] : String(value ?? '');
+}
+
+/**
+ * Topic as shown to players
+ */
+export function describeTopic(settings) {
+    switch (settings.topicMode) {
+        case 'Category':
+            return getOptionLabel('category', settings.category);
+        case 'Custom':
+            return `"${settings.customPrompt}"`;
+        default:
+            return 'Random';
+    }
+}
+
+function getSettingName(field) {
+    return field.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+}
@@ -0,0 +1,386 @@
+/**
+ * RealtimeClient.js - Real-time transport for server-pushed game events
+ *
+ * RESPONSIBILITIES:
+ * - Open one connection per room/session channel
+ * - Prefer WebSocket, fall back to Server-Sent Events
+ * - Reconnect with exponential backoff when the connection drops
+ * - Parse incoming messages and hand them to subscribers
+ *
+ * WIRE FORMAT:
+ * - Every message is a JSON object: { type: 'TURN_STARTED', data: { ... }, sequence: 42 }
+ * - `type` uses the event names routed by EventHandler.handleEvent()
+ * - `sequence` increases by one per event within a channel (optional)
+ * - `eventId` uniquely identifies an event across retries/replays (optional)
+ *
+ * ENDPOINTS:
+ * - WebSocket: ws(s)://{host}/api/realtime/ws?roomId=...&sessionId=...&userId=...
+ * - SSE:       http(s)://{host}/api/realtime/sse?roomId=...&sessionId=...&userId=...
+ * - Missed events are fetched over HTTP (ApiClient.getMissedEvents)
+ *
+ * FALLBACK RULES:
+ * - If WebSocket is unavailable or fails before its first open, SSE is tried
+ * - Once a transport has opened, reconnects keep using that transport
+ *
+ * TESTING:
+ * - Set `baseUrl` to a local mock server before calling connect()
+ * - Set `transports = ['sse']` to exercise the fallback path directly
+ */
+
+class RealtimeClient {
+    constructor() {
+        this.baseUrl = window.location.origin;
+        this.transports = ['websocket', 'sse'];   // In order of preference
+
+        this.socket = null;            // Active WebSocket
+        this.eventSource = null;       // Active EventSource
+        this.transport = null;         // Name of the transport that opened
+        this.transportIndex = null;    // Locked once a transport has opened
+        this.channel = null;           // { roomId, sessionId, userId }
+        this.status = 'disconnected';  // disconnected, connecting, connected, reconnecting
+
+        // Reconnection
+        this.reconnectAttempts = 0;
+        this.baseReconnectDelay = 1000;
+        this.maxReconnectDelay = 30000;
+        this.reconnectTimer = null;
+
+        // Event listeners
+        this.listeners = {
+            message: [],               // Parsed server events
+            statusChange: []           // Connection status transitions
+        };
+
+        console.log('[RealtimeClient] Initialized with base URL:', this.baseUrl);
+    }
+
+    // ==========================================
+    // CONNECTION
+    // ==========================================
+
+    /**
+     * Connect to a room/session channel
+     * Replaces any existing connection
+     */
+    connect(channel) {
+        this.disconnect();
+
+        this.channel = { ...channel };
+        this.transportIndex = null;
+        this.reconnectAttempts = 0;
+
+        console.log('[RealtimeClient] Connecting:', this.channel);
+        this.setStatus('connecting');
+        this.openTransport(0);
+    }
+
+    /**
+     * Close the connection and stop reconnecting
+     */
+    disconnect() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+
+        const hadChannel = this.channel !== null;
+        this.channel = null;
+        this.closeTransport();
+
+        if (hadChannel) {
+            console.log('[RealtimeClient] Disconnected');
+            this.setStatus('disconnected');
+        }
+    }
+
+    /**
+     * Is a transport currently open?
+     */
+    isConnected() {
+        return this.status === 'connected';
+    }
+
+    /**
+     * Send a message to the server
+     * Only WebSocket is bidirectional; returns false on SSE
+     */
+    send(type, data = {}) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+            return false;
+        }
+
+        this.socket.send(JSON.stringify({ type, data }));
+        return true;
+    }
+
+    /**
+     * Open transport at given preference index
+     */
+    openTransport(index) {
+        if (!this.channel) return;
+
+        const name = this.transports[index];
+        if (!name) {
+            console.error('[RealtimeClient] No transport could connect');
+            this.scheduleReconnect();
+            return;
+        }
+
+        switch (name) {
+            case 'websocket':
+                this.openWebSocket(index);
+                break;
+            case 'sse':
+                this.openEventSource(index);
+                break;
+            default:
+                console.warn('[RealtimeClient] Unknown transport:', name);
+                this.openTransport(index + 1);
+        }
+    }
+
+    /**
+     * Open WebSocket transport
+     */
+    openWebSocket(index) {
+        if (typeof WebSocket === 'undefined') {
+            this.openTransport(index + 1);
+            return;
+        }
+
+        let opened = false;
+        const socket = new WebSocket(this.buildUrl('ws'));
+        this.socket = socket;
+
+        socket.onopen = () => {
+            opened = true;
+            this.handleOpen('websocket', index);
+        };
+
+        socket.onmessage = (event) => this.handleMessage(event.data);
+
+        socket.onerror = () => {
+            console.warn('[RealtimeClient] WebSocket error');
+        };
+
+        socket.onclose = () => {
+            if (this.socket !== socket) return; // Replaced or closed on purpose
+            this.socket = null;
+
+            // Never opened and no transport locked yet: try the next one
+            if (!opened && this.transportIndex === null) {
+                console.warn('[RealtimeClient] WebSocket failed, falling back');
+                this.openTransport(index + 1);
+                return;
+            }
+
+            this.handleClose();
+        };
+    }
+
+    /**
+     * Open Server-Sent Events transport
+     */
+    openEventSource(index) {
+        if (typeof EventSource === 'undefined') {
+            this.openTransport(index + 1);
+            return;
+        }
+
+        let opened = false;
+        const source = new EventSource(this.buildUrl('sse'));
+        this.eventSource = source;
+
+        source.onopen = () => {
+            opened = true;
+            this.handleOpen('sse', index);
+        };
+
+        source.onmessage = (event) => this.handleMessage(event.data);
+
+        // EventSource retries on its own; we take over so backoff is shared
+        source.onerror = () => {
+            if (this.eventSource !== source) return;
+            source.close();
+            this.eventSource = null;
+
+            if (!opened && this.transportIndex === null) {
+                console.warn('[RealtimeClient] SSE failed, falling back');
+                this.openTransport(index + 1);
+                return;
+            }
+
+            this.handleClose();
+        };
+    }
+
+    /**
+     * Close whichever transport is open
+     */
+    closeTransport() {
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+
+        if (this.eventSource) {
+            const source = this.eventSource;
+            this.eventSource = null;
+            source.close();
+        }
+
+        this.transport = null;
+    }
+
+    /**
+     * Build endpoint URL for the current channel
+     */
+    buildUrl(kind) {
+        const params = new URLSearchParams();
+
+        for (let [key, value] of Object.entries(this.channel)) {
+            if (value) {
+                params.set(key, value);
+            }
+        }
+
+        const base = kind === 'ws'
+            ? this.baseUrl.replace(/^http/, 'ws')
+            : this.baseUrl;
+
+        return `${base}/api/realtime/${kind}?${params.toString()}`;
+    }
+
+    // ==========================================
+    // CONNECTION LIFECYCLE
+    // ==========================================
+
+    /**
+     * Handle transport opened
+     */
+    handleOpen(transport, index) {
+        const isReconnect = this.transportIndex !== null;
+
+        this.transport = transport;
+        this.transportIndex = index;
+        this.reconnectAttempts = 0;
+
+        console.log(`[RealtimeClient] Connected via ${transport}`);
+        this.setStatus('connected', { transport, isReconnect });
+    }
+
+    /**
+     * Handle transport closed unexpectedly
+     */
+    handleClose() {
+        this.transport = null;
+
+        if (!this.channel) return;
+
+        console.warn('[RealtimeClient] Connection lost');
+        this.scheduleReconnect();
+    }
+
+    /**
+     * Schedule reconnect with exponential backoff
+     */
+    scheduleReconnect() {
+        if (!this.channel || this.reconnectTimer) return;
+
+        const delay = Math.min(
+            this.baseReconnectDelay * Math.pow(2, this.reconnectAttempts),
+            this.maxReconnectDelay
+        );
+        this.reconnectAttempts++;
+
+        console.log(`[RealtimeClient] Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
+        this.setStatus('reconnecting', { delay, attempt: this.reconnectAttempts });
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.openTransport(this.transportIndex ?? 0);
+        }, delay);
+    }
+
+    /**
+     * Parse and dispatch an incoming message
+     */
+    handleMessage(raw) {
+        let message;
+
+        try {
+            message = JSON.parse(raw);
+        } catch {
+            console.warn('[RealtimeClient] Ignoring non-JSON message');
+            return;
+        }
+
+        if (!message || typeof message.type !== 'string') {
+            console.warn('[RealtimeClient] Ignoring message without type:', message);
+            return;
+        }
+
+        this.emit('message', {
+            type: message.type,
+            data: message.data || {},
+            sequence: Number.isInteger(message.sequence) ? message.sequence : null,
+            eventId: message.eventId || null
+        });
+    }
+
+    /**
+     * Update connection status and notify listeners
+     */
+    setStatus(status, details = {}) {
+        this.status = status;
+        this.emit('statusChange', { status, ...details });
+    }
+
+    // ==========================================
+    // EVENT SYSTEM
+    // ==========================================
+
+    /**
+     * Register event listener
+     */
+    on(eventName, callback) {
+        if (!this.listeners[eventName]) {
+            console.warn('[RealtimeClient] Unknown event:', eventName);
+            return;
+        }
+
+        this.listeners[eventName].push(callback);
+    }
+
+    /**
+     * Unregister event listener
+     */
+    off(eventName, callback) {
+        if (!this.listeners[eventName]) return;
+
+        const index = this.listeners[eventName].indexOf(callback);
+        if (index > -1) {
+            this.listeners[eventName].splice(index, 1);
+        }
+    }
+
+    /**
+     * Emit event to all listeners
+     */
+    emit(eventName, data) {
+        if (!this.listeners[eventName]) return;
+
+        for (let callback of this.listeners[eventName]) {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error('[RealtimeClient] Listener error:', error);
+            }
+        }
+    }
+}
+
+// Export singleton instance
+const realtimeClient = new RealtimeClient();
+export default realtimeClient;
@@ -0,0 +1,239 @@
+/**
+ * ScreenRouter.js - Single owner of which screen is showing
+ *
+ * RESPONSIBILITIES:
+ * - Map screen names (gameState.uiState.currentScreen) to .screen elements
+ * - Mount components when a screen is entered, destroy them when it's left
+ * - Guard illegal transitions (e.g. game without a session) by redirecting
+ * - Keep gameState.uiState.currentScreen in sync (snapshot restores it);
+ *   a setScreen() the guards refuse is reverted
+ * - Browser history entries so back navigation works inside the Activity
+ *
+ * ROUTES:
+ * - Registered by main.js (it owns the component instances):
+ *   router.register('lobby', { screenId, enter, leave, refresh, canEnter })
+ * - enter(): screen became visible (render components)
+ * - leave(): screen is being hidden (destroy components)
+ * - refresh(): navigate() to the screen that is already showing
+ * - canEnter(): true to allow, or the name of a screen to redirect to
+ * - Routes may share a screenId; the element then stays visible between them
+ *
+ * SOLO QUIZ:
+ * - app.js/quiz-app.js (classic scripts) keep calling switchScreen(); once
+ *   this module has loaded that goes through showScreenId()
+ *
+ * HISTORY:
+ * - Each navigation pushes { screen } with history.pushState (same URL)
+ * - Back/forward (popstate) navigates to the stored screen; if a guard
+ *   rejects it the entry is rewritten to the screen that stays showing
+ */
+
+import gameState from './GameState.js';
+
+class ScreenRouter {
+    constructor() {
+        this.routes = new Map();       // name → { screenId, enter, leave, refresh, canEnter }
+        this.current = null;           // Name of the screen showing
+        this.isNavigating = false;     // Re-entrant navigate() calls are deferred
+        this.pending = null;           // { name, options } queued while navigating
+
+        this.onPopState = this.onPopState.bind(this);
+        this.onStateChange = this.onStateChange.bind(this);
+
+        console.log('[ScreenRouter] Initialized');
+    }
+
+    /**
+     * Add a screen
+     */
+    register(name, route) {
+        this.routes.set(name, route);
+        return this;
+    }
+
+    /**
+     * Start routing from whichever screen the page is showing
+     */
+    initialize() {
+        const active = document.querySelector('.screen.active');
+        this.current = active ? this.getRouteName(active.id) : null;
+
+        gameState.on('stateChange', this.onStateChange);
+        window.addEventListener('popstate', this.onPopState);
+
+        if (this.current) {
+            history.replaceState({ screen: this.current }, '');
+            gameState.setScreen(this.current);
+        }
+
+        console.log('[ScreenRouter] Starting on:', this.current);
+    }
+
+    // ==========================================
+    // NAVIGATION
+    // ==========================================
+
+    /**
+     * Go to a screen
+     * Options: { replace } replaces the history entry instead of pushing
+     * Returns the screen actually shown (after redirects), or null
+     */
+    navigate(name, options = {}) {
+        // Components may trigger navigation while mounting; run it afterwards
+        if (this.isNavigating) {
+            this.pending = { name, options };
+            return null;
+        }
+
+        const target = this.resolve(name);
+        if (!target) return null;
+
+        this.isNavigating = true;
+
+        try {
+            if (target === this.current) {
+                this.routes.get(target).refresh?.();
+            } else {
+                this.transition(target, options.replace || target !== name);
+            }
+        } finally {
+            this.isNavigating = false;
+        }
+
+        if (this.pending) {
+            const { name: nextName, options: nextOptions } = this.pending;
+            this.pending = null;
+            return this.navigate(nextName, nextOptions);
+        }
+
+        return target;
+    }
+
+    /**
+     * Back one history entry (popstate does the navigating)
+     */
+    back() {
+        history.back();
+    }
+
+    /**
+     * Show a screen by element ID (switchScreen() from the solo quiz)
+     */
+    showScreenId(screenId) {
+        const name = this.getRouteName(screenId);
+
+        if (!name) {
+            console.warn('[ScreenRouter] No route for screen:', screenId);
+            return null;
+        }
+
+        return this.navigate(name);
+    }
+
+    /**
+     * Follow guards to the screen that may be shown (null if none)
+     */
+    resolve(name) {
+        const visited = new Set();
+
+        while (!visited.has(name)) {
+            visited.add(name);
+
+            const route = this.routes.get(name);
+            if (!route) {
+                console.warn('[ScreenRouter] Unknown screen:', name);
+                return null;
+            }
+
+            const allowed = route.canEnter ? route.canEnter() : true;
+            if (allowed === true) return name;
+
+            console.warn(`[ScreenRouter] Can't enter ${name}${typeof allowed === 'string' ? `, redirecting to ${allowed}` : ''}`);
+
+            if (typeof allowed !== 'string') return null;
+            name = allowed;
+        }
+
+        console.error('[ScreenRouter] Redirect loop at:', name);
+        return null;
+    }
+
+    /**
+     * Leave the current screen and enter the next
+     */
+    transition(name, replace) {
+        const previousName = this.current;
+        const previous = previousName ? this.routes.get(previousName) : null;
+        const next = this.routes.get(name);
+
+        console.log(`[ScreenRouter] ${previousName} → ${name}`);
+
+        previous?.leave?.();
+
+        if (previous?.screenId !== next.screenId) {
+            document.querySelectorAll('.screen.active').forEach(screen => screen.classList.remove('active'));
+            document.getElementById(next.screenId)?.classList.add('active');
+        }
+
+        this.current = name;
+
+        if (replace) {
+            history.replaceState({ screen: name }, '');
+        } else {
+            history.pushState({ screen: name }, '');
+        }
+
+        // Before enter() so components see the right screen
+        gameState.setScreen(name);
+
+        next.enter?.();
+    }
+
+    // ==========================================
+    // EVENT HANDLERS
+    // ==========================================
+
+    /**
+     * Back/forward button
+     */
+    onPopState(event) {
+        const name = event.state?.screen;
+        if (!name || name === this.current) return;
+
+        this.navigate(name, { replace: true });
+
+        // Guard refused or redirected: make this entry match what's showing
+        history.replaceState({ screen: this.current }, '');
+    }
+
+    /**
+     * Screen set through GameState (e.g. restoreSnapshot)
+     */
+    onStateChange(data) {
+        if (data.type === 'screenChanged' && data.screen !== this.current && !this.isNavigating) {
+            this.navigate(data.screen);
+
+            // Guard refused or redirected: uiState follows what's showing
+            gameState.setScreen(this.current);
+        }
+    }
+
+    // ==========================================
+    // HELPER METHODS
+    // ==========================================
+
+    /**
+     * First route using a screen element
+     */
+    getRouteName(screenId) {
+        for (const [name, route] of this.routes) {
+            if (route.screenId === screenId) return name;
+        }
+
+        return null;
+    }
+}
+
+// Export singleton instance
+const screenRouter = new ScreenRouter();
+export default screenRouter;
@@ -0,0 +1,141 @@
+/**
+ * StateHistory.js - Bounded session history for post-game replay
+ *
+ * RESPONSIBILITIES:
+ * - Record every applied event together with the session change it caused
+ * - Rebuild the session as it was after any recorded entry
+ * - Group entries by turn for turn-by-turn review
+ *
+ * STORAGE:
+ * - `base` is a copy of the session before the oldest kept entry
+ * - Each entry stores the JSON Patch from the previous state to its own
+ * - Rebuilding entry N applies patches 0..N to `base`
+ * - Past maxEntries, the oldest entry is folded into `base` and dropped
+ */
+
+import { applyPatch, createPatch } from './JsonPatch.js';
+
+class StateHistory {
+    constructor(maxEntries = 1000) {
+        this.maxEntries = maxEntries;
+        this.base = null;              // Session before entries[0]
+        this.lastState = null;         // Session after the newest entry
+        this.entries = [];             // { index, type, data, patch, timestamp, questionNumber, activePlayerId }
+        this.nextIndex = 0;            // Monotonic, survives trimming
+    }
+
+    /**
+     * Start a new history from a session
+     */
+    start(session) {
+        this.base = structuredClone(session);
+        this.lastState = structuredClone(session);
+        this.entries = [];
+        this.nextIndex = 0;
+    }
+
+    /**
+     * Drop all history
+     */
+    clear() {
+        this.base = null;
+        this.lastState = null;
+        this.entries = [];
+        this.nextIndex = 0;
+    }
+
+    /**
+     * Has history been started?
+     */
+    isActive() {
+        return this.base !== null;
+    }
+
+    /**
+     * Record an event and the session change since the previous entry
+     */
+    record(type, data, session) {
+        if (!this.isActive() || !session) return null;
+
+        const patch = createPatch(this.lastState, session);
+        const turn = session.currentTurn;
+
+        const entry = {
+            index: this.nextIndex++,
+            type,
+            data: data ? structuredClone(data) : null,
+            patch,
+            timestamp: Date.now(),
+            questionNumber: turn?.questionNumber ?? null,
+            activePlayerId: turn?.activePlayerId ?? null
+        };
+
+        this.entries.push(entry);
+        this.lastState = structuredClone(session);
+        this.trim();
+
+        return entry;
+    }
+
+    /**
+     * Fold oldest entries into base beyond maxEntries
+     */
+    trim() {
+        while (this.entries.length > this.maxEntries) {
+            const oldest = this.entries.shift();
+            this.base = applyPatch(this.base, oldest.patch);
+        }
+    }
+
+    /**
+     * Get all kept entries (oldest first)
+     */
+    getEntries() {
+        return this.entries;
+    }
+
+    /**
+     * Rebuild session after the entry at position (0-based within kept entries)
+     * Position -1 returns the base state
+     */
+    getStateAt(position) {
+        if (!this.isActive()) return null;
+
+        const last = Math.min(position, this.entries.length - 1);
+        let state = this.base;
+
+        for (let i = 0; i <= last; i++) {
+            state = applyPatch(state, this.entries[i].patch);
+        }
+
+        // applyPatch shares untouched objects with base: hand out a copy
+        return structuredClone(state);
+    }
+
+    /**
+     * Group kept entries into turns
+     * Returns [{ questionNumber, activePlayerId, startPosition, endPosition }]
+     */
+    getTurns() {
+        const turns = [];
+
+        this.entries.forEach((entry, position) => {
+            const current = turns[turns.length - 1];
+
+            if (!current || current.questionNumber !== entry.questionNumber) {
+                turns.push({
+                    questionNumber: entry.questionNumber,
+                    activePlayerId: entry.activePlayerId,
+                    startPosition: position,
+                    endPosition: position
+                });
+            } else {
+                current.endPosition = position;
+            }
+        });
+
+        return turns;
+    }
+}
+
+export default StateHistory;
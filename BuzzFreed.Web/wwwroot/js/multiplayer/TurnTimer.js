@@ -0,0 +1,111 @@
+/**
+ * TurnTimer.js - Shared countdown for the current turn
+ *
+ * RESPONSIBILITIES:
+ * - Count down turn.timeLimit from turn.startTime on the server's clock
+ *   (gameState.getTimeRemaining() uses ClockSync)
+ * - Emit one `timerTick` per displayed second for every component
+ * - Emit stateChange { type: 'timeUp' } once per turn when time runs out
+ *
+ * TIMING:
+ * - Checks every `tickRate` ms so the displayed second flips close to the
+ *   real boundary; listeners only hear about whole-second changes
+ * - Time is up when server time passes startTime + timeLimit, the same rule
+ *   the server uses to reject late answers (TurnState.IsTimedOut)
+ * - Runs only while the session is Active and the turn is in its
+ *   Question/Answering phase
+ *
+ * EVENTS (via GameState):
+ * - timerTick: { turnId, remaining, seconds }
+ * - stateChange: { type: 'timeUp', turnId }
+ */
+
+import gameState from './GameState.js';
+
+class TurnTimer {
+    constructor() {
+        this.tickRate = 250;
+
+        this.interval = null;
+        this.turnId = null;            // Turn being timed
+        this.lastSecond = null;        // Last whole second emitted
+        this.timeUpTurnId = null;      // Turn whose timeUp already fired
+
+        this.sync = this.sync.bind(this);
+
+        console.log('[TurnTimer] Initialized');
+    }
+
+    /**
+     * Follow turn and session changes
+     */
+    initialize() {
+        gameState.on('turnUpdate', this.sync);
+        gameState.on('sessionUpdate', this.sync);
+
+        this.sync();
+    }
+
+    /**
+     * Start, restart or stop counting for the current turn
+     */
+    sync() {
+        const session = gameState.session;
+        const turn = session?.currentTurn;
+
+        if (!turn || session.state !== 'Active' || !this.isTimedPhase(turn)) {
+            this.stop();
+            return;
+        }
+
+        if (turn.turnId !== this.turnId) {
+            this.stop();
+            this.turnId = turn.turnId;
+            this.lastSecond = null;
+        }
+
+        if (this.timeUpTurnId === turn.turnId) return;
+
+        if (!this.interval) {
+            this.interval = setInterval(() => this.tick(), this.tickRate);
+        }
+
+        this.tick();
+    }
+
+    tick() {
+        const remaining = gameState.getTimeRemaining();
+        const seconds = Math.ceil(remaining);
+
+        if (seconds !== this.lastSecond) {
+            this.lastSecond = seconds;
+            gameState.emit('timerTick', { turnId: this.turnId, remaining, seconds });
+        }
+
+        if (remaining <= 0) {
+            this.stop();
+            this.timeUpTurnId = this.turnId;
+
+            console.log('[TurnTimer] Time up:', this.turnId);
+            gameState.emit('stateChange', { type: 'timeUp', turnId: this.turnId });
+        }
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    /**
+     * Is time running in this phase? (missing phase counts as running)
+     */
+    isTimedPhase(turn) {
+        return !turn.phase || ['Question', 'Answering'].includes(turn.phase);
+    }
+}
+
+// Export singleton instance
+const turnTimer = new TurnTimer();
+export default turnTimer;
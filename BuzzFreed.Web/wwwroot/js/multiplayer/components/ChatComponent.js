@@ -0,0 +1,384 @@
+/**
+ * ChatComponent.js - Global and team chat during a game
+ *
+ * RESPONSIBILITIES:
+ * - Show chat messages for the session (gameState.chatMessages)
+ * - Split them into Global and Team tabs
+ * - Count unread messages on the tab that isn't showing
+ * - Send messages through apiClient.sendChat() with an optimistic echo
+ * - Keep players under a client-side rate limit
+ *
+ * UI ELEMENTS:
+ * - Global / Team tabs with unread badges (Team only when on a team)
+ * - Scrollable message list: time, sender, text
+ * - Text input with character count and send button
+ * - Rate limit notice
+ *
+ * TEAM CHAT:
+ * - Team messages carry the sender's teamId; the server only delivers them
+ *   to that team's players (and only accepts them from its members)
+ * - isVisible() still checks gameState.getCurrentTeam(), so messages from a
+ *   team we have since left stay hidden
+ * - Messages without a teamId are global
+ *
+ * SCROLLBACK:
+ * - GameState keeps the last chatLimit messages of the session
+ * - The list follows new messages only while scrolled to the bottom, so
+ *   reading older messages isn't interrupted
+ *
+ * RATE LIMIT:
+ * - At most `rateLimit.maxMessages` per `rateLimit.window` ms; extra sends
+ *   are refused locally with a countdown instead of reaching the server
+ */
+
+import gameState from '../GameState.js';
+import apiClient from '../ApiClient.js';
+import { escapeHtml, getTeamEmoji } from '../utils.js';
+
+class ChatComponent {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.isRendered = false;
+
+        this.tab = 'global';           // 'global' | 'team'
+        this.unread = { global: 0, team: 0 };
+        this.draft = '';
+        this.maxLength = 200;          // Server rejects longer messages
+
+        // Rate limit
+        this.rateLimit = { maxMessages: 5, window: 10000 };
+        this.sentAt = [];              // Send times inside the current window
+        this.notice = null;
+        this.noticeTimer = null;
+
+        // Bind event handlers (kept for off() in destroy)
+        this.onChatMessage = this.onChatMessage.bind(this);
+        this.onScroll = this.onScroll.bind(this);
+
+        console.log('[ChatComponent] Initialized');
+    }
+
+    /**
+     * Render chat UI
+     */
+    render() {
+        if (!this.container) return;
+
+        if (!this.isRendered) {
+            gameState.on('chatMessage', this.onChatMessage);
+        }
+
+        this.isRendered = true;
+
+        if (!gameState.session) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        if (!gameState.getCurrentTeam()) {
+            this.tab = 'global';
+        }
+
+        this.unread[this.tab] = 0;
+
+        this.container.innerHTML = `
+            <div class="chat">
+                <div class="section-header">
+                    <h3>💬 Chat</h3>
+                    <div id="chat-tabs" class="chat-tabs">
+                        ${this.renderTabs()}
+                    </div>
+                </div>
+
+                <ol id="chat-messages" class="chat-messages" aria-live="polite">
+                    ${this.renderMessages()}
+                </ol>
+
+                <div class="chat-notice" id="chat-notice">
+                    ${this.notice ? escapeHtml(this.notice) : ''}
+                </div>
+
+                <div class="chat-input">
+                    <input type="text"
+                           id="chat-input"
+                           placeholder="${this.tab === 'team' ? 'Message your team' : 'Message everyone'}"
+                           maxlength="${this.maxLength}"
+                           value="${escapeHtml(this.draft)}"
+                           oninput="chatComponent.handleInput(this.value)"
+                           onkeydown="if (event.key === 'Enter') chatComponent.handleSendClick()">
+                    <span class="char-count" id="chat-count">${this.draft.length}/${this.maxLength}</span>
+                    <button class="btn btn-primary btn-sm" onclick="chatComponent.handleSendClick()">
+                        Send
+                    </button>
+                </div>
+            </div>
+        `;
+
+        const list = document.getElementById('chat-messages');
+        list?.addEventListener('scroll', this.onScroll);
+        this.scrollToBottom();
+    }
+
+    /**
+     * Global tab, plus Team tab if we're on one
+     */
+    renderTabs() {
+        const team = gameState.getCurrentTeam();
+
+        const tab = (name, label) => `
+            <button class="tab-btn ${this.tab === name ? 'active' : ''}"
+                    onclick="chatComponent.handleTabSelect('${name}')">
+                ${label}
+                ${this.unread[name] ? `<span class="unread-badge">${this.unread[name]}</span>` : ''}
+            </button>
+        `;
+
+        return tab('global', 'Global') +
+            (team ? tab('team', `${getTeamEmoji(team.color)} ${escapeHtml(team.name)}`) : '');
+    }
+
+    renderMessages() {
+        const messages = this.getMessages(this.tab);
+
+        if (messages.length === 0) {
+            return `<li class="chat-empty">${this.tab === 'team' ? 'No team messages yet' : 'No messages yet'}</li>`;
+        }
+
+        return messages.map(message => this.renderMessage(message)).join('');
+    }
+
+    renderMessage(message) {
+        const isYou = message.playerId === gameState.currentPlayer?.userId;
+
+        return `
+            <li class="chat-message ${isYou ? 'is-you' : ''}">
+                <time class="chat-time" datetime="${escapeHtml(message.timestamp || '')}">
+                    ${this.formatTime(message.timestamp)}
+                </time>
+                <span class="chat-sender">${isYou ? 'You' : escapeHtml(this.getPlayerName(message.playerId))}</span>
+                <span class="chat-text">${escapeHtml(message.message)}</span>
+            </li>
+        `;
+    }
+
+    // ==========================================
+    // EVENT HANDLERS
+    // ==========================================
+
+    /**
+     * Tab click
+     */
+    handleTabSelect(tab) {
+        if (this.tab === tab) return;
+
+        this.tab = tab;
+        this.render();
+    }
+
+    /**
+     * Track input text (no re-render, keeps focus)
+     */
+    handleInput(value) {
+        this.draft = value.slice(0, this.maxLength);
+
+        const counter = document.getElementById('chat-count');
+        if (counter) {
+            counter.textContent = `${this.draft.length}/${this.maxLength}`;
+        }
+    }
+
+    /**
+     * Send button / Enter
+     */
+    async handleSendClick() {
+        const session = gameState.session;
+        const message = this.draft.trim();
+
+        if (!session || !message) return;
+
+        const wait = this.getRateLimitWait();
+        if (wait > 0) {
+            this.showNotice(`Slow down! You can send again in ${Math.ceil(wait / 1000)}s`);
+            return;
+        }
+
+        const team = this.tab === 'team' ? gameState.getCurrentTeam() : null;
+        const teamId = team ? team.teamId : null;
+
+        this.sentAt.push(Date.now());
+        this.draft = '';
+
+        const input = document.getElementById('chat-input');
+        if (input) {
+            input.value = '';
+            input.focus();
+        }
+        this.handleInput('');
+
+        gameState.optimisticSendChat(message, teamId);
+
+        try {
+            await apiClient.sendChat(session.sessionId, gameState.currentPlayer.userId, message, teamId);
+        } catch (error) {
+            // Transaction rollback removes the echo and reports the error
+            console.error('[ChatComponent] Failed to send message:', error);
+        }
+    }
+
+    /**
+     * Message added, confirmed or removed
+     */
+    onChatMessage({ message, isNew, removed }) {
+        if (!this.isRendered || !this.isVisible(message)) return;
+
+        const channel = this.getChannel(message);
+        const isYou = message.playerId === gameState.currentPlayer?.userId;
+
+        if (channel !== this.tab) {
+            if (isNew && !isYou) {
+                this.unread[channel]++;
+                this.refreshTabs();
+            }
+            return;
+        }
+
+        // Follow new messages only if we were already at the bottom (or sent it)
+        const follow = this.isAtBottom() || (isNew && isYou);
+
+        const list = document.getElementById('chat-messages');
+        if (list) {
+            list.innerHTML = this.renderMessages();
+        }
+
+        if (follow || removed) {
+            this.scrollToBottom();
+        } else if (isNew) {
+            // Reading older messages: count it until they scroll down
+            this.unread[channel]++;
+            this.refreshTabs();
+        }
+    }
+
+    /**
+     * Scrolled back down: nothing left unread here
+     */
+    onScroll() {
+        if (this.isAtBottom() && this.unread[this.tab]) {
+            this.unread[this.tab] = 0;
+            this.refreshTabs();
+        }
+    }
+
+    // ==========================================
+    // RATE LIMITING
+    // ==========================================
+
+    /**
+     * ms until another message may be sent (0 if now)
+     */
+    getRateLimitWait() {
+        const now = Date.now();
+        const { maxMessages, window } = this.rateLimit;
+
+        this.sentAt = this.sentAt.filter(time => now - time < window);
+
+        if (this.sentAt.length < maxMessages) return 0;
+
+        return window - (now - this.sentAt[0]);
+    }
+
+    /**
+     * Show a notice under the messages for a few seconds
+     */
+    showNotice(notice) {
+        this.notice = notice;
+
+        const element = document.getElementById('chat-notice');
+        if (element) {
+            element.textContent = notice;
+        }
+
+        clearTimeout(this.noticeTimer);
+        this.noticeTimer = setTimeout(() => {
+            this.notice = null;
+            this.noticeTimer = null;
+
+            const element = document.getElementById('chat-notice');
+            if (element) {
+                element.textContent = '';
+            }
+        }, 3000);
+    }
+
+    // ==========================================
+    // HELPER METHODS
+    // ==========================================
+
+    /**
+     * Messages for a tab, oldest first
+     */
+    getMessages(tab) {
+        return gameState.chatMessages.filter(message =>
+            this.isVisible(message) && this.getChannel(message) === tab
+        );
+    }
+
+    /**
+     * Global messages, or team messages for our own team
+     */
+    isVisible(message) {
+        if (!message.teamId) return true;
+
+        return message.teamId === gameState.getCurrentTeam()?.teamId;
+    }
+
+    getChannel(message) {
+        return message.teamId ? 'team' : 'global';
+    }
+
+    refreshTabs() {
+        const tabs = document.getElementById('chat-tabs');
+        if (tabs) {
+            tabs.innerHTML = this.renderTabs();
+        }
+    }
+
+    isAtBottom() {
+        const list = document.getElementById('chat-messages');
+        if (!list) return true;
+
+        return list.scrollHeight - list.scrollTop - list.clientHeight < 24;
+    }
+
+    scrollToBottom() {
+        const list = document.getElementById('chat-messages');
+        if (list) {
+            list.scrollTop = list.scrollHeight;
+        }
+    }
+
+    getPlayerName(playerId) {
+        return gameState.getPlayer(playerId)?.username || 'Someone';
+    }
+
+    formatTime(timestamp) {
+        const date = timestamp ? new Date(timestamp) : null;
+        if (!date || isNaN(date)) return '';
+
+        return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+
+    destroy() {
+        gameState.off('chatMessage', this.onChatMessage);
+        document.getElementById('chat-messages')?.removeEventListener('scroll', this.onScroll);
+
+        clearTimeout(this.noticeTimer);
+        this.noticeTimer = null;
+        this.notice = null;
+
+        this.isRendered = false;
+    }
+}
+
+// Export
+export default ChatComponent;
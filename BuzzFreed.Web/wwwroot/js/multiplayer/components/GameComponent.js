@@ -0,0 +1,317 @@
+/**
+ * GameComponent.js - Active gameplay UI (Hot Seat)
+ *
+ * RESPONSIBILITIES:
+ * - Show the current question and options from session.currentQuiz
+ * - Show whose turn it is and the turn timer
+ * - Let only the active player answer
+ * - Submit answers optimistically and show their status
+ * - Update live from turnUpdate/sessionUpdate events
+ *
+ * UI ELEMENTS:
+ * - Progress bar + "Question N of M"
+ * - Hot seat banner (your turn / who is answering)
+ * - Timer
+ * - Question text and answer buttons
+ * - Answer status (sending / locked in / not accepted)
+ *
+ * ANSWER STATES:
+ * - pending: optimistic answer shown, waiting for the server
+ * - confirmed: server accepted it (transaction committed or realtime
+ *   ANSWER_SUBMITTED replaced the optimistic response)
+ * - rejected: transaction rolled back; the player may try again while
+ *   the turn is still open
+ */
+
+import gameState from '../GameState.js';
+import apiClient from '../ApiClient.js';
+import { escapeHtml } from '../utils.js';
+
+class GameComponent {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.isRendered = false;
+
+        // Answer for the current turn
+        this.answer = null;            // { turnId, answerIndex, token, status, error }
+
+        // Bind event handlers (kept for off() in destroy)
+        this.onTurnUpdate = this.onTurnUpdate.bind(this);
+        this.onSessionUpdate = this.onSessionUpdate.bind(this);
+        this.onStateChange = this.onStateChange.bind(this);
+        this.onTimerTick = this.onTimerTick.bind(this);
+
+        console.log('[GameComponent] Initialized');
+    }
+
+    /**
+     * Render game UI
+     */
+    render() {
+        if (!this.container) return;
+
+        if (!this.isRendered) {
+            gameState.on('turnUpdate', this.onTurnUpdate);
+            gameState.on('sessionUpdate', this.onSessionUpdate);
+            gameState.on('stateChange', this.onStateChange);
+            gameState.on('timerTick', this.onTimerTick);
+        }
+
+        this.isRendered = true;
+
+        const session = gameState.session;
+        const turn = session?.currentTurn;
+        const question = gameState.getCurrentQuestion();
+
+        if (!session || !turn || !question) {
+            this.container.innerHTML = `
+                <div class="game">
+                    <div class="loading-spinner"></div>
+                    <p class="loading">Waiting for the next question...</p>
+                </div>
+            `;
+            return;
+        }
+
+        const totalQuestions = session.currentQuiz.questions.length;
+
+        this.container.innerHTML = `
+            <div class="game">
+                <!-- Progress -->
+                <div class="progress-bar">
+                    <div class="progress-fill" style="width: ${(turn.questionNumber / totalQuestions) * 100}%"></div>
+                </div>
+                <div class="question-counter">
+                    Question ${turn.questionNumber} of ${totalQuestions}
+                </div>
+
+                <!-- Hot Seat Banner -->
+                <div class="hot-seat-banner ${gameState.isActivePlayer() ? 'is-you' : ''}">
+                    ${gameState.isActivePlayer() ?
+                        '🔥 Your turn! Pick an answer' :
+                        `🔥 ${escapeHtml(this.getPlayerName(turn.activePlayerId))} is in the hot seat`}
+                    <span id="turn-timer" class="turn-timer ${gameState.getTimeRemaining() <= 5 ? 'urgent' : ''}">
+                        ${this.formatTime(gameState.getTimeRemaining())}
+                    </span>
+                </div>
+
+                <!-- Question -->
+                <div class="quiz-content">
+                    <h2 class="question-text">${escapeHtml(question.text)}</h2>
+                    <div class="answer-options">
+                        ${this.renderOptions(question, turn)}
+                    </div>
+                    ${this.renderAnswerStatus()}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render answer buttons
+     */
+    renderOptions(question, turn) {
+        const canAnswer = this.canAnswer();
+        const chosenIndex = this.getShownAnswerIndex(turn);
+
+        return question.options.map((option, index) => {
+            const letter = String.fromCharCode(65 + index); // A, B, C, D
+            const chosen = index === chosenIndex;
+
+            return `
+                <button class="answer-btn ${chosen ? `chosen ${this.getAnswerStatus(turn) || ''}` : ''}"
+                        ${canAnswer ? '' : 'disabled'}
+                        onclick="gameComponent.handleAnswerClick(${index})">
+                    <span class="answer-letter">${letter}</span>
+                    <span class="answer-text">${escapeHtml(option.replace(/^[A-D]\)\s*/, ''))}</span>
+                </button>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Render status line under the options
+     */
+    renderAnswerStatus() {
+        const turn = gameState.session?.currentTurn;
+        const status = this.getAnswerStatus(turn);
+
+        switch (status) {
+            case 'pending':
+                return '<p class="answer-status pending">Sending your answer...</p>';
+            case 'confirmed':
+                return '<p class="answer-status confirmed">✅ Answer locked in!</p>';
+            case 'rejected':
+                return `
+                    <p class="answer-status rejected">
+                        ❌ ${escapeHtml(this.answer.error || 'Your answer was not accepted')}
+                        ${this.canAnswer() ? ' - try again' : ''}
+                    </p>
+                `;
+            default:
+                if (!gameState.isActivePlayer() && turn?.responses?.some(r => r.playerId === turn.activePlayerId)) {
+                    return `<p class="answer-status confirmed">${escapeHtml(this.getPlayerName(turn.activePlayerId))} has answered</p>`;
+                }
+                return '';
+        }
+    }
+
+    // ==========================================
+    // EVENT HANDLERS
+    // ==========================================
+
+    /**
+     * Handle answer button click
+     */
+    async handleAnswerClick(answerIndex) {
+        if (!this.canAnswer()) return;
+
+        const session = gameState.session;
+        const turnId = session.currentTurn.turnId;
+
+        const token = gameState.optimisticSubmitAnswer(answerIndex);
+        if (!token) return;
+
+        this.answer = { turnId, answerIndex, token, status: 'pending', error: null };
+        this.render();
+
+        try {
+            await apiClient.submitAnswer(
+                session.sessionId,
+                gameState.currentPlayer.userId,
+                answerIndex
+            );
+
+            console.log('[GameComponent] Answer submitted');
+        } catch (error) {
+            // Status comes from the transaction (see onStateChange)
+            console.error('[GameComponent] Failed to submit answer:', error);
+        }
+    }
+
+    /**
+     * Turn data changed (responses, phase, timer)
+     */
+    onTurnUpdate() {
+        if (this.isRendered) {
+            this.render();
+        }
+    }
+
+    /**
+     * Session changed (new turn, scores, state)
+     */
+    onSessionUpdate() {
+        if (this.isRendered) {
+            this.render();
+        }
+    }
+
+    /**
+     * Track our answer transaction and turn changes
+     */
+    onStateChange(data) {
+        switch (data.type) {
+            case 'optimisticCommitted':
+                if (this.answer?.token === data.token) {
+                    this.answer.status = 'confirmed';
+                    this.render();
+                }
+                break;
+            case 'optimisticRolledBack':
+                if (this.answer?.token === data.token) {
+                    this.answer.status = 'rejected';
+                    this.answer.error = data.error;
+                    this.render();
+                }
+                break;
+            case 'turnChanged':
+                this.answer = null;
+                this.render();
+                break;
+            case 'timeUp':
+                this.render(); // Disable options
+                break;
+        }
+    }
+
+    /**
+     * Countdown tick from TurnTimer (no full re-render)
+     */
+    onTimerTick({ remaining }) {
+        const timer = document.getElementById('turn-timer');
+
+        if (timer) {
+            timer.textContent = this.formatTime(remaining);
+            timer.classList.toggle('urgent', remaining <= 5);
+        }
+    }
+
+    // ==========================================
+    // HELPER METHODS
+    // ==========================================
+
+    /**
+     * Can the local player answer right now?
+     */
+    canAnswer() {
+        const turn = gameState.session?.currentTurn;
+
+        if (!turn || !gameState.isActivePlayer()) return false;
+        if (turn.phase && !['Question', 'Answering'].includes(turn.phase)) return false;
+        if (gameState.getTimeRemaining() <= 0) return false;
+
+        // One answer per turn, unless the last one was rejected
+        const status = this.getAnswerStatus(turn);
+        return !status || status === 'rejected';
+    }
+
+    /**
+     * Status of the local player's answer for this turn (null if none)
+     */
+    getAnswerStatus(turn) {
+        if (!turn) return null;
+
+        const ownResponse = turn.responses?.find(r => r.playerId === gameState.currentPlayer?.userId);
+
+        // Server copy present (e.g. realtime event arrived first)
+        if (ownResponse && !ownResponse.isOptimistic) return 'confirmed';
+
+        if (this.answer?.turnId === turn.turnId) return this.answer.status;
+
+        return ownResponse ? 'pending' : null;
+    }
+
+    /**
+     * Which option to highlight: own answer, or the active player's for others
+     */
+    getShownAnswerIndex(turn) {
+        if (this.answer?.turnId === turn.turnId && this.answer.status !== 'rejected') {
+            return this.answer.answerIndex;
+        }
+
+        const response = turn.responses?.find(r => r.playerId === turn.activePlayerId);
+        return response ? response.answerIndex : null;
+    }
+
+    getPlayerName(playerId) {
+        return gameState.getPlayer(playerId)?.username || 'Someone';
+    }
+
+    formatTime(seconds) {
+        return seconds > 0 ? `⏱ ${Math.ceil(seconds)}s` : "⏱ Time's up";
+    }
+
+    destroy() {
+        gameState.off('turnUpdate', this.onTurnUpdate);
+        gameState.off('sessionUpdate', this.onSessionUpdate);
+        gameState.off('stateChange', this.onStateChange);
+        gameState.off('timerTick', this.onTimerTick);
+
+        this.answer = null;
+        this.isRendered = false;
+    }
+}
+
+// Export
+export default GameComponent;
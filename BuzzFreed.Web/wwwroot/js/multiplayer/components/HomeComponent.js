@@ -0,0 +1,404 @@
+/**
+ * HomeComponent.js - Multiplayer home (create/join room)
+ *
+ * RESPONSIBILITIES:
+ * - Show the mode picked for a new room (ModeSelectComponent picks it)
+ * - Create a room with the chosen mode
+ * - Join a room by code (validated before submitting)
+ * - Optional room password on create (private room) and join
+ * - Join the room an invite launched the Activity with (joinWithCode)
+ * - Hand the resulting room to GameState (which moves to the lobby)
+ *
+ * UI ELEMENTS:
+ * - Selected mode card (name, description, player range) + Browse modes button
+ * - Password input + create room button
+ * - Room code input + join button, password input
+ * - Error message
+ * - Back to solo quiz button
+ *
+ * ROOM CODES:
+ * - Format: 3 + 3 letters/digits, e.g. "ABC-123" (see RoomService.GenerateRoomCode)
+ * - Input is uppercased and the dash inserted while typing
+ */
+
+import gameState from '../GameState.js';
+import apiClient from '../ApiClient.js';
+import screenRouter from '../ScreenRouter.js';
+import { escapeHtml, modeIdToType, getModeFit } from '../utils.js';
+
+class HomeComponent {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.isRendered = false;
+
+        this.modes = [];
+        this.roomCode = '';
+        this.passwords = { create: '', join: '' };
+        this.maxPasswordLength = 32;
+        this.isSubmitting = false;
+        this.error = null;
+
+        this.modesRequest = null;      // AbortController for mode list
+
+        console.log('[HomeComponent] Initialized');
+    }
+
+    /**
+     * Render home UI
+     */
+    render() {
+        if (!this.container) return;
+
+        const codeValid = this.isValidCode(this.roomCode);
+
+        this.container.innerHTML = `
+            <div class="mp-home">
+                <div class="quiz-header">
+                    <h1>🎉 Party Mode</h1>
+                    <p class="subtitle">Play with your Discord friends</p>
+                </div>
+
+                <!-- Create Room -->
+                <div class="mp-panel">
+                    <h3>Create a Room</h3>
+                    <div class="mode-grid">
+                        ${this.renderSelectedMode()}
+                    </div>
+                    ${this.renderPasswordInput('create', 'Password (optional, makes the room private)')}
+                    <button class="btn btn-primary"
+                            ${this.isSubmitting || !this.getSelectedMode() ? 'disabled' : ''}
+                            onclick="homeComponent.handleCreateClick()">
+                        Create Room
+                    </button>
+                </div>
+
+                <!-- Join Room -->
+                <div class="mp-panel">
+                    <h3>Join a Room</h3>
+                    <div class="join-form">
+                        <input id="room-code-input"
+                               class="room-code-input"
+                               type="text"
+                               maxlength="7"
+                               placeholder="ABC-123"
+                               autocomplete="off"
+                               value="${this.roomCode}"
+                               oninput="homeComponent.handleCodeInput(this)"
+                               onkeydown="if (event.key === 'Enter') homeComponent.handleJoinClick()">
+                        <button id="join-btn"
+                                class="btn btn-primary"
+                                ${this.isSubmitting || !codeValid ? 'disabled' : ''}
+                                onclick="homeComponent.handleJoinClick()">
+                            Join
+                        </button>
+                    </div>
+                    ${this.renderPasswordInput('join', 'Password (private rooms only)')}
+                    <p id="room-code-hint" class="form-hint">${this.getCodeHint(this.roomCode)}</p>
+                </div>
+
+                ${this.error ? `<div class="form-error">${escapeHtml(this.error)}</div>` : ''}
+
+                <button class="btn btn-text" onclick="homeComponent.handleBackClick()">
+                    ← Back to solo quiz
+                </button>
+            </div>
+        `;
+
+        this.isRendered = true;
+
+        if (this.modes.length === 0 && !this.modesRequest) {
+            this.loadModes();
+        }
+    }
+
+    /**
+     * Card for the mode the room will be created with
+     */
+    renderSelectedMode() {
+        const mode = this.getSelectedMode();
+
+        if (!mode) {
+            return '<p class="loading">Loading game modes...</p>';
+        }
+
+        const { fits, reason } = getModeFit(mode, gameState.participantCount);
+
+        return `
+            <div class="mode-card selected ${fits ? '' : 'unfit'}">
+                <div class="mode-name">${escapeHtml(mode.displayName)}</div>
+                <div class="mode-description">${escapeHtml(mode.description)}</div>
+                <div class="mode-players">${mode.minPlayers}-${mode.maxPlayers} players</div>
+                ${reason ? `<div class="mode-fit">⚠️ ${escapeHtml(reason)}</div>` : ''}
+            </div>
+            <button class="btn btn-sm btn-secondary" onclick="homeComponent.handleBrowseModesClick()">
+                🎮 Browse modes
+            </button>
+        `;
+    }
+
+    /**
+     * Password field for creating ('create') or joining ('join')
+     */
+    renderPasswordInput(field, placeholder) {
+        const submit = field === 'create' ? 'handleCreateClick' : 'handleJoinClick';
+
+        return `
+            <input class="password-input"
+                   type="password"
+                   maxlength="${this.maxPasswordLength}"
+                   placeholder="${placeholder}"
+                   autocomplete="off"
+                   value="${escapeHtml(this.passwords[field])}"
+                   oninput="homeComponent.handlePasswordInput('${field}', this.value)"
+                   onkeydown="if (event.key === 'Enter') homeComponent.${submit}()">
+        `;
+    }
+
+    /**
+     * Fetch game modes for the cards
+     */
+    async loadModes() {
+        this.modesRequest = new AbortController();
+
+        try {
+            this.modes = await apiClient.getGameModes(null, { signal: this.modesRequest.signal });
+
+            if (!this.getSelectedMode() && this.modes.length > 0) {
+                gameState.setSelectedMode(this.modes[0].modeId);
+            }
+        } catch (error) {
+            if (apiClient.isCancelled(error)) return;
+
+            console.error('[HomeComponent] Failed to load modes:', error);
+
+            // Hot Seat is always available
+            this.modes = [{
+                modeId: 'hot-seat',
+                displayName: 'Hot Seat',
+                description: 'Take turns answering while everyone else watches and reacts',
+                minPlayers: 2,
+                maxPlayers: 10
+            }];
+            gameState.setSelectedMode('hot-seat');
+        } finally {
+            this.modesRequest = null;
+        }
+
+        if (this.isRendered) {
+            this.render();
+        }
+    }
+
+    // ==========================================
+    // EVENT HANDLERS
+    // ==========================================
+
+    /**
+     * Handle browse modes button click
+     */
+    handleBrowseModesClick() {
+        screenRouter.navigate('mode-select');
+    }
+
+    /**
+     * Format code while typing (no re-render, keeps focus)
+     */
+    handleCodeInput(input) {
+        this.roomCode = this.normalizeCode(input.value);
+        input.value = this.roomCode;
+
+        const joinBtn = document.getElementById('join-btn');
+        if (joinBtn) {
+            joinBtn.disabled = this.isSubmitting || !this.isValidCode(this.roomCode);
+        }
+
+        const hint = document.getElementById('room-code-hint');
+        if (hint) {
+            hint.textContent = this.getCodeHint(this.roomCode);
+        }
+    }
+
+    /**
+     * Track password text (no re-render, keeps focus)
+     */
+    handlePasswordInput(field, value) {
+        this.passwords[field] = value.slice(0, this.maxPasswordLength);
+    }
+
+    /**
+     * Handle create room button click
+     */
+    async handleCreateClick() {
+        const mode = this.getSelectedMode();
+        if (this.isSubmitting || !mode) return;
+
+        const player = gameState.currentPlayer;
+        if (!player) {
+            this.showError('Still connecting to Discord...');
+            return;
+        }
+
+        this.setSubmitting(true);
+
+        try {
+            const room = await apiClient.createRoom(
+                player.userId,
+                player.username,
+                player.guildId,
+                modeIdToType(mode.modeId),
+                this.passwords.create || null
+            );
+
+            console.log('[HomeComponent] Room created:', room.roomCode);
+            this.reset();
+            gameState.setRoom(room);
+        } catch (error) {
+            console.error('[HomeComponent] Failed to create room:', error);
+            this.showError(error.message);
+        } finally {
+            this.setSubmitting(false);
+        }
+    }
+
+    /**
+     * Handle join button click
+     */
+    async handleJoinClick() {
+        if (this.isSubmitting) return;
+
+        const code = this.normalizeCode(this.roomCode);
+
+        if (!this.isValidCode(code)) {
+            this.showError('Room codes look like ABC-123');
+            return;
+        }
+
+        const player = gameState.currentPlayer;
+        if (!player) {
+            this.showError('Still connecting to Discord...');
+            return;
+        }
+
+        this.setSubmitting(true);
+
+        try {
+            // Look the room up first for a clearer error than the join endpoint gives
+            const room = await apiClient.getRoomByCode(code);
+            const problem = this.getJoinProblem(room, player.userId);
+
+            if (problem) {
+                throw new Error(problem);
+            }
+
+            const joined = await apiClient.joinRoom(code, player.userId, player.username, this.passwords.join || null);
+
+            console.log('[HomeComponent] Joined room:', joined.roomCode);
+            this.reset();
+            gameState.setRoom(joined);
+        } catch (error) {
+            console.error('[HomeComponent] Failed to join room:', error);
+            this.showError(error.message === 'Resource not found' ?
+                `No room found with code ${code}` :
+                error.message);
+        } finally {
+            this.setSubmitting(false);
+        }
+    }
+
+    /**
+     * Join a room from an invite link
+     * Goes through the normal join flow, so problems (private, full, started)
+     * show up here with the code filled in
+     */
+    async joinWithCode(code) {
+        this.roomCode = this.normalizeCode(code);
+
+        if (this.isRendered) {
+            this.render();
+        }
+
+        await this.handleJoinClick();
+    }
+
+    /**
+     * Back to the solo quiz start screen
+     */
+    handleBackClick() {
+        screenRouter.navigate('quiz-start');
+    }
+
+    // ==========================================
+    // HELPER METHODS
+    // ==========================================
+
+    /**
+     * Why this room can't be joined (null if it can)
+     */
+    getJoinProblem(room, userId) {
+        // Rejoining your own room is always fine
+        if (room.players.some(p => p.userId === userId)) return null;
+
+        if (room.state !== 'Lobby') return 'That game has already started';
+        if (room.players.length >= room.maxPlayers) return 'That room is full';
+        if (room.hasPassword && !this.passwords.join) return 'That room is private: enter its password';
+
+        return null;
+    }
+
+    /**
+     * Uppercase, drop anything but letters/digits, insert dash: "abc12" → "ABC-12"
+     */
+    normalizeCode(value) {
+        const chars = (value || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 6);
+        return chars.length > 3 ? `${chars.slice(0, 3)}-${chars.slice(3)}` : chars;
+    }
+
+    isValidCode(code) {
+        return /^[A-Z0-9]{3}-[A-Z0-9]{3}$/.test(code);
+    }
+
+    getCodeHint(code) {
+        if (!code) return 'Ask the host for the room code';
+        if (!this.isValidCode(code)) return 'Room codes are 6 letters or digits';
+        return 'Press Join or Enter';
+    }
+
+    setSubmitting(isSubmitting) {
+        this.isSubmitting = isSubmitting;
+        if (isSubmitting) {
+            this.error = null;
+        }
+
+        if (this.isRendered) {
+            this.render();
+        }
+    }
+
+    showError(message) {
+        this.error = message;
+        gameState.setError(message);
+
+        if (this.isRendered) {
+            this.render();
+        }
+    }
+
+    getSelectedMode() {
+        return this.modes.find(mode => mode.modeId === gameState.uiState.selectedMode) || null;
+    }
+
+    reset() {
+        this.roomCode = '';
+        this.passwords = { create: '', join: '' };
+        this.error = null;
+    }
+
+    destroy() {
+        this.modesRequest?.abort();
+        this.modesRequest = null;
+        this.isRendered = false;
+    }
+}
+
+// Export
+export default HomeComponent;
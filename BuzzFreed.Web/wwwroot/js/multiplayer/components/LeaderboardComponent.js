@@ -0,0 +1,417 @@
+/**
+ * LeaderboardComponent.js - Live scores during the game
+ *
+ * RESPONSIBILITIES:
+ * - Rank players (and teams, in team modes) by score
+ * - Highlight the current player (and their team)
+ * - Animate rank changes and show score deltas
+ * - Announce lead changes
+ * - Seed from apiClient.getLeaderboard() when a session is joined
+ *
+ * UI ELEMENTS:
+ * - Players / Teams tabs (team modes only)
+ * - Lead change banner
+ * - Ranked list: rank, name, score, +delta
+ *
+ * DATA:
+ * - Scores come from whichever arrived last: session.scores (SCORE_UPDATE,
+ *   patches) or the server leaderboard (LEADERBOARD_UPDATE, seed request)
+ * - Team scores come from session.teams
+ * - Tied scores share a rank (1, 1, 3)
+ *
+ * ANIMATION:
+ * - Rows are re-rendered, then slid from their old position (FLIP)
+ * - Deltas are shown once, on the render that follows the change
+ */
+
+import gameState from '../GameState.js';
+import apiClient from '../ApiClient.js';
+import { escapeHtml, getTeamEmoji } from '../utils.js';
+
+class LeaderboardComponent {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.isRendered = false;
+
+        this.view = 'players';         // 'players' | 'teams'
+        this.scores = {};              // playerId → score
+        this.names = {};               // playerId → name (from the server leaderboard)
+
+        // Last shown state, for deltas and lead changes
+        this.previous = { players: new Map(), teams: new Map() }; // id → { rank, score }
+        this.leaders = { players: null, teams: null };
+        this.changes = null;           // id → { delta, moved } for the next render
+
+        this.announcement = null;
+        this.announcementTimer = null;
+        this.announcementDuration = 4000;
+
+        this.seededSessionId = null;
+        this.seedRequest = null;       // AbortController for the seed request
+
+        // Bind event handlers (kept for off() in destroy)
+        this.onSessionUpdate = this.onSessionUpdate.bind(this);
+        this.onStateChange = this.onStateChange.bind(this);
+
+        console.log('[LeaderboardComponent] Initialized');
+    }
+
+    /**
+     * Render leaderboard UI
+     */
+    render() {
+        if (!this.container) return;
+
+        const session = gameState.session;
+
+        if (!this.isRendered) {
+            gameState.on('sessionUpdate', this.onSessionUpdate);
+            gameState.on('stateChange', this.onStateChange);
+
+            this.scores = { ...(session?.scores || {}) };
+            this.remember();
+        }
+
+        this.isRendered = true;
+
+        if (!session) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        if (this.seededSessionId !== session.sessionId) {
+            this.seed(session.sessionId);
+        }
+
+        const hasTeams = this.hasTeams();
+        if (!hasTeams) {
+            this.view = 'players';
+        }
+
+        const rankings = this.getRankings(this.view);
+        const positions = this.capturePositions();
+
+        this.container.innerHTML = `
+            <div class="leaderboard">
+                <div class="section-header">
+                    <h3>🏆 Leaderboard</h3>
+                    ${hasTeams ? `
+                        <div class="leaderboard-tabs">
+                            <button class="tab-btn ${this.view === 'players' ? 'active' : ''}"
+                                    onclick="leaderboardComponent.handleViewSelect('players')">
+                                Players
+                            </button>
+                            <button class="tab-btn ${this.view === 'teams' ? 'active' : ''}"
+                                    onclick="leaderboardComponent.handleViewSelect('teams')">
+                                Teams
+                            </button>
+                        </div>
+                    ` : ''}
+                </div>
+
+                <div class="lead-announcement" aria-live="polite">
+                    ${this.announcement ? escapeHtml(this.announcement) : ''}
+                </div>
+
+                <ol class="leaderboard-list">
+                    ${rankings.map(entry => this.renderEntry(entry)).join('')}
+                </ol>
+            </div>
+        `;
+
+        this.animate(positions);
+        this.changes = null;
+    }
+
+    /**
+     * Render one ranked row
+     */
+    renderEntry(entry) {
+        const change = this.changes?.get(`${this.view}:${entry.id}`);
+        const delta = change?.delta || 0;
+
+        return `
+            <li class="leaderboard-entry ${entry.isYou ? 'is-you' : ''} ${change?.moved || ''}"
+                data-id="${escapeHtml(entry.id)}">
+                <span class="leaderboard-rank">${entry.rank}</span>
+                <span class="leaderboard-name">
+                    ${entry.color ? getTeamEmoji(entry.color) : ''}
+                    ${escapeHtml(entry.name)}${entry.isYou && this.view === 'players' ? ' (you)' : ''}
+                </span>
+                <span class="leaderboard-score">${entry.score}</span>
+                ${delta ? `
+                    <span class="score-delta ${delta > 0 ? 'up' : 'down'}">${delta > 0 ? '+' : ''}${delta}</span>
+                ` : ''}
+            </li>
+        `;
+    }
+
+    // ==========================================
+    // EVENT HANDLERS
+    // ==========================================
+
+    /**
+     * Tab click (team modes)
+     */
+    handleViewSelect(view) {
+        if (this.view === view) return;
+
+        this.view = view;
+        this.render();
+    }
+
+    /**
+     * Scores, teams or players changed in the session
+     */
+    onSessionUpdate({ session, paths }) {
+        if (!this.isRendered || !session) return;
+
+        const relevant = ['/session/scores', '/session/teams', '/session/players']
+            .some(pointer => gameState.hasPathChanged(paths, pointer));
+        if (!relevant) return;
+
+        this.scores = { ...(session.scores || {}) };
+        this.update();
+    }
+
+    /**
+     * Server leaderboard arrived (seed or LEADERBOARD_UPDATE)
+     */
+    onStateChange(data) {
+        if (data.type !== 'leaderboardUpdated' || !this.isRendered) return;
+
+        const entries = data.leaderboard.entries || [];
+
+        this.scores = Object.fromEntries(entries.map(entry => [entry.playerId, entry.score]));
+        entries.forEach(entry => {
+            this.names[entry.playerId] = entry.playerName;
+        });
+
+        this.update();
+    }
+
+    // ==========================================
+    // RANKINGS
+    // ==========================================
+
+    /**
+     * Work out deltas, moves and lead changes, then re-render
+     */
+    update() {
+        this.changes = new Map();
+
+        ['players', 'teams'].forEach(view => {
+            const rankings = this.getRankings(view);
+            const previous = this.previous[view];
+
+            rankings.forEach(entry => {
+                const before = previous.get(entry.id);
+                if (!before) return;
+
+                const delta = entry.score - before.score;
+                const moved = entry.rank < before.rank ? 'moved-up' :
+                    entry.rank > before.rank ? 'moved-down' : '';
+
+                if (delta || moved) {
+                    this.changes.set(`${view}:${entry.id}`, { delta, moved });
+                }
+            });
+
+            this.checkLeadChange(view, rankings);
+        });
+
+        this.remember();
+        this.render();
+    }
+
+    /**
+     * Announce a new outright leader (not on the first scores, not on ties)
+     */
+    checkLeadChange(view, rankings) {
+        const [first, second] = rankings;
+        const hadLeader = this.leaders[view] !== null;
+
+        if (!first || first.score <= 0 || (second && second.score === first.score)) return;
+        if (first.id === this.leaders[view]) return;
+
+        if (hadLeader) {
+            const isYou = first.isYou && view === 'players';
+            this.announce(isYou ? '👑 You take the lead!' : `👑 ${first.name} takes the lead!`);
+        }
+    }
+
+    /**
+     * Store current ranks/scores/leaders to compare against next time
+     */
+    remember() {
+        ['players', 'teams'].forEach(view => {
+            const rankings = this.getRankings(view);
+            const [first, second] = rankings;
+
+            this.previous[view] = new Map(rankings.map(entry => [entry.id, { rank: entry.rank, score: entry.score }]));
+
+            // Ties keep the previous leader
+            if (first && first.score > 0 && (!second || second.score < first.score)) {
+                this.leaders[view] = first.id;
+            }
+        });
+    }
+
+    /**
+     * Ranked entries for players or teams
+     */
+    getRankings(view) {
+        const entries = view === 'teams' ? this.getTeamEntries() : this.getPlayerEntries();
+
+        entries.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+
+        // Competition ranking: ties share a rank
+        entries.forEach((entry, index) => {
+            entry.rank = index > 0 && entry.score === entries[index - 1].score ?
+                entries[index - 1].rank :
+                index + 1;
+        });
+
+        return entries;
+    }
+
+    getPlayerEntries() {
+        const userId = gameState.currentPlayer?.userId;
+        const players = gameState.session?.players || [];
+        const ids = new Set([...players.map(p => p.userId), ...Object.keys(this.scores)]);
+
+        return [...ids].map(id => ({
+            id,
+            name: players.find(p => p.userId === id)?.username || this.names[id] || 'Unknown',
+            score: this.scores[id] ?? 0,
+            isYou: id === userId
+        }));
+    }
+
+    getTeamEntries() {
+        const userId = gameState.currentPlayer?.userId;
+        const teams = Object.values(gameState.session?.teams || {});
+
+        return teams.map(team => ({
+            id: team.teamId,
+            name: team.name,
+            color: team.color,
+            score: team.score ?? team.playerIds.reduce((sum, id) => sum + (this.scores[id] ?? 0), 0),
+            isYou: team.playerIds.includes(userId)
+        }));
+    }
+
+    hasTeams() {
+        return Object.keys(gameState.session?.teams || {}).length > 0;
+    }
+
+    // ==========================================
+    // DATA LOADING
+    // ==========================================
+
+    /**
+     * Fetch the leaderboard once per session (late join, reload)
+     */
+    async seed(sessionId) {
+        this.seededSessionId = sessionId;
+
+        this.seedRequest?.abort();
+        this.seedRequest = new AbortController();
+
+        try {
+            const leaderboard = await apiClient.getLeaderboard(sessionId, { signal: this.seedRequest.signal });
+
+            if (gameState.session?.sessionId === sessionId) {
+                gameState.setLeaderboard(leaderboard);
+            }
+        } catch (error) {
+            if (apiClient.isCancelled(error)) return;
+
+            // Live score events will fill it in
+            console.error('[LeaderboardComponent] Failed to load leaderboard:', error);
+        }
+
+        this.seedRequest = null;
+    }
+
+    // ==========================================
+    // HELPER METHODS
+    // ==========================================
+
+    /**
+     * Show a lead change for a few seconds
+     */
+    announce(message) {
+        this.announcement = message;
+
+        clearTimeout(this.announcementTimer);
+        this.announcementTimer = setTimeout(() => {
+            this.announcement = null;
+            this.announcementTimer = null;
+
+            const banner = this.container?.querySelector('.lead-announcement');
+            if (banner) {
+                banner.textContent = '';
+            }
+        }, this.announcementDuration);
+    }
+
+    /**
+     * Row positions before a re-render (id → top)
+     */
+    capturePositions() {
+        const positions = new Map();
+
+        this.container.querySelectorAll('.leaderboard-entry').forEach(row => {
+            positions.set(row.dataset.id, row.getBoundingClientRect().top);
+        });
+
+        return positions;
+    }
+
+    /**
+     * Slide rows from their old position to the new one
+     */
+    animate(positions) {
+        if (positions.size === 0) return;
+
+        this.container.querySelectorAll('.leaderboard-entry').forEach(row => {
+            const oldTop = positions.get(row.dataset.id);
+            if (oldTop === undefined) return;
+
+            const offset = oldTop - row.getBoundingClientRect().top;
+            if (!offset) return;
+
+            row.style.transition = 'none';
+            row.style.transform = `translateY(${offset}px)`;
+            void row.offsetHeight; // Apply the offset before transitioning back
+
+            row.style.transition = '';
+            row.style.transform = '';
+        });
+    }
+
+    destroy() {
+        gameState.off('sessionUpdate', this.onSessionUpdate);
+        gameState.off('stateChange', this.onStateChange);
+
+        this.seedRequest?.abort();
+        this.seedRequest = null;
+        this.seededSessionId = null;
+
+        clearTimeout(this.announcementTimer);
+        this.announcementTimer = null;
+        this.announcement = null;
+
+        this.scores = {};
+        this.names = {};
+        this.previous = { players: new Map(), teams: new Map() };
+        this.leaders = { players: null, teams: null };
+        this.changes = null;
+        this.view = 'players';
+        this.isRendered = false;
+    }
+}
+
+// Export
+export default LeaderboardComponent;
@@ -5,16 +5,27 @@
  * - Display room code and join instructions
  * - Show player list with ready states
  * - Display and manage team assignments (if team mode)
- * - Show quiz customization settings
+ * - Show quiz customization settings (host edits, others see a summary)
  * - Handle ready button toggle
+ * - Copy the room code and open Discord's invite dialog (Invites.js)
  * - Handle start game button (host only)
+ * - Host moderation: kick a player, make another player host
+ * - Host: switch game mode (ModeSelectComponent)
  * - Show player count and mode requirements
+ * - Load the room's mode metadata (name, rules, player range, teams)
  *
  * UI ELEMENTS:
- * - Room code display (large, copyable)
+ * - Room code display (large, click to copy)
+ * - Invite friends button + status line
  * - Player list with avatars and ready indicators
- * - Team assignment UI (if team mode)
- * - Quiz settings panel (expandable)
+ * - Kick / Make host buttons on other players' rows (host only)
+ * - 🔒 badge on private (password) rooms
+ * - Team summary + Form Teams button (if team mode)
+ * - Quiz settings panel: topic (random/category/custom prompt), question
+ *   style, difficulty, count, image style and mood, personality results,
+ *   result depth (incl. roast mode)
+ * - Presets (host): templates, personal and server presets; apply in one
+ *   click, save the edited settings as a preset, rename, delete (QuizPresets.js)
  * - Ready button (toggle)
  * - Start game button (host only, disabled until requirements met)
  * - Leave room button
@@ -24,30 +35,69 @@
  * - Ready state animations
  * - Start button enabled only when:
  *   - User is host
- *   - Enough players for mode
+ *   - Player count within the mode's range
+ *   - Teams formed (team modes)
  *   - All players ready (or host forces)
- * - Team balance indicators
+ * - Team balance warnings (TeamSelectComponent forms the teams)
+ * - Host controls move with the host (transfer, or host left)
+ *
+ * MODE METADATA:
+ * - apiClient.getGameModes() (cached), the entry for room.gameMode
+ * - The full list, not getGameModes(playerCount): that one drops the
+ *   room's own mode while there are too few players for it
+ * - Drives the mode header, mode rules panel, start requirements and
+ *   whether the team section is shown
+ * - Reloaded when the room's mode changes
  *
- * TODO: Add room password UI
- * TODO: Add kick player button (host only)
- * TODO: Add transfer host button
- * TODO: Add invite link generation
  * TODO: Add voice channel integration
  */
 
 import gameState from '../GameState.js';
 import apiClient from '../ApiClient.js';
+import invites from '../Invites.js';
+import screenRouter from '../ScreenRouter.js';
+import quizPresets, { MAX_PRESET_NAME_LENGTH } from '../QuizPresets.js';
+import {
+    QUIZ_OPTIONS,
+    QUESTION_LIMITS,
+    MAX_CUSTOM_PROMPT_LENGTH,
+    normalizeQuizSettings,
+    validateQuizSettings,
+    getOptionLabel,
+    describeTopic
+} from '../QuizSettings.js';
+import { escapeHtml, modeTypeToId, getModeRules, getTeamEmoji, getTeamBalanceWarnings } from '../utils.js';
 
 class LobbyComponent {
     constructor(containerId) {
         this.container = document.getElementById(containerId);
         this.isRendered = false;
 
+        this.inviteStatus = null;      // "Copied!" etc. under the room code
+        this.inviteStatusTimer = null;
+
+        this.settingsDraft = null;     // Unsaved quiz settings (host), null = room's
+        this.isSavingSettings = false;
+
+        this.presetName = '';          // Save-as input
+        this.presetShared = false;     // Save to the Discord server, not this browser
+        this.presetStatus = null;
+        this.presetError = null;
+        this.isPresetBusy = false;
+        this.presetsLoaded = false;    // Server presets fetched this visit
+        this.presetsRequest = null;    // AbortController while fetching them
+
+        this.modeConfig = null;        // Room's mode from the registry (GameModeInfo)
+        this.modeRequest = null;       // AbortController while loading it
+
         // Bind event handlers
         this.handleReadyClick = this.handleReadyClick.bind(this);
         this.handleStartClick = this.handleStartClick.bind(this);
         this.handleLeaveClick = this.handleLeaveClick.bind(this);
         this.handleSettingsChange = this.handleSettingsChange.bind(this);
+        this.handleSettingInput = this.handleSettingInput.bind(this);
+        this.handleApplyPreset = this.handleApplyPreset.bind(this);
+        this.handleSavePreset = this.handleSavePreset.bind(this);
         this.handleTeamSelect = this.handleTeamSelect.bind(this);
 
         // Subscribe to game state updates
@@ -69,27 +119,47 @@ class LobbyComponent {
         const isHost = gameState.isHost();
         const currentPlayer = gameState.currentPlayer;
 
+        if (this.modeConfig?.modeId !== modeTypeToId(room.gameMode) && !this.modeRequest) {
+            this.loadModeConfig();
+        }
+
+        if (isHost && room.guildId && !this.presetsLoaded && !this.presetsRequest) {
+            this.loadPresets();
+        }
+
         this.container.innerHTML = `
             <div class="lobby">
                 <!-- Room Header -->
                 <div class="lobby-header">
-                    <h1>Room Lobby</h1>
+                    <h1>Room Lobby ${room.hasPassword ? '<span class="private-badge" title="Password required to join">🔒</span>' : ''}</h1>
                     <div class="room-code-container">
                         <span class="label">Room Code:</span>
-                        <div class="room-code" onclick="copyRoomCode()">
+                        <div class="room-code" title="Copy room code" onclick="lobbyComponent.handleCopyCodeClick()">
                             ${room.roomCode}
                             <span class="copy-icon">📋</span>
                         </div>
                     </div>
+                    <button class="btn btn-sm btn-primary" onclick="lobbyComponent.handleInviteClick()">
+                        📨 Invite Friends
+                    </button>
+                    <p id="invite-status" class="form-hint" aria-live="polite">
+                        ${this.inviteStatus ? escapeHtml(this.inviteStatus) : ''}
+                    </p>
                 </div>
 
                 <!-- Mode Info -->
                 <div class="mode-info">
-                    <h3>${this.getModeName(room.gameMode)}</h3>
-                    <p>${this.getModeDescription(room.gameMode)}</p>
+                    <h3>${escapeHtml(this.getModeName(room.gameMode))}</h3>
+                    <p>${escapeHtml(this.getModeDescription(room.gameMode))}</p>
                     <div class="player-count">
                         ${room.players.length}/${room.maxPlayers} Players
                     </div>
+                    ${this.renderModeRules()}
+                    ${isHost ? `
+                        <button class="btn btn-sm btn-secondary" onclick="lobbyComponent.handleChangeModeClick()">
+                            🔀 Change mode
+                        </button>
+                    ` : ''}
                 </div>
 
                 <!-- Team Assignment (if team mode) -->
@@ -145,29 +215,54 @@ class LobbyComponent {
         // TODO: Start player count animation
     }
 
+    /**
+     * Render the mode's rules (from its registry config)
+     */
+    renderModeRules() {
+        if (!this.modeConfig) return '';
+
+        const rules = getModeRules(this.modeConfig, gameState.room.quizSettings?.questionCount || 10);
+
+        return `
+            <dl class="mode-rules">
+                ${rules.map(([label, value]) => `
+                    <div>
+                        <dt>${escapeHtml(label)}</dt>
+                        <dd>${escapeHtml(value)}</dd>
+                    </div>
+                `).join('')}
+            </dl>
+        `;
+    }
+
     /**
      * Render team assignment section
+     * Summary only; teams are formed on the team select screen
      */
     renderTeamSection() {
-        // TODO: Check if mode requires teams
-        const requiresTeams = false; // Get from mode config
+        const room = gameState.room;
 
-        if (!requiresTeams) {
+        if (!this.modeRequiresTeams()) {
             return '';
         }
 
-        const room = gameState.room;
-        const teams = room.teams || {};
+        const teams = Object.values(room.teams || {});
+        const warnings = getTeamBalanceWarnings(room);
 
         return `
             <div class="team-section">
-                <h3>Team Assignment</h3>
+                <div class="section-header">
+                    <h3>Teams</h3>
+                    <button class="btn btn-sm btn-secondary" onclick="lobbyComponent.handleFormTeamsClick()">
+                        🧩 ${gameState.isHost() ? 'Form Teams' : 'Pick a Team'}
+                    </button>
+                </div>
                 <div class="teams">
-                    ${Object.values(teams).map(team => `
+                    ${teams.map(team => `
                         <div class="team team-${team.color.toLowerCase()}"
-                             onclick="lobbyComponent.handleTeamSelect('${team.teamId}')">
+                             onclick="lobbyComponent.handleTeamSelect('${escapeHtml(team.teamId)}')">
                             <div class="team-header">
-                                <span class="team-name">${team.name}</span>
+                                <span class="team-name">${getTeamEmoji(team.color)} ${escapeHtml(team.name)}</span>
                                 <span class="team-count">${team.playerIds.length} players</span>
                             </div>
                             <div class="team-players">
@@ -175,9 +270,9 @@ class LobbyComponent {
                                     const player = this.getPlayer(playerId);
                                     return player ? `
                                         <div class="team-player">
-                                            <img src="${player.avatarUrl || '/img/default-avatar.png'}"
-                                                 alt="${player.username}">
-                                            <span>${player.username}</span>
+                                            <img src="${escapeHtml(player.avatarUrl || '/img/default-avatar.png')}"
+                                                 alt="${escapeHtml(player.username)}">
+                                            <span>${escapeHtml(player.username)}</span>
                                         </div>
                                     ` : '';
                                 }).join('')}
@@ -185,12 +280,15 @@ class LobbyComponent {
                         </div>
                     `).join('')}
                 </div>
+                ${warnings.length > 0 ? `
+                    <ul class="balance-warnings">
+                        ${warnings.map(warning => `
+                            <li class="${warning.blocking ? 'unmet' : 'warning'}">⚠️ ${escapeHtml(warning.text)}</li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
             </div>
         `;
-
-        // TODO: Add team creation UI for host
-        // TODO: Add team balance indicator
-        // TODO: Add auto-balance button
     }
 
     /**
@@ -198,6 +296,7 @@ class LobbyComponent {
      */
     renderPlayerList() {
         const room = gameState.room;
+        const isHost = gameState.isHost();
 
         return room.players.map(player => `
             <div class="player-item ${player.isReady ? 'ready' : ''} ${player.role === 'Host' ? 'host' : ''}">
@@ -215,76 +314,238 @@ class LobbyComponent {
                         '<span class="ready-indicator">✓ Ready</span>' :
                         '<span class="not-ready-indicator">⏳ Not Ready</span>'}
                 </div>
+                ${isHost && player.userId !== gameState.currentPlayer.userId ? this.renderHostActions(player) : ''}
             </div>
         `).join('');
 
         // TODO: Add player animations
-        // TODO: Add kick button for host
         // TODO: Add player stats tooltip
     }
 
+    /**
+     * Kick / Make host buttons for another player's row (host only)
+     */
+    renderHostActions(player) {
+        const userId = escapeHtml(player.userId);
+
+        return `
+            <div class="host-actions">
+                <button class="btn btn-sm btn-secondary"
+                        title="Make ${escapeHtml(player.username)} the host"
+                        onclick="lobbyComponent.handleMakeHostClick('${userId}')">
+                    👑 Make host
+                </button>
+                <button class="btn btn-sm btn-danger"
+                        title="Remove ${escapeHtml(player.username)} from the room"
+                        onclick="lobbyComponent.handleKickClick('${userId}')">
+                    Kick
+                </button>
+            </div>
+        `;
+    }
+
     /**
      * Render settings panel (host only)
+     * Edits go to settingsDraft until saved
      */
     renderSettingsPanel() {
-        const room = gameState.room;
-        const settings = room.quizSettings;
-
         return `
             <div class="settings-panel">
-                <h3>Quiz Settings</h3>
-                <div class="settings-form">
-                    <div class="form-group">
-                        <label>Topic</label>
-                        <input type="text"
-                               id="setting-topic"
-                               value="${settings.topic || ''}"
-                               placeholder="Any topic (e.g., Movies, Science)">
-                    </div>
+                <div class="section-header">
+                    <h3>Quiz Settings</h3>
+                </div>
+                <div id="settings-presets">
+                    ${this.renderPresets()}
+                </div>
+                <div id="settings-editor">
+                    ${this.renderSettingsForm()}
+                </div>
+            </div>
+        `;
+    }
 
-                    <div class="form-group">
-                        <label>Number of Questions</label>
-                        <input type="number"
-                               id="setting-question-count"
-                               value="${settings.questionCount || 10}"
-                               min="5"
-                               max="20">
-                    </div>
+    /**
+     * Presets: apply in one click, save the edited settings under a name
+     */
+    renderPresets() {
+        const canShare = Boolean(gameState.room.guildId);
 
-                    <div class="form-group">
-                        <label>Include Images?</label>
+        return `
+            <div class="presets">
+                <div class="preset-list">
+                    ${quizPresets.getPresets().map(preset => this.renderPresetChip(preset)).join('')}
+                </div>
+
+                <div class="preset-save">
+                    <input type="text"
+                           id="preset-name"
+                           maxlength="${MAX_PRESET_NAME_LENGTH}"
+                           placeholder="Save these settings as..."
+                           value="${escapeHtml(this.presetName)}"
+                           oninput="lobbyComponent.handlePresetNameInput(this.value)">
+                    <label class="preset-shared">
                         <input type="checkbox"
-                               id="setting-include-images"
-                               ${settings.includeImages ? 'checked' : ''}>
+                               ${this.presetShared && canShare ? 'checked' : ''}
+                               ${canShare ? '' : 'disabled'}
+                               onchange="lobbyComponent.handlePresetSharedToggle(this.checked)">
+                        Share with server
+                    </label>
+                    <button class="btn btn-sm btn-secondary"
+                            ${this.isPresetBusy ? 'disabled' : ''}
+                            onclick="lobbyComponent.handleSavePreset()">
+                        💾 Save
+                    </button>
+                </div>
+
+                ${this.presetError ? `<div class="form-error">${escapeHtml(this.presetError)}</div>` : ''}
+                ${this.presetStatus ? `<p class="form-hint">${escapeHtml(this.presetStatus)}</p>` : ''}
+            </div>
+        `;
+    }
+
+    renderPresetChip(preset) {
+        const id = escapeHtml(preset.presetId);
+        const icon = { personal: '👤', server: '🌐' }[preset.source] || '';
+
+        return `
+            <div class="preset-chip ${preset.source}" title="${escapeHtml(this.describePreset(preset))}">
+                <button class="preset-apply"
+                        ${this.isPresetBusy ? 'disabled' : ''}
+                        onclick="lobbyComponent.handleApplyPreset('${id}')">
+                    ${icon} ${escapeHtml(preset.name)}
+                </button>
+                ${quizPresets.canEdit(preset) ? `
+                    <button class="preset-action" title="Rename" onclick="lobbyComponent.handleRenamePreset('${id}')">✏️</button>
+                    <button class="preset-action" title="Delete" onclick="lobbyComponent.handleDeletePreset('${id}')">🗑️</button>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    renderSettingsForm() {
+        const settings = this.getEditedSettings();
+        const errors = validateQuizSettings(settings);
+
+        const select = (field, label, disabled = false) => `
+            <div class="form-group">
+                <label for="setting-${field}">${label}</label>
+                <select id="setting-${field}"
+                        ${disabled ? 'disabled' : ''}
+                        onchange="lobbyComponent.handleSettingInput('${field}', this.value)">
+                    ${QUIZ_OPTIONS[field].map(([value, optionLabel]) => `
+                        <option value="${escapeHtml(value)}" ${value === settings[field] ? 'selected' : ''}>
+                            ${escapeHtml(optionLabel)}
+                        </option>
+                    `).join('')}
+                </select>
+            </div>
+        `;
+
+        const checkbox = (field, label) => `
+            <div class="form-group">
+                <label for="setting-${field}">${label}</label>
+                <input type="checkbox"
+                       id="setting-${field}"
+                       ${settings[field] ? 'checked' : ''}
+                       onchange="lobbyComponent.handleSettingInput('${field}', this.checked)">
+            </div>
+        `;
+
+        return `
+            <div class="settings-form">
+                <fieldset>
+                    <legend>Topic</legend>
+                    ${select('topicMode', 'Topic from')}
+                    ${settings.topicMode === 'Category' ? select('category', 'Category') : ''}
+                    ${settings.topicMode === 'Custom' ? `
+                        <div class="form-group">
+                            <label for="setting-customPrompt">Custom prompt</label>
+                            <textarea id="setting-customPrompt"
+                                      rows="2"
+                                      maxlength="${MAX_CUSTOM_PROMPT_LENGTH}"
+                                      placeholder="Make it about 90s nostalgia"
+                                      oninput="lobbyComponent.handleSettingInput('customPrompt', this.value)">${escapeHtml(settings.customPrompt || '')}</textarea>
+                        </div>
+                    ` : ''}
+                </fieldset>
+
+                <fieldset>
+                    <legend>Questions</legend>
+                    ${select('style', 'Question style')}
+                    ${select('difficulty', 'Difficulty')}
+                    <div class="form-group">
+                        <label for="setting-questionCount">Number of questions</label>
+                        <input type="number"
+                               id="setting-questionCount"
+                               value="${settings.questionCount}"
+                               min="${QUESTION_LIMITS.min}"
+                               max="${QUESTION_LIMITS.max}"
+                               oninput="lobbyComponent.handleSettingInput('questionCount', this.value)">
                     </div>
+                </fieldset>
+
+                <fieldset>
+                    <legend>Images</legend>
+                    ${checkbox('includeImages', 'AI images on questions')}
+                    ${select('imageStyle', 'Image style', !settings.includeImages)}
+                    ${select('imageMood', 'Mood', !settings.includeImages)}
+                </fieldset>
+
+                <fieldset>
+                    <legend>Results</legend>
+                    ${select('personalityCount', 'Personality results')}
+                    ${select('resultDepth', 'Result depth')}
+                    ${checkbox('includeResultImage', 'AI image on results')}
+                </fieldset>
+
+                <ul class="settings-errors" id="settings-errors">
+                    ${this.renderSettingsErrors(errors)}
+                </ul>
 
-                    <button class="btn btn-sm" onclick="lobbyComponent.handleSettingsChange()">
-                        Update Settings
+                <div class="settings-actions">
+                    <button class="btn btn-sm btn-primary"
+                            id="settings-save-btn"
+                            ${errors.length > 0 || !this.settingsDraft || this.isSavingSettings ? 'disabled' : ''}
+                            onclick="lobbyComponent.handleSettingsChange()">
+                        ${this.isSavingSettings ? 'Saving...' : 'Update Settings'}
                     </button>
+                    ${this.settingsDraft ? `
+                        <button class="btn btn-sm btn-secondary" onclick="lobbyComponent.handleSettingsReset()">
+                            Discard
+                        </button>
+                        <span class="form-hint">Unsaved changes</span>
+                    ` : ''}
                 </div>
             </div>
         `;
+    }
 
-        // TODO: Add more customization options
-        // TODO: Add preset templates
-        // TODO: Add AI style selector
-        // TODO: Add difficulty selector
+    renderSettingsErrors(errors) {
+        return errors.map(error => `<li class="unmet">${escapeHtml(error)}</li>`).join('');
     }
 
     /**
      * Render settings preview (non-host)
      */
     renderSettingsPreview() {
-        const room = gameState.room;
-        const settings = room.quizSettings;
+        const settings = normalizeQuizSettings(gameState.room.quizSettings);
+
+        const rows = [
+            ['Topic', describeTopic(settings)],
+            ['Questions', `${settings.questionCount} · ${getOptionLabel('style', settings.style)} · ${getOptionLabel('difficulty', settings.difficulty)}`],
+            ['Images', settings.includeImages
+                ? `${getOptionLabel('imageStyle', settings.imageStyle)}, ${getOptionLabel('imageMood', settings.imageMood)}`
+                : 'No'],
+            ['Results', `${getOptionLabel('personalityCount', settings.personalityCount)} · ${getOptionLabel('resultDepth', settings.resultDepth)}`]
+        ];
 
         return `
             <div class="settings-preview">
                 <h3>Quiz Settings</h3>
                 <div class="settings-info">
-                    <div><strong>Topic:</strong> ${settings.topic || 'Random'}</div>
-                    <div><strong>Questions:</strong> ${settings.questionCount || 10}</div>
-                    <div><strong>Images:</strong> ${settings.includeImages ? 'Yes' : 'No'}</div>
+                    ${rows.map(([label, value]) => `
+                        <div><strong>${label}:</strong> ${escapeHtml(value)}</div>
+                    `).join('')}
                 </div>
             </div>
         `;
@@ -321,7 +582,7 @@ class LobbyComponent {
         const currentPlayer = gameState.currentPlayer;
         const isReady = this.isPlayerReady(currentPlayer.userId);
 
-        // Optimistic update
+        // Optimistic update (committed/rolled back when the request settles)
         gameState.optimisticSetReady(!isReady);
 
         try {
@@ -333,11 +594,8 @@ class LobbyComponent {
 
             console.log('[LobbyComponent] Ready state updated');
         } catch (error) {
+            // GameState already reverted and reported the error
             console.error('[LobbyComponent] Failed to set ready:', error);
-            gameState.setError(error.message);
-
-            // Revert optimistic update
-            gameState.optimisticSetReady(isReady);
         }
     }
 
@@ -366,8 +624,10 @@ class LobbyComponent {
 
             console.log('[LobbyComponent] Game started:', sessionId);
 
-            // TODO: Transition to game screen
-            // TODO: Show loading screen
+            // SESSION_CREATED moves everyone to the game; don't wait for it here
+            if (!gameState.session) {
+                gameState.setSession(await apiClient.getSession(sessionId));
+            }
         } catch (error) {
             console.error('[LobbyComponent] Failed to start game:', error);
             gameState.setError(error.message);
@@ -392,10 +652,8 @@ class LobbyComponent {
 
             console.log('[LobbyComponent] Left room');
 
-            // Clear state and return to home
+            // Clear state (main.js returns to the multiplayer home)
             gameState.clear();
-
-            // TODO: Navigate to home screen
         } catch (error) {
             console.error('[LobbyComponent] Failed to leave room:', error);
             gameState.setError(error.message);
@@ -403,51 +661,330 @@ class LobbyComponent {
     }
 
     /**
-     * Handle settings change
+     * Handle room code click
      */
-    async handleSettingsChange() {
-        if (!gameState.isHost()) return;
+    async handleCopyCodeClick() {
+        const roomCode = gameState.room?.roomCode;
+        if (!roomCode) return;
+
+        const copied = await invites.copyText(roomCode);
 
-        const settings = {
-            topic: document.getElementById('setting-topic').value,
-            questionCount: parseInt(document.getElementById('setting-question-count').value),
-            includeImages: document.getElementById('setting-include-images').checked
+        this.showInviteStatus(copied ?
+            '✓ Room code copied!' :
+            `Couldn't copy. The code is ${roomCode}`);
+    }
+
+    /**
+     * Handle invite friends button click
+     */
+    async handleInviteClick() {
+        const roomCode = gameState.room?.roomCode;
+        if (!roomCode) return;
+
+        try {
+            const result = await invites.openInviteDialog(roomCode);
+
+            if (result === 'shared') {
+                this.showInviteStatus('✓ Invite sent! Friends will join this room');
+            } else if (result === 'invited') {
+                this.showInviteStatus('✓ Room code copied. Paste it for your friends');
+            } else {
+                // Not in Discord (or dialog dismissed): the code still works
+                await this.handleCopyCodeClick();
+            }
+        } catch (error) {
+            console.error('[LobbyComponent] Failed to open invite dialog:', error);
+            await this.handleCopyCodeClick();
+        }
+    }
+
+    /**
+     * Handle kick button click (host only)
+     */
+    async handleKickClick(userId) {
+        const player = this.getPlayer(userId);
+        if (!gameState.isHost() || !player) return;
+
+        if (!confirm(`Remove ${player.username} from the room? They won't be able to rejoin.`)) {
+            return;
+        }
+
+        try {
+            await apiClient.kickPlayer(
+                gameState.room.roomId,
+                gameState.currentPlayer.userId,
+                userId
+            );
+
+            console.log('[LobbyComponent] Kicked player:', userId);
+
+            // Don't wait for PLAYER_KICKED
+            gameState.removePlayer(userId);
+        } catch (error) {
+            console.error('[LobbyComponent] Failed to kick player:', error);
+            gameState.setError(error.message);
+        }
+    }
+
+    /**
+     * Handle make host button click (host only)
+     */
+    async handleMakeHostClick(userId) {
+        const player = this.getPlayer(userId);
+        if (!gameState.isHost() || !player) return;
+
+        if (!confirm(`Make ${player.username} the host? You'll lose host controls.`)) {
+            return;
+        }
+
+        try {
+            await apiClient.transferHost(
+                gameState.room.roomId,
+                gameState.currentPlayer.userId,
+                userId
+            );
+
+            console.log('[LobbyComponent] Transferred host to:', userId);
+
+            // Don't wait for HOST_CHANGED
+            gameState.setHost(userId);
+        } catch (error) {
+            console.error('[LobbyComponent] Failed to transfer host:', error);
+            gameState.setError(error.message);
+        }
+    }
+
+    /**
+     * Track a settings field (host only)
+     * Topic mode / images toggles re-render the form (fields appear or
+     * enable); other fields only refresh errors, keeping focus
+     */
+    handleSettingInput(field, value) {
+        const numeric = ['questionCount', 'personalityCount'];
+
+        this.settingsDraft = {
+            ...this.getEditedSettings(),
+            [field]: numeric.includes(field) ? parseInt(value) : value
         };
 
+        if (field === 'topicMode' || field === 'includeImages' || !document.getElementById('settings-save-btn')) {
+            this.refreshSettingsPanel();
+            return;
+        }
+
+        const errors = validateQuizSettings(this.settingsDraft);
+
+        const list = document.getElementById('settings-errors');
+        if (list) {
+            list.innerHTML = this.renderSettingsErrors(errors);
+        }
+
+        const saveBtn = document.getElementById('settings-save-btn');
+        saveBtn.disabled = errors.length > 0 || this.isSavingSettings;
+    }
+
+    /**
+     * Handle update settings button click (host only)
+     */
+    async handleSettingsChange() {
+        if (!gameState.isHost() || !this.settingsDraft || this.isSavingSettings) return;
+
+        const settings = normalizeQuizSettings(this.settingsDraft);
+        const errors = validateQuizSettings(settings);
+
+        if (errors.length > 0) {
+            this.refreshSettingsPanel();
+            return;
+        }
+
+        this.isSavingSettings = true;
+        this.refreshSettingsPanel();
+
         try {
-            await apiClient.updateRoomSettings(
+            const saved = await apiClient.updateRoomSettings(
                 gameState.room.roomId,
                 gameState.currentPlayer.userId,
                 settings
             );
 
-            console.log('[LobbyComponent] Settings updated');
+            this.settingsDraft = null;
+            gameState.updateRoom({ quizSettings: saved });
 
-            // TODO: Show success notification
+            console.log('[LobbyComponent] Settings updated');
         } catch (error) {
+            // Draft kept so the host can fix it
             console.error('[LobbyComponent] Failed to update settings:', error);
             gameState.setError(error.message);
+        } finally {
+            this.isSavingSettings = false;
+            this.refreshSettingsPanel();
         }
     }
 
     /**
-     * Handle team selection
+     * Handle discard button click: back to the room's saved settings
      */
-    async handleTeamSelect(teamId) {
+    handleSettingsReset() {
+        this.settingsDraft = null;
+        this.refreshSettingsPanel();
+    }
+
+    /**
+     * Apply a preset to the room in one click (host only)
+     */
+    async handleApplyPreset(presetId) {
+        const preset = quizPresets.find(presetId);
+        if (!gameState.isHost() || !preset || this.isPresetBusy) return;
+
+        if (this.settingsDraft && !confirm(`Replace your unsaved changes with "${preset.name}"?`)) {
+            return;
+        }
+
+        const errors = validateQuizSettings(preset.settings);
+        if (errors.length > 0) {
+            this.setPresetMessage(null, `"${preset.name}" can't be used: ${errors.join('. ')}`);
+            return;
+        }
+
+        this.isPresetBusy = true;
+        this.refreshPresets();
+
         try {
-            await apiClient.assignTeam(
+            const saved = await apiClient.updateRoomSettings(
                 gameState.room.roomId,
-                teamId,
-                gameState.currentPlayer.userId
+                gameState.currentPlayer.userId,
+                preset.settings
             );
 
+            this.settingsDraft = null;
+            this.setPresetMessage(`Applied "${preset.name}"`);
+            gameState.updateRoom({ quizSettings: saved });
+
+            console.log('[LobbyComponent] Applied preset:', preset.name);
+        } catch (error) {
+            console.error('[LobbyComponent] Failed to apply preset:', error);
+            gameState.setError(error.message);
+        } finally {
+            this.isPresetBusy = false;
+            this.refreshPresets();
+            this.refreshSettingsPanel();
+        }
+    }
+
+    /**
+     * Save the settings being edited (draft or room's) as a preset
+     */
+    async handleSavePreset() {
+        if (!gameState.isHost() || this.isPresetBusy) return;
+
+        const shared = this.presetShared && Boolean(gameState.room.guildId);
+
+        this.isPresetBusy = true;
+        this.refreshPresets();
+
+        try {
+            const preset = await quizPresets.save(this.presetName, this.getEditedSettings(), { shared });
+
+            this.presetName = '';
+            this.setPresetMessage(`Saved "${preset.name}"${shared ? ' for everyone in this server' : ''}`);
+        } catch (error) {
+            console.error('[LobbyComponent] Failed to save preset:', error);
+            this.setPresetMessage(null, error.message);
+        } finally {
+            this.isPresetBusy = false;
+            this.refreshPresets();
+        }
+    }
+
+    async handleRenamePreset(presetId) {
+        const preset = quizPresets.find(presetId);
+        if (!preset || this.isPresetBusy) return;
+
+        const name = prompt('Rename preset', preset.name);
+        if (name === null || name.trim() === preset.name) return;
+
+        this.isPresetBusy = true;
+        this.refreshPresets();
+
+        try {
+            await quizPresets.rename(preset, name);
+            this.setPresetMessage(`Renamed to "${name.trim()}"`);
+        } catch (error) {
+            console.error('[LobbyComponent] Failed to rename preset:', error);
+            this.setPresetMessage(null, error.message);
+        } finally {
+            this.isPresetBusy = false;
+            this.refreshPresets();
+        }
+    }
+
+    async handleDeletePreset(presetId) {
+        const preset = quizPresets.find(presetId);
+        if (!preset || this.isPresetBusy) return;
+
+        if (!confirm(`Delete the "${preset.name}" preset?`)) {
+            return;
+        }
+
+        this.isPresetBusy = true;
+        this.refreshPresets();
+
+        try {
+            await quizPresets.remove(preset);
+            this.setPresetMessage(`Deleted "${preset.name}"`);
+        } catch (error) {
+            console.error('[LobbyComponent] Failed to delete preset:', error);
+            this.setPresetMessage(null, error.message);
+        } finally {
+            this.isPresetBusy = false;
+            this.refreshPresets();
+        }
+    }
+
+    /**
+     * Kept across re-renders (no refresh: the input keeps focus)
+     */
+    handlePresetNameInput(value) {
+        this.presetName = value;
+    }
+
+    handlePresetSharedToggle(shared) {
+        this.presetShared = shared;
+    }
+
+    /**
+     * Handle team selection
+     */
+    async handleTeamSelect(teamId) {
+        const userId = gameState.currentPlayer.userId;
+        if (gameState.room.teams?.[teamId]?.playerIds.includes(userId)) return;
+
+        gameState.optimisticAssignTeam(userId, teamId);
+
+        try {
+            await apiClient.assignTeam(gameState.room.roomId, teamId, userId);
+
             console.log('[LobbyComponent] Team assigned');
         } catch (error) {
+            // Transaction rollback puts us back and reports the error
             console.error('[LobbyComponent] Failed to assign team:', error);
-            gameState.setError(error.message);
         }
     }
 
+    /**
+     * Handle change mode button click (host only)
+     */
+    handleChangeModeClick() {
+        screenRouter.navigate('mode-select');
+    }
+
+    /**
+     * Handle form teams button click
+     */
+    handleFormTeamsClick() {
+        screenRouter.navigate('team-select');
+    }
+
     /**
      * Handle room updates from game state
      */
@@ -480,27 +1017,160 @@ class LobbyComponent {
 
     getStartRequirements() {
         const room = gameState.room;
+        const minPlayers = this.modeConfig?.minPlayers ?? 2;
+        const maxPlayers = this.modeConfig?.maxPlayers ?? Infinity;
 
         return [
             {
-                text: `At least 2 players`,
-                met: room.players.length >= 2 // TODO: Get from mode
+                text: `At least ${minPlayers} players`,
+                met: room.players.length >= minPlayers
             },
+            ...(room.players.length > maxPlayers ? [{
+                text: `No more than ${maxPlayers} players for ${this.getModeName(room.gameMode)}`,
+                met: false
+            }] : []),
             {
                 text: `All players ready`,
                 met: room.players.every(p => p.isReady || p.role === 'Host')
-            }
+            },
+            ...(this.modeRequiresTeams() ? [{
+                text: `Everyone is on a team`,
+                met: !getTeamBalanceWarnings(room).some(w => w.blocking)
+            }] : [])
         ];
     }
 
+    modeRequiresTeams() {
+        return this.modeConfig?.requiresTeams === true;
+    }
+
     getModeName(modeType) {
-        // TODO: Get from mode registry
-        return modeType;
+        return this.modeConfig?.displayName || String(modeType).replace(/([a-z])([A-Z])/g, '$1 $2');
     }
 
     getModeDescription(modeType) {
-        // TODO: Get from mode registry
-        return 'Take turns answering questions!';
+        return this.modeConfig?.description || '';
+    }
+
+    /**
+     * Load the room's mode from the registry, then re-render
+     */
+    async loadModeConfig() {
+        const modeId = modeTypeToId(gameState.room.gameMode);
+        this.modeRequest = new AbortController();
+
+        try {
+            const modes = await apiClient.getGameModes(null, { signal: this.modeRequest.signal });
+            this.modeConfig = modes.find(mode => mode.modeId === modeId) || null;
+
+            if (!this.modeConfig) {
+                console.warn('[LobbyComponent] Mode not in registry:', modeId);
+            }
+        } catch (error) {
+            if (apiClient.isCancelled(error)) return;
+
+            console.error('[LobbyComponent] Failed to load mode config:', error);
+        } finally {
+            this.modeRequest = null;
+        }
+
+        if (this.isRendered && this.modeConfig) {
+            this.render();
+        }
+    }
+
+    /**
+     * Fetch the server's presets (templates and personal ones are local)
+     * A failure leaves those usable, with a note
+     */
+    async loadPresets() {
+        this.presetsRequest = new AbortController();
+
+        try {
+            await quizPresets.loadServerPresets(gameState.room.guildId, { signal: this.presetsRequest.signal });
+        } catch (error) {
+            if (apiClient.isCancelled(error)) return;
+
+            console.error('[LobbyComponent] Failed to load presets:', error);
+            this.presetError = 'Could not load server presets';
+        } finally {
+            this.presetsRequest = null;
+        }
+
+        this.presetsLoaded = true;
+
+        if (this.isRendered) {
+            this.refreshPresets();
+        }
+    }
+
+    setPresetMessage(status, error = null) {
+        this.presetStatus = status;
+        this.presetError = error;
+    }
+
+    /**
+     * Show a line under the room code for a few seconds
+     * Kept across re-renders (room updates) until it times out
+     */
+    showInviteStatus(status) {
+        this.inviteStatus = status;
+
+        const element = document.getElementById('invite-status');
+        if (element) {
+            element.textContent = status;
+        }
+
+        clearTimeout(this.inviteStatusTimer);
+        this.inviteStatusTimer = setTimeout(() => {
+            this.inviteStatus = null;
+            this.inviteStatusTimer = null;
+
+            const element = document.getElementById('invite-status');
+            if (element) {
+                element.textContent = '';
+            }
+        }, 3000);
+    }
+
+    /**
+     * Settings being edited: the draft, or the room's saved settings
+     */
+    getEditedSettings() {
+        return this.settingsDraft || normalizeQuizSettings(gameState.room.quizSettings);
+    }
+
+    refreshSettingsPanel() {
+        const panel = document.getElementById('settings-editor');
+        if (panel && gameState.room) {
+            panel.innerHTML = this.renderSettingsForm();
+        }
+    }
+
+    refreshPresets() {
+        const panel = document.getElementById('settings-presets');
+        if (panel && gameState.room) {
+            panel.innerHTML = this.renderPresets();
+        }
+    }
+
+    /**
+     * Preset summary for its tooltip
+     */
+    describePreset(preset) {
+        const settings = preset.settings;
+        const parts = [
+            describeTopic(settings),
+            `${settings.questionCount} questions`,
+            getOptionLabel('difficulty', settings.difficulty),
+            getOptionLabel('resultDepth', settings.resultDepth)
+        ];
+
+        if (preset.source === 'server') {
+            parts.push(`saved by ${preset.ownerUsername || 'someone'}`);
+        }
+
+        return parts.join(' · ');
     }
 
     updateStartButton(text) {
@@ -512,6 +1182,21 @@ class LobbyComponent {
 
     destroy() {
         this.isRendered = false;
+
+        clearTimeout(this.inviteStatusTimer);
+        this.inviteStatusTimer = null;
+        this.inviteStatus = null;
+
+        this.modeRequest?.abort();
+        this.modeRequest = null;
+
+        this.settingsDraft = null;
+
+        this.presetsRequest?.abort();
+        this.presetsRequest = null;
+        this.presetsLoaded = false;
+        this.setPresetMessage(null);
+
         // TODO: Cleanup event listeners
         // TODO: Stop animations
     }
@@ -519,10 +1204,3 @@ class LobbyComponent {
 
 // Export
 export default LobbyComponent;
-
-// TODO: Create HomeComponent (create/join room)
-// TODO: Create TeamSelectComponent (team formation)
-// TODO: Create GameComponent (active gameplay)
-// TODO: Create SpectatorComponent (spectator view with interactions)
-// TODO: Create ResultsComponent (turn results and final results)
-// TODO: Create LeaderboardComponent (live scores)
@@ -0,0 +1,305 @@
+/**
+ * ModeSelectComponent.js - Game mode browser
+ *
+ * RESPONSIBILITIES:
+ * - List every registered mode (apiClient.getGameModes)
+ * - Show each mode's player range, length estimate and rules
+ * - Grey out modes that don't fit the current number of players
+ * - Outside a room: pick the mode for the next room (HomeComponent creates it)
+ * - In a room (host only): switch the room's mode without recreating it
+ *
+ * UI ELEMENTS:
+ * - Mode cards: name, description, players, ~length, rules, fit warning
+ * - Confirm button (Use mode / Switch mode)
+ * - Back button
+ *
+ * PLAYER COUNT:
+ * - In a room: players in the room
+ * - Outside a room: people in the Discord Activity (gameState.participantCount);
+ *   unknown outside Discord, so nothing is greyed out
+ * - Too few players: greyed out but selectable (more can still join)
+ * - Too many players: greyed out and disabled (can't start without kicks)
+ *
+ * LENGTH ESTIMATE:
+ * - estimateGameMinutes() (utils.js): question count × (turn time + results)
+ * - Uses the room's question count, 10 outside a room
+ */
+
+import gameState from '../GameState.js';
+import apiClient from '../ApiClient.js';
+import screenRouter from '../ScreenRouter.js';
+import { escapeHtml, modeTypeToId, modeIdToType, getModeFit, getModeRules, estimateGameMinutes } from '../utils.js';
+
+class ModeSelectComponent {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.isRendered = false;
+
+        this.modes = [];
+        this.selectedModeId = null;
+        this.isSubmitting = false;
+        this.error = null;
+
+        this.modesRequest = null;      // AbortController for mode list
+
+        // Bind event handlers (kept for off() in destroy)
+        this.onRoomUpdate = this.onRoomUpdate.bind(this);
+        this.onStateChange = this.onStateChange.bind(this);
+
+        console.log('[ModeSelectComponent] Initialized');
+    }
+
+    /**
+     * Render mode browser
+     */
+    render() {
+        if (!this.container) return;
+
+        if (!this.isRendered) {
+            gameState.on('roomUpdate', this.onRoomUpdate);
+            gameState.on('stateChange', this.onStateChange);
+
+            this.selectedModeId = this.getCurrentModeId();
+        }
+
+        this.isRendered = true;
+
+        const room = gameState.room;
+        const selected = this.modes.find(mode => mode.modeId === this.selectedModeId);
+
+        this.container.innerHTML = `
+            <div class="mode-select">
+                <div class="quiz-header">
+                    <h1>🎮 Game Modes</h1>
+                    <p class="subtitle">${this.getPlayerCountText()}</p>
+                </div>
+
+                <div class="mode-grid">
+                    ${this.renderModeCards()}
+                </div>
+
+                ${this.error ? `<div class="form-error">${escapeHtml(this.error)}</div>` : ''}
+
+                <div class="lobby-actions">
+                    <button class="btn btn-primary"
+                            ${this.canConfirm() ? '' : 'disabled'}
+                            onclick="modeSelectComponent.handleConfirmClick()">
+                        ${this.isSubmitting ? 'Switching...' :
+                            `${room ? 'Switch to' : 'Use'} ${escapeHtml(selected?.displayName || 'mode')}`}
+                    </button>
+                    <button class="btn btn-secondary" onclick="modeSelectComponent.handleBackClick()">
+                        ← Back
+                    </button>
+                </div>
+            </div>
+        `;
+
+        if (this.modes.length === 0 && !this.modesRequest) {
+            this.loadModes();
+        }
+    }
+
+    /**
+     * One card per mode
+     */
+    renderModeCards() {
+        if (this.modes.length === 0) {
+            return '<p class="loading">Loading game modes...</p>';
+        }
+
+        const playerCount = this.getPlayerCount();
+        const questionCount = gameState.room?.quizSettings?.questionCount || 10;
+        const currentModeId = gameState.room ? modeTypeToId(gameState.room.gameMode) : null;
+
+        return this.modes.map(mode => {
+            const { fits, reason } = getModeFit(mode, playerCount);
+            const disabled = this.isOverCapacity(mode, playerCount);
+            const classes = [
+                'mode-card',
+                mode.modeId === this.selectedModeId ? 'selected' : '',
+                fits ? '' : 'unfit',
+                disabled ? 'disabled' : ''
+            ].filter(Boolean).join(' ');
+
+            return `
+                <div class="${classes}"
+                     ${disabled ? 'aria-disabled="true"' : `onclick="modeSelectComponent.handleModeSelect('${escapeHtml(mode.modeId)}')"`}>
+                    <div class="mode-name">
+                        ${escapeHtml(mode.displayName)}
+                        ${mode.modeId === currentModeId ? '<span class="mode-current">Current</span>' : ''}
+                    </div>
+                    <div class="mode-description">${escapeHtml(mode.description)}</div>
+                    <div class="mode-players">
+                        👥 ${mode.minPlayers}-${mode.maxPlayers} players · ⏱️ ~${estimateGameMinutes(mode, questionCount)} min
+                    </div>
+                    ${reason ? `<div class="mode-fit">⚠️ ${escapeHtml(reason)}</div>` : ''}
+                    <dl class="mode-rules">
+                        ${getModeRules(mode, questionCount).slice(2).map(([label, value]) => `
+                            <div>
+                                <dt>${escapeHtml(label)}</dt>
+                                <dd>${escapeHtml(value)}</dd>
+                            </div>
+                        `).join('')}
+                    </dl>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Fetch game modes for the cards
+     */
+    async loadModes() {
+        this.modesRequest = new AbortController();
+
+        try {
+            this.modes = await apiClient.getGameModes(null, { signal: this.modesRequest.signal });
+            this.error = null;
+        } catch (error) {
+            if (apiClient.isCancelled(error)) return;
+
+            console.error('[ModeSelectComponent] Failed to load modes:', error);
+            this.error = 'Could not load game modes';
+        } finally {
+            this.modesRequest = null;
+        }
+
+        if (this.isRendered) {
+            this.render();
+        }
+    }
+
+    // ==========================================
+    // EVENT HANDLERS
+    // ==========================================
+
+    /**
+     * Handle mode card click
+     */
+    handleModeSelect(modeId) {
+        this.selectedModeId = modeId;
+        this.error = null;
+        this.render();
+    }
+
+    /**
+     * Handle confirm: switch the room's mode, or remember it for a new room
+     */
+    async handleConfirmClick() {
+        if (!this.canConfirm()) return;
+
+        const room = gameState.room;
+        const mode = this.modes.find(m => m.modeId === this.selectedModeId);
+
+        if (!room) {
+            gameState.setSelectedMode(mode.modeId);
+            screenRouter.navigate('home');
+            return;
+        }
+
+        this.isSubmitting = true;
+        this.render();
+
+        try {
+            const gameMode = modeIdToType(mode.modeId);
+
+            await apiClient.changeGameMode(room.roomId, gameState.currentPlayer.userId, gameMode);
+            gameState.setGameMode(gameMode, mode);
+
+            console.log('[ModeSelectComponent] Switched mode:', mode.modeId);
+            screenRouter.navigate('lobby');
+        } catch (error) {
+            console.error('[ModeSelectComponent] Failed to switch mode:', error);
+            this.error = error.message;
+        } finally {
+            this.isSubmitting = false;
+
+            if (this.isRendered) {
+                this.render();
+            }
+        }
+    }
+
+    handleBackClick() {
+        screenRouter.navigate(gameState.room ? 'lobby' : 'home');
+    }
+
+    /**
+     * Players joined/left, or we lost host
+     */
+    onRoomUpdate() {
+        if (!this.isRendered) return;
+
+        if (gameState.room && !gameState.isHost()) {
+            screenRouter.navigate('lobby');
+            return;
+        }
+
+        this.render();
+    }
+
+    /**
+     * People joined/left the Activity
+     */
+    onStateChange(data) {
+        if (this.isRendered && data.type === 'participantsChanged' && !gameState.room) {
+            this.render();
+        }
+    }
+
+    // ==========================================
+    // HELPER METHODS
+    // ==========================================
+
+    /**
+     * Room's mode, or the one picked for the next room
+     */
+    getCurrentModeId() {
+        return gameState.room ? modeTypeToId(gameState.room.gameMode) : gameState.uiState.selectedMode;
+    }
+
+    /**
+     * Players the mode has to fit (null if unknown)
+     */
+    getPlayerCount() {
+        return gameState.room ? gameState.room.players.length : gameState.participantCount;
+    }
+
+    getPlayerCountText() {
+        const count = this.getPlayerCount();
+        if (count == null) return 'Pick how you want to play';
+
+        return `${count} ${count === 1 ? 'player' : 'players'} ${gameState.room ? 'in the room' : 'here'}`;
+    }
+
+    /**
+     * Too many players for the mode (it can't start)
+     */
+    isOverCapacity(mode, playerCount) {
+        return playerCount != null && playerCount > mode.maxPlayers;
+    }
+
+    canConfirm() {
+        const mode = this.modes.find(m => m.modeId === this.selectedModeId);
+        if (!mode || this.isSubmitting) return false;
+        if (this.isOverCapacity(mode, this.getPlayerCount())) return false;
+
+        // Switching to the mode the room already has is a no-op
+        return mode.modeId !== this.getCurrentModeId() || !gameState.room;
+    }
+
+    destroy() {
+        gameState.off('roomUpdate', this.onRoomUpdate);
+        gameState.off('stateChange', this.onStateChange);
+
+        this.modesRequest?.abort();
+        this.modesRequest = null;
+
+        this.error = null;
+        this.isSubmitting = false;
+        this.isRendered = false;
+    }
+}
+
+// Export
+export default ModeSelectComponent;
@@ -0,0 +1,302 @@
+/**
+ * ReplayScrubberComponent.js - Post-game replay scrubber
+ *
+ * RESPONSIBILITIES:
+ * - Walk through a finished game using GameState session history
+ * - Scrub to any recorded event, step event by event, or jump by turn
+ * - Auto-play the game back at a fixed pace
+ * - Show who answered what and when at the selected point
+ *
+ * UI ELEMENTS:
+ * - Turn markers (Q1 · Player) to jump to the start of a turn
+ * - Range slider over all recorded events
+ * - Step / play controls
+ * - Snapshot panel: question, active player, answers, reactions, scores
+ *
+ * DATA:
+ * - gameState.getHistoryEntries() for the timeline
+ * - gameState.getReplayState(position) for the session at that point
+ */
+
+import gameState from '../GameState.js';
+import { getReactionEmoji } from '../utils.js';
+
+class ReplayScrubberComponent {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.isRendered = false;
+
+        this.position = -1;            // History position being shown
+        this.playTimer = null;
+        this.playInterval = 1200;      // ms per event during playback
+
+        console.log('[ReplayScrubberComponent] Initialized');
+    }
+
+    /**
+     * Render scrubber UI
+     */
+    render() {
+        if (!this.container) return;
+
+        const entries = gameState.getHistoryEntries();
+
+        if (entries.length === 0) {
+            this.container.innerHTML = `
+                <div class="replay-scrubber">
+                    <h3>Game Replay</h3>
+                    <p class="empty">No replay recorded for this game.</p>
+                </div>
+            `;
+            this.isRendered = true;
+            return;
+        }
+
+        // Default to the end of the game
+        if (this.position < 0 || this.position >= entries.length) {
+            this.position = entries.length - 1;
+        }
+
+        const entry = entries[this.position];
+        const state = gameState.getReplayState(this.position);
+
+        this.container.innerHTML = `
+            <div class="replay-scrubber">
+                <h3>Game Replay</h3>
+
+                <!-- Turn Markers -->
+                <div class="replay-turns">
+                    ${this.renderTurnMarkers(state)}
+                </div>
+
+                <!-- Timeline -->
+                <input type="range"
+                       class="replay-slider"
+                       min="0"
+                       max="${entries.length - 1}"
+                       value="${this.position}"
+                       oninput="replayScrubberComponent.handleScrub(this.value)">
+
+                <!-- Controls -->
+                <div class="replay-controls">
+                    <button class="btn btn-sm" onclick="replayScrubberComponent.handlePrevTurn()">⏮</button>
+                    <button class="btn btn-sm" onclick="replayScrubberComponent.handleStep(-1)">◀</button>
+                    <button class="btn btn-sm" onclick="replayScrubberComponent.handlePlayToggle()">
+                        ${this.playTimer ? '⏸' : '▶️'}
+                    </button>
+                    <button class="btn btn-sm" onclick="replayScrubberComponent.handleStep(1)">▶</button>
+                    <button class="btn btn-sm" onclick="replayScrubberComponent.handleNextTurn()">⏭</button>
+                </div>
+
+                <!-- Snapshot -->
+                <div class="replay-snapshot">
+                    <div class="replay-event">
+                        <span class="replay-time">${this.formatOffset(entry.timestamp - entries[0].timestamp)}</span>
+                        <span class="replay-label">${this.formatEventType(entry.type)}</span>
+                    </div>
+                    ${this.renderTurnSnapshot(state)}
+                </div>
+            </div>
+        `;
+
+        this.isRendered = true;
+    }
+
+    /**
+     * Render one marker per recorded turn
+     */
+    renderTurnMarkers(state) {
+        const currentTurn = this.getTurnAt(this.position);
+
+        return gameState.getReplayTurns()
+            .filter(turn => turn.questionNumber !== null)
+            .map(turn => `
+                <button class="replay-turn ${turn.startPosition === currentTurn?.startPosition ? 'active' : ''}"
+                        onclick="replayScrubberComponent.handleScrub(${turn.startPosition})">
+                    Q${turn.questionNumber} · ${this.getPlayerName(state, turn.activePlayerId)}
+                </button>
+            `).join('');
+    }
+
+    /**
+     * Render question, answers, reactions and scores at current point
+     */
+    renderTurnSnapshot(state) {
+        const turn = state?.currentTurn;
+
+        if (!turn) {
+            return '<p class="replay-empty">Waiting for the first turn...</p>';
+        }
+
+        const question = state.currentQuiz?.questions?.[turn.questionNumber - 1];
+        const turnStart = new Date(turn.startTime).getTime();
+
+        return `
+            <div class="replay-turn-info">
+                <div class="replay-question">
+                    <strong>Q${turn.questionNumber}:</strong> ${question?.text || 'Question unavailable'}
+                </div>
+                <div class="replay-active">
+                    🔥 ${this.getPlayerName(state, turn.activePlayerId)} in the hot seat
+                </div>
+            </div>
+
+            <div class="replay-responses">
+                <h4>Answers</h4>
+                ${(turn.responses || []).length === 0 ? '<p class="replay-empty">No answer yet</p>' : ''}
+                ${(turn.responses || []).map(response => `
+                    <div class="replay-response">
+                        <span class="player-name">${this.getPlayerName(state, response.playerId)}</span>
+                        picked
+                        <span class="replay-answer">${question?.options?.[response.answerIndex] ?? `Option ${response.answerIndex + 1}`}</span>
+                        ${response.submittedAt && turnStart ?
+                            `<span class="replay-time">after ${((new Date(response.submittedAt).getTime() - turnStart) / 1000).toFixed(1)}s</span>` :
+                            ''}
+                    </div>
+                `).join('')}
+            </div>
+
+            <div class="replay-reactions">
+                ${(turn.reactions || []).map(reaction => `
+                    <span class="replay-reaction" title="${this.getPlayerName(state, reaction.playerId)}">
+                        ${getReactionEmoji(reaction.reactionType)}
+                    </span>
+                `).join('')}
+            </div>
+
+            <div class="replay-scores">
+                <h4>Scores</h4>
+                ${Object.entries(state.scores || {})
+                    .sort((a, b) => b[1] - a[1])
+                    .map(([playerId, score]) => `
+                        <div class="replay-score">
+                            <span>${this.getPlayerName(state, playerId)}</span>
+                            <span>${score}</span>
+                        </div>
+                    `).join('')}
+            </div>
+        `;
+    }
+
+    // ==========================================
+    // EVENT HANDLERS
+    // ==========================================
+
+    /**
+     * Jump to a history position
+     */
+    handleScrub(position) {
+        const entries = gameState.getHistoryEntries();
+        const target = parseInt(position, 10);
+
+        if (isNaN(target)) return;
+
+        this.position = Math.max(0, Math.min(entries.length - 1, target));
+        this.render();
+    }
+
+    /**
+     * Step forward/backward one event
+     */
+    handleStep(delta) {
+        this.stopPlayback();
+        this.handleScrub(this.position + delta);
+    }
+
+    /**
+     * Jump to the start of the previous turn
+     * (or the start of this one if we're past it)
+     */
+    handlePrevTurn() {
+        this.stopPlayback();
+
+        const turns = gameState.getReplayTurns();
+        const previous = [...turns].reverse().find(turn => turn.startPosition < this.position);
+
+        this.handleScrub(previous ? previous.startPosition : 0);
+    }
+
+    /**
+     * Jump to the start of the next turn
+     */
+    handleNextTurn() {
+        this.stopPlayback();
+
+        const turns = gameState.getReplayTurns();
+        const next = turns.find(turn => turn.startPosition > this.position);
+
+        this.handleScrub(next ? next.startPosition : gameState.getHistoryEntries().length - 1);
+    }
+
+    /**
+     * Start/stop auto-play
+     */
+    handlePlayToggle() {
+        if (this.playTimer) {
+            this.stopPlayback();
+            this.render();
+            return;
+        }
+
+        // Restart from the beginning if at the end
+        if (this.position >= gameState.getHistoryEntries().length - 1) {
+            this.position = 0;
+        }
+
+        this.playTimer = setInterval(() => {
+            if (this.position >= gameState.getHistoryEntries().length - 1) {
+                this.stopPlayback();
+                this.render();
+                return;
+            }
+
+            this.handleScrub(this.position + 1);
+        }, this.playInterval);
+
+        this.render();
+    }
+
+    // ==========================================
+    // HELPER METHODS
+    // ==========================================
+
+    stopPlayback() {
+        if (this.playTimer) {
+            clearInterval(this.playTimer);
+            this.playTimer = null;
+        }
+    }
+
+    getTurnAt(position) {
+        return gameState.getReplayTurns().find(turn =>
+            position >= turn.startPosition && position <= turn.endPosition
+        );
+    }
+
+    getPlayerName(state, playerId) {
+        const player = state?.players?.find(p => p.userId === playerId);
+        return player?.username || 'Unknown';
+    }
+
+    formatEventType(type) {
+        const text = type.toLowerCase().replace(/_/g, ' ');
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    formatOffset(ms) {
+        const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+
+        return `+${minutes}:${seconds.toString().padStart(2, '0')}`;
+    }
+
+    destroy() {
+        this.stopPlayback();
+        this.position = -1;
+        this.isRendered = false;
+    }
+}
+
+// Export
+export default ReplayScrubberComponent;
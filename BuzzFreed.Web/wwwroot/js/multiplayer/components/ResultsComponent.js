@@ -0,0 +1,616 @@
+/**
+ * ResultsComponent.js - Turn results and final game results
+ *
+ * RESPONSIBILITIES:
+ * - After each turn: show what the active player picked and what it earned
+ * - Reveal the turn's suggestions (and who sent them) and prediction outcomes
+ * - After the game: show the podium, per-player stats and session stats
+ * - Let players return to the room's lobby when the game is over
+ *
+ * UI ELEMENTS:
+ * Turn view:
+ * - Chosen answer (correct/incorrect when the mode grades answers)
+ * - Points breakdown (TurnState.turnScoreBreakdown) + total
+ * - Suggestions (followed one highlighted)
+ * - Predictions (✅/❌)
+ * - Reaction summary + current standings
+ * - Next question button (host)
+ * Final view:
+ * - Podium (top 3)
+ * - Stats table (score, correct answers, average time, reactions, suggestions)
+ * - Session stats (answers, reactions, fastest / most accurate player)
+ * - Return to lobby button
+ *
+ * DATA:
+ * - The ended turn comes from gameState.cache.turnResults (a copy taken on
+ *   TURN_ENDED, since the server may already have started the next turn)
+ * - Server turn, reaction summary and leaderboard are fetched together
+ *   (ApiClient batches them into one request)
+ * - Suggestions/predictions come from turn.suggestions / turn.predictions:
+ *   session.interactions loses subtype fields when serialized
+ */
+
+import gameState from '../GameState.js';
+import apiClient from '../ApiClient.js';
+import { escapeHtml, getReactionEmoji } from '../utils.js';
+
+class ResultsComponent {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.isRendered = false;
+
+        this.view = null;              // 'turn' | 'final'
+        this.turn = null;              // Ended turn being shown
+        this.reactionSummary = null;   // { ReactionType: count }
+        this.leaderboard = null;       // { entries, updatedAt }
+        this.isSubmitting = false;
+
+        this.request = null;           // AbortController for result data
+
+        console.log('[ResultsComponent] Initialized');
+    }
+
+    /**
+     * Show results for the turn that just ended
+     */
+    showTurnResults() {
+        const turn = gameState.cache.turnResults;
+        if (!turn) return;
+
+        // Already showing it (turnUpdate after TURN_ENDED)
+        if (this.view === 'turn' && this.turn?.turnId === turn.turnId) return;
+
+        this.view = 'turn';
+        this.turn = turn;
+        this.reactionSummary = null;
+        this.leaderboard = gameState.cache.leaderboard;
+
+        this.render();
+        this.loadTurnData(turn);
+    }
+
+    /**
+     * Show final results for the finished game
+     */
+    showFinalResults() {
+        this.view = 'final';
+        this.turn = null;
+        this.leaderboard = gameState.cache.leaderboard;
+
+        this.render();
+
+        if (!this.leaderboard) {
+            this.loadLeaderboard();
+        }
+    }
+
+    /**
+     * Render results UI
+     */
+    render() {
+        if (!this.container || !gameState.session) return;
+
+        this.container.innerHTML = this.view === 'final' ?
+            this.renderFinal() :
+            this.renderTurn();
+
+        this.isRendered = true;
+    }
+
+    // ==========================================
+    // TURN RESULTS
+    // ==========================================
+
+    /**
+     * Render results of a single turn
+     */
+    renderTurn() {
+        const turn = this.turn;
+        if (!turn) return '';
+
+        const question = this.getQuestion(turn);
+        const response = turn.responses?.find(r => r.playerId === turn.activePlayerId);
+        const activeName = this.getPlayerName(turn.activePlayerId);
+
+        return `
+            <div class="results turn-results">
+                <div class="question-counter">Question ${turn.questionNumber} results</div>
+                ${question ? `<h2 class="question-text">${escapeHtml(question.text)}</h2>` : ''}
+
+                <!-- Chosen answer -->
+                <div class="results-section">
+                    ${response ? `
+                        <div class="chosen-answer ${this.getCorrectnessClass(response.isCorrect)}">
+                            <span class="answer-letter">${this.getLetter(response.answerIndex)}</span>
+                            <span class="answer-text">${escapeHtml(this.getOptionText(question, response.answerIndex))}</span>
+                        </div>
+                        <p class="results-note">
+                            ${escapeHtml(activeName)} answered in ${this.formatSeconds(response.responseTime)}
+                            ${response.isCorrect === true ? ' - correct!' : ''}
+                            ${response.isCorrect === false ? ' - not quite' : ''}
+                            ${response.followedSuggestion ? ' · followed a suggestion' : ''}
+                        </p>
+                    ` : `
+                        <p class="results-note">⏱ ${escapeHtml(activeName)} ran out of time</p>
+                    `}
+                </div>
+
+                ${this.renderBreakdown(turn)}
+                ${this.renderSuggestions(turn, question, response)}
+                ${this.renderPredictions(turn, question, response)}
+                ${this.renderReactionSummary()}
+                ${this.renderStandings()}
+
+                ${gameState.isHost() ? `
+                    <button class="btn btn-primary"
+                            ${this.isSubmitting ? 'disabled' : ''}
+                            onclick="resultsComponent.handleNextClick()">
+                        ${this.isLastQuestion(turn) ? 'See final results' : 'Next question →'}
+                    </button>
+                ` : `
+                    <p class="loading">Waiting for the host to continue...</p>
+                `}
+            </div>
+        `;
+    }
+
+    /**
+     * Points earned this turn, by reason
+     */
+    renderBreakdown(turn) {
+        const entries = Object.entries(turn.turnScoreBreakdown?.entries || {});
+        const total = turn.scoreEarned ?? entries.reduce((sum, [, points]) => sum + points, 0);
+
+        return `
+            <div class="results-section">
+                <h3 class="section-header">Points</h3>
+                <ul class="score-breakdown">
+                    ${entries.map(([reason, points]) => `
+                        <li>
+                            <span>${escapeHtml(reason)}</span>
+                            <span class="points">${this.formatPoints(points)}</span>
+                        </li>
+                    `).join('')}
+                    <li class="total">
+                        <span>Total</span>
+                        <span class="points">${this.formatPoints(total)}</span>
+                    </li>
+                </ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Revealed suggestions, followed one highlighted
+     */
+    renderSuggestions(turn, question, response) {
+        const suggestions = turn.suggestions || [];
+        if (suggestions.length === 0) return '';
+
+        return `
+            <div class="results-section">
+                <h3 class="section-header">Suggestions</h3>
+                <ul class="reveal-list">
+                    ${suggestions.map(suggestion => {
+                        const followed = suggestion.wasFollowed ||
+                            (response?.suggestionId && response.suggestionId === suggestion.interactionId);
+
+                        return `
+                            <li class="${followed ? 'followed' : ''}">
+                                <strong>${escapeHtml(this.getPlayerName(suggestion.playerId))}</strong>
+                                suggested ${this.getLetter(suggestion.suggestedAnswerIndex)}
+                                (${escapeHtml(this.getOptionText(question, suggestion.suggestedAnswerIndex))})
+                                ${suggestion.reasoning ? `<em>"${escapeHtml(suggestion.reasoning)}"</em>` : ''}
+                                ${followed ? '<span class="badge">Followed</span>' : ''}
+                            </li>
+                        `;
+                    }).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Prediction outcomes against the active player's answer
+     */
+    renderPredictions(turn, question, response) {
+        const predictions = turn.predictions || [];
+        if (predictions.length === 0) return '';
+
+        return `
+            <div class="results-section">
+                <h3 class="section-header">Predictions</h3>
+                <ul class="reveal-list">
+                    ${predictions.map(prediction => {
+                        const isCorrect = prediction.isCorrect ??
+                            (response ? prediction.predictedAnswerIndex === response.answerIndex : false);
+
+                        return `
+                            <li class="${isCorrect ? 'correct' : 'incorrect'}">
+                                ${isCorrect ? '✅' : '❌'}
+                                <strong>${escapeHtml(this.getPlayerName(prediction.playerId))}</strong>
+                                predicted ${this.getLetter(prediction.predictedAnswerIndex)}
+                                (${escapeHtml(this.getOptionText(question, prediction.predictedAnswerIndex))})
+                            </li>
+                        `;
+                    }).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Reaction counts for the turn
+     */
+    renderReactionSummary() {
+        const counts = Object.entries(this.reactionSummary || {}).filter(([, count]) => count > 0);
+        if (counts.length === 0) return '';
+
+        return `
+            <div class="results-section">
+                <h3 class="section-header">Reactions</h3>
+                <div class="reaction-summary">
+                    ${counts.map(([type, count]) => `
+                        <span class="reaction-count">${getReactionEmoji(type)} ${count}</span>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Current standings (top 5)
+     */
+    renderStandings() {
+        const entries = this.getRankedEntries().slice(0, 5);
+        if (entries.length === 0) return '';
+
+        return `
+            <div class="results-section">
+                <h3 class="section-header">Standings</h3>
+                <ol class="standings">
+                    ${entries.map(entry => `
+                        <li class="${entry.playerId === gameState.currentPlayer?.userId ? 'is-you' : ''}">
+                            <span>${escapeHtml(entry.playerName)}</span>
+                            <span class="points">${entry.score}</span>
+                        </li>
+                    `).join('')}
+                </ol>
+            </div>
+        `;
+    }
+
+    // ==========================================
+    // FINAL RESULTS
+    // ==========================================
+
+    /**
+     * Render end-of-game results
+     */
+    renderFinal() {
+        const entries = this.getRankedEntries();
+
+        return `
+            <div class="results final-results">
+                <div class="quiz-header">
+                    <h1>🏆 Final Results</h1>
+                </div>
+
+                ${this.renderPodium(entries.slice(0, 3))}
+                ${this.renderStatsTable(entries)}
+                ${this.renderSessionStats()}
+
+                <button class="btn btn-primary"
+                        ${this.isSubmitting ? 'disabled' : ''}
+                        onclick="resultsComponent.handleReturnToLobbyClick()">
+                    Return to lobby
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Top 3, displayed 2nd - 1st - 3rd
+     */
+    renderPodium(top) {
+        if (top.length === 0) {
+            return '<p class="loading">Tallying scores...</p>';
+        }
+
+        const medals = ['🥇', '🥈', '🥉'];
+        const order = [top[1], top[0], top[2]].filter(Boolean);
+
+        return `
+            <div class="podium">
+                ${order.map(entry => `
+                    <div class="podium-place place-${entry.rank}">
+                        <div class="podium-medal">${medals[entry.rank - 1] || ''}</div>
+                        <div class="podium-name">${escapeHtml(entry.playerName)}</div>
+                        <div class="podium-score">${entry.score} pts</div>
+                        <div class="podium-block">${entry.rank}</div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Per-player stats (Player.stats, PlayerRoomStats)
+     */
+    renderStatsTable(entries) {
+        if (entries.length === 0) return '';
+
+        return `
+            <div class="results-section">
+                <h3 class="section-header">Player Stats</h3>
+                <table class="stats-table">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>Player</th>
+                            <th>Score</th>
+                            <th>Correct</th>
+                            <th>Avg time</th>
+                            <th>Reactions</th>
+                            <th>Suggestions followed</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${entries.map(entry => {
+                            const stats = gameState.session.players?.find(p => p.userId === entry.playerId)?.stats || {};
+
+                            return `
+                                <tr class="${entry.playerId === gameState.currentPlayer?.userId ? 'is-you' : ''}">
+                                    <td>${entry.rank}</td>
+                                    <td>${escapeHtml(entry.playerName)}</td>
+                                    <td>${entry.score}</td>
+                                    <td>${stats.correctAnswers ?? 0}/${stats.questionsAnswered ?? 0}</td>
+                                    <td>${stats.questionsAnswered ? this.formatSeconds(stats.averageResponseTime) : '-'}</td>
+                                    <td>${stats.reactionsReceived ?? 0}</td>
+                                    <td>${stats.suggestionsFollowed ?? 0}/${stats.suggestionsSent ?? 0}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Whole-game stats (GameSession.stats)
+     */
+    renderSessionStats() {
+        const stats = gameState.session.stats;
+        if (!stats) return '';
+
+        const awards = [
+            ['⚡ Fastest', stats.fastestPlayer],
+            ['🎯 Most accurate', stats.mostAccuratePlayer],
+            ['🎉 Most reactions', stats.mostReactionsPlayer]
+        ].filter(([, playerId]) => playerId);
+
+        return `
+            <div class="results-section">
+                <h3 class="section-header">Game Stats</h3>
+                <div class="session-stats">
+                    <div><strong>${stats.totalAnswers}</strong> answers</div>
+                    <div><strong>${stats.totalReactions}</strong> reactions</div>
+                    <div><strong>${stats.totalSuggestions}</strong> suggestions</div>
+                    ${stats.averageAnswerTime ? `<div><strong>${this.formatSeconds(stats.averageAnswerTime)}</strong> avg answer</div>` : ''}
+                </div>
+                ${awards.length > 0 ? `
+                    <ul class="awards">
+                        ${awards.map(([label, playerId]) => `
+                            <li>${label}: <strong>${escapeHtml(this.getPlayerName(playerId, playerId))}</strong></li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // ==========================================
+    // DATA LOADING
+    // ==========================================
+
+    /**
+     * Fetch server turn, reaction summary and leaderboard in one batch
+     */
+    async loadTurnData(turn) {
+        const sessionId = gameState.session.sessionId;
+
+        this.request?.abort();
+        this.request = new AbortController();
+        const options = { signal: this.request.signal };
+
+        const [serverTurn, reactions, leaderboard] = await Promise.allSettled([
+            apiClient.getCurrentTurn(sessionId, options),
+            apiClient.getReactionSummary(sessionId, turn.turnId, options),
+            apiClient.getLeaderboard(sessionId, options)
+        ]);
+
+        if (options.signal.aborted || this.turn?.turnId !== turn.turnId) return;
+        this.request = null;
+
+        // Server may already be on the next turn; only use it if it's ours
+        if (serverTurn.status === 'fulfilled' && serverTurn.value?.turnId === turn.turnId) {
+            this.turn = { ...turn, ...serverTurn.value, phase: 'Results' };
+        }
+
+        if (reactions.status === 'fulfilled') {
+            this.reactionSummary = reactions.value;
+        }
+
+        if (leaderboard.status === 'fulfilled') {
+            this.leaderboard = leaderboard.value;
+            gameState.setLeaderboard(leaderboard.value);
+        }
+
+        if (this.isRendered && this.view === 'turn') {
+            this.render();
+        }
+    }
+
+    /**
+     * Fetch final leaderboard
+     */
+    async loadLeaderboard() {
+        this.request?.abort();
+        this.request = new AbortController();
+
+        try {
+            this.leaderboard = await apiClient.getLeaderboard(
+                gameState.session.sessionId,
+                { signal: this.request.signal }
+            );
+            gameState.setLeaderboard(this.leaderboard);
+        } catch (error) {
+            if (apiClient.isCancelled(error)) return;
+
+            // Scores from the session are good enough
+            console.error('[ResultsComponent] Failed to load leaderboard:', error);
+        }
+
+        this.request = null;
+
+        if (this.isRendered && this.view === 'final') {
+            this.render();
+        }
+    }
+
+    // ==========================================
+    // EVENT HANDLERS
+    // ==========================================
+
+    /**
+     * Host: start the next turn (or finish the game after the last one)
+     */
+    async handleNextClick() {
+        if (this.isSubmitting || !gameState.isHost()) return;
+
+        const sessionId = gameState.session.sessionId;
+        this.setSubmitting(true);
+
+        try {
+            await apiClient.nextTurn(sessionId);
+
+            // Realtime TURN_STARTED/GAME_ENDED may not have arrived yet
+            const session = await apiClient.getSession(sessionId);
+            if (gameState.session?.sessionId === sessionId) {
+                gameState.updateSession(session);
+            }
+        } catch (error) {
+            console.error('[ResultsComponent] Failed to start next turn:', error);
+            gameState.setError(error.message);
+        } finally {
+            this.setSubmitting(false);
+        }
+    }
+
+    /**
+     * Back to the room's lobby
+     */
+    async handleReturnToLobbyClick() {
+        if (this.isSubmitting) return;
+
+        const roomId = gameState.session?.roomId || gameState.room?.roomId;
+        this.setSubmitting(true);
+
+        try {
+            const room = await apiClient.getRoom(roomId);
+            gameState.returnToLobby(room);
+        } catch (error) {
+            console.error('[ResultsComponent] Failed to return to lobby:', error);
+
+            if (error.message === 'Resource not found') {
+                // Room expired: nothing to go back to
+                gameState.clear();
+            } else {
+                gameState.setError(error.message);
+            }
+        } finally {
+            this.setSubmitting(false);
+        }
+    }
+
+    // ==========================================
+    // HELPER METHODS
+    // ==========================================
+
+    /**
+     * Leaderboard entries, or ranked session scores until it loads
+     */
+    getRankedEntries() {
+        if (this.leaderboard?.entries?.length) {
+            return this.leaderboard.entries;
+        }
+
+        return Object.entries(gameState.getScores())
+            .sort(([, a], [, b]) => b - a)
+            .map(([playerId, score], index) => ({
+                rank: index + 1,
+                playerId,
+                playerName: this.getPlayerName(playerId),
+                score
+            }));
+    }
+
+    getQuestion(turn) {
+        return gameState.session?.currentQuiz?.questions[turn.questionNumber - 1] || null;
+    }
+
+    getOptionText(question, index) {
+        const option = question?.options?.[index];
+        return option ? option.replace(/^[A-D]\)\s*/, '') : '?';
+    }
+
+    getLetter(index) {
+        return String.fromCharCode(65 + index);
+    }
+
+    getCorrectnessClass(isCorrect) {
+        if (isCorrect === true) return 'correct';
+        if (isCorrect === false) return 'incorrect';
+        return '';
+    }
+
+    isLastQuestion(turn) {
+        return turn.questionNumber >= (gameState.session?.currentQuiz?.questions?.length || 0);
+    }
+
+    getPlayerName(playerId, fallback = 'Someone') {
+        return gameState.getPlayer(playerId)?.username || fallback;
+    }
+
+    formatPoints(points) {
+        return points > 0 ? `+${points}` : `${points}`;
+    }
+
+    formatSeconds(seconds) {
+        return `${(seconds || 0).toFixed(1)}s`;
+    }
+
+    setSubmitting(isSubmitting) {
+        this.isSubmitting = isSubmitting;
+
+        if (this.isRendered) {
+            this.render();
+        }
+    }
+
+    destroy() {
+        this.request?.abort();
+        this.request = null;
+
+        this.view = null;
+        this.turn = null;
+        this.reactionSummary = null;
+        this.leaderboard = null;
+        this.isSubmitting = false;
+        this.isRendered = false;
+    }
+}
+
+// Export
+export default ResultsComponent;
@@ -0,0 +1,521 @@
+/**
+ * SpectatorComponent.js - Spectator view with interactions
+ *
+ * RESPONSIBILITIES:
+ * - Show the active player and current question (read-only)
+ * - Offer reaction emoji buttons for the active player
+ * - Let spectators send one anonymous suggestion per turn
+ * - Let spectators predict what the active player will pick
+ * - Enforce per-turn limits client-side (server enforces them too)
+ *
+ * UI ELEMENTS:
+ * - Hot seat banner with timer
+ * - Question + options (active player's pick highlighted once answered)
+ * - Reaction bar (8 ReactionType buttons, "N left") + recent reactions
+ * - Suggestion picker (option + optional 100-char reasoning)
+ * - Prediction picker
+ *
+ * LIMITS (see TurnState.AddReaction / AddSuggestion, InteractionService):
+ * - Reactions: 3 per player per turn, during Answering/Reaction phases
+ * - Suggestions: 1 per player per turn, during Question/Answering phases
+ * - Predictions: 1 per player per turn (client-side), Question/Answering phases
+ * - Each interaction type only shown if the game mode enables it
+ *
+ * RENDERING:
+ * - render() builds the layout once per turn; reaction/turn updates only
+ *   refresh the header and reaction sections so typing isn't interrupted
+ */
+
+import gameState from '../GameState.js';
+import apiClient from '../ApiClient.js';
+import { escapeHtml, modeTypeToId, reactionEmojis, getReactionEmoji } from '../utils.js';
+
+class SpectatorComponent {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.isRendered = false;
+
+        // Limits (match server defaults)
+        this.maxReactionsPerTurn = 3;
+        this.maxReasoningLength = 100;
+
+        // Per-turn local state
+        this.turnId = null;
+        this.suggestion = { answerIndex: null, reasoning: '', status: null };  // status: sending, sent
+        this.prediction = { answerIndex: null, status: null };
+
+        this.modeConfig = null;        // GameModeInfo for the room's mode
+
+        // Bind event handlers (kept for off() in destroy)
+        this.onTurnUpdate = this.onTurnUpdate.bind(this);
+        this.onInteraction = this.onInteraction.bind(this);
+        this.onTimerTick = this.onTimerTick.bind(this);
+
+        console.log('[SpectatorComponent] Initialized');
+    }
+
+    /**
+     * Render spectator UI
+     */
+    render() {
+        if (!this.container) return;
+
+        if (!this.isRendered) {
+            gameState.on('turnUpdate', this.onTurnUpdate);
+            gameState.on('interactionReceived', this.onInteraction);
+            gameState.on('stateChange', this.onInteraction);
+            gameState.on('timerTick', this.onTimerTick);
+            this.loadModeConfig();
+        }
+
+        this.isRendered = true;
+
+        const turn = gameState.session?.currentTurn;
+        const question = gameState.getCurrentQuestion();
+
+        if (!turn || !question) {
+            this.container.innerHTML = `
+                <div class="spectator">
+                    <div class="loading-spinner"></div>
+                    <p class="loading">Waiting for the next question...</p>
+                </div>
+            `;
+            return;
+        }
+
+        // New turn: reset one-per-turn pickers
+        if (turn.turnId !== this.turnId) {
+            this.turnId = turn.turnId;
+            this.suggestion = { answerIndex: null, reasoning: '', status: null };
+            this.prediction = { answerIndex: null, status: null };
+        }
+
+        this.container.innerHTML = `
+            <div class="spectator">
+                <div id="spectator-header">${this.renderHeader(turn, question)}</div>
+
+                ${this.isEnabled('enableReactions') ? `
+                    <div id="spectator-reactions" class="mp-panel">${this.renderReactions(turn)}</div>
+                ` : ''}
+
+                ${this.isEnabled('enableSuggestions') ? `
+                    <div id="spectator-suggestion" class="mp-panel">${this.renderSuggestion(question, turn)}</div>
+                ` : ''}
+
+                ${this.isEnabled('enablePredictions') ? `
+                    <div id="spectator-prediction" class="mp-panel">${this.renderPrediction(question, turn)}</div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Active player, timer, question and options
+     */
+    renderHeader(turn, question) {
+        const activeName = escapeHtml(this.getPlayerName(turn.activePlayerId));
+        const activeResponse = turn.responses?.find(r => r.playerId === turn.activePlayerId);
+
+        return `
+            <div class="hot-seat-banner">
+                🔥 ${activeName} is in the hot seat
+                <span id="spectator-timer" class="turn-timer ${gameState.getTimeRemaining() <= 5 ? 'urgent' : ''}">
+                    ${this.formatTime(gameState.getTimeRemaining())}
+                </span>
+            </div>
+            <div class="quiz-content">
+                <div class="question-counter">
+                    Question ${turn.questionNumber} of ${gameState.session.currentQuiz.questions.length}
+                </div>
+                <h2 class="question-text">${escapeHtml(question.text)}</h2>
+                <div class="spectator-options">
+                    ${question.options.map((option, index) => `
+                        <div class="spectator-option ${activeResponse?.answerIndex === index ? 'picked' : ''}">
+                            <span class="answer-letter">${String.fromCharCode(65 + index)}</span>
+                            <span class="answer-text">${escapeHtml(this.stripLetter(option))}</span>
+                        </div>
+                    `).join('')}
+                </div>
+                ${activeResponse ? `<p class="answer-status confirmed">${activeName} has answered!</p>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Reaction buttons + recent reactions
+     */
+    renderReactions(turn) {
+        const remaining = this.getReactionsRemaining(turn);
+        const phaseOpen = this.isPhase(turn, ['Answering', 'Reaction']);
+        const canReact = phaseOpen && remaining > 0;
+
+        return `
+            <div class="section-header">
+                <h3>React</h3>
+                <span class="limit-badge">${remaining} left</span>
+            </div>
+            <div class="reaction-bar">
+                ${Object.entries(reactionEmojis).map(([reactionType, emoji]) => `
+                    <button class="reaction-btn"
+                            title="${reactionType}"
+                            ${canReact ? '' : 'disabled'}
+                            onclick="spectatorComponent.handleReactionClick('${reactionType}')">
+                        ${emoji}
+                    </button>
+                `).join('')}
+            </div>
+            ${!phaseOpen ? '<p class="form-hint">Reactions open once the question is up</p>' : ''}
+            <div class="reaction-feed">
+                ${(turn.reactions || []).slice(-12).map(reaction => `
+                    <span class="reaction-item ${reaction.isOptimistic ? 'pending' : ''}"
+                          title="${escapeHtml(this.getPlayerName(reaction.playerId))}">
+                        ${getReactionEmoji(reaction.reactionType)}
+                    </span>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Anonymous suggestion picker
+     */
+    renderSuggestion(question, turn) {
+        if (this.suggestion.status === 'sent' || this.hasOwn(turn.suggestions)) {
+            return `
+                <h3>Suggestion</h3>
+                <p class="answer-status confirmed">🤫 Suggestion sent anonymously</p>
+            `;
+        }
+
+        const phaseOpen = this.isPhase(turn, ['Question', 'Answering']) && gameState.getTimeRemaining() > 0;
+        const sending = this.suggestion.status === 'sending';
+
+        return `
+            <h3>Suggest an answer</h3>
+            <p class="form-hint">Anonymous - revealed after they answer. One per turn.</p>
+            <div class="picker-options">
+                ${question.options.map((option, index) => `
+                    <button class="picker-btn ${this.suggestion.answerIndex === index ? 'selected' : ''}"
+                            ${phaseOpen && !sending ? '' : 'disabled'}
+                            onclick="spectatorComponent.handleSuggestionSelect(${index})">
+                        ${String.fromCharCode(65 + index)}
+                    </button>
+                `).join('')}
+            </div>
+            <div class="reasoning-field">
+                <input id="suggestion-reasoning"
+                       type="text"
+                       maxlength="${this.maxReasoningLength}"
+                       placeholder="Why? (optional)"
+                       value="${escapeHtml(this.suggestion.reasoning)}"
+                       ${phaseOpen && !sending ? '' : 'disabled'}
+                       oninput="spectatorComponent.handleReasoningInput(this.value)">
+                <span id="reasoning-count" class="char-count">
+                    ${this.suggestion.reasoning.length}/${this.maxReasoningLength}
+                </span>
+            </div>
+            <button class="btn btn-primary btn-sm"
+                    ${phaseOpen && !sending && this.suggestion.answerIndex !== null ? '' : 'disabled'}
+                    onclick="spectatorComponent.handleSuggestionSubmit()">
+                ${sending ? 'Sending...' : 'Send anonymously'}
+            </button>
+        `;
+    }
+
+    /**
+     * Prediction picker
+     */
+    renderPrediction(question, turn) {
+        const activeName = escapeHtml(this.getPlayerName(turn.activePlayerId));
+
+        if (this.prediction.status === 'sent' || this.hasOwn(turn.predictions)) {
+            const index = this.prediction.answerIndex;
+            return `
+                <h3>Prediction</h3>
+                <p class="answer-status confirmed">
+                    🔮 You predicted ${activeName} picks ${index !== null ? String.fromCharCode(65 + index) : 'an answer'}
+                </p>
+            `;
+        }
+
+        const phaseOpen = this.isPhase(turn, ['Question', 'Answering']) && gameState.getTimeRemaining() > 0;
+        const sending = this.prediction.status === 'sending';
+
+        return `
+            <h3>What will ${activeName} pick?</h3>
+            <div class="picker-options">
+                ${question.options.map((option, index) => `
+                    <button class="picker-btn ${this.prediction.answerIndex === index ? 'selected' : ''}"
+                            ${phaseOpen && !sending ? '' : 'disabled'}
+                            onclick="spectatorComponent.handlePredictionClick(${index})">
+                        ${String.fromCharCode(65 + index)}
+                    </button>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // ==========================================
+    // EVENT HANDLERS
+    // ==========================================
+
+    /**
+     * Handle reaction button click
+     */
+    async handleReactionClick(reactionType) {
+        const session = gameState.session;
+        const turn = session?.currentTurn;
+
+        if (!turn || this.getReactionsRemaining(turn) <= 0) return;
+
+        gameState.optimisticAddReaction(reactionType, turn.activePlayerId);
+
+        try {
+            await apiClient.submitReaction(
+                session.sessionId,
+                gameState.currentPlayer.userId,
+                reactionType,
+                turn.activePlayerId
+            );
+        } catch (error) {
+            // Transaction rollback removes the reaction and reports the error
+            console.error('[SpectatorComponent] Failed to react:', error);
+        }
+    }
+
+    /**
+     * Pick suggested answer
+     */
+    handleSuggestionSelect(answerIndex) {
+        this.suggestion.answerIndex = answerIndex;
+        this.refreshSection('spectator-suggestion');
+    }
+
+    /**
+     * Track reasoning text (no re-render, keeps focus)
+     */
+    handleReasoningInput(value) {
+        this.suggestion.reasoning = value.slice(0, this.maxReasoningLength);
+
+        const counter = document.getElementById('reasoning-count');
+        if (counter) {
+            counter.textContent = `${this.suggestion.reasoning.length}/${this.maxReasoningLength}`;
+        }
+    }
+
+    /**
+     * Send suggestion
+     */
+    async handleSuggestionSubmit() {
+        const session = gameState.session;
+        const turn = session?.currentTurn;
+
+        if (!turn || this.suggestion.answerIndex === null || this.suggestion.status) return;
+        if (this.hasOwn(turn.suggestions)) return;
+
+        this.suggestion.status = 'sending';
+        this.refreshSection('spectator-suggestion');
+
+        try {
+            await apiClient.submitSuggestion(
+                session.sessionId,
+                gameState.currentPlayer.userId,
+                this.suggestion.answerIndex,
+                this.suggestion.reasoning.trim() || null,
+                turn.activePlayerId
+            );
+
+            this.suggestion.status = 'sent';
+            console.log('[SpectatorComponent] Suggestion sent');
+        } catch (error) {
+            console.error('[SpectatorComponent] Failed to send suggestion:', error);
+            this.suggestion.status = null;
+            gameState.setError(error.message);
+        }
+
+        this.refreshSection('spectator-suggestion');
+    }
+
+    /**
+     * Send prediction
+     */
+    async handlePredictionClick(answerIndex) {
+        const session = gameState.session;
+        const turn = session?.currentTurn;
+
+        if (!turn || this.prediction.status || this.hasOwn(turn.predictions)) return;
+
+        this.prediction = { answerIndex, status: 'sending' };
+        this.refreshSection('spectator-prediction');
+
+        try {
+            await apiClient.submitPrediction(
+                session.sessionId,
+                gameState.currentPlayer.userId,
+                answerIndex,
+                turn.activePlayerId
+            );
+
+            this.prediction.status = 'sent';
+            console.log('[SpectatorComponent] Prediction sent');
+        } catch (error) {
+            console.error('[SpectatorComponent] Failed to send prediction:', error);
+            this.prediction = { answerIndex: null, status: null };
+            gameState.setError(error.message);
+        }
+
+        this.refreshSection('spectator-prediction');
+    }
+
+    /**
+     * Turn data changed
+     * New turn → full render; otherwise refresh header and reactions
+     */
+    onTurnUpdate({ turn }) {
+        if (!this.isRendered) return;
+
+        if (!turn || turn.turnId !== this.turnId) {
+            this.render();
+            return;
+        }
+
+        this.refreshSection('spectator-header');
+        this.refreshSection('spectator-reactions');
+    }
+
+    /**
+     * Reaction added/merged/rolled back, turn changed, time up
+     */
+    onInteraction(data) {
+        if (!this.isRendered) return;
+
+        const relevant = data.interaction ||
+            ['interactionMerged', 'optimisticRolledBack', 'turnChanged'].includes(data.type);
+
+        if (data.type === 'turnChanged') {
+            this.render();
+        } else if (data.type === 'timeUp') {
+            // Answering is over: close suggestion/prediction pickers
+            this.refreshSection('spectator-header');
+            this.refreshSection('spectator-suggestion');
+            this.refreshSection('spectator-prediction');
+        } else if (relevant) {
+            this.refreshSection('spectator-reactions');
+        }
+    }
+
+    /**
+     * Countdown tick from TurnTimer
+     */
+    onTimerTick({ remaining }) {
+        const timer = document.getElementById('spectator-timer');
+
+        if (timer) {
+            timer.textContent = this.formatTime(remaining);
+            timer.classList.toggle('urgent', remaining <= 5);
+        }
+    }
+
+    // ==========================================
+    // HELPER METHODS
+    // ==========================================
+
+    /**
+     * Re-render one section in place
+     */
+    refreshSection(sectionId) {
+        const section = document.getElementById(sectionId);
+        const turn = gameState.session?.currentTurn;
+        const question = gameState.getCurrentQuestion();
+
+        if (!section || !turn || !question) return;
+
+        switch (sectionId) {
+            case 'spectator-header':
+                section.innerHTML = this.renderHeader(turn, question);
+                break;
+            case 'spectator-reactions':
+                section.innerHTML = this.renderReactions(turn);
+                break;
+            case 'spectator-suggestion':
+                section.innerHTML = this.renderSuggestion(question, turn);
+                break;
+            case 'spectator-prediction':
+                section.innerHTML = this.renderPrediction(question, turn);
+                break;
+        }
+    }
+
+    /**
+     * Load mode config to know which interactions are enabled
+     */
+    async loadModeConfig() {
+        const modeType = gameState.session?.gameMode || gameState.room?.gameMode;
+        if (!modeType) return;
+
+        try {
+            const modes = await apiClient.getGameModes();
+            this.modeConfig = modes.find(mode => mode.modeId === modeTypeToId(modeType)) || null;
+
+            if (this.isRendered) {
+                this.render();
+            }
+        } catch (error) {
+            console.warn('[SpectatorComponent] Could not load mode config:', error);
+        }
+    }
+
+    /**
+     * Is an interaction type enabled? (assume yes until config loads)
+     */
+    isEnabled(flag) {
+        return this.modeConfig ? this.modeConfig[flag] !== false : true;
+    }
+
+    getReactionsRemaining(turn) {
+        const used = (turn.reactions || [])
+            .filter(r => r.playerId === gameState.currentPlayer?.userId)
+            .length;
+
+        return Math.max(0, this.maxReactionsPerTurn - used);
+    }
+
+    /**
+     * Does the list contain an entry from the local player?
+     */
+    hasOwn(list) {
+        return (list || []).some(item => item.playerId === gameState.currentPlayer?.userId);
+    }
+
+    /**
+     * Is the turn in one of the phases? (unknown phase counts as open)
+     */
+    isPhase(turn, phases) {
+        return !turn.phase || phases.includes(turn.phase);
+    }
+
+    getPlayerName(playerId) {
+        return gameState.getPlayer(playerId)?.username || 'Someone';
+    }
+
+    stripLetter(option) {
+        return option.replace(/^[A-D]\)\s*/, '');
+    }
+
+    formatTime(seconds) {
+        return seconds > 0 ? `⏱ ${Math.ceil(seconds)}s` : "⏱ Time's up";
+    }
+
+    destroy() {
+        gameState.off('turnUpdate', this.onTurnUpdate);
+        gameState.off('interactionReceived', this.onInteraction);
+        gameState.off('stateChange', this.onInteraction);
+        gameState.off('timerTick', this.onTimerTick);
+
+        this.turnId = null;
+        this.isRendered = false;
+    }
+}
+
+// Export
+export default SpectatorComponent;
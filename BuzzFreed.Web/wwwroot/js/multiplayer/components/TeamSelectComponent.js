@@ -0,0 +1,401 @@
+/**
+ * TeamSelectComponent.js - Team formation for team modes (Team Challenge)
+ *
+ * RESPONSIBILITIES:
+ * - Show each team's roster, plus players not on a team yet
+ * - Host: create N teams (apiClient.createTeams)
+ * - Host: move players between teams by drag and drop (apiClient.assignTeam)
+ * - Host: auto-balance teams by player count and past scores
+ * - Players: join a team by clicking it
+ * - Warn about missing or unbalanced teams before the game starts
+ *
+ * UI ELEMENTS:
+ * - Team count picker + Create Teams button (host only)
+ * - Auto-balance button (host only)
+ * - One column per team: color, name, size, total past score, players
+ * - Unassigned players pool
+ * - Balance warnings
+ * - Back to lobby button
+ *
+ * MOVING PLAYERS:
+ * - Host drags a player chip onto a team column
+ * - Without drag and drop (touch, keyboard): click a player, then a team
+ * - Moves are optimistic (gameState.optimisticAssignTeam) and roll back if
+ *   the server rejects them
+ * - There's no endpoint to take a player off a team, so the unassigned pool
+ *   isn't a drop target
+ *
+ * BALANCING:
+ * - balanceTeams() (utils.js) keeps sizes within one of each other, then
+ *   evens out past scores; only players whose team changes are moved
+ * - getTeamBalanceWarnings() drives the warnings here and the lobby's
+ *   start requirements
+ */
+
+import gameState from '../GameState.js';
+import apiClient from '../ApiClient.js';
+import screenRouter from '../ScreenRouter.js';
+import { escapeHtml, getTeamEmoji, getPlayerStrength, balanceTeams, getTeamBalanceWarnings } from '../utils.js';
+
+class TeamSelectComponent {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.isRendered = false;
+
+        this.teamCount = 2;
+        this.minTeams = 2;
+        this.maxTeams = 4;             // Team Challenge: 2-4 teams (TeamChallengeMode)
+
+        this.selectedPlayerId = null;  // Click-to-move (no drag and drop)
+        this.draggedPlayerId = null;
+        this.isBusy = false;           // Creating or balancing teams
+
+        // Bind event handlers (kept for off() in destroy)
+        this.onRoomUpdate = this.onRoomUpdate.bind(this);
+
+        console.log('[TeamSelectComponent] Initialized');
+    }
+
+    /**
+     * Render team formation UI
+     */
+    render() {
+        if (!this.container) return;
+
+        const room = gameState.room;
+        if (!room) {
+            console.error('[TeamSelectComponent] No room to render');
+            return;
+        }
+
+        if (!this.isRendered) {
+            gameState.on('roomUpdate', this.onRoomUpdate);
+        }
+
+        this.isRendered = true;
+
+        const isHost = gameState.isHost();
+        const teams = Object.values(room.teams || {});
+        const unassigned = room.players.filter(p => !teams.some(team => team.playerIds.includes(p.userId)));
+
+        this.container.innerHTML = `
+            <div class="team-select">
+                <div class="quiz-header">
+                    <h1>🧩 Form Teams</h1>
+                    <p class="subtitle">
+                        ${isHost ? 'Drag players between teams, or tap a player then a team' : 'Tap a team to join it'}
+                    </p>
+                </div>
+
+                ${isHost ? this.renderHostControls(teams) : ''}
+
+                ${teams.length > 0 ? `
+                    <div class="team-board">
+                        ${teams.map(team => this.renderTeam(team, isHost)).join('')}
+                    </div>
+                ` : `
+                    <p class="team-empty">${isHost ? 'Pick how many teams, then create them' : 'Waiting for the host to create teams...'}</p>
+                `}
+
+                ${unassigned.length > 0 ? `
+                    <div class="team-unassigned">
+                        <h4>Not on a team</h4>
+                        <div class="team-players">
+                            ${unassigned.map(player => this.renderPlayerChip(player, isHost)).join('')}
+                        </div>
+                    </div>
+                ` : ''}
+
+                ${this.renderWarnings(room)}
+
+                <button class="btn btn-secondary" onclick="teamSelectComponent.handleBackClick()">
+                    ← Back to Lobby
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Team count, create and auto-balance (host only)
+     */
+    renderHostControls(teams) {
+        const counts = [];
+        for (let count = this.minTeams; count <= this.maxTeams; count++) {
+            counts.push(count);
+        }
+
+        return `
+            <div class="team-controls">
+                <label for="team-count">Teams</label>
+                <select id="team-count" onchange="teamSelectComponent.handleTeamCountChange(this.value)">
+                    ${counts.map(count => `
+                        <option value="${count}" ${count === this.teamCount ? 'selected' : ''}>${count}</option>
+                    `).join('')}
+                </select>
+                <button class="btn btn-sm btn-primary"
+                        ${this.isBusy ? 'disabled' : ''}
+                        onclick="teamSelectComponent.handleCreateTeamsClick()">
+                    ${teams.length > 0 ? 'Recreate Teams' : 'Create Teams'}
+                </button>
+                <button class="btn btn-sm btn-secondary"
+                        ${this.isBusy || teams.length < 2 ? 'disabled' : ''}
+                        onclick="teamSelectComponent.handleAutoBalanceClick()">
+                    ⚖️ Auto-balance
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * One team column (drop target)
+     */
+    renderTeam(team, isHost) {
+        const players = team.playerIds
+            .map(id => gameState.room.players.find(p => p.userId === id))
+            .filter(Boolean);
+        const strength = players.reduce((sum, player) => sum + getPlayerStrength(player), 0);
+        const isMine = team.playerIds.includes(gameState.currentPlayer.userId);
+        const teamId = escapeHtml(team.teamId);
+
+        return `
+            <div class="team-column team-${String(team.color).toLowerCase()} ${isMine ? 'is-mine' : ''}"
+                 ondragover="teamSelectComponent.handleDragOver(event)"
+                 ondragleave="teamSelectComponent.handleDragLeave(event)"
+                 ondrop="teamSelectComponent.handleDrop(event, '${teamId}')"
+                 onclick="teamSelectComponent.handleTeamClick('${teamId}')">
+                <div class="team-header">
+                    <span class="team-name">${getTeamEmoji(team.color)} ${escapeHtml(team.name)}</span>
+                    <span class="team-count">${players.length}</span>
+                </div>
+                <div class="team-strength" title="Total score from earlier games">⭐ ${strength}</div>
+                <div class="team-players">
+                    ${players.map(player => this.renderPlayerChip(player, isHost)).join('') ||
+                        '<span class="team-hint">Empty</span>'}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Player chip (draggable for the host)
+     */
+    renderPlayerChip(player, isHost) {
+        const userId = escapeHtml(player.userId);
+        const isYou = player.userId === gameState.currentPlayer.userId;
+        const isSelected = player.userId === this.selectedPlayerId;
+
+        return `
+            <div class="team-chip ${isYou ? 'is-you' : ''} ${isSelected ? 'selected' : ''}"
+                 ${isHost ? `
+                     draggable="true"
+                     ondragstart="teamSelectComponent.handleDragStart(event, '${userId}')"
+                     ondragend="teamSelectComponent.handleDragEnd()"
+                     onclick="event.stopPropagation(); teamSelectComponent.handlePlayerClick('${userId}')"
+                 ` : ''}>
+                ${escapeHtml(player.username)}${isYou ? ' (you)' : ''}
+                ${getPlayerStrength(player) ? `<span class="team-chip-score">${getPlayerStrength(player)}</span>` : ''}
+            </div>
+        `;
+    }
+
+    renderWarnings(room) {
+        const warnings = getTeamBalanceWarnings(room);
+        if (warnings.length === 0) {
+            return '<div class="balance-ok">✓ Teams look balanced</div>';
+        }
+
+        return `
+            <ul class="balance-warnings">
+                ${warnings.map(warning => `
+                    <li class="${warning.blocking ? 'unmet' : 'warning'}">⚠️ ${escapeHtml(warning.text)}</li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    // ==========================================
+    // EVENT HANDLERS
+    // ==========================================
+
+    handleTeamCountChange(value) {
+        this.teamCount = Math.min(this.maxTeams, Math.max(this.minTeams, parseInt(value) || this.minTeams));
+    }
+
+    /**
+     * Handle create teams button click (host only)
+     */
+    async handleCreateTeamsClick() {
+        const room = gameState.room;
+        if (!gameState.isHost() || this.isBusy) return;
+
+        const hasAssignments = Object.values(room.teams || {}).some(team => team.playerIds.length > 0);
+        if (hasAssignments && !confirm(`Replace the current teams with ${this.teamCount} new ones? Everyone will need a team again.`)) {
+            return;
+        }
+
+        this.setBusy(true);
+
+        try {
+            const success = await apiClient.createTeams(room.roomId, this.teamCount);
+            if (!success) {
+                throw new Error('Failed to create teams');
+            }
+
+            // Server returns no teams; fetch them
+            const updated = await apiClient.getRoom(room.roomId);
+            gameState.applyPatch(gameState.producePatch(gameState.room, updated, '/room'));
+
+            console.log('[TeamSelectComponent] Created teams:', this.teamCount);
+        } catch (error) {
+            console.error('[TeamSelectComponent] Failed to create teams:', error);
+            gameState.setError(error.message);
+        } finally {
+            this.setBusy(false);
+        }
+    }
+
+    /**
+     * Handle auto-balance button click (host only)
+     */
+    async handleAutoBalanceClick() {
+        const room = gameState.room;
+        if (!gameState.isHost() || this.isBusy) return;
+
+        const teamIds = Object.keys(room.teams || {});
+        if (teamIds.length < 2) return;
+
+        const assignments = balanceTeams(room.players, teamIds);
+        const moves = [...assignments].filter(([userId, teamId]) =>
+            !room.teams[teamId].playerIds.includes(userId)
+        );
+
+        if (moves.length === 0) {
+            console.log('[TeamSelectComponent] Teams already balanced');
+            return;
+        }
+
+        this.setBusy(true);
+
+        // One request per moved player; each rolls back on its own if rejected
+        await Promise.allSettled(moves.map(([userId, teamId]) => this.movePlayer(userId, teamId)));
+
+        console.log(`[TeamSelectComponent] Auto-balanced (${moves.length} moved)`);
+        this.setBusy(false);
+    }
+
+    /**
+     * Handle team column click: move the selected player (host), or join it
+     */
+    handleTeamClick(teamId) {
+        if (gameState.isHost() && this.selectedPlayerId) {
+            const playerId = this.selectedPlayerId;
+            this.selectedPlayerId = null;
+            this.movePlayer(playerId, teamId);
+            return;
+        }
+
+        this.movePlayer(gameState.currentPlayer.userId, teamId);
+    }
+
+    /**
+     * Handle player chip click (host only): select for click-to-move
+     */
+    handlePlayerClick(playerId) {
+        this.selectedPlayerId = this.selectedPlayerId === playerId ? null : playerId;
+        this.render();
+    }
+
+    handleDragStart(event, playerId) {
+        this.draggedPlayerId = playerId;
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', playerId);
+    }
+
+    handleDragEnd() {
+        this.draggedPlayerId = null;
+        this.container.querySelectorAll('.team-column.drag-over')
+            .forEach(column => column.classList.remove('drag-over'));
+    }
+
+    handleDragOver(event) {
+        if (!this.draggedPlayerId) return;
+
+        event.preventDefault(); // Allow drop
+        event.dataTransfer.dropEffect = 'move';
+        event.currentTarget.classList.add('drag-over');
+    }
+
+    handleDragLeave(event) {
+        event.currentTarget.classList.remove('drag-over');
+    }
+
+    handleDrop(event, teamId) {
+        event.preventDefault();
+
+        const playerId = event.dataTransfer.getData('text/plain') || this.draggedPlayerId;
+        this.handleDragEnd();
+
+        if (playerId) {
+            this.movePlayer(playerId, teamId);
+        }
+    }
+
+    handleBackClick() {
+        screenRouter.navigate('lobby');
+    }
+
+    /**
+     * Room changed (teams, players, host)
+     */
+    onRoomUpdate() {
+        if (!this.isRendered) return;
+
+        // Re-rendering mid-drag would drop the dragged element
+        if (this.draggedPlayerId) return;
+
+        this.render();
+    }
+
+    // ==========================================
+    // HELPER METHODS
+    // ==========================================
+
+    /**
+     * Assign a player to a team (optimistic)
+     */
+    async movePlayer(playerId, teamId) {
+        const room = gameState.room;
+        if (!room?.teams?.[teamId] || room.teams[teamId].playerIds.includes(playerId)) return;
+
+        // Only the host may move other players
+        if (playerId !== gameState.currentPlayer.userId && !gameState.isHost()) return;
+
+        gameState.optimisticAssignTeam(playerId, teamId);
+
+        try {
+            await apiClient.assignTeam(room.roomId, teamId, playerId);
+        } catch (error) {
+            // Transaction rollback puts the player back and reports the error
+            console.error('[TeamSelectComponent] Failed to assign team:', error);
+        }
+    }
+
+    setBusy(isBusy) {
+        this.isBusy = isBusy;
+
+        if (this.isRendered) {
+            this.render();
+        }
+    }
+
+    destroy() {
+        gameState.off('roomUpdate', this.onRoomUpdate);
+
+        this.selectedPlayerId = null;
+        this.draggedPlayerId = null;
+        this.isRendered = false;
+    }
+}
+
+// Export
+export default TeamSelectComponent;
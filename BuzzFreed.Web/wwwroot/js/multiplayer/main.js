@@ -0,0 +1,291 @@
+/**
+ * main.js - Multiplayer bootstrap
+ *
+ * RESPONSIBILITIES:
+ * - Expose window.initMultiplayer() for app.js (classic script)
+ * - Initialize local player in GameState
+ * - Initialize EventHandler (real-time transport)
+ * - Start clock sync and the shared turn timer
+ * - Restore room/session saved before a reload
+ * - Join the room an invite launched the Activity with
+ * - Create UI components and expose them for inline handlers
+ * - Register screens with ScreenRouter and navigate as game state changes
+ *
+ * LOAD ORDER:
+ * - Loaded as an ES module, so it runs before app.js finishes Discord auth
+ * - app.js calls window.initMultiplayer() once the user is authenticated
+ */
+
+import gameState from './GameState.js';
+import eventHandler from './EventHandler.js';
+import apiClient from './ApiClient.js';
+import clockSync from './ClockSync.js';
+import turnTimer from './TurnTimer.js';
+import screenRouter from './ScreenRouter.js';
+import invites from './Invites.js';
+import HomeComponent from './components/HomeComponent.js';
+import LobbyComponent from './components/LobbyComponent.js';
+import TeamSelectComponent from './components/TeamSelectComponent.js';
+import ModeSelectComponent from './components/ModeSelectComponent.js';
+import GameComponent from './components/GameComponent.js';
+import SpectatorComponent from './components/SpectatorComponent.js';
+import ResultsComponent from './components/ResultsComponent.js';
+import LeaderboardComponent from './components/LeaderboardComponent.js';
+import ChatComponent from './components/ChatComponent.js';
+import ReplayScrubberComponent from './components/ReplayScrubberComponent.js';
+
+// Components are referenced from inline onclick handlers
+const homeComponent = new HomeComponent('multiplayer-home');
+const lobbyComponent = new LobbyComponent('lobby');
+const teamSelectComponent = new TeamSelectComponent('team-select');
+const modeSelectComponent = new ModeSelectComponent('mode-select');
+const gameComponent = new GameComponent('game');
+const spectatorComponent = new SpectatorComponent('spectator');
+const resultsComponent = new ResultsComponent('results');
+const leaderboardComponent = new LeaderboardComponent('leaderboard');
+const chatComponent = new ChatComponent('chat');
+const replayScrubberComponent = new ReplayScrubberComponent('replay-scrubber');
+window.homeComponent = homeComponent;
+window.lobbyComponent = lobbyComponent;
+window.teamSelectComponent = teamSelectComponent;
+window.modeSelectComponent = modeSelectComponent;
+window.gameComponent = gameComponent;
+window.spectatorComponent = spectatorComponent;
+window.resultsComponent = resultsComponent;
+window.leaderboardComponent = leaderboardComponent;
+window.chatComponent = chatComponent;
+window.replayScrubberComponent = replayScrubberComponent;
+
+// app.js switchScreen() goes through the router once this module has loaded
+window.screenRouter = screenRouter;
+
+/**
+ * Show the game view for the local player's role this turn:
+ * GameComponent in the hot seat, SpectatorComponent otherwise
+ */
+function syncGameView() {
+    if (gameState.isActivePlayer()) {
+        if (!gameComponent.isRendered) {
+            spectatorComponent.destroy();
+            clearContainers('spectator');
+            gameComponent.render();
+        }
+    } else if (!spectatorComponent.isRendered) {
+        gameComponent.destroy();
+        clearContainers('game');
+        spectatorComponent.render();
+    }
+}
+
+/**
+ * Turn results between turns, final results (and replay) after the game
+ */
+function syncResultsView() {
+    if (gameState.session.state === 'Completed') {
+        resultsComponent.showFinalResults();
+        replayScrubberComponent.render();
+    } else {
+        resultsComponent.showTurnResults();
+    }
+}
+
+function clearContainers(...ids) {
+    ids.forEach(id => {
+        const container = document.getElementById(id);
+        if (container) container.innerHTML = '';
+    });
+}
+
+// ==========================================
+// ROUTES
+// ==========================================
+
+/**
+ * Where a player in a room/session belongs instead (true if nowhere)
+ */
+function outsideRoomOnly() {
+    if (gameState.session) return gameState.session.state === 'Completed' ? 'results' : 'game';
+    if (gameState.room) return 'lobby';
+    return true;
+}
+
+/**
+ * Lobby screens: need a room, and no session (true if allowed)
+ */
+function roomOnly() {
+    if (!gameState.room) return 'home';
+    if (gameState.session) return gameState.session.state === 'Completed' ? 'results' : 'game';
+    return true;
+}
+
+// Solo quiz: quiz-app.js fills these screens itself
+screenRouter
+    .register('loading', { screenId: 'loading-screen', canEnter: () => false })
+    .register('quiz-start', { screenId: 'start-screen', canEnter: outsideRoomOnly })
+    .register('quiz-question', { screenId: 'question-screen', canEnter: outsideRoomOnly })
+    .register('quiz-result', { screenId: 'result-screen', canEnter: outsideRoomOnly })
+    .register('quiz-history', { screenId: 'history-screen', canEnter: outsideRoomOnly });
+
+// Multiplayer
+screenRouter
+    .register('home', {
+        screenId: 'multiplayer-home-screen',
+        canEnter: outsideRoomOnly,
+        enter: () => homeComponent.render(),
+        leave: () => homeComponent.destroy()
+    })
+    .register('lobby', {
+        screenId: 'lobby-screen',
+        canEnter: roomOnly,
+        enter: () => lobbyComponent.render(),
+        refresh: () => lobbyComponent.render(),
+        leave: () => {
+            lobbyComponent.destroy();
+            clearContainers('lobby');
+        }
+    })
+    // Team formation shares the lobby screen
+    .register('team-select', {
+        screenId: 'lobby-screen',
+        canEnter: roomOnly,
+        enter: () => teamSelectComponent.render(),
+        refresh: () => teamSelectComponent.render(),
+        leave: () => {
+            teamSelectComponent.destroy();
+            clearContainers('team-select');
+        }
+    })
+    // Picks the mode for a new room, or switches the room's mode (host)
+    .register('mode-select', {
+        screenId: 'mode-select-screen',
+        canEnter: () => {
+            if (gameState.session) return gameState.session.state === 'Completed' ? 'results' : 'game';
+            if (gameState.room && !gameState.isHost()) return 'lobby';
+            return true;
+        },
+        enter: () => modeSelectComponent.render(),
+        refresh: () => modeSelectComponent.render(),
+        leave: () => {
+            modeSelectComponent.destroy();
+            clearContainers('mode-select');
+        }
+    })
+    .register('game', {
+        screenId: 'game-screen',
+        canEnter: () => {
+            if (!gameState.session) return gameState.room ? 'lobby' : 'home';
+            if (gameState.session.state === 'Completed' || gameState.uiState.showingResults) return 'results';
+            return true;
+        },
+        enter: () => {
+            leaderboardComponent.render();
+            chatComponent.render();
+            syncGameView();
+        },
+        refresh: syncGameView,
+        leave: () => {
+            gameComponent.destroy();
+            spectatorComponent.destroy();
+            leaderboardComponent.destroy();
+            chatComponent.destroy();
+            clearContainers('game', 'spectator', 'leaderboard', 'chat');
+        }
+    })
+    .register('results', {
+        screenId: 'game-results-screen',
+        canEnter: () => {
+            if (!gameState.session) return gameState.room ? 'lobby' : 'home';
+            if (gameState.session.state !== 'Completed' && !gameState.uiState.showingResults) return 'game';
+            return true;
+        },
+        enter: () => {
+            chatComponent.render();
+            syncResultsView();
+        },
+        refresh: syncResultsView,
+        leave: () => {
+            resultsComponent.destroy();
+            replayScrubberComponent.destroy();
+            chatComponent.destroy();
+            clearContainers('results', 'replay-scrubber', 'chat');
+        }
+    });
+
+screenRouter.initialize();
+
+// Entered a room (created, joined, restored or back from a game): lobby
+// Game started / next turn started: game
+// Turn ended: turn results
+// Left: multiplayer home
+gameState.on('stateChange', (data) => {
+    switch (data.type) {
+        case 'roomSet':
+            screenRouter.navigate('lobby');
+            break;
+        case 'sessionSet':
+        case 'turnResultsCleared':
+            screenRouter.navigate('game');
+            break;
+        case 'turnResults':
+            screenRouter.navigate('results');
+            break;
+        case 'cleared':
+            screenRouter.navigate('home');
+            break;
+    }
+});
+
+// Hot seat moves to another player each turn
+gameState.on('turnUpdate', () => {
+    if (screenRouter.current === 'game') {
+        syncGameView();
+    }
+});
+
+// Game finished: final results
+gameState.on('sessionUpdate', ({ session }) => {
+    if (session?.state === 'Completed') {
+        screenRouter.navigate('results');
+    }
+});
+
+/**
+ * Initialize multiplayer (called from app.js after Discord auth)
+ */
+window.initMultiplayer = async function(discordSdk, discordUser, guildId) {
+    gameState.initializePlayer(discordUser);
+    gameState.currentPlayer.guildId = guildId;
+
+    eventHandler.initialize(discordSdk);
+    invites.initialize(discordSdk);
+
+    // Turn timers count down on the server's clock
+    clockSync.start(apiClient);
+    turnTimer.initialize();
+
+    // Party mode entry point on the solo start screen
+    const multiplayerBtn = document.getElementById('multiplayer-btn');
+    if (multiplayerBtn) {
+        multiplayerBtn.hidden = false;
+        multiplayerBtn.addEventListener('click', () => screenRouter.navigate('home'));
+    }
+
+    // Reloaded mid-game? Put the player back in their room
+    const restored = await gameState.restoreSnapshot(apiClient);
+
+    // Send anything queued while offline before the reload
+    apiClient.flushOfflineQueue();
+
+    // Launched from an invite: join that room, unless already in a game
+    const inviteCode = invites.takeLaunchRoomCode();
+    if (inviteCode && gameState.room?.roomCode !== inviteCode) {
+        if (gameState.room || gameState.session) {
+            console.log('[Multiplayer] Ignoring invite to', inviteCode, '(already in a room)');
+        } else {
+            screenRouter.navigate('home');
+            await homeComponent.joinWithCode(inviteCode);
+        }
+    }
+
+    console.log('[Multiplayer] Ready', restored ? '(restored)' : '');
+};
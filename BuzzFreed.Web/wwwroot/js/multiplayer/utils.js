@@ -0,0 +1,235 @@
+/**
+ * utils.js - Small helpers shared by multiplayer components
+ */
+
+/**
+ * Escape text (usernames, chat, AI-generated questions) for innerHTML
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// ==========================================
+// GAME MODES
+// ==========================================
+
+/**
+ * Mode registry ID → GameModeType name: "hot-seat" → "HotSeat"
+ */
+export function modeIdToType(modeId) {
+    return modeId
+        .split('-')
+        .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+        .join('');
+}
+
+/**
+ * GameModeType name → mode registry ID: "HotSeat" → "hot-seat"
+ */
+export function modeTypeToId(modeType) {
+    return String(modeType)
+        .replace(/([a-z])([A-Z])/g, '$1-$2')
+        .toLowerCase();
+}
+
+/**
+ * Rough game length in minutes: every question takes the full turn time,
+ * plus time on the turn results screen (host-paced, ~20s)
+ */
+export function estimateGameMinutes(mode, questionCount = 10) {
+    const secondsPerQuestion = (mode.defaultTimeLimit || 30) + 20;
+    return Math.max(1, Math.round(questionCount * secondsPerQuestion / 60));
+}
+
+/**
+ * Does the mode fit this many players? (null count = unknown, fits)
+ * Returns { fits, reason }
+ */
+export function getModeFit(mode, playerCount) {
+    if (playerCount == null) return { fits: true, reason: null };
+
+    if (playerCount < mode.minPlayers) {
+        return { fits: false, reason: `Needs ${mode.minPlayers}+ players` };
+    }
+
+    if (playerCount > mode.maxPlayers) {
+        return { fits: false, reason: `Up to ${mode.maxPlayers} players` };
+    }
+
+    return { fits: true, reason: null };
+}
+
+/**
+ * Mode rules as [label, value] pairs (GameModeInfo from /api/room/modes)
+ */
+export function getModeRules(mode, questionCount = 10) {
+    const interactions = [
+        ['enableReactions', 'Reactions'],
+        ['enableSuggestions', 'Suggestions'],
+        ['enablePredictions', 'Predictions'],
+        ['enablePowerUps', 'Power-ups']
+    ].filter(([flag]) => mode[flag]).map(([, label]) => label);
+
+    return [
+        ['Players', `${mode.minPlayers}-${mode.maxPlayers}`],
+        ['Length', `~${estimateGameMinutes(mode, questionCount)} min`],
+        ['Teams', mode.requiresTeams ? 'Required' : 'No'],
+        ['Time per turn', `${mode.defaultTimeLimit}s`],
+        ['Correct answer', `${mode.correctAnswerPoints} pts`],
+        ['Speed bonus', mode.enableSpeedBonus ? `Up to ${mode.maxSpeedBonus} pts` : 'Off'],
+        ['Spectators can use', interactions.length > 0 ? interactions.join(', ') : 'Nothing'],
+        ...Object.entries(mode.customSettings || {}).map(([key, value]) => [
+            formatSettingName(key),
+            typeof value === 'boolean' ? (value ? 'Yes' : 'No') : value
+        ])
+    ];
+}
+
+/**
+ * "AllowCaptainOverride" → "Allow captain override"
+ */
+function formatSettingName(key) {
+    const words = key.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// ==========================================
+// REACTIONS
+// ==========================================
+
+/**
+ * ReactionType → emoji (matches Interaction.cs)
+ */
+export const reactionEmojis = {
+    Funny: '😂',
+    Thinking: '🤔',
+    Shocked: '😱',
+    Nice: '👍',
+    Nah: '👎',
+    Smart: '⭐',
+    Fire: '🔥',
+    Dead: '💀'
+};
+
+export function getReactionEmoji(reactionType) {
+    return reactionEmojis[reactionType] || '❓';
+}
+
+// ==========================================
+// TEAMS
+// ==========================================
+
+/**
+ * TeamColor → emoji (matches Team.cs)
+ */
+export const teamColorEmojis = {
+    Red: '🔴',
+    Blue: '🔵',
+    Green: '🟢',
+    Yellow: '🟡',
+    Purple: '🟣',
+    Orange: '🟠',
+    Pink: '🩷',
+    Cyan: '🩵'
+};
+
+export function getTeamEmoji(color) {
+    return teamColorEmojis[color] || '⚪';
+}
+
+/**
+ * Strength used to balance teams: score from earlier games in this room
+ * (room players are the same objects the server scores in-game)
+ */
+export function getPlayerStrength(player) {
+    return player.score || 0;
+}
+
+/**
+ * Spread players over teams: sizes differ by at most one, and each player
+ * (strongest first) joins the weakest of the smallest teams
+ * Returns Map userId → teamId
+ */
+export function balanceTeams(players, teamIds) {
+    const totals = new Map(teamIds.map(id => [id, { size: 0, strength: 0 }]));
+    const assignments = new Map();
+
+    const ordered = [...players].sort((a, b) =>
+        getPlayerStrength(b) - getPlayerStrength(a) ||
+        (b.stats?.accuracyPercentage || 0) - (a.stats?.accuracyPercentage || 0)
+    );
+
+    ordered.forEach(player => {
+        const smallest = Math.min(...[...totals.values()].map(t => t.size));
+
+        let bestId = null;
+        for (let [id, total] of totals) {
+            if (total.size !== smallest) continue;
+            if (bestId === null || total.strength < totals.get(bestId).strength) {
+                bestId = id;
+            }
+        }
+
+        const total = totals.get(bestId);
+        total.size++;
+        total.strength += getPlayerStrength(player);
+        assignments.set(player.userId, bestId);
+    });
+
+    return assignments;
+}
+
+/**
+ * Problems with the room's teams worth fixing before starting
+ * Returns [{ text, blocking }]; blocking ones stop the game from starting
+ */
+export function getTeamBalanceWarnings(room) {
+    const teams = Object.values(room.teams || {});
+    const warnings = [];
+
+    if (teams.length < 2) {
+        return [{ text: 'Create at least 2 teams', blocking: true }];
+    }
+
+    const unassigned = room.players.filter(p => !teams.some(team => team.playerIds.includes(p.userId)));
+    if (unassigned.length > 0) {
+        warnings.push({
+            text: `${unassigned.length} ${unassigned.length === 1 ? 'player isn\'t' : 'players aren\'t'} on a team`,
+            blocking: true
+        });
+    }
+
+    teams.filter(team => team.playerIds.length === 0).forEach(team => {
+        warnings.push({ text: `${team.name} has no players`, blocking: true });
+    });
+
+    const sizes = teams.map(team => team.playerIds.length);
+    if (Math.max(...sizes) - Math.min(...sizes) > 1) {
+        warnings.push({ text: `Team sizes are uneven (${Math.max(...sizes)} vs ${Math.min(...sizes)})`, blocking: false });
+    }
+
+    // Past scores: flag a team more than 50% stronger than the weakest
+    const strengths = teams.map(team => ({
+        team,
+        strength: team.playerIds.reduce((sum, id) => {
+            const player = room.players.find(p => p.userId === id);
+            return sum + (player ? getPlayerStrength(player) : 0);
+        }, 0)
+    })).sort((a, b) => b.strength - a.strength);
+
+    const strongest = strengths[0];
+    const weakest = strengths[strengths.length - 1];
+    if (strongest.strength > 0 && strongest.strength > weakest.strength * 1.5) {
+        warnings.push({
+            text: `${strongest.team.name} is much stronger on past scores (${strongest.strength} vs ${weakest.strength})`,
+            blocking: false
+        });
+    }
+
+    return warnings;
+}
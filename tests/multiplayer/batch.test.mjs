@@ -0,0 +1,110 @@
+import './support/browser.mjs';
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installMockServer, reply } from './support/server.mjs';
+import { serverTurn } from './support/fixtures.mjs';
+
+const { default: apiClient } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/ApiClient.js');
+
+const MAX_BATCH_SIZE = 20; // GameController.MaxBatchSize
+
+let server;
+
+/**
+ * GameController.Batch: one result per item, each with its own status
+ */
+function batchRoute({ body }) {
+    if (body.requests.length > MAX_BATCH_SIZE) {
+        return reply(400, { success: false, error: `Too many batch items (max ${MAX_BATCH_SIZE})` });
+    }
+
+    return {
+        results: body.requests.map(({ id, path }) => {
+            if (path === 'leaderboard') {
+                return { id, status: 200, body: { entries: [], updatedAt: '2026-10-19T12:00:00Z' }, error: null };
+            }
+            if (path === 'turn') {
+                return { id, status: 200, body: serverTurn(), error: null };
+            }
+            if (path === 'turn/gone/reactions') {
+                return { id, status: 404, body: null, error: null };
+            }
+            return { id, status: 200, body: [], error: null };
+        })
+    };
+}
+
+function batches() {
+    return server.requestsTo('POST', '/api/game/session-1/batch').map(r => r.body.requests);
+}
+
+beforeEach(() => {
+    server = installMockServer()
+        .route('POST', '/api/game/:sessionId/batch', batchRoute)
+        .route('GET', '/api/game/:sessionId', () => ({ sessionId: 'session-1' }))
+        .route('GET', '/api/game/:sessionId/leaderboard', () => ({ entries: [] }))
+        .route('GET', '/api/game/:sessionId/turn/:turnId/answers', () => []);
+
+    apiClient.cache.clear();
+});
+
+test('settles each call in a mixed batch from its own result', async () => {
+    const [leaderboard, turn, reactions] = await Promise.allSettled([
+        apiClient.getLeaderboard('session-1'),
+        apiClient.getCurrentTurn('session-1'),
+        apiClient.getReactionSummary('session-1', 'gone')
+    ]);
+
+    assert.deepEqual(batches(), [[
+        { id: '0', path: 'leaderboard' },
+        { id: '1', path: 'turn' },
+        { id: '2', path: 'turn/gone/reactions' }
+    ]]);
+
+    assert.equal(leaderboard.status, 'fulfilled');
+    assert.deepEqual(leaderboard.value.entries, []);
+    assert.equal(turn.status, 'fulfilled');
+    assert.equal(turn.value.turnId, 'turn-1');
+    assert.equal(reactions.status, 'rejected');
+    assert.equal(reactions.reason.message, 'Resource not found');
+});
+
+test('never sends more than the server batch limit in one request', async () => {
+    const calls = Array.from({ length: MAX_BATCH_SIZE + 5 }, (_, i) =>
+        apiClient.getTurnInteractions('session-1', `turn-${i}`)
+    );
+
+    const results = await Promise.all(calls);
+
+    assert.deepEqual(batches().map(items => items.length), [MAX_BATCH_SIZE, 5]);
+    assert.equal(results.length, MAX_BATCH_SIZE + 5);
+    assert.ok(results.every(result => Array.isArray(result)));
+});
+
+test('a lone call goes out as a plain GET', async () => {
+    await apiClient.getLeaderboard('session-1');
+
+    assert.deepEqual(batches(), []);
+    assert.equal(server.requestsTo('GET', '/api/game/session-1/leaderboard').length, 1);
+});
+
+test('only the session read routes the server can dispatch are batched', async () => {
+    await Promise.all([
+        apiClient.getCurrentTurn('session-1'),
+        apiClient.getTurnInteractions('session-1', 'turn-1'),
+        apiClient.get('/api/game/session-1'),
+        apiClient.get('/api/game/session-1/turn/turn-1/answers'),
+        apiClient.get('/api/game/session-1/leaderboard?limit=5')
+    ]);
+
+    assert.deepEqual(batches(), [[
+        { id: '0', path: 'turn' },
+        { id: '1', path: 'turn/turn-1/interactions' }
+    ]]);
+    assert.deepEqual(
+        server.requests.filter(r => r.method === 'GET').map(r => r.path).sort(),
+        ['/api/game/session-1', '/api/game/session-1/leaderboard', '/api/game/session-1/turn/turn-1/answers']
+    );
+});
@@ -0,0 +1,85 @@
+import './support/browser.mjs';
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installMockServer } from './support/server.mjs';
+import { installMockRealtime } from './support/realtime.mjs';
+import { serverRoom, serverSession, serverPlayer } from './support/fixtures.mjs';
+
+const sockets = installMockRealtime();
+
+const { default: gameState } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/GameState.js');
+const { default: apiClient } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/ApiClient.js');
+const { default: eventHandler } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/EventHandler.js');
+
+eventHandler.initialize(null);
+
+const players = [serverPlayer('host', { role: 'Host', teamId: 'red' }), serverPlayer('guest', { teamId: 'red' })];
+
+let server;
+let nextEventId = 0;
+
+/**
+ * A chat message as InteractionService stores it
+ */
+function serverChat(overrides = {}) {
+    return {
+        interactionId: `chat-${nextEventId}`,
+        sessionId: 'session-1',
+        turnId: '',
+        playerId: 'host',
+        questionNumber: 0,
+        timestamp: '2026-10-19T12:00:00Z',
+        message: 'go left',
+        teamId: 'red',
+        isGlobal: false,
+        replyToMessageId: null,
+        ...overrides
+    };
+}
+
+/**
+ * Wait for recovery and queued events to finish
+ */
+async function settle() {
+    do {
+        await new Promise(resolve => setTimeout(resolve, 0));
+    } while (eventHandler.isRecovering || eventHandler.isProcessing);
+}
+
+beforeEach(() => {
+    server = installMockServer();
+    sockets.reset();
+    apiClient.cache.clear();
+    gameState.clear();
+    gameState.initializePlayer({ id: 'guest', username: 'Guest', avatar: null });
+    gameState.setRoom(serverRoom({ state: 'InProgress', gameMode: 'TeamChallenge', players }));
+    gameState.setSession(serverSession({ gameMode: 'TeamChallenge', players }));
+    sockets.last().open();
+});
+
+afterEach(() => {
+    gameState.clear();
+});
+
+test('team chat arrives unsequenced without disturbing the room sequence', async () => {
+    sockets.last().push({ type: 'PLAYER_READY', data: { playerId: 'host', isReady: true }, sequence: 1, eventId: `event-${nextEventId++}` });
+
+    // EventService.SendTo: only the team's connections get it, with no sequence
+    sockets.last().push({ type: 'CHAT_MESSAGE', data: { message: serverChat() }, sequence: null, eventId: `event-${nextEventId++}` });
+    sockets.last().push({ type: 'PLAYER_READY', data: { playerId: 'guest', isReady: true }, sequence: 2, eventId: `event-${nextEventId++}` });
+    await settle();
+
+    assert.deepEqual(gameState.chatMessages.map(m => m.message), ['go left']);
+    assert.equal(eventHandler.lastSequence, 2);
+    assert.equal(server.requestsTo('GET', '/api/realtime/events').length, 0);
+});
+
+test('the session is fetched as the current player sees it', async () => {
+    server.route('GET', '/api/game/:sessionId', () => serverSession({ players }));
+
+    await apiClient.getSession('session-1');
+
+    assert.deepEqual(server.requestsTo('GET', '/api/game/session-1')[0].query, { userId: 'guest' });
+});
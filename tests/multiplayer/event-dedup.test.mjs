@@ -0,0 +1,153 @@
+import './support/browser.mjs';
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installMockServer } from './support/server.mjs';
+import { installMockRealtime } from './support/realtime.mjs';
+import { serverRoom, serverSession, serverPlayer } from './support/fixtures.mjs';
+
+const sockets = installMockRealtime();
+
+const { default: gameState } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/GameState.js');
+const { default: eventHandler } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/EventHandler.js');
+
+eventHandler.initialize(null);
+
+const players = [serverPlayer('host', { role: 'Host' }), serverPlayer('guest')];
+
+let nextEventId = 0;
+
+/**
+ * A PlayerResponse as GameSessionService publishes it (ANSWER_SUBMITTED)
+ */
+function serverResponse(overrides = {}) {
+    return {
+        responseId: 'response-1',
+        turnId: 'turn-1',
+        playerId: 'guest',
+        questionNumber: 1,
+        answerIndex: 2,
+        answerText: '',
+        submittedAt: '2026-10-19T12:00:05Z',
+        ...overrides
+    };
+}
+
+/**
+ * A Reaction as InteractionService publishes it (REACTION_RECEIVED)
+ */
+function serverReaction(overrides = {}) {
+    return {
+        interactionId: 'reaction-1',
+        sessionId: 'session-1',
+        turnId: 'turn-1',
+        playerId: 'guest',
+        questionNumber: 1,
+        timestamp: '2026-10-19T12:00:05Z',
+        type: 'Funny',
+        targetPlayerId: 'host',
+        visibleToTarget: true,
+        ...overrides
+    };
+}
+
+/**
+ * Wait for queued events to finish
+ */
+async function settle() {
+    do {
+        await new Promise(resolve => setTimeout(resolve, 0));
+    } while (eventHandler.isRecovering || eventHandler.isProcessing);
+}
+
+beforeEach(() => {
+    installMockServer();
+    sockets.reset();
+    gameState.clear();
+    gameState.initializePlayer({ id: 'guest', username: 'Guest', avatar: null });
+    gameState.setRoom(serverRoom({ state: 'InProgress', players }));
+    gameState.setSession(serverSession({ players }));
+    sockets.last().open();
+});
+
+afterEach(() => {
+    gameState.clear();
+});
+
+test('an event delivered twice is applied once', async () => {
+    const event = { type: 'ANSWER_SUBMITTED', data: serverResponse(), sequence: null, eventId: `event-${nextEventId++}` };
+
+    sockets.last().push(event);
+    sockets.last().push(event);
+    await settle();
+
+    assert.equal(gameState.session.currentTurn.responses.length, 1);
+});
+
+test('a replayed ANSWER_SUBMITTED merges into the response it already added', async () => {
+    // Same response under a new eventId (e.g. sent again after a resync)
+    sockets.last().push({ type: 'ANSWER_SUBMITTED', data: serverResponse(), sequence: null, eventId: `event-${nextEventId++}` });
+    sockets.last().push({ type: 'ANSWER_SUBMITTED', data: serverResponse(), sequence: null, eventId: `event-${nextEventId++}` });
+    await settle();
+
+    assert.deepEqual(gameState.session.currentTurn.responses.map(r => r.responseId), ['response-1']);
+});
+
+test('the server copy of our answer replaces the optimistic one', async () => {
+    gameState.optimisticSubmitAnswer(2);
+    assert.equal(gameState.session.currentTurn.responses[0].isOptimistic, true);
+
+    sockets.last().push({ type: 'ANSWER_SUBMITTED', data: serverResponse(), sequence: null, eventId: `event-${nextEventId++}` });
+    await settle();
+
+    const { responses } = gameState.session.currentTurn;
+    assert.equal(responses.length, 1);
+    assert.equal(responses[0].responseId, 'response-1');
+    assert.equal(responses[0].isOptimistic, false);
+});
+
+test('a reaction arriving after its optimistic copy leaves one reaction', async () => {
+    gameState.optimisticAddReaction('Funny', 'host');
+
+    sockets.last().push({ type: 'REACTION_RECEIVED', data: { reaction: serverReaction() }, sequence: null, eventId: `event-${nextEventId++}` });
+    sockets.last().push({ type: 'REACTION_RECEIVED', data: { reaction: serverReaction() }, sequence: null, eventId: `event-${nextEventId++}` });
+    await settle();
+
+    const { reactions } = gameState.session.currentTurn;
+    assert.equal(reactions.length, 1);
+    assert.equal(reactions[0].interactionId, 'reaction-1');
+    assert.equal(reactions[0].reactionType, 'Funny');
+    assert.equal(reactions[0].isOptimistic, false);
+});
+
+test('a different reaction from the same player is not merged into the optimistic one', async () => {
+    gameState.optimisticAddReaction('Funny', 'host');
+
+    sockets.last().push({
+        type: 'REACTION_RECEIVED',
+        data: { reaction: serverReaction({ interactionId: 'reaction-2', type: 'Fire' }) },
+        sequence: null,
+        eventId: `event-${nextEventId++}`
+    });
+    await settle();
+
+    assert.deepEqual(
+        gameState.session.currentTurn.reactions.map(r => [r.reactionType, Boolean(r.isOptimistic)]),
+        [['Funny', true], ['Fire', false]]
+    );
+});
+
+test('event IDs are remembered for the last maxSeenEvents events only', () => {
+    const first = `window-${nextEventId++}`;
+    assert.equal(eventHandler.markEventSeen(first), true);
+
+    for (let i = 0; i < eventHandler.maxSeenEvents - 1; i++) {
+        eventHandler.markEventSeen(`window-${nextEventId++}`);
+    }
+    assert.equal(eventHandler.markEventSeen(first), false);
+
+    // One more pushes `first` out of the window
+    eventHandler.markEventSeen(`window-${nextEventId++}`);
+    assert.equal(eventHandler.markEventSeen(first), true);
+});
@@ -0,0 +1,137 @@
+import './support/browser.mjs';
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installMockServer } from './support/server.mjs';
+import { installMockRealtime } from './support/realtime.mjs';
+import { serverRoom, serverSession, serverTurn, serverPlayer } from './support/fixtures.mjs';
+
+const sockets = installMockRealtime();
+
+const { default: gameState } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/GameState.js');
+const { default: apiClient } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/ApiClient.js');
+const { default: realtimeClient } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/RealtimeClient.js');
+const { default: eventHandler } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/EventHandler.js');
+
+eventHandler.initialize(null);
+
+let server;
+let nextEventId = 0;
+
+/**
+ * A PLAYER_READY event as RealtimeController sends it
+ */
+function readyEvent(sequence, playerId) {
+    return { type: 'PLAYER_READY', data: { playerId, isReady: true }, sequence, eventId: `event-${nextEventId++}` };
+}
+
+function readyPlayers() {
+    return gameState.room.players.filter(p => p.isReady).map(p => p.userId);
+}
+
+/**
+ * Wait for recovery and queued events to finish
+ */
+async function settle() {
+    do {
+        await new Promise(resolve => setTimeout(resolve, 0));
+    } while (eventHandler.isRecovering || eventHandler.isProcessing);
+}
+
+beforeEach(() => {
+    server = installMockServer();
+    sockets.reset();
+    apiClient.cache.clear();
+    realtimeClient.baseReconnectDelay = 5;
+    gameState.clear();
+    gameState.initializePlayer({ id: 'guest', username: 'Guest', avatar: null });
+    gameState.setRoom(serverRoom({ players: ['host', 'guest', 'a', 'b', 'c'].map(id => serverPlayer(id)) }));
+    sockets.last().open();
+});
+
+afterEach(() => {
+    gameState.clear();
+});
+
+test('fetches the events missing from a sequence gap and applies them in order', async () => {
+    const latest = readyEvent(4, 'c');
+    server.route('GET', '/api/realtime/events', () => ({
+        events: [readyEvent(2, 'a'), readyEvent(3, 'b'), latest],
+        latestSequence: 4
+    }));
+
+    sockets.last().push(readyEvent(1, 'host'));
+    sockets.last().push(latest);
+    await settle();
+
+    const fetches = server.requestsTo('GET', '/api/realtime/events');
+    assert.equal(fetches.length, 1);
+    assert.deepEqual(fetches[0].query, { after: '1', limit: '100', roomId: 'room-1', userId: 'guest' });
+
+    assert.deepEqual(readyPlayers(), ['host', 'a', 'b', 'c']);
+    assert.equal(eventHandler.lastSequence, 4);
+});
+
+test('refetches the room when the server no longer has the missed events', async () => {
+    server.route('GET', '/api/realtime/events', () => ({
+        events: [readyEvent(3, 'b')],   // 2 has left the server's log
+        latestSequence: 4
+    }));
+    server.route('GET', '/api/room/:roomId', () => serverRoom({
+        players: ['host', 'guest', 'a', 'b', 'c'].map(id => serverPlayer(id, { isReady: id !== 'guest' }))
+    }));
+
+    sockets.last().push(readyEvent(1, 'host'));
+    sockets.last().push(readyEvent(5, 'c'));
+    await settle();
+
+    assert.equal(server.requestsTo('GET', '/api/room/room-1').length, 1);
+    assert.deepEqual(readyPlayers(), ['host', 'a', 'b', 'c']);
+    assert.equal(eventHandler.lastSequence, 5);
+});
+
+test('catches up on events published while reconnecting', async () => {
+    server.route('GET', '/api/realtime/events', ({ query }) => ({
+        events: query.after === '1' ? [readyEvent(2, 'a')] : [],
+        latestSequence: 2
+    }));
+
+    sockets.last().push(readyEvent(1, 'host'));
+    await settle();
+
+    sockets.last().fail();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    sockets.last().open();
+    await settle();
+
+    assert.equal(server.requestsTo('GET', '/api/realtime/events').length, 1);
+    assert.deepEqual(readyPlayers(), ['host', 'a']);
+});
+
+test('a session starting keeps the room connection and its sequence', async () => {
+    server.route('GET', '/api/realtime/events', () => ({
+        events: [{ type: 'TURN_STARTED', data: { turn: serverTurn() }, sequence: 3, eventId: `event-${nextEventId++}` }],
+        latestSequence: 3
+    }));
+
+    sockets.last().push(readyEvent(1, 'host'));
+    sockets.last().push({
+        type: 'SESSION_CREATED',
+        data: { session: serverSession({ currentTurn: null }) },
+        sequence: 2,
+        eventId: `event-${nextEventId++}`
+    });
+    await settle();
+
+    assert.equal(sockets.all.length, 1);
+    assert.equal(eventHandler.lastSequence, 2);
+
+    // TURN_STARTED (3) was missed: the gap is still noticed and filled
+    sockets.last().push(readyEvent(4, 'a'));
+    await settle();
+
+    assert.equal(server.requestsTo('GET', '/api/realtime/events').length, 1);
+    assert.equal(gameState.session.currentTurn.turnId, 'turn-1');
+    assert.equal(eventHandler.lastSequence, 4);
+});
@@ -0,0 +1,67 @@
+import './support/browser.mjs';
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installMockServer, reply } from './support/server.mjs';
+import { serverRoom, serverPlayer } from './support/fixtures.mjs';
+
+const { default: gameState } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/GameState.js');
+const { default: apiClient } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/ApiClient.js');
+const { default: HomeComponent } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/components/HomeComponent.js');
+
+let server;
+let home;
+
+beforeEach(() => {
+    server = installMockServer();
+    apiClient.cache.clear();
+    gameState.clear();
+    gameState.initializePlayer({ id: 'guest', username: 'Guest', avatar: null });
+    home = new HomeComponent('home-container');
+});
+
+test('joins a fresh room the server reports in the Lobby state', async () => {
+    const room = serverRoom();
+    server.route('GET', '/api/room/code/:code', () => room);
+    server.route('POST', '/api/room/join', ({ body }) => ({
+        success: true,
+        room: { ...room, players: [...room.players, serverPlayer(body.userId, { username: body.username })] }
+    }));
+
+    await home.joinWithCode('abc123');
+
+    const joins = server.requestsTo('POST', '/api/room/join');
+    assert.equal(joins.length, 1);
+    assert.deepEqual(joins[0].body, { roomCode: 'ABC-123', userId: 'guest', username: 'Guest', password: null });
+
+    assert.equal(home.error, null);
+    assert.equal(gameState.room.roomId, 'room-1');
+    assert.ok(gameState.room.players.some(p => p.userId === 'guest'));
+});
+
+test('refuses a room that has already started', async () => {
+    server.route('GET', '/api/room/code/:code', () => serverRoom({ state: 'InProgress' }));
+
+    await home.joinWithCode('ABC-123');
+
+    assert.equal(server.requestsTo('POST', '/api/room/join').length, 0);
+    assert.equal(home.error, 'That game has already started');
+    assert.equal(gameState.room, null);
+});
+
+test('refuses a private room until a password is entered', async () => {
+    server.route('GET', '/api/room/code/:code', () => serverRoom({ hasPassword: true }));
+
+    await home.joinWithCode('ABC-123');
+
+    assert.equal(home.error, 'That room is private: enter its password');
+});
+
+test('explains an unknown room code', async () => {
+    server.route('GET', '/api/room/code/:code', () => reply(404, null));
+
+    await home.joinWithCode('ZZZ-999');
+
+    assert.equal(home.error, 'No room found with code ZZZ-999');
+});
@@ -0,0 +1,106 @@
+import { dispatchWindowEvent } from './support/browser.mjs';
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installMockServer } from './support/server.mjs';
+import { serverRoom, serverSession, serverPlayer } from './support/fixtures.mjs';
+
+const { default: gameState } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/GameState.js');
+const { default: apiClient } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/ApiClient.js');
+
+const players = [serverPlayer('host', { role: 'Host' }), serverPlayer('guest')];
+
+let server;
+let flushed;
+
+gameState.on('stateChange', data => data.type === 'queueFlushed' && flushed.push(data));
+
+function goOffline() {
+    navigator.onLine = false;
+}
+
+/**
+ * Come back online and wait for the replay to finish
+ */
+async function goOnline() {
+    navigator.onLine = true;
+    dispatchWindowEvent('online');
+
+    while (apiClient.isFlushing) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+}
+
+beforeEach(() => {
+    server = installMockServer()
+        .route('PUT', '/api/room/:roomId/ready', () => ({ success: true }))
+        .route('POST', '/api/game/:sessionId/reaction', () => ({ success: true }))
+        .route('POST', '/api/game/:sessionId/chat', () => ({ success: true }));
+
+    flushed = [];
+    navigator.onLine = true;
+    apiClient.offlineQueue = [];
+    gameState.clear();
+    gameState.initializePlayer({ id: 'guest', username: 'Guest', avatar: null });
+});
+
+test('replays a ready toggle queued in a Lobby room', async () => {
+    gameState.setRoom(serverRoom({ players }));
+
+    goOffline();
+    assert.equal(await apiClient.setReady('room-1', 'guest', true), true);
+    assert.equal(server.requests.length, 0);
+    assert.equal(apiClient.getPendingActionCount(), 1);
+
+    await goOnline();
+
+    assert.deepEqual(server.requestsTo('PUT', '/api/room/room-1/ready').map(r => r.body), [{ userId: 'guest', isReady: true }]);
+    assert.equal(apiClient.getPendingActionCount(), 0);
+    assert.deepEqual(flushed.at(-1).dropped, []);
+});
+
+test('replays reactions and chat queued during an Active session, in order', async () => {
+    gameState.setRoom(serverRoom({ state: 'InProgress', players }));
+    gameState.setSession(serverSession({ players }));
+
+    goOffline();
+    await apiClient.submitReaction('session-1', 'guest', 'Funny', 'host');
+    await apiClient.sendChat('session-1', 'guest', 'nice one');
+
+    await goOnline();
+
+    assert.deepEqual(server.requests.map(r => `${r.method} ${r.path}`), [
+        'POST /api/game/session-1/reaction',
+        'POST /api/game/session-1/chat'
+    ]);
+    assert.deepEqual(flushed.at(-1).dropped, []);
+});
+
+test('drops a reaction whose turn ended while offline', async () => {
+    gameState.setRoom(serverRoom({ state: 'InProgress', players }));
+    gameState.setSession(serverSession({ players }));
+
+    goOffline();
+    await apiClient.submitReaction('session-1', 'guest', 'Funny', 'host');
+
+    gameState.session.currentTurn.turnId = 'turn-2';
+    await goOnline();
+
+    assert.equal(server.requests.length, 0);
+    assert.deepEqual(flushed.at(-1).dropped, [{ action: 'reaction', reason: 'that turn has already ended' }]);
+});
+
+test('drops chat queued for a session that has since Completed', async () => {
+    gameState.setRoom(serverRoom({ state: 'InProgress', players }));
+    gameState.setSession(serverSession({ players }));
+
+    goOffline();
+    await apiClient.sendChat('session-1', 'guest', 'gg');
+
+    gameState.session.state = 'Completed';
+    await goOnline();
+
+    assert.equal(server.requests.length, 0);
+    assert.deepEqual(flushed.at(-1).dropped, [{ action: 'chat message', reason: 'the game is no longer active' }]);
+});
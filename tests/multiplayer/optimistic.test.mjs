@@ -0,0 +1,101 @@
+import './support/browser.mjs';
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installMockServer, reply } from './support/server.mjs';
+import { serverRoom, serverSession, serverPlayer } from './support/fixtures.mjs';
+
+const { default: gameState } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/GameState.js');
+const { default: apiClient } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/ApiClient.js');
+
+let server;
+
+function guest() {
+    return gameState.room.players.find(p => p.userId === 'guest');
+}
+
+beforeEach(() => {
+    server = installMockServer();
+    apiClient.cache.clear();
+    gameState.clear();
+    gameState.initializePlayer({ id: 'guest', username: 'Guest', avatar: null });
+    gameState.setRoom(serverRoom({ players: [serverPlayer('host', { role: 'Host' }), serverPlayer('guest')] }));
+});
+
+afterEach(() => {
+    gameState.clear();
+});
+
+test('a 2xx response commits the optimistic change', async () => {
+    server.route('PUT', '/api/room/:roomId/ready', () => ({ success: true, message: 'Ready state updated' }));
+
+    const token = gameState.optimisticSetReady(true);
+    assert.equal(guest().isReady, true);
+
+    await apiClient.setReady('room-1', 'guest', true);
+
+    assert.equal(gameState.isOptimisticPending(token), false);
+    assert.equal(guest().isReady, true);
+    assert.equal(gameState.uiState.error, null);
+});
+
+test('a 4xx response rolls the change back and reports the server error', async () => {
+    server.route('PUT', '/api/room/:roomId/ready', () =>
+        reply(400, { success: false, error: 'Cannot update ready state' })
+    );
+
+    const token = gameState.optimisticSetReady(true);
+
+    await assert.rejects(apiClient.setReady('room-1', 'guest', true), { message: 'Cannot update ready state' });
+
+    assert.equal(gameState.isOptimisticPending(token), false);
+    assert.equal(guest().isReady, false);
+    assert.equal(gameState.uiState.error, 'Cannot update ready state');
+});
+
+test('a change the server never confirms is rolled back after optimisticTimeout', t => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+
+    const token = gameState.optimisticSetReady(true);
+
+    t.mock.timers.tick(gameState.optimisticTimeout - 1);
+    assert.equal(guest().isReady, true);
+
+    t.mock.timers.tick(1);
+    assert.equal(gameState.isOptimisticPending(token), false);
+    assert.equal(guest().isReady, false);
+    assert.equal(gameState.uiState.error, 'ready update was not confirmed in time');
+});
+
+test('a rollback leaves a value something newer has changed since', () => {
+    const token = gameState.optimisticSetReady(true);
+
+    // The server says otherwise before our request settles
+    gameState.setRoom(serverRoom({ players: [serverPlayer('host', { role: 'Host' }), serverPlayer('guest', { isReady: false })] }));
+
+    let roomUpdates = 0;
+    const onRoomUpdate = () => roomUpdates++;
+    gameState.on('roomUpdate', onRoomUpdate);
+
+    gameState.rollbackOptimistic(token, new Error('Cannot update ready state'));
+    gameState.off('roomUpdate', onRoomUpdate);
+
+    assert.equal(roomUpdates, 0);
+    assert.equal(guest().isReady, false);
+});
+
+test('settling by key resolves the oldest transaction for that action only', () => {
+    gameState.setSession(serverSession({ players: gameState.room.players }));
+
+    const ready = gameState.optimisticSetReady(true);
+    const first = gameState.optimisticAddReaction('Funny', 'host');
+    const second = gameState.optimisticAddReaction('Funny', 'host');
+
+    gameState.settleOptimistic(gameState.optimisticKey('reaction', 'session-1', 'Funny', 'host'));
+
+    assert.equal(gameState.isOptimisticPending(first), false);
+    assert.equal(gameState.isOptimisticPending(second), true);
+    assert.equal(gameState.isOptimisticPending(ready), true);
+    assert.equal(gameState.session.currentTurn.reactions.length, 2);
+});
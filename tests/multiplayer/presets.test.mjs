@@ -0,0 +1,57 @@
+import './support/browser.mjs';
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installMockServer } from './support/server.mjs';
+import { quizSettings } from './support/fixtures.mjs';
+
+const { default: gameState } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/GameState.js');
+const { default: apiClient } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/ApiClient.js');
+const { default: quizPresets } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/QuizPresets.js');
+
+let server;
+
+/**
+ * A preset as PresetController returns it
+ */
+function serverPreset(overrides = {}) {
+    return {
+        presetId: 'preset-1',
+        guildId: 'guild-1',
+        ownerUserId: 'guest',
+        ownerUsername: 'Guest',
+        name: 'Friday night',
+        settings: { ...quizSettings(), difficulty: 'Challenging' },
+        createdAt: '2026-10-19T12:00:00Z',
+        updatedAt: '2026-10-19T12:00:00Z',
+        ...overrides
+    };
+}
+
+beforeEach(async () => {
+    server = installMockServer()
+        .route('GET', '/api/preset/:guildId', () => [serverPreset()])
+        .route('PUT', '/api/preset/:guildId/:presetId', ({ body }) => ({
+            success: true,
+            preset: serverPreset({ name: body.name, settings: body.settings })
+        }));
+
+    apiClient.cache.clear();
+    gameState.clear();
+    gameState.initializePlayer({ id: 'guest', username: 'Guest', avatar: null });
+    await quizPresets.loadServerPresets('guild-1');
+});
+
+test('renaming a server preset sends its settings along (the server requires them)', async () => {
+    const [preset] = quizPresets.serverPresets;
+
+    await quizPresets.rename(preset, 'Saturday night');
+
+    const [update] = server.requestsTo('PUT', '/api/preset/guild-1/preset-1');
+    assert.equal(update.body.name, 'Saturday night');
+    assert.deepEqual(update.body.settings, preset.settings);
+
+    assert.equal(quizPresets.serverPresets[0].name, 'Saturday night');
+    assert.equal(quizPresets.serverPresets[0].settings.difficulty, 'Challenging');
+});
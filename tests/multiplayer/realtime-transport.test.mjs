@@ -0,0 +1,121 @@
+import './support/browser.mjs';
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installMockServer } from './support/server.mjs';
+import { installMockRealtime } from './support/realtime.mjs';
+import { serverRoom, serverPlayer } from './support/fixtures.mjs';
+
+const sockets = installMockRealtime();
+
+const { default: gameState } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/GameState.js');
+const { default: realtimeClient } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/RealtimeClient.js');
+const { default: eventHandler } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/EventHandler.js');
+
+const channel = { roomId: 'room-1', sessionId: 'session-1', userId: 'guest' };
+
+let messages;
+let statuses;
+
+realtimeClient.on('message', message => messages.push(message));
+realtimeClient.on('statusChange', status => statuses.push(status));
+
+eventHandler.initialize(null);
+
+/**
+ * Let queued events and timers run
+ */
+function settle(ms = 0) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+beforeEach(() => {
+    installMockServer();
+    sockets.reset();
+    messages = [];
+    statuses = [];
+    realtimeClient.baseReconnectDelay = 5;
+    realtimeClient.transports = ['websocket', 'sse'];
+    gameState.clear();
+    gameState.initializePlayer({ id: 'guest', username: 'Guest', avatar: null });
+});
+
+afterEach(() => {
+    gameState.clear();
+    realtimeClient.disconnect();
+});
+
+test('opens the WebSocket endpoint for the channel', () => {
+    realtimeClient.connect(channel);
+    sockets.last().open();
+
+    assert.equal(sockets.all.length, 1);
+    assert.equal(sockets.last().kind, 'ws');
+    assert.match(sockets.last().url, /^ws:\/\/localhost\/api\/realtime\/ws\?/);
+    assert.deepEqual(sockets.last().query, channel);
+    assert.deepEqual(statuses.at(-1), { status: 'connected', transport: 'websocket', isReconnect: false });
+});
+
+test('falls back to SSE when the WebSocket never opens', () => {
+    realtimeClient.connect(channel);
+    sockets.last().fail();
+    sockets.last().open();
+
+    assert.deepEqual(sockets.all.map(s => s.kind), ['ws', 'sse']);
+    assert.match(sockets.last().url, /^http:\/\/localhost\/api\/realtime\/sse\?/);
+    assert.equal(realtimeClient.transport, 'sse');
+});
+
+test('parses server events and skips malformed messages', () => {
+    realtimeClient.connect(channel);
+    sockets.last().open();
+
+    sockets.last().pushRaw('not json');
+    sockets.last().push({ data: {} });
+    sockets.last().push({ type: 'PLAYER_READY', data: { playerId: 'host', isReady: true }, sequence: 1, eventId: 'e-1' });
+
+    assert.deepEqual(messages, [
+        { type: 'PLAYER_READY', data: { playerId: 'host', isReady: true }, sequence: 1, eventId: 'e-1' }
+    ]);
+});
+
+test('reconnects over the same transport after a drop', async () => {
+    realtimeClient.transports = ['sse'];
+    realtimeClient.connect(channel);
+    sockets.last().open();
+
+    sockets.last().fail();
+    assert.equal(statuses.at(-1).status, 'reconnecting');
+
+    await settle(20);
+    sockets.last().open();
+
+    assert.deepEqual(sockets.all.map(s => s.kind), ['sse', 'sse']);
+    assert.deepEqual(statuses.at(-1), { status: 'connected', transport: 'sse', isReconnect: true });
+});
+
+test('room events pushed by the server reach GameState', async () => {
+    gameState.setRoom(serverRoom({ players: [serverPlayer('host', { role: 'Host' }), serverPlayer('guest')] }));
+    sockets.last().open();
+
+    assert.deepEqual(sockets.last().query, { roomId: 'room-1', userId: 'guest' });
+
+    sockets.last().push({ type: 'PLAYER_JOINED', data: { player: serverPlayer('late') }, sequence: 1, eventId: 'room-e-1' });
+    sockets.last().push({ type: 'PLAYER_READY', data: { playerId: 'host', isReady: true }, sequence: 2, eventId: 'room-e-2' });
+    await settle();
+
+    assert.deepEqual(gameState.room.players.map(p => p.userId), ['host', 'guest', 'late']);
+    assert.equal(gameState.room.players[0].isReady, true);
+});
+
+test('closes the connection when the player leaves the room', () => {
+    gameState.setRoom(serverRoom());
+    const socket = sockets.last();
+    socket.open();
+
+    gameState.clear();
+
+    assert.equal(socket.closed, true);
+    assert.equal(realtimeClient.status, 'disconnected');
+});
@@ -0,0 +1,120 @@
+import './support/browser.mjs';
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installMockServer } from './support/server.mjs';
+import { installMockRealtime } from './support/realtime.mjs';
+import { serverRoom, serverSession, serverPlayer } from './support/fixtures.mjs';
+
+const sockets = installMockRealtime();
+
+const { default: gameState } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/GameState.js');
+const { default: apiClient } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/ApiClient.js');
+const { default: eventHandler } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/EventHandler.js');
+
+eventHandler.initialize(null);
+
+const players = [serverPlayer('host', { role: 'Host' }), serverPlayer('guest')];
+
+let server;
+let sequence;
+let nextEventId = 0;
+
+/**
+ * Wait for queued events to finish
+ */
+async function settle() {
+    do {
+        await new Promise(resolve => setTimeout(resolve, 0));
+    } while (eventHandler.isRecovering || eventHandler.isProcessing);
+}
+
+/**
+ * Deliver an event the way EventService publishes it
+ */
+async function publish(type, data) {
+    sequence++;
+    sockets.last().push({ type, data, sequence, eventId: `event-${nextEventId++}` });
+    await settle();
+}
+
+beforeEach(() => {
+    server = installMockServer()
+        .route('GET', '/api/room/:roomId', () => serverRoom({ players }))
+        .route('GET', '/api/room/modes', () => [{ type: 'HotSeat', name: 'Hot Seat' }])
+        .route('GET', '/api/game/:sessionId/leaderboard', () => ({ entries: [], updatedAt: '2026-10-19T12:00:00Z' }));
+
+    sockets.reset();
+    sequence = 0;
+    apiClient.cache.clear();
+    gameState.clear();
+    gameState.initializePlayer({ id: 'guest', username: 'Guest', avatar: null });
+});
+
+afterEach(() => {
+    gameState.clear();
+});
+
+test('identical GETs in flight share one request, and each caller gets its own copy', async () => {
+    const [first, second] = await Promise.all([apiClient.getRoom('room-1'), apiClient.getRoom('room-1')]);
+
+    assert.equal(server.requestsTo('GET', '/api/room/room-1').length, 1);
+    assert.deepEqual(first, second);
+    assert.notEqual(first, second);
+});
+
+test('a cancelled call rejects as cancelled without failing the caller it shared with', async () => {
+    const controller = new AbortController();
+
+    const cancelled = apiClient.getRoom('room-1', { signal: controller.signal });
+    const kept = apiClient.getRoom('room-1');
+    controller.abort();
+
+    const error = await cancelled.catch(e => e);
+    assert.equal(apiClient.isCancelled(error), true);
+    assert.equal((await kept).roomId, 'room-1');
+    assert.equal(server.requestsTo('GET', '/api/room/room-1').length, 1);
+});
+
+test('a call cancelled before it starts never reaches the server', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    const error = await apiClient.getRoom('room-1', { signal: controller.signal }).catch(e => e);
+
+    assert.equal(apiClient.isCancelled(error), true);
+    assert.equal(server.requestsTo('GET', '/api/room/room-1').length, 0);
+});
+
+test('game modes are cached until their TTL runs out', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T12:00:00Z') });
+
+    await apiClient.getGameModes();
+    await apiClient.getGameModes();
+    assert.equal(server.requestsTo('GET', '/api/room/modes').length, 1);
+
+    t.mock.timers.tick(apiClient.cacheTtl.gameModes);
+    await apiClient.getGameModes();
+    assert.equal(server.requestsTo('GET', '/api/room/modes').length, 2);
+});
+
+for (const [type, data] of [
+    ['LEADERBOARD_UPDATE', { leaderboard: { entries: [], updatedAt: '2026-10-19T12:00:05Z' } }],
+    ['SCORE_UPDATE', { scores: { host: 100, guest: 0 } }]
+]) {
+    test(`${type} clears the cached leaderboard`, async () => {
+        gameState.setRoom(serverRoom({ state: 'InProgress', players }));
+        gameState.setSession(serverSession({ players }));
+        sockets.last().open();
+
+        await apiClient.getLeaderboard('session-1');
+        await apiClient.getLeaderboard('session-1');
+        assert.equal(server.requestsTo('GET', '/api/game/session-1/leaderboard').length, 1);
+
+        await publish(type, data);
+
+        await apiClient.getLeaderboard('session-1');
+        assert.equal(server.requestsTo('GET', '/api/game/session-1/leaderboard').length, 2);
+    });
+}
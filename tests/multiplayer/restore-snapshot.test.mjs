@@ -0,0 +1,75 @@
+import './support/browser.mjs';
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installMockServer, reply } from './support/server.mjs';
+import { serverRoom, serverSession, serverPlayer } from './support/fixtures.mjs';
+
+const { default: gameState } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/GameState.js');
+const { default: apiClient } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/ApiClient.js');
+
+const players = [serverPlayer('host', { role: 'Host' }), serverPlayer('guest')];
+
+let server;
+
+/**
+ * Leave a snapshot behind the way a reload mid-game does
+ */
+function reloadDuring(room, session, screen) {
+    gameState.initializePlayer({ id: 'guest', username: 'Guest', avatar: null });
+    gameState.room = room;
+    gameState.session = session;
+    gameState.uiState.currentScreen = screen;
+    gameState.saveSnapshot();
+
+    const saved = localStorage.getItem(gameState.storageKey);
+    gameState.clear();
+    localStorage.setItem(gameState.storageKey, saved);
+}
+
+beforeEach(() => {
+    server = installMockServer();
+    apiClient.cache.clear();
+    gameState.clear();
+});
+
+test('restores an Active session fetched from the server', async () => {
+    const room = serverRoom({ state: 'InProgress', players });
+    const session = serverSession({ players });
+    reloadDuring(room, session, 'game');
+
+    server.route('GET', '/api/room/:roomId', () => room);
+    server.route('GET', '/api/game/:sessionId', () => session);
+
+    assert.equal(await gameState.restoreSnapshot(apiClient), true);
+
+    assert.equal(gameState.room.roomId, 'room-1');
+    assert.equal(gameState.session.sessionId, 'session-1');
+    assert.equal(gameState.session.state, 'Active');
+    assert.equal(gameState.uiState.currentScreen, 'game');
+});
+
+test('restores the lobby when the game finished while away', async () => {
+    const room = serverRoom({ players });
+    reloadDuring(room, serverSession({ players }), 'game');
+
+    server.route('GET', '/api/room/:roomId', () => room);
+    server.route('GET', '/api/game/:sessionId', () => serverSession({ players, state: 'Completed' }));
+
+    assert.equal(await gameState.restoreSnapshot(apiClient), true);
+
+    assert.equal(gameState.session, null);
+    assert.equal(gameState.room.state, 'Lobby');
+});
+
+test('discards the snapshot once the room is gone', async () => {
+    reloadDuring(serverRoom({ players }), null, 'lobby');
+
+    server.route('GET', '/api/room/:roomId', () => reply(404, null));
+
+    assert.equal(await gameState.restoreSnapshot(apiClient), false);
+
+    assert.equal(gameState.room, null);
+    assert.equal(localStorage.getItem(gameState.storageKey), null);
+});
@@ -0,0 +1,79 @@
+import './support/browser.mjs';
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installMockServer } from './support/server.mjs';
+import { installMockRealtime } from './support/realtime.mjs';
+import { serverRoom, serverPlayer } from './support/fixtures.mjs';
+
+const sockets = installMockRealtime();
+
+const { default: gameState } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/GameState.js');
+const { default: eventHandler } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/EventHandler.js');
+
+eventHandler.initialize(null);
+
+let sequence;
+let nextEventId = 0;
+
+/**
+ * Deliver an event the way RoomService publishes it
+ */
+async function publish(type, data) {
+    sequence++;
+    sockets.last().push({ type, data, sequence, eventId: `event-${nextEventId++}` });
+    await new Promise(resolve => setTimeout(resolve, 0));
+}
+
+beforeEach(() => {
+    installMockServer();
+    sockets.reset();
+    sequence = 0;
+    gameState.clear();
+    gameState.initializePlayer({ id: 'guest', username: 'Guest', avatar: null });
+    gameState.setRoom(serverRoom({
+        players: [serverPlayer('host', { role: 'Host', isReady: true }), serverPlayer('guest'), serverPlayer('other')]
+    }));
+    sockets.last().open();
+});
+
+afterEach(() => {
+    gameState.clear();
+});
+
+test('PLAYER_KICKED removes another player from the lobby', async () => {
+    await publish('PLAYER_KICKED', { playerId: 'other' });
+
+    assert.deepEqual(gameState.room.players.map(p => p.userId), ['host', 'guest']);
+});
+
+test('PLAYER_KICKED for the local player leaves the room', async () => {
+    const socket = sockets.last();
+
+    await publish('PLAYER_KICKED', { playerId: 'guest' });
+
+    assert.equal(gameState.room, null);
+    assert.equal(gameState.uiState.error, 'You were removed from the room by the host');
+    assert.equal(socket.closed, true);
+});
+
+test('HOST_CHANGED moves the host role', async () => {
+    await publish('HOST_CHANGED', { hostUserId: 'guest' });
+
+    assert.equal(gameState.room.hostUserId, 'guest');
+    assert.deepEqual(gameState.room.players.map(p => p.role), ['Player', 'Host', 'Player']);
+});
+
+test('MODE_CHANGED switches mode and drops teams the new mode has no use for', async () => {
+    gameState.room.gameMode = 'TeamChallenge';
+    gameState.room.teams = { red: { teamId: 'red', playerIds: ['guest'] } };
+    gameState.room.players[1].teamId = 'red';
+
+    await publish('MODE_CHANGED', { gameMode: 'HotSeat', maxPlayers: 8, requiresTeams: false });
+
+    assert.equal(gameState.room.gameMode, 'HotSeat');
+    assert.equal(gameState.room.maxPlayers, 8);
+    assert.equal(gameState.room.teams, null);
+    assert.equal(gameState.room.players[1].teamId, null);
+});
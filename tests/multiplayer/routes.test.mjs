@@ -0,0 +1,67 @@
+import './support/browser.mjs';
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installMockServer } from './support/server.mjs';
+import { serverRoom, serverSession } from './support/fixtures.mjs';
+
+const { default: gameState } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/GameState.js');
+const { default: screenRouter } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/ScreenRouter.js');
+const { default: eventHandler } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/EventHandler.js');
+await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/main.js');
+
+function assertShowing(screen) {
+    assert.equal(screenRouter.current, screen);
+    assert.equal(gameState.uiState.currentScreen, screen);
+}
+
+beforeEach(() => {
+    installMockServer();
+    gameState.clear();
+    gameState.initializePlayer({ id: 'host', username: 'Host', avatar: null });
+    assertShowing('home');
+});
+
+test('joining a room shows the lobby', () => {
+    gameState.setRoom(serverRoom());
+
+    assertShowing('lobby');
+});
+
+test('an Active session shows the game, not the results', () => {
+    gameState.setRoom(serverRoom({ state: 'InProgress' }));
+    gameState.setSession(serverSession());
+
+    assertShowing('game');
+    assert.equal(screenRouter.navigate('results'), 'game');
+});
+
+test('a Completed session sent by the server shows the final results', () => {
+    gameState.setRoom(serverRoom({ state: 'InProgress' }));
+    gameState.setSession(serverSession());
+
+    gameState.updateSession({ state: 'Completed' });
+
+    assertShowing('results');
+    assert.equal(screenRouter.navigate('game'), 'results');
+});
+
+test('GAME_STARTING keeps everyone in the lobby until the session arrives', () => {
+    gameState.setRoom(serverRoom());
+
+    eventHandler.handleGameStarting({ roomId: 'room-1' });
+
+    assertShowing('lobby');
+    assert.equal(gameState.uiState.isLoading, true);
+});
+
+test('a screen change the guards refuse leaves uiState on the screen showing', () => {
+    gameState.setRoom(serverRoom());
+
+    gameState.setScreen('loading');
+    assertShowing('lobby');
+
+    gameState.setScreen('game');
+    assertShowing('lobby');
+});
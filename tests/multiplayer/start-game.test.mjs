@@ -0,0 +1,75 @@
+import './support/browser.mjs';
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installMockServer, reply } from './support/server.mjs';
+import { installMockRealtime } from './support/realtime.mjs';
+import { serverRoom, serverSession, serverPlayer } from './support/fixtures.mjs';
+
+const sockets = installMockRealtime();
+
+const { default: gameState } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/GameState.js');
+const { default: apiClient } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/ApiClient.js');
+const { default: screenRouter } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/ScreenRouter.js');
+const { default: eventHandler } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/EventHandler.js');
+await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/main.js');
+
+eventHandler.initialize(null);
+
+const players = [serverPlayer('host', { role: 'Host', isReady: true }), serverPlayer('guest', { isReady: true })];
+
+let server;
+let sequence;
+let nextEventId = 0;
+
+/**
+ * Deliver an event the way EventService publishes it to the room's channel
+ */
+function publish(type, data) {
+    sequence++;
+    sockets.last().push({ type, data, sequence, eventId: `event-${nextEventId++}` });
+}
+
+beforeEach(() => {
+    server = installMockServer();
+    sockets.reset();
+    sequence = 0;
+    apiClient.cache.clear();
+    gameState.clear();
+    gameState.initializePlayer({ id: 'host', username: 'Host', avatar: null });
+    gameState.setRoom(serverRoom({ players }));
+    sockets.last().open();
+});
+
+afterEach(() => {
+    gameState.clear();
+});
+
+test('starting the game moves the host to the session the server created', async () => {
+    // RoomController.StartGame: the session exists, and its events are out, before it replies
+    server.route('POST', '/api/room/:roomId/start', () => {
+        publish('GAME_STARTING', { roomId: 'room-1' });
+        publish('SESSION_CREATED', { session: serverSession({ players, currentTurn: null }) });
+        return { success: true, sessionId: 'session-1' };
+    });
+
+    await window.lobbyComponent.handleStartClick();
+
+    assert.deepEqual(server.requestsTo('POST', '/api/room/room-1/start')[0].body, { userId: 'host' });
+    assert.equal(gameState.uiState.error, null);
+    assert.equal(gameState.session.sessionId, 'session-1');
+    assert.equal(screenRouter.current, 'game');
+});
+
+test('a game the server could not start leaves the host in the lobby', async () => {
+    server.route('POST', '/api/room/:roomId/start', () =>
+        reply(500, { success: false, error: 'Could not start the game session' })
+    );
+
+    await window.lobbyComponent.handleStartClick();
+
+    assert.equal(gameState.session, null);
+    assert.equal(gameState.uiState.error, 'Server error. Please try again.');
+    assert.equal(screenRouter.current, 'lobby');
+});
@@ -0,0 +1,116 @@
+import './support/browser.mjs';
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installMockServer } from './support/server.mjs';
+import { installMockRealtime } from './support/realtime.mjs';
+import { serverRoom, serverSession, serverPlayer } from './support/fixtures.mjs';
+
+const sockets = installMockRealtime();
+
+const { default: gameState } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/GameState.js');
+const { default: apiClient } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/ApiClient.js');
+const { default: eventHandler } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/EventHandler.js');
+
+eventHandler.initialize(null);
+
+const players = [serverPlayer('host', { role: 'Host' }), serverPlayer('guest')];
+
+let server;
+
+/**
+ * Wait for recovery and queued events to finish
+ */
+async function settle() {
+    do {
+        await new Promise(resolve => setTimeout(resolve, 0));
+    } while (eventHandler.isRecovering || eventHandler.isProcessing);
+}
+
+beforeEach(() => {
+    server = installMockServer();
+    sockets.reset();
+    apiClient.cache.clear();
+    gameState.clear();
+    gameState.initializePlayer({ id: 'guest', username: 'Guest', avatar: null });
+});
+
+afterEach(() => {
+    gameState.clear();
+});
+
+test('a session patch leaves the room and untouched session objects as they were', () => {
+    gameState.room = serverRoom({ state: 'InProgress', players });
+    gameState.session = serverSession({ players });
+
+    const room = gameState.room;
+    const session = gameState.session;
+    const turn = session.currentTurn;
+    const host = session.players[0];
+
+    assert.equal(gameState.applyPatch([{ op: 'replace', path: '/session/players/1/score', value: 300 }]), true);
+
+    assert.equal(gameState.room, room);
+    assert.equal(gameState.session.currentTurn, turn);
+    assert.equal(gameState.session.players[0], host);
+    assert.equal(gameState.session.players[1].score, 300);
+
+    // Copied along the path, so the objects listeners saw before stay as they were
+    assert.notEqual(gameState.session, session);
+    assert.equal(session.players[1].score, 0);
+});
+
+test('a rejected patch changes nothing', () => {
+    gameState.room = serverRoom({ players });
+    const room = gameState.room;
+
+    assert.equal(gameState.applyPatch([
+        { op: 'replace', path: '/room/players/0/isReady', value: true },
+        { op: 'remove', path: '/room/players/5' }
+    ]), false);
+
+    assert.equal(gameState.room, room);
+    assert.equal(room.players[0].isReady, false);
+});
+
+test('a patch that fails while recovering resyncs once recovery finishes', async () => {
+    gameState.setRoom(serverRoom({ players }));
+    sockets.last().open();
+
+    server.route('GET', '/api/realtime/events', () => ({
+        events: [
+            { type: 'STATE_PATCH', data: { patch: [{ op: 'replace', path: '/room/players/9/isReady', value: true }] }, sequence: 2, eventId: 'patch-2' },
+            { type: 'PLAYER_READY', data: { playerId: 'guest', isReady: true }, sequence: 3, eventId: 'ready-3' }
+        ],
+        latestSequence: 3
+    }));
+    server.route('GET', '/api/room/:roomId', () => serverRoom({
+        players: [serverPlayer('host', { role: 'Host', isReady: true }), serverPlayer('guest', { isReady: true })]
+    }));
+
+    sockets.last().push({ type: 'PLAYER_READY', data: { playerId: 'host', isReady: false }, sequence: 1, eventId: 'ready-1' });
+    sockets.last().push({ type: 'PLAYER_READY', data: { playerId: 'guest', isReady: true }, sequence: 3, eventId: 'ready-3' });
+    await settle();
+
+    assert.equal(server.requestsTo('GET', '/api/realtime/events').length, 1);
+    assert.equal(server.requestsTo('GET', '/api/room/room-1').length, 1);
+    assert.deepEqual(gameState.room.players.map(p => p.isReady), [true, true]);
+    assert.equal(eventHandler.resyncPending, false);
+});
+
+test('replay states are copies, not views into the recorded history', () => {
+    gameState.setSession(serverSession({ players }));
+
+    gameState.applyPatch([{ op: 'replace', path: '/session/players/1/score', value: 100 }]);
+    gameState.recordHistory('ANSWER_SUBMITTED', null);
+
+    const replayed = gameState.getReplayState(0);
+    replayed.players[0].score = 999;
+    replayed.currentTurn.phase = 'Results';
+
+    const again = gameState.getReplayState(0);
+    assert.equal(again.players[0].score, 0);
+    assert.equal(again.players[1].score, 100);
+    assert.equal(again.currentTurn.phase, 'Answering');
+});
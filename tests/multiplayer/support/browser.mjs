@@ -0,0 +1,102 @@
+/**
+ * browser.mjs - Just enough of a browser for the multiplayer modules
+ *
+ * Import this before any module under wwwroot/js/multiplayer: they read
+ * window/localStorage when they load. Each test file runs in its own
+ * process (node --test), so the singletons start fresh per file.
+ *
+ * - document.getElementById() returns a stub element per id (innerHTML,
+ *   value, disabled...), created on first use
+ * - localStorage/sessionStorage keep values in memory
+ * - history.pushState/replaceState record entries in history.entries
+ * - fetch goes to mockServer (see server.mjs) when one is installed
+ * - console output is silenced (the test runner reports failures)
+ */
+
+const elements = new Map();
+
+export function element(id) {
+    if (!elements.has(id)) {
+        elements.set(id, {
+            id,
+            innerHTML: '',
+            textContent: '',
+            value: '',
+            checked: false,
+            disabled: false,
+            hidden: false,
+            style: {},
+            classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+            addEventListener() {},
+            removeEventListener() {},
+            focus() {},
+            querySelector: () => null,
+            querySelectorAll: () => []
+        });
+    }
+
+    return elements.get(id);
+}
+
+export function resetElements() {
+    elements.clear();
+}
+
+function memoryStorage() {
+    const values = new Map();
+
+    return {
+        getItem: key => values.has(key) ? values.get(key) : null,
+        setItem: (key, value) => values.set(key, String(value)),
+        removeItem: key => values.delete(key),
+        clear: () => values.clear()
+    };
+}
+
+const windowListeners = new Map();
+
+globalThis.window = {
+    location: { origin: 'http://localhost', search: '' },
+    addEventListener(type, callback) {
+        windowListeners.set(type, [...(windowListeners.get(type) || []), callback]);
+    },
+    removeEventListener() {}
+};
+
+/**
+ * Fire a window event ('online', 'offline')
+ */
+export function dispatchWindowEvent(type) {
+    (windowListeners.get(type) || []).forEach(callback => callback({ type }));
+}
+
+globalThis.document = {
+    getElementById: element,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    createElement: () => element(`created-${elements.size}`),
+    body: { appendChild() {}, removeChild() {} }
+};
+
+globalThis.history = {
+    entries: [],
+    pushState(state) { this.entries.push(state); },
+    replaceState(state) { this.entries[this.entries.length - 1] = state; },
+    back() {}
+};
+
+globalThis.localStorage = memoryStorage();
+globalThis.sessionStorage = memoryStorage();
+
+Object.defineProperty(globalThis, 'navigator', {
+    value: { onLine: true },
+    writable: true,
+    configurable: true
+});
+
+globalThis.confirm = () => true;
+globalThis.prompt = () => null;
+
+console.log = () => {};
+console.warn = () => {};
+console.error = () => {};
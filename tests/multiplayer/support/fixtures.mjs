@@ -0,0 +1,127 @@
+/**
+ * fixtures.mjs - Rooms, players and sessions shaped like the server's JSON
+ *
+ * Mirrors what Newtonsoft sends for the C# models: camelCase properties,
+ * enums by name (StringEnumConverter), PasswordHash/KickedUserIds left out,
+ * dates as ISO strings. Pass overrides for the fields a test cares about.
+ */
+
+const now = '2026-10-19T12:00:00Z';
+
+export const quizSettings = () => ({
+    topicMode: 'Random',
+    category: null,
+    customPrompt: null,
+    style: 'Classic',
+    difficulty: 'Casual',
+    includeImages: false,
+    imageStyle: 'Cartoon',
+    imageMood: 'Cheerful',
+    personalityCount: 4,
+    resultDepth: 'Detailed',
+    includeResultImage: true,
+    questionCount: 10
+});
+
+export function serverPlayer(userId, overrides = {}) {
+    return {
+        userId,
+        username: `player-${userId}`,
+        avatarUrl: null,
+        teamId: null,
+        role: 'Player',
+        isReady: false,
+        isConnected: true,
+        score: 0,
+        scoreBreakdown: null,
+        stats: {
+            questionsAnswered: 0,
+            correctAnswers: 0,
+            averageResponseTime: 0,
+            fastestResponse: 1.7976931348623157e308,
+            reactionsSent: 0,
+            reactionsReceived: 0,
+            suggestionsSent: 0,
+            suggestionsFollowed: 0
+        },
+        joinedAt: now,
+        lastActiveAt: now,
+        ...overrides
+    };
+}
+
+export function serverRoom(overrides = {}) {
+    return {
+        roomId: 'room-1',
+        roomCode: 'ABC-123',
+        hostUserId: 'host',
+        guildId: 'guild-1',
+        players: [serverPlayer('host', { role: 'Host' })],
+        maxPlayers: 8,
+        state: 'Lobby',
+        gameMode: 'HotSeat',
+        quizSettings: quizSettings(),
+        teams: null,
+        hasPassword: false,
+        createdAt: now,
+        startedAt: null,
+        endedAt: null,
+        ...overrides
+    };
+}
+
+export function serverTurn(overrides = {}) {
+    return {
+        turnId: 'turn-1',
+        sessionId: 'session-1',
+        activePlayerId: 'host',
+        questionNumber: 1,
+        phase: 'Answering',
+        startTime: now,
+        endTime: null,
+        timeLimit: 30,
+        timeRemaining: 30,
+        responses: [],
+        reactions: [],
+        suggestions: [],
+        predictions: [],
+        scoreEarned: 0,
+        turnScoreBreakdown: { entries: {} },
+        ...overrides
+    };
+}
+
+export function serverSession(overrides = {}) {
+    return {
+        sessionId: 'session-1',
+        roomId: 'room-1',
+        guildId: 'guild-1',
+        gameMode: 'HotSeat',
+        currentQuiz: { id: 'quiz-1', topic: 'Which snack are you?', questions: [], resultPersonalities: {} },
+        settings: quizSettings(),
+        currentTurn: serverTurn(),
+        state: 'Active',
+        players: [serverPlayer('host', { role: 'Host' })],
+        teams: null,
+        scores: { host: 0 },
+        eventLog: [],
+        interactions: [],
+        stats: {
+            totalQuestions: 0,
+            totalAnswers: 0,
+            totalReactions: 0,
+            totalSuggestions: 0,
+            startTime: now,
+            endTime: null,
+            averageAnswerTime: 0,
+            fastestPlayer: null,
+            mostAccuratePlayer: null,
+            mostReactionsPlayer: null,
+            funniestAnswer: null
+        },
+        createdAt: now,
+        startedAt: now,
+        endedAt: null,
+        ...overrides
+    };
+}
@@ -0,0 +1,89 @@
+/**
+ * realtime.mjs - Fake WebSocket and EventSource for RealtimeClient
+ *
+ * USAGE:
+ * - const sockets = installMockRealtime();
+ * - sockets.last() is the newest connection (sockets.all lists every one)
+ * - connection.open() completes the handshake; connection.fail() refuses
+ *   it (before open) or drops the connection (after)
+ * - connection.push({ type, data, sequence, eventId }) delivers a server event
+ *   the way RealtimeController sends it (one JSON message)
+ *
+ * Nothing connects until open() is called, like a real handshake.
+ */
+
+class FakeConnection {
+    constructor(kind, url) {
+        this.kind = kind;
+        this.url = url;
+        this.query = Object.fromEntries(new URL(url).searchParams);
+        this.readyState = 0;
+        this.closed = false;
+
+        this.onopen = null;
+        this.onmessage = null;
+        this.onerror = null;
+        this.onclose = null;
+    }
+
+    open() {
+        this.readyState = 1;
+        this.onopen?.({});
+    }
+
+    push(event) {
+        this.onmessage?.({ data: JSON.stringify(event) });
+    }
+
+    pushRaw(data) {
+        this.onmessage?.({ data });
+    }
+
+    fail() {
+        this.readyState = 3;
+        this.onerror?.({});
+        this.onclose?.({});
+    }
+
+    close() {
+        this.readyState = 3;
+        this.closed = true;
+    }
+}
+
+export function installMockRealtime() {
+    const sockets = {
+        all: [],
+        last: () => sockets.all.at(-1),
+        reset: () => { sockets.all.length = 0; }
+    };
+
+    class FakeWebSocket extends FakeConnection {
+        static OPEN = 1;
+
+        constructor(url) {
+            super('ws', url);
+            sockets.all.push(this);
+        }
+
+        send() {}
+    }
+
+    class FakeEventSource extends FakeConnection {
+        constructor(url) {
+            super('sse', url);
+            sockets.all.push(this);
+        }
+
+        // EventSource reports failures through onerror only
+        fail() {
+            this.readyState = 2;
+            this.onerror?.({});
+        }
+    }
+
+    globalThis.WebSocket = FakeWebSocket;
+    globalThis.EventSource = FakeEventSource;
+
+    return sockets;
+}
@@ -0,0 +1,84 @@
+/**
+ * server.mjs - Mock of the ASP.NET API behind globalThis.fetch
+ *
+ * USAGE:
+ * - const server = installMockServer();
+ * - server.route('GET', '/api/room/code/:code', ({ params }) => room);
+ * - Handlers return the JSON body (200), or reply(status, body)
+ * - server.requests lists every call: { method, path, query, body }
+ * - Unrouted calls get a 404, like the real API
+ * - server.offline = true makes fetch fail like a dropped network
+ */
+
+export function reply(status, body) {
+    return { reply: true, status, body };
+}
+
+export function installMockServer() {
+    const routes = [];
+
+    const server = {
+        requests: [],
+        offline: false,
+
+        route(method, pattern, handler) {
+            const names = [];
+            const regex = new RegExp('^' + pattern.replace(/:(\w+)/g, (_, name) => {
+                names.push(name);
+                return '([^/]+)';
+            }) + '$');
+
+            routes.unshift({ method, regex, names, handler });
+            return server;
+        },
+
+        requestsTo(method, path) {
+            return server.requests.filter(r => r.method === method && r.path === path);
+        }
+    };
+
+    globalThis.fetch = async (url, options = {}) => {
+        if (options.signal?.aborted) {
+            throw new DOMException('The operation was aborted.', 'AbortError');
+        }
+
+        if (server.offline) {
+            throw new TypeError('Failed to fetch');
+        }
+
+        const parsed = new URL(url, 'http://localhost');
+        const method = options.method || 'GET';
+        const body = options.body ? JSON.parse(options.body) : null;
+        const request = {
+            method,
+            path: parsed.pathname,
+            query: Object.fromEntries(parsed.searchParams),
+            body
+        };
+
+        server.requests.push(request);
+
+        let result = reply(404, { success: false, error: 'Not found' });
+
+        for (let route of routes) {
+            const match = route.method === method && route.regex.exec(parsed.pathname);
+            if (!match) continue;
+
+            const params = Object.fromEntries(route.names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+            const value = await route.handler({ ...request, params });
+            result = value?.reply ? value : reply(200, value);
+            break;
+        }
+
+        return {
+            ok: result.status >= 200 && result.status < 300,
+            status: result.status,
+            statusText: String(result.status),
+            headers: { get: name => name.toLowerCase() === 'content-type' ? 'application/json' : null },
+            json: async () => structuredClone(result.body),
+            text: async () => JSON.stringify(result.body)
+        };
+    };
+
+    return server;
+}
@@ -0,0 +1,69 @@
+import './support/browser.mjs';
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { serverSession, serverTurn } from './support/fixtures.mjs';
+
+const { default: gameState } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/GameState.js');
+const { default: turnTimer } = await import('../../BuzzFreed.Web/wwwroot/js/multiplayer/TurnTimer.js');
+
+let ticks = [];
+let timeUps = [];
+
+gameState.on('timerTick', data => ticks.push(data));
+gameState.on('stateChange', data => data.type === 'timeUp' && timeUps.push(data));
+
+function sessionWithTurn(secondsAgo, overrides = {}) {
+    const startTime = new Date(Date.now() - secondsAgo * 1000).toISOString();
+    return serverSession({ currentTurn: serverTurn({ startTime }), ...overrides });
+}
+
+beforeEach(() => {
+    ticks = [];
+    timeUps = [];
+    gameState.clear();
+});
+
+afterEach(() => {
+    turnTimer.stop();
+    turnTimer.timeUpTurnId = null;
+    turnTimer.turnId = null;
+});
+
+test('counts down an Active session sent by the server', () => {
+    gameState.session = sessionWithTurn(5);
+    turnTimer.sync();
+
+    assert.ok(turnTimer.interval, 'timer should be running');
+    assert.equal(ticks.length, 1);
+    assert.equal(ticks[0].turnId, 'turn-1');
+    assert.equal(ticks[0].seconds, 25);
+});
+
+test('fires timeUp once the time limit has passed', () => {
+    gameState.session = sessionWithTurn(31);
+    turnTimer.sync();
+    turnTimer.sync();
+
+    assert.equal(timeUps.length, 1);
+    assert.equal(turnTimer.interval, null);
+});
+
+test('stays stopped while the session is Paused', () => {
+    gameState.session = sessionWithTurn(5, { state: 'Paused' });
+    turnTimer.sync();
+
+    assert.equal(turnTimer.interval, null);
+    assert.equal(ticks.length, 0);
+});
+
+test('stops once the turn reaches its Results phase', () => {
+    gameState.session = sessionWithTurn(5);
+    turnTimer.sync();
+
+    gameState.session = sessionWithTurn(5, { currentTurn: serverTurn({ phase: 'Results' }) });
+    turnTimer.sync();
+
+    assert.equal(turnTimer.interval, null);
+});